@@ -0,0 +1,157 @@
+import * as turf from '@turf/turf';
+import { MultiPolygon, Polygon } from 'geojson';
+import { ConfidenceLevel, RestrictionCategory, RestrictionFeature, RestrictionType } from '../src/types';
+import { computeAllowedArea } from '../src/utils/allowedArea';
+
+/**
+ * Benchmark of the allowed-area computation against the old
+ * subtract-one-at-a-time loop, on synthetic large-metro searches
+ *
+ * Each scenario is a circular search area with FAA facility grid cells
+ * (30 arc-second squares) packed around a few airports plus scattered
+ * local restrictions (parks, stadiums), roughly what a search over a
+ * large metro returns. Both implementations run on identical input; the
+ * allowed areas they produce are compared to check they agree.
+ *
+ * Usage: npm run benchmark:allowed-areas [-- <scenario>...]
+ */
+
+interface Scenario {
+  name: string;
+  center: [number, number];
+  radiusMiles: number;
+  airports: number;
+  /** Grid cells around each airport, as a square block of cellsPerSide x cellsPerSide */
+  cellsPerSide: number;
+  localRestrictions: number;
+}
+
+const SCENARIOS: Scenario[] = [
+  { name: 'metro-small', center: [-122.33, 47.61], radiusMiles: 5, airports: 2, cellsPerSide: 10, localRestrictions: 40 },
+  { name: 'metro-large', center: [-118.24, 34.05], radiusMiles: 15, airports: 4, cellsPerSide: 16, localRestrictions: 150 },
+  { name: 'metro-dense', center: [-73.98, 40.75], radiusMiles: 20, airports: 5, cellsPerSide: 24, localRestrictions: 300 }
+];
+
+const GRID_CELL_DEGREES = 30 / 3600;
+const RUNS = 3;
+
+function main(): void {
+  const requested = process.argv.slice(2);
+  const scenarios = requested.length > 0 ? SCENARIOS.filter(scenario => requested.includes(scenario.name)) : SCENARIOS;
+  if (scenarios.length === 0) {
+    console.error(`Unknown scenario; choose from ${SCENARIOS.map(scenario => scenario.name).join(', ')}`);
+    process.exit(1);
+  }
+
+  scenarios.forEach(scenario => {
+    const searchArea = turf.circle(scenario.center, scenario.radiusMiles, { units: 'miles', steps: 64 }).geometry;
+    const restrictions = generateRestrictions(scenario);
+
+    const legacy = time(() => legacyAllowedArea(searchArea, restrictions));
+    const current = time(() => computeAllowedArea(searchArea, restrictions));
+
+    const legacyArea = legacy.result ? turf.area(legacy.result) : 0;
+    const currentArea = current.result ? turf.area(current.result) : 0;
+    const disagreement = Math.abs(legacyArea - currentArea) / Math.max(legacyArea, currentArea, 1);
+
+    console.log(`${scenario.name}: ${restrictions.length} restrictions in a ${scenario.radiusMiles} mi radius`);
+    console.log(`  subtraction loop: ${legacy.ms.toFixed(1)} ms (median of ${RUNS})`);
+    console.log(`  union + difference: ${current.ms.toFixed(1)} ms (median of ${RUNS}), ${(legacy.ms / current.ms).toFixed(1)}x`);
+    console.log(`  allowed area: ${(currentArea / 1e6).toFixed(2)} km², ${(disagreement * 100).toFixed(4)}% from the loop's`);
+  });
+}
+
+/**
+ * The previous implementation: subtract each restriction in turn, skipping failures
+ */
+function legacyAllowedArea(searchArea: Polygon | MultiPolygon, restrictions: RestrictionFeature[]): Polygon | MultiPolygon | null {
+  let allowed: Polygon | MultiPolygon = searchArea;
+  for (const restriction of restrictions) {
+    try {
+      const diff = turf.difference(turf.featureCollection([turf.feature(allowed), turf.feature(restriction.geometry as Polygon)]));
+      if (!diff) return null;
+      allowed = diff.geometry;
+    } catch {
+      // The old loop carried on with the area it had
+    }
+  }
+  return allowed;
+}
+
+/**
+ * Grid cells around airports inside the search area, plus local restrictions
+ * scattered across it; seeded so every run sees the same input
+ */
+function generateRestrictions(scenario: Scenario): RestrictionFeature[] {
+  const random = seededRandom(scenario.name.length * 7919 + scenario.localRestrictions);
+  const [lng, lat] = scenario.center;
+  const spread = scenario.radiusMiles / 69;
+  const restrictions: RestrictionFeature[] = [];
+
+  for (let airport = 0; airport < scenario.airports; airport++) {
+    const originX = lng + (random() - 0.5) * spread;
+    const originY = lat + (random() - 0.5) * spread;
+    for (let row = 0; row < scenario.cellsPerSide; row++) {
+      for (let column = 0; column < scenario.cellsPerSide; column++) {
+        const minX = originX + column * GRID_CELL_DEGREES;
+        const minY = originY + row * GRID_CELL_DEGREES;
+        const bbox: [number, number, number, number] = [minX, minY, minX + GRID_CELL_DEGREES, minY + GRID_CELL_DEGREES];
+        restrictions.push(restriction(`faa-${airport}-${row}-${column}`, RestrictionCategory.FAA, turf.bboxPolygon(bbox).geometry));
+      }
+    }
+  }
+
+  for (let i = 0; i < scenario.localRestrictions; i++) {
+    const center: [number, number] = [lng + (random() - 0.5) * spread * 2, lat + (random() - 0.5) * spread * 2];
+    const radiusKm = 0.1 + random() * 0.6;
+    restrictions.push(restriction(`local-${i}`, RestrictionCategory.CITY, turf.circle(center, radiusKm, { steps: 24 }).geometry));
+  }
+
+  return restrictions;
+}
+
+function restriction(id: string, category: RestrictionCategory, geometry: Polygon): RestrictionFeature {
+  return {
+    type: 'Feature',
+    properties: {
+      id,
+      geometry: geometry as RestrictionFeature['geometry'],
+      category,
+      type: RestrictionType.NO_FLY,
+      authority: 'Benchmark',
+      description: id,
+      sourceUrl: '',
+      confidenceLevel: ConfidenceLevel.HIGH,
+      jurisdiction: { country: 'United States' }
+    },
+    geometry: geometry as RestrictionFeature['geometry']
+  };
+}
+
+function time<T>(run: () => T): { result: T; ms: number } {
+  const timings: number[] = [];
+  let result!: T;
+  for (let i = 0; i < RUNS; i++) {
+    const started = process.hrtime.bigint();
+    result = run();
+    timings.push(Number(process.hrtime.bigint() - started) / 1e6);
+  }
+  timings.sort((a, b) => a - b);
+  return { result, ms: timings[Math.floor(timings.length / 2)] };
+}
+
+/**
+ * Mulberry32: small deterministic generator for reproducible scenarios
+ */
+function seededRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+main();
@@ -1,6 +1,18 @@
 import { Request, Response } from 'express';
 import { RestrictionService } from '../services/restrictionService';
-import { LocationInput } from '../types';
+import { NotamService } from '../services/notamService';
+import { getSourceTileCaches } from '../services/arcgisSourceService';
+import { getSourceDatasets } from '../services/sourceDataset';
+import { getJurisdictionService, validateJurisdictionQuery } from '../services/jurisdictionService';
+import { SourceDiscoveryService } from '../services/sourceDiscoveryService';
+import { getZoneDatasetService, ZoneDatasetService } from '../services/zoneDatasetService';
+import { LocationInput, NotamInput, PointCheckInput, RouteInput } from '../types';
+import { sendError } from '../errors';
+import { buildOpenApiDocument } from '../docs/openapi';
+import { validateInput } from '../utils/spatial';
+import { validateRouteInput } from '../utils/route';
+import { validatePointCheckInput } from '../utils/pointCheck';
+import { assertAdminToken } from '../utils/adminAuth';
 
 /**
  * Controller for handling drone flight restriction API endpoints
@@ -14,26 +26,44 @@ import { LocationInput } from '../types';
  * 
  * The controller follows REST API best practices:
  * - POST /api/restrictions for getting restrictions
- * - Proper error responses with meaningful messages
+ * - POST /api/route for checking a planned flight path
+ * - POST /api/point-check for a "can I fly here?" verdict at one point
+ * - POST /api/notams for parsing NOTAM text into restriction geometries
+ * - GET /api/jurisdiction for resolving a point to its jurisdiction
+ * - /api/sources for discovering and reviewing municipal GIS sources (admin token)
+ * - /api/zones for importing ED-269 UAS geographical zone datasets (admin token)
+ * - Typed errors with stable error codes (see ../errors)
  * - Consistent response format
  * - Input validation with clear error messages
  */
 export class RestrictionController {
   private restrictionService: RestrictionService;
+  private notamService: NotamService;
+  private sourceDiscoveryService: SourceDiscoveryService;
+  private zoneDatasetService: ZoneDatasetService;
 
   constructor() {
     this.restrictionService = new RestrictionService();
+    this.notamService = new NotamService();
+    this.sourceDiscoveryService = new SourceDiscoveryService();
+    this.zoneDatasetService = getZoneDatasetService();
   }
 
   /**
-   * GET /api/restrictions endpoint handler
+   * POST /api/restrictions endpoint handler
    * Accepts location and radius, returns GeoJSON layers for map rendering
    * 
    * Request body format:
    * {
    *   "lat": 37.7749,
    *   "lng": -122.4194,
-   *   "radius": 1000
+   *   "radius": 1,
+   *   "units": "miles",  // optional: miles (default), feet, meters, kilometers
+   *   "flightWindow": {  // optional: instead of "time"
+   *     "start": "2025-07-04T09:00:00-07:00",
+   *     "end": "2025-07-04T11:00:00-07:00",
+   *     "timezone": "America/Los_Angeles"
+   *   }
    * }
    * 
    * Response format:
@@ -43,122 +73,426 @@ export class RestrictionController {
    *   "localRestrictions": { GeoJSON FeatureCollection },
    *   "allowedAreas": { GeoJSON FeatureCollection }
    * }
+   *
+   * metadata.providers lists every restriction provider consulted and its
+   * status; metadata.dataComplete is false when any of them failed or
+   * returned partial data. Each restriction is marked ACTIVE, UPCOMING or
+   * INACTIVE for the flight window, with its activeIntervals across
+   * metadata.timeline. metadata.daylight gives civil dawn, sunrise, sunset
+   * and civil dusk at the search center, with a Part 107 advisory when the
+   * window reaches civil twilight or night.
    */
   async getRestrictions(req: Request, res: Response): Promise<void> {
     try {
-      // 1. Extract and validate input from request body
-      const input: LocationInput = req.body;
-
-      // Basic validation - ensure required fields are present
-      if (!input || typeof input.lat !== 'number' || typeof input.lng !== 'number' || typeof input.radius !== 'number') {
-        res.status(400).json({
-          error: 'Invalid request format',
-          message: 'Request must contain lat (number), lng (number), and radius (number)',
-          example: {
-            lat: 37.7749,
-            lng: -122.4194,
-            radius: 1
-          }
-        });
-        return;
-      }
+      // 1. Validate input against the request schema (radius normalized to miles)
+      const input: LocationInput = validateInput(req.body);
 
-      console.log(`Processing restriction request: lat=${input.lat}, lng=${input.lng}, radius=${input.radius}m`);
+      console.log(`Processing restriction request: lat=${input.lat}, lng=${input.lng}, radius=${input.radius}mi`);
 
       // 2. Delegate to service layer for business logic
-      const restrictions = await this.restrictionService.getRestrictions(input);
+      const result = await this.restrictionService.getRestrictions(input);
 
-      // 3. Return successful response with GeoJSON data
+      // 3. Return successful response with GeoJSON data and the providers consulted
       res.status(200).json({
         success: true,
-        data: restrictions,
+        data: result.data,
         metadata: {
           timestamp: new Date().toISOString(),
-          request: input
+          request: input,
+          ...result.metadata
         }
       });
 
     } catch (error) {
-      // 4. Handle errors gracefully
+      // 4. Handle errors gracefully with a consistent error envelope
       console.error('Error processing restriction request:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * POST /api/route endpoint handler
+   * Accepts a flight path and lateral buffer, returns the corridor and
+   * every restriction it crosses with the along-track stretches affected
+   *
+   * Request body format:
+   * {
+   *   "route": { "type": "LineString", "coordinates": [[-122.42, 37.77], [-122.40, 37.78]] },
+   *   "buffer": 200,
+   *   "units": "feet",          // optional: miles (default), feet, meters, kilometers
+   *   "altitudes": [150, 200],  // optional: feet AGL, one per vertex
+   *   "flightWindow": { ... }   // optional: as for /api/restrictions, or "time"
+   * }
+   *
+   * Response format:
+   * {
+   *   "route": { GeoJSON Feature<LineString> },
+   *   "routeLength": 1.2,       // miles
+   *   "corridor": { GeoJSON FeatureCollection },
+   *   "airspaceRestrictions": { GeoJSON FeatureCollection },
+   *   "localRestrictions": { GeoJSON FeatureCollection },
+   *   "crossings": [{ restrictionId, category, type, description, maxAGL?, segments: [...] }]
+   * }
+   */
+  async getRouteRestrictions(req: Request, res: Response): Promise<void> {
+    try {
+      // 1. Validate input against the route schema (buffer normalized to miles)
+      const input: RouteInput = validateRouteInput(req.body);
+
+      console.log(`Processing route request: ${input.route.coordinates.length} vertices, buffer=${input.buffer}mi`);
+
+      // 2. Delegate to service layer for business logic
+      const result = await this.restrictionService.getRouteRestrictions(input);
 
-      // Return appropriate HTTP status codes based on error type
-      if (error instanceof Error) {
-        if (error.message.includes('Invalid') || error.message.includes('Invalid radius')) {
-          res.status(400).json({
-            success: false,
-            error: 'Validation Error',
-            message: error.message
-          });
-        } else {
-          res.status(500).json({
-            success: false,
-            error: 'Internal Server Error',
-            message: 'Failed to process restriction request',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
-          });
+      // 3. Return successful response with the corridor, crossings and the providers consulted
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        metadata: {
+          timestamp: new Date().toISOString(),
+          request: input,
+          ...result.metadata
         }
-      } else {
-        res.status(500).json({
-          success: false,
-          error: 'Unknown Error',
-          message: 'An unexpected error occurred'
-        });
-      }
+      });
+
+    } catch (error) {
+      // 4. Handle errors gracefully with a consistent error envelope
+      console.error('Error processing route request:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * POST /api/point-check endpoint handler
+   * Accepts a point, planned altitude and operator type, returns a
+   * go / authorization-needed / no-go verdict with the restrictions behind it
+   *
+   * Request body format:
+   * {
+   *   "lat": 37.7749,
+   *   "lng": -122.4194,
+   *   "altitude": 200,            // feet AGL
+   *   "operator": "PART_107",     // or RECREATIONAL
+   *   "flightWindow": { ... }     // optional: as for /api/restrictions, or "time"
+   * }
+   *
+   * Response format:
+   * {
+   *   "verdict": "AUTHORIZATION_NEEDED",   // GO, AUTHORIZATION_NEEDED or NO_GO
+   *   "maxAltitude": 200,                  // feet AGL; null when NO_GO
+   *   "restrictions": [{ id, category, type, maxAGL?, authority, description, sourceUrl }],
+   *   "governingRestrictionIds": ["faa-..."],
+   *   "explanation": "Authorization needed before flying here ..."
+   * }
+   *
+   * The verdict is NO_GO whenever metadata.dataComplete is false.
+   */
+  async checkPoint(req: Request, res: Response): Promise<void> {
+    try {
+      // 1. Validate input against the point check schema
+      const input: PointCheckInput = validatePointCheckInput(req.body);
+
+      console.log(`Processing point check: lat=${input.lat}, lng=${input.lng}, altitude=${input.altitude}ft, operator=${input.operator}`);
+
+      // 2. Delegate to service layer for business logic
+      const result = await this.restrictionService.checkPoint(input);
+
+      // 3. Return successful response with the verdict and the providers consulted
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        metadata: {
+          timestamp: new Date().toISOString(),
+          request: input,
+          ...result.metadata
+        }
+      });
+
+    } catch (error) {
+      // 4. Handle errors gracefully with a consistent error envelope
+      console.error('Error processing point check:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * POST /api/notams endpoint handler
+   * Parses a batch of ICAO-format NOTAMs into restriction features that
+   * can be overlaid on a search
+   *
+   * Request body format:
+   * {
+   *   "text": "A1234/24 NOTAMN\nQ) KZOA/QRTCA/IV/BO/W/000/040/3746N12225W005\nA) KZOA B) ...",
+   *   "time": "2024-01-01T15:00:00Z"   // optional: marks each NOTAM active or not; defaults to now
+   * }
+   *
+   * Response format:
+   * {
+   *   "notams": { GeoJSON FeatureCollection },
+   *   "errors": [{ index, notamId?, message }]   // NOTAMs that could not be parsed
+   * }
+   */
+  async parseNotams(req: Request, res: Response): Promise<void> {
+    try {
+      const input: NotamInput = req.body;
+      const data = this.notamService.parseBatch(input);
+
+      res.status(200).json({
+        success: true,
+        data,
+        metadata: {
+          timestamp: new Date().toISOString(),
+          parsed: data.notams.features.length,
+          failed: data.errors.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error parsing NOTAMs:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * GET /api/jurisdiction?lat=37.7749&lng=-122.4194 endpoint handler
+   * Resolves a point to its country, state, county and (with a city
+   * boundary plug-in) city from bundled boundary data
+   *
+   * Response format:
+   * {
+   *   "data": { "country": "United States", "state": "California", "county": "San Francisco" }
+   * }
+   *
+   * data is null for points outside every country boundary (e.g. open water).
+   */
+  async getJurisdiction(req: Request, res: Response): Promise<void> {
+    try {
+      const { lat, lng } = validateJurisdictionQuery(req.query);
+      const jurisdictionService = getJurisdictionService();
+
+      res.status(200).json({
+        success: true,
+        data: jurisdictionService.resolve(lat, lng),
+        metadata: {
+          timestamp: new Date().toISOString(),
+          request: { lat, lng },
+          sources: jurisdictionService.getSources()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error resolving jurisdiction:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * POST /api/sources/discover endpoint handler (admin token)
+   * Asks the discovery model for municipal GIS sources in a jurisdiction,
+   * probes them and stores the usable ones as pending
+   *
+   * Request body format (either form):
+   * { "jurisdiction": { "country": "United States", "state": "California", "city": "San Francisco" } }
+   * { "lat": 37.7749, "lng": -122.4194 }
+   *
+   * Response format:
+   * {
+   *   "jurisdiction": { ... },
+   *   "pending": [SourceRecord],    // awaiting review
+   *   "known": [SourceRecord],      // suggested again but already reviewed
+   *   "rejected": [{ url, name?, reason }]
+   * }
+   */
+  async discoverSources(req: Request, res: Response): Promise<void> {
+    try {
+      assertAdminToken(req);
+      const data = await this.sourceDiscoveryService.discover(req.body);
+
+      res.status(200).json({
+        success: true,
+        data,
+        metadata: {
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error discovering sources:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * GET /api/sources?status=pending endpoint handler (admin token)
+   * Lists discovered sources, optionally only those with one review status
+   */
+  async listSources(req: Request, res: Response): Promise<void> {
+    try {
+      assertAdminToken(req);
+      const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+      const data = this.sourceDiscoveryService.list(status);
+
+      res.status(200).json({
+        success: true,
+        data,
+        metadata: {
+          timestamp: new Date().toISOString(),
+          count: data.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error listing sources:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * POST /api/sources/:id/approve and /reject endpoint handler (admin token)
+   * Records the review decision; only approved sources feed localRestrictions
+   *
+   * Request body format (optional):
+   * { "note": "Checked against the city parks ordinance" }
+   */
+  async reviewSource(req: Request, res: Response): Promise<void> {
+    try {
+      assertAdminToken(req);
+      const decision = req.path.endsWith('/approve') ? 'approved' : 'rejected';
+      const data = this.sourceDiscoveryService.review(req.params.id, decision, req.body);
+
+      res.status(200).json({
+        success: true,
+        data,
+        metadata: {
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error reviewing source:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * GET /api/zones endpoint handler (admin token)
+   * Lists imported zone datasets
+   */
+  async listZoneDatasets(req: Request, res: Response): Promise<void> {
+    try {
+      assertAdminToken(req);
+      const data = this.zoneDatasetService.list();
+
+      res.status(200).json({
+        success: true,
+        data,
+        metadata: {
+          timestamp: new Date().toISOString(),
+          count: data.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error listing zone datasets:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * POST /api/zones/ed269?id=fr-zones endpoint handler (admin token)
+   * Imports an ED-269 JSON document; its zones are served by /api/restrictions
+   * for searches in the zones' countries. Zones that cannot be read are
+   * listed in `skipped`.
+   *
+   * Request body: the ED-269 document, { "title": "...", "features": [zone, ...] }
+   */
+  async importZoneDataset(req: Request, res: Response): Promise<void> {
+    try {
+      assertAdminToken(req);
+      const id = typeof req.query.id === 'string' ? req.query.id : undefined;
+      const data = this.zoneDatasetService.import(req.body, id);
+
+      res.status(200).json({
+        success: true,
+        data,
+        metadata: {
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error importing zone dataset:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * DELETE /api/zones/:id endpoint handler (admin token)
+   * Removes an imported zone dataset
+   */
+  async deleteZoneDataset(req: Request, res: Response): Promise<void> {
+    try {
+      assertAdminToken(req);
+      this.zoneDatasetService.remove(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: { id: req.params.id },
+        metadata: {
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error deleting zone dataset:', error);
+      sendError(res, error);
     }
   }
 
   /**
    * Health check endpoint
-   * Useful for monitoring and load balancers
+   * Useful for monitoring and load balancers; also reports the version and
+   * load time of each bulk-loaded source dataset
    */
   async healthCheck(req: Request, res: Response): Promise<void> {
+    const datasets = Object.fromEntries(
+      Array.from(getSourceDatasets(), ([id, dataset]) => [id, dataset.getStatus()])
+    );
+
     res.status(200).json({
       status: 'healthy',
       service: 'drone-restriction-api',
       timestamp: new Date().toISOString(),
-      version: process.env.npm_package_version || '1.0.0'
+      version: process.env.npm_package_version || '1.0.0',
+      datasets
     });
   }
 
   /**
-   * API documentation endpoint
-   * Provides information about the API endpoints and expected formats
+   * Cache statistics endpoint
+   * Reports hit rate and size of each ArcGIS source's tile cache, by source id
    */
-  async getApiDocs(req: Request, res: Response): Promise<void> {
+  async getCacheStats(req: Request, res: Response): Promise<void> {
+    const sourceTiles = Object.fromEntries(
+      Array.from(getSourceTileCaches(), ([id, cache]) => [id, cache.getStats()])
+    );
+
     res.status(200).json({
-      service: 'Drone Flight Restriction API',
-      version: '1.0.0',
-      endpoints: {
-        'POST /api/restrictions': {
-          description: 'Get flight restrictions for a location and radius',
-          requestBody: {
-            lat: 'Latitude (number, -90 to 90)',
-            lng: 'Longitude (number, -180 to 180)',
-            radius: 'Search radius (number, 0.01893939 to 5)'
-          },
-          response: {
-            searchArea: 'GeoJSON FeatureCollection of the search buffer',
-            airspaceRestrictions: 'GeoJSON FeatureCollection of FAA airspace restrictions',
-            localRestrictions: 'GeoJSON FeatureCollection of local/city restrictions',
-            allowedAreas: 'GeoJSON FeatureCollection of areas where flight is permitted'
-          }
-        },
-        'GET /api/health': {
-          description: 'Health check endpoint',
-          response: {
-            status: 'Service health status',
-            service: 'Service name',
-            timestamp: 'Current timestamp',
-            version: 'API version'
-          }
-        }
+      success: true,
+      data: {
+        sourceTiles
       },
-      notes: [
-        'All coordinates use WGS84 (EPSG:4326) coordinate system',
-        'Response includes mock data in MVP - will integrate with real GIS APIs in production',
-        'All areas are returned as GeoJSON polygons with metadata properties'
-      ]
+      metadata: {
+        timestamp: new Date().toISOString()
+      }
     });
   }
+
+  /**
+   * API documentation endpoint
+   * Serves the OpenAPI 3 document generated from the request schemas and shared types
+   */
+  async getApiDocs(req: Request, res: Response): Promise<void> {
+    res.status(200).json(buildOpenApiDocument());
+  }
 }
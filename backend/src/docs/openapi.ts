@@ -0,0 +1,444 @@
+import {
+  aoiRestrictionsRequestSchema,
+  discoverSourcesRequestSchema,
+  jurisdictionQuerySchema,
+  notamsRequestSchema,
+  pointCheckRequestSchema,
+  restrictionsRequestSchema,
+  reviewSourceRequestSchema,
+  routeRequestSchema
+} from '../validation/requestSchemas';
+import { Schema } from '../validation/schema';
+import { componentSchemas, OpenApiSchema, ref } from './schemas';
+
+/**
+ * OpenAPI 3 document for the public API
+ *
+ * Request bodies come straight from the validation schemas in
+ * ../validation/requestSchemas and response bodies from the component
+ * schemas in ./schemas, which are type-checked against shared/types.
+ * Add new endpoints to `paths` below when adding routes.
+ */
+
+const API_VERSION = '1.0.0';
+
+// Validation schemas are plain JSON Schema and are valid OpenAPI schema objects
+const requestSchema = (schema: Schema): OpenApiSchema => schema as unknown as OpenApiSchema;
+
+const jsonContent = (schema: OpenApiSchema) => ({ 'application/json': { schema } });
+
+const successEnvelope = (data: OpenApiSchema, metadata: OpenApiSchema = { type: 'object' }): OpenApiSchema => ({
+  type: 'object',
+  required: ['success', 'data'],
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    data,
+    metadata
+  }
+});
+
+// Either a center/radius circle or a polygon area of interest
+const restrictionsRequestBody: OpenApiSchema = {
+  oneOf: [requestSchema(restrictionsRequestSchema), requestSchema(aoiRestrictionsRequestSchema)]
+};
+
+const errorResponse = (description: string) => ({
+  description,
+  content: jsonContent(ref('ErrorEnvelope'))
+});
+
+const reviewSourceOperation = (decision: 'approve' | 'reject', summary: string, operationId: string): OpenApiSchema => ({
+  tags: ['Sources'],
+  summary,
+  operationId,
+  security: [{ adminToken: [] }],
+  parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+  requestBody: {
+    required: false,
+    content: jsonContent(requestSchema(reviewSourceRequestSchema))
+  },
+  responses: {
+    200: {
+      description: decision === 'approve'
+        ? 'Approved source; it now feeds localRestrictions in its jurisdiction'
+        : 'Rejected source; it is never queried',
+      content: jsonContent(successEnvelope(ref('SourceRecord')))
+    },
+    400: errorResponse('VALIDATION_FAILED or INVALID_JSON'),
+    401: errorResponse('UNAUTHORIZED'),
+    404: errorResponse('NOT_FOUND'),
+    500: errorResponse('INTERNAL_ERROR')
+  }
+});
+
+export function buildOpenApiDocument(): OpenApiSchema {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'YesFly Drone Flight Restriction API',
+      version: API_VERSION,
+      description: [
+        'Returns GeoJSON layers describing where drone flight is restricted or allowed around a location.',
+        '',
+        'All coordinates use WGS84 (EPSG:4326) in [longitude, latitude] order, as in GeoJSON.',
+        'Errors always use the ErrorEnvelope shape; branch on `error.code`, not on `error.message`.'
+      ].join('\n')
+    },
+    servers: [{ url: '/' }],
+    tags: [
+      { name: 'Restrictions' },
+      { name: 'Sources', description: 'Discovery and review of municipal GIS sources; require the X-Admin-Token header' },
+      { name: 'Zones', description: 'Imported ED-269 UAS geographical zone datasets; require the X-Admin-Token header' },
+      { name: 'Operations' }
+    ],
+    paths: {
+      '/api/restrictions': {
+        post: {
+          tags: ['Restrictions'],
+          summary: 'Get flight restrictions around a location or inside an area of interest',
+          operationId: 'getRestrictions',
+          requestBody: {
+            required: true,
+            content: jsonContent(restrictionsRequestBody)
+          },
+          responses: {
+            200: {
+              description: 'Restriction layers for the search area',
+              content: jsonContent(successEnvelope(ref('RestrictionsResponse'), {
+                allOf: [
+                  ref('RestrictionsMetadata'),
+                  {
+                    type: 'object',
+                    properties: {
+                      timestamp: { type: 'string', format: 'date-time' },
+                      request: restrictionsRequestBody
+                    }
+                  }
+                ]
+              }))
+            },
+            400: errorResponse('VALIDATION_FAILED or INVALID_JSON'),
+            413: errorResponse('PAYLOAD_TOO_LARGE'),
+            500: errorResponse('INTERNAL_ERROR')
+          }
+        }
+      },
+      '/api/route': {
+        post: {
+          tags: ['Restrictions'],
+          summary: 'Check the corridor around a planned flight path',
+          description: 'Buffers the path into a corridor, runs it through the same provider pipeline as /api/restrictions ' +
+            'and reports the along-track stretches that fall inside each restriction. ' +
+            'When metadata.dataComplete is false, crossings may be missing.',
+          operationId: 'getRouteRestrictions',
+          requestBody: {
+            required: true,
+            content: jsonContent(requestSchema(routeRequestSchema))
+          },
+          responses: {
+            200: {
+              description: 'Corridor, crossed restrictions and along-track segments',
+              content: jsonContent(successEnvelope(ref('RouteResponse'), {
+                allOf: [
+                  ref('RestrictionsMetadata'),
+                  {
+                    type: 'object',
+                    properties: {
+                      timestamp: { type: 'string', format: 'date-time' },
+                      request: requestSchema(routeRequestSchema)
+                    }
+                  }
+                ]
+              }))
+            },
+            400: errorResponse('VALIDATION_FAILED or INVALID_JSON'),
+            413: errorResponse('PAYLOAD_TOO_LARGE'),
+            500: errorResponse('INTERNAL_ERROR')
+          }
+        }
+      },
+      '/api/point-check': {
+        post: {
+          tags: ['Restrictions'],
+          summary: 'Can I fly here? Verdict for one point',
+          description: 'Runs a small search around the point through the same provider pipeline as /api/restrictions and ' +
+            'judges the restrictions in effect at the point for the altitude and operator type: NO_GO under a no-fly ' +
+            'restriction, AUTHORIZATION_NEEDED where LAANC, FAADroneZone, a waiver or a local permit is required, ' +
+            'otherwise GO. FAA grid cells are judged by their ceiling; recreational flyers cannot be authorized above it. ' +
+            'The verdict is NO_GO whenever metadata.dataComplete is false.',
+          operationId: 'checkPoint',
+          requestBody: {
+            required: true,
+            content: jsonContent(requestSchema(pointCheckRequestSchema))
+          },
+          responses: {
+            200: {
+              description: 'Verdict, altitude limit, contributing restrictions and explanation',
+              content: jsonContent(successEnvelope(ref('PointCheckResponse'), {
+                allOf: [
+                  ref('RestrictionsMetadata'),
+                  {
+                    type: 'object',
+                    properties: {
+                      timestamp: { type: 'string', format: 'date-time' },
+                      request: requestSchema(pointCheckRequestSchema)
+                    }
+                  }
+                ]
+              }))
+            },
+            400: errorResponse('VALIDATION_FAILED or INVALID_JSON'),
+            413: errorResponse('PAYLOAD_TOO_LARGE'),
+            500: errorResponse('INTERNAL_ERROR')
+          }
+        }
+      },
+      '/api/notams': {
+        post: {
+          tags: ['Restrictions'],
+          summary: 'Parse ICAO NOTAMs into restriction geometries',
+          description: 'Reads the Q-line, items A) to G) and any item D schedule of each NOTAM. Geometry is the polygon or ' +
+            'circle described in item E, or else the Q-line circle. Each feature carries its validity periods, vertical ' +
+            'limits, whether it is active at `time` and the original text. NOTAMs that cannot be parsed are listed in ' +
+            '`errors` without failing the batch.',
+          operationId: 'parseNotams',
+          requestBody: {
+            required: true,
+            content: jsonContent(requestSchema(notamsRequestSchema))
+          },
+          responses: {
+            200: {
+              description: 'Parsed NOTAM restrictions and per-NOTAM errors',
+              content: jsonContent(successEnvelope(ref('NotamResponse'), {
+                type: 'object',
+                properties: {
+                  timestamp: { type: 'string', format: 'date-time' },
+                  parsed: { type: 'integer' },
+                  failed: { type: 'integer' }
+                }
+              }))
+            },
+            400: errorResponse('VALIDATION_FAILED or INVALID_JSON'),
+            413: errorResponse('PAYLOAD_TOO_LARGE'),
+            500: errorResponse('INTERNAL_ERROR')
+          }
+        }
+      },
+      '/api/jurisdiction': {
+        get: {
+          tags: ['Restrictions'],
+          summary: 'Resolve a point to its country, state, county and city',
+          description: 'Offline lookup against bundled country (world-atlas) and US state and county (us-atlas) boundaries. ' +
+            'City is only resolved when a city boundary plug-in is configured. `data` is null outside every country boundary.',
+          operationId: 'getJurisdiction',
+          parameters: Object.entries(jurisdictionQuerySchema.properties!).map(([name, schema]) => ({
+            name,
+            in: 'query',
+            required: true,
+            description: schema.description,
+            schema: requestSchema(schema)
+          })),
+          responses: {
+            200: {
+              description: 'Jurisdiction containing the point',
+              content: jsonContent(successEnvelope({ oneOf: [ref('Jurisdiction'), { type: 'null' }] }, {
+                type: 'object',
+                properties: {
+                  timestamp: { type: 'string', format: 'date-time' },
+                  request: requestSchema(jurisdictionQuerySchema),
+                  sources: { type: 'array', description: 'Boundary datasets consulted', items: { type: 'string' } }
+                }
+              }))
+            },
+            400: errorResponse('VALIDATION_FAILED'),
+            500: errorResponse('INTERNAL_ERROR')
+          }
+        }
+      },
+      '/api/sources': {
+        get: {
+          tags: ['Sources'],
+          summary: 'List discovered GIS sources',
+          operationId: 'listSources',
+          security: [{ adminToken: [] }],
+          parameters: [{
+            name: 'status',
+            in: 'query',
+            required: false,
+            schema: { type: 'string', enum: ['pending', 'approved', 'rejected'] }
+          }],
+          responses: {
+            200: {
+              description: 'Discovered sources',
+              content: jsonContent(successEnvelope({ type: 'array', items: ref('SourceRecord') }))
+            },
+            400: errorResponse('VALIDATION_FAILED'),
+            401: errorResponse('UNAUTHORIZED')
+          }
+        }
+      },
+      '/api/sources/discover': {
+        post: {
+          tags: ['Sources'],
+          summary: 'Discover municipal GIS restriction sources for a jurisdiction',
+          description: 'Asks the configured chat-completions model for ArcGIS and WFS endpoints in the jurisdiction, probes ' +
+            'each endpoint\'s schema and stores those with a polygon layer and the mapped attributes as pending. ' +
+            'Pending sources are not used until approved.',
+          operationId: 'discoverSources',
+          security: [{ adminToken: [] }],
+          requestBody: {
+            required: true,
+            content: jsonContent(requestSchema(discoverSourcesRequestSchema))
+          },
+          responses: {
+            200: { description: 'Stored, known and rejected candidates', content: jsonContent(successEnvelope(ref('DiscoveryResult'))) },
+            400: errorResponse('VALIDATION_FAILED or INVALID_JSON'),
+            401: errorResponse('UNAUTHORIZED'),
+            502: errorResponse('UPSTREAM_UNAVAILABLE: the model could not be reached or its reply could not be read'),
+            503: errorResponse('NOT_CONFIGURED: no model endpoint or key is configured')
+          }
+        }
+      },
+      '/api/sources/{id}/approve': {
+        post: reviewSourceOperation('approve', 'Approve a discovered source', 'approveSource')
+      },
+      '/api/sources/{id}/reject': {
+        post: reviewSourceOperation('reject', 'Reject a discovered source', 'rejectSource')
+      },
+      '/api/zones': {
+        get: {
+          tags: ['Zones'],
+          summary: 'List imported zone datasets',
+          operationId: 'listZoneDatasets',
+          security: [{ adminToken: [] }],
+          responses: {
+            200: {
+              description: 'Imported datasets',
+              content: jsonContent(successEnvelope({ type: 'array', items: ref('ZoneDatasetSummary') }))
+            },
+            401: errorResponse('UNAUTHORIZED')
+          }
+        }
+      },
+      '/api/zones/ed269': {
+        post: {
+          tags: ['Zones'],
+          summary: 'Import an ED-269 UAS geographical zone dataset',
+          description: 'Reads an EUROCAE ED-269 JSON document ({ title, features: [zone, ...] }). Each zone volume becomes a ' +
+            'restriction served by /api/restrictions for searches in the zone\'s country. Zones that cannot be read are ' +
+            'listed in `skipped`; importing under an existing id replaces that dataset. Without an id, one is derived from the ' +
+            'title; the import is rejected when the title gives none or its id belongs to a dataset with another title.',
+          operationId: 'importZoneDataset',
+          security: [{ adminToken: [] }],
+          parameters: [{
+            name: 'id',
+            in: 'query',
+            required: false,
+            description: 'Dataset id; derived from the document title when omitted (required when the title has no Latin letters or digits)',
+            schema: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,63}$' }
+          }],
+          requestBody: {
+            required: true,
+            content: jsonContent({ type: 'object', required: ['features'], description: 'ED-269 document' })
+          },
+          responses: {
+            200: { description: 'Imported dataset', content: jsonContent(successEnvelope(ref('ZoneDatasetSummary'))) },
+            400: errorResponse('VALIDATION_FAILED (no usable zone) or INVALID_JSON'),
+            401: errorResponse('UNAUTHORIZED')
+          }
+        }
+      },
+      '/api/zones/{id}': {
+        delete: {
+          tags: ['Zones'],
+          summary: 'Remove an imported zone dataset',
+          operationId: 'deleteZoneDataset',
+          security: [{ adminToken: [] }],
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: {
+              description: 'Removed dataset',
+              content: jsonContent(successEnvelope({ type: 'object', required: ['id'], properties: { id: { type: 'string' } } }))
+            },
+            401: errorResponse('UNAUTHORIZED'),
+            404: errorResponse('NOT_FOUND')
+          }
+        }
+      },
+      '/api/health': {
+        get: {
+          tags: ['Operations'],
+          summary: 'Health check',
+          operationId: 'healthCheck',
+          responses: {
+            200: {
+              description: 'Service is healthy',
+              content: jsonContent({
+                type: 'object',
+                properties: {
+                  status: { type: 'string', example: 'healthy' },
+                  service: { type: 'string' },
+                  timestamp: { type: 'string', format: 'date-time' },
+                  version: { type: 'string' },
+                  datasets: {
+                    type: 'object',
+                    description: 'Bulk-loaded source datasets by source id',
+                    additionalProperties: ref('SourceDatasetStatus')
+                  }
+                }
+              })
+            }
+          }
+        }
+      },
+      '/api/cache/stats': {
+        get: {
+          tags: ['Operations'],
+          summary: 'ArcGIS source tile cache statistics',
+          operationId: 'getCacheStats',
+          responses: {
+            200: {
+              description: 'Hit rate and size of the tile cache of each cached ArcGIS source (e.g. faa-uasfm)',
+              content: jsonContent(successEnvelope({
+                type: 'object',
+                properties: {
+                  sourceTiles: {
+                    type: 'object',
+                    description: 'Tile cache statistics by source id',
+                    additionalProperties: ref('TileCacheStats')
+                  }
+                }
+              }))
+            }
+          }
+        }
+      },
+      '/api/docs': {
+        get: {
+          tags: ['Operations'],
+          summary: 'This OpenAPI document',
+          operationId: 'getApiDocs',
+          responses: {
+            200: { description: 'OpenAPI 3 document', content: jsonContent({ type: 'object' }) }
+          }
+        }
+      },
+      '/api/docs/ui': {
+        get: {
+          tags: ['Operations'],
+          summary: 'Interactive API explorer',
+          operationId: 'getApiDocsUi',
+          responses: {
+            200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } }
+          }
+        }
+      }
+    },
+    components: {
+      schemas: componentSchemas,
+      securitySchemes: {
+        adminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token', description: 'Value of ADMIN_TOKEN' }
+      }
+    }
+  };
+}
@@ -0,0 +1,577 @@
+import {
+  ActivityStatus,
+  CeilingStatus,
+  ConfidenceLevel,
+  FlightVerdict,
+  Jurisdiction,
+  LightCondition,
+  RestrictionCategory,
+  RestrictionFeature,
+  RestrictionFeatureCollection,
+  RestrictionLayer,
+  RestrictionMetadata,
+  RestrictionSchedule,
+  RestrictionType,
+  ScheduleRule
+} from '../../../shared/types/RestrictionLayer';
+import {
+  AppliedRestriction,
+  DaylightInfo,
+  DiscoveryResult,
+  LightPeriod,
+  NotamError,
+  NotamResponse,
+  PointCheckResponse,
+  ProviderReport,
+  RejectedCandidate,
+  RestrictionsMetadata,
+  RestrictionsResponse,
+  RouteCrossing,
+  RouteResponse,
+  RouteSegment,
+  SolarDay,
+  SourceFieldMapping,
+  SourceProbe,
+  SkippedZone,
+  SourceDatasetStatus,
+  SourceRecord,
+  ZoneDatasetSummary
+} from '../types';
+import { ErrorCode, FieldIssue, FieldIssueCode } from '../errors';
+import { TileCacheStats } from '../services/tileCache';
+
+/**
+ * OpenAPI component schemas for the shared restriction types
+ *
+ * Each schema is typed against the TypeScript interface it documents:
+ * adding, renaming or removing a field in shared/types without updating
+ * the schema here is a compile error, so the docs cannot drift.
+ */
+
+export type OpenApiSchema = Record<string, unknown>;
+
+// Declared keys of T, ignoring index signatures such as RestrictionLayer's [key: string]: any
+type KnownKeys<T> = keyof {
+  [K in keyof T as string extends K ? never : number extends K ? never : K]: T[K]
+};
+
+// One schema per declared property of T
+type PropertiesOf<T> = { [K in KnownKeys<T>]-?: OpenApiSchema };
+
+const ref = (name: string): OpenApiSchema => ({ $ref: `#/components/schemas/${name}` });
+
+const position: OpenApiSchema = {
+  type: 'array',
+  description: '[longitude, latitude]',
+  items: { type: 'number' },
+  minItems: 2,
+  maxItems: 2
+};
+
+function objectSchema<T>(description: string, properties: PropertiesOf<T>, required: KnownKeys<T>[], extra: OpenApiSchema = {}): OpenApiSchema {
+  return { type: 'object', description, properties, required, ...extra };
+}
+
+const jurisdictionProperties: PropertiesOf<Jurisdiction> = {
+  country: { type: 'string' },
+  state: { type: 'string' },
+  county: { type: 'string' },
+  city: { type: 'string' }
+};
+
+const restrictionMetadataProperties: PropertiesOf<RestrictionMetadata> = {
+  createdAt: { type: 'string', format: 'date-time' },
+  updatedAt: { type: 'string', format: 'date-time' },
+  dataSource: { type: 'string' },
+  lastVerified: { type: 'string', format: 'date-time' },
+  version: { type: 'string' }
+};
+
+const scheduleRuleProperties: PropertiesOf<ScheduleRule> = {
+  days: {
+    type: 'array',
+    description: 'Days the period starts on; every day when omitted',
+    items: { type: 'string', enum: ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'] }
+  },
+  start: { type: 'string', description: '"HH:MM" (24-hour), "SUNRISE" or "SUNSET"', example: '07:00' },
+  end: { type: 'string', description: '"HH:MM" (24-hour), "SUNRISE" or "SUNSET"; before start means past midnight', example: '17:00' }
+};
+
+const restrictionScheduleProperties: PropertiesOf<RestrictionSchedule> = {
+  timezone: {
+    type: 'string',
+    description: "IANA time zone of the rule times; when omitted they are local time, taken from the flight window's time zone"
+  },
+  rules: { type: 'array', items: ref('ScheduleRule') }
+};
+
+const timeInterval: OpenApiSchema = {
+  type: 'object',
+  required: ['start', 'end'],
+  properties: {
+    start: { type: 'string', format: 'date-time' },
+    end: { type: 'string', format: 'date-time' }
+  }
+};
+
+const restrictionLayerProperties: PropertiesOf<RestrictionLayer> = {
+  id: { type: 'string', description: 'Unique identifier for this restriction layer' },
+  geometry: ref('GeoJSONGeometry'),
+  category: ref('RestrictionCategory'),
+  type: ref('RestrictionType'),
+  authority: { type: 'string', description: 'Authority responsible for enforcing this restriction' },
+  description: { type: 'string', description: 'Human-readable description of the restriction' },
+  sourceUrl: { type: 'string', description: 'Link to the authoritative reference' },
+  confidenceLevel: ref('ConfidenceLevel'),
+  jurisdiction: ref('Jurisdiction'),
+  metadata: ref('RestrictionMetadata'),
+  schedule: ref('RestrictionSchedule'),
+  activity: ref('ActivityStatus'),
+  activeIntervals: {
+    type: 'array',
+    description: 'Periods the restriction is in effect across the days of the flight window (see metadata.timeline)',
+    items: timeInterval
+  }
+};
+
+const restrictionFeatureProperties: PropertiesOf<RestrictionFeature> = {
+  type: { type: 'string', enum: ['Feature'] },
+  properties: ref('RestrictionLayer'),
+  geometry: ref('GeoJSONGeometry')
+};
+
+const restrictionFeatureCollectionProperties: PropertiesOf<RestrictionFeatureCollection> = {
+  type: { type: 'string', enum: ['FeatureCollection'] },
+  features: { type: 'array', items: ref('RestrictionFeature') }
+};
+
+const restrictionsResponseProperties: PropertiesOf<RestrictionsResponse> = {
+  searchArea: ref('RestrictionFeatureCollection'),
+  airspaceRestrictions: ref('RestrictionFeatureCollection'),
+  localRestrictions: ref('RestrictionFeatureCollection'),
+  allowedAreas: {
+    ...ref('RestrictionFeatureCollection'),
+    description: 'The search area left after subtracting every ACTIVE restriction, typed ALLOWED in category SYSTEM. ' +
+      'Empty when all of it is restricted, when data is incomplete, or when the geometry could not be computed (fail closed).'
+  },
+  faaCeilings: {
+    ...ref('RestrictionFeatureCollection'),
+    description: 'Unmerged FAA UAS facility map grid cells with their own maxAGL ceiling; ' +
+      'ceilingStatus and laancEligible are set when an altitude was requested (ZERO_CEILING cells always)'
+  },
+  effectiveZones: {
+    ...ref('RestrictionFeatureCollection'),
+    description: 'The restricted part of the search area split into non-overlapping zones in category SYSTEM, largest first. ' +
+      'Each zone lists the restrictions in effect there in properties.restrictions (AppliedRestriction) and the effective rule: ' +
+      'the strictest type (NO_FLY, AUTH_REQUIRED, ADVISORY) and the lowest maxAGL (0 for NO_FLY); ' +
+      'governingRestrictionIds names the restrictions that set them. FAA grid cells take the place of merged facilities. ' +
+      'Empty when nothing is restricted or the geometry could not be computed.'
+  }
+};
+
+const appliedRestrictionProperties: PropertiesOf<AppliedRestriction> = {
+  id: { type: 'string' },
+  category: ref('RestrictionCategory'),
+  type: ref('RestrictionType'),
+  maxAGL: { type: 'number', description: 'Ceiling in feet AGL, for restrictions that have one' },
+  authority: { type: 'string' },
+  description: { type: 'string' },
+  sourceUrl: { type: 'string' }
+};
+
+const providerReportProperties: PropertiesOf<ProviderReport> = {
+  id: { type: 'string' },
+  name: { type: 'string' },
+  categories: { type: 'array', items: ref('RestrictionCategory') },
+  status: { type: 'string', enum: ['ok', 'degraded', 'failed'] },
+  latencyMs: { type: 'number' },
+  featureCount: { type: 'integer' },
+  complete: { type: 'boolean', description: 'False when the provider returned partial data' },
+  warnings: { type: 'array', items: { type: 'string' } },
+  error: { type: 'string' }
+};
+
+const lightPeriodProperties: PropertiesOf<LightPeriod> = {
+  condition: ref('LightCondition'),
+  start: { type: 'string', format: 'date-time' },
+  end: { type: 'string', format: 'date-time' }
+};
+
+const sunEvent = (description: string): OpenApiSchema => ({ type: ['string', 'null'], format: 'date-time', description });
+
+const solarDayProperties: PropertiesOf<SolarDay> = {
+  date: { type: 'string', format: 'date', description: 'Local date in the flight window time zone' },
+  civilDawn: sunEvent('Morning civil twilight begins (sun 6° below the horizon); null when it does not happen that day'),
+  sunrise: sunEvent('Null during polar day or night'),
+  solarNoon: { type: 'string', format: 'date-time' },
+  sunset: sunEvent('Null during polar day or night'),
+  civilDusk: sunEvent('Evening civil twilight ends (sun 6° below the horizon); null when it does not happen that day'),
+  periods: { type: 'array', description: 'Light conditions covering the local day in order', items: ref('LightPeriod') }
+};
+
+const daylightInfoProperties: PropertiesOf<DaylightInfo> = {
+  location: { ...position, description: 'Point the sun times were computed for: the search center or corridor midpoint' },
+  days: { type: 'array', items: ref('SolarDay') },
+  flightConditions: {
+    type: 'array',
+    description: 'Light conditions the flight window reaches',
+    items: ref('LightCondition')
+  },
+  advisory: {
+    type: ['string', 'null'],
+    description: 'Part 107 lighting and training requirements when the window reaches civil twilight or night; null in daylight'
+  }
+};
+
+const restrictionsMetadataProperties: PropertiesOf<RestrictionsMetadata> = {
+  providers: { type: 'array', items: ref('ProviderReport') },
+  dataComplete: {
+    type: 'boolean',
+    description: 'False when any provider failed or returned partial data, or no airspace authority data covers part of the ' +
+      'search (reported as the failed provider airspace-coverage). allowedAreas is then empty and must not be read as safe.'
+  },
+  flightWindow: {
+    type: 'object',
+    description: 'Flight window the restrictions were evaluated for; a single instant when only `time` or nothing was requested',
+    required: ['start', 'end', 'timezone'],
+    properties: {
+      start: { type: 'string', format: 'date-time' },
+      end: { type: 'string', format: 'date-time' },
+      timezone: { type: 'string', example: 'America/Los_Angeles' }
+    }
+  },
+  timeline: {
+    ...timeInterval,
+    description: "Whole local days covering the flight window, the range of each restriction's activeIntervals"
+  },
+  jurisdictions: {
+    type: 'array',
+    description: 'Jurisdictions the search area touches; regional providers are consulted only for these',
+    items: ref('Jurisdiction')
+  },
+  daylight: ref('DaylightInfo')
+};
+
+const routeSegmentProperties: PropertiesOf<RouteSegment> = {
+  startDistance: { type: 'number', description: 'Miles along the path from its first vertex' },
+  endDistance: { type: 'number', description: 'Miles along the path from its first vertex' },
+  startPosition: position,
+  endPosition: position,
+  minAltitude: { type: 'number', description: 'Lowest planned altitude over the stretch, feet AGL' },
+  maxAltitude: { type: 'number', description: 'Highest planned altitude over the stretch, feet AGL' },
+  exceedsCeiling: { type: 'boolean', description: "True when maxAltitude is above the restriction's maxAGL" }
+};
+
+const routeCrossingProperties: PropertiesOf<RouteCrossing> = {
+  restrictionId: { type: 'string' },
+  category: ref('RestrictionCategory'),
+  type: ref('RestrictionType'),
+  description: { type: 'string' },
+  maxAGL: { type: 'number', description: 'Ceiling in feet AGL, for restrictions that have one' },
+  segments: { type: 'array', items: ref('RouteSegment') }
+};
+
+const routeResponseProperties: PropertiesOf<RouteResponse> = {
+  route: {
+    type: 'object',
+    description: 'GeoJSON Feature with the validated LineString',
+    properties: { type: { type: 'string', enum: ['Feature'] }, geometry: ref('GeoJSONGeometry') }
+  },
+  routeLength: { type: 'number', description: 'Length of the path in miles' },
+  corridor: ref('RestrictionFeatureCollection'),
+  airspaceRestrictions: ref('RestrictionFeatureCollection'),
+  localRestrictions: ref('RestrictionFeatureCollection'),
+  crossings: {
+    type: 'array',
+    description: 'Restrictions crossed by the corridor, ordered by where the path first meets them',
+    items: ref('RouteCrossing')
+  }
+};
+
+const pointCheckResponseProperties: PropertiesOf<PointCheckResponse> = {
+  verdict: ref('FlightVerdict'),
+  maxAltitude: {
+    type: ['number', 'null'],
+    description: 'Highest altitude in feet AGL at the point for GO and AUTHORIZATION_NEEDED: 400, or a lower ceiling ' +
+      'from a restriction in effect there. Null when the verdict is NO_GO.'
+  },
+  restrictions: {
+    type: 'array',
+    description: 'Every restriction in effect at the point during the flight window',
+    items: ref('AppliedRestriction')
+  },
+  governingRestrictionIds: {
+    type: 'array',
+    description: 'Restrictions that decided the verdict or set maxAltitude',
+    items: { type: 'string' }
+  },
+  explanation: { type: 'string', description: 'Plain-language verdict followed by the reason for each restriction and limit' }
+};
+
+const sourceFieldMappingProperties: PropertiesOf<SourceFieldMapping> = {
+  name: { type: 'string', description: 'Attribute with the area name' },
+  description: { type: 'string', description: 'Attribute describing the rule' },
+  kind: { type: 'string', description: "Attribute with the source's own kind of restriction" },
+  maxAGL: { type: 'string', description: 'Attribute with a ceiling in feet AGL' }
+};
+
+const sourceProbeProperties: PropertiesOf<SourceProbe> = {
+  checkedAt: { type: 'string', format: 'date-time' },
+  geometryType: { type: 'string', description: 'Geometry type the endpoint reported', example: 'esriGeometryPolygon' },
+  fields: { type: 'array', description: 'Attribute names the endpoint reported', items: { type: 'string' } }
+};
+
+const sourceRecordProperties: PropertiesOf<SourceRecord> = {
+  id: { type: 'string', example: 'src-3f2a9c01d4e5' },
+  name: { type: 'string' },
+  url: { type: 'string', description: 'ArcGIS layer URL or WFS endpoint' },
+  protocol: { type: 'string', enum: ['arcgis', 'wfs'] },
+  layer: { type: 'string', description: 'WFS feature type name' },
+  restrictionType: ref('RestrictionType'),
+  fieldMapping: ref('SourceFieldMapping'),
+  notes: { type: 'string', description: "The discovery model's explanation of the attributes" },
+  jurisdiction: ref('Jurisdiction'),
+  category: ref('RestrictionCategory'),
+  status: {
+    type: 'string',
+    enum: ['pending', 'approved', 'rejected'],
+    description: 'Only approved sources are queried, and their features are LOW confidence'
+  },
+  discoveredAt: { type: 'string', format: 'date-time' },
+  probe: ref('SourceProbe'),
+  reviewedAt: { type: 'string', format: 'date-time' },
+  reviewNote: { type: 'string' }
+};
+
+const rejectedCandidateProperties: PropertiesOf<RejectedCandidate> = {
+  url: { type: 'string' },
+  name: { type: 'string' },
+  reason: { type: 'string', description: 'Why the candidate was not stored, e.g. the probe failed' }
+};
+
+const discoveryResultProperties: PropertiesOf<DiscoveryResult> = {
+  jurisdiction: ref('Jurisdiction'),
+  pending: { type: 'array', description: 'Sources that passed probing and await review', items: ref('SourceRecord') },
+  known: { type: 'array', description: 'Suggested sources that were already approved or rejected', items: ref('SourceRecord') },
+  rejected: { type: 'array', items: ref('RejectedCandidate') }
+};
+
+const skippedZoneProperties: PropertiesOf<SkippedZone> = {
+  identifier: { type: 'string', description: 'ED-269 zone identifier, or its position when it has none' },
+  reason: { type: 'string' }
+};
+
+const zoneDatasetSummaryProperties: PropertiesOf<ZoneDatasetSummary> = {
+  id: { type: 'string' },
+  title: { type: 'string' },
+  format: { type: 'string', enum: ['ED-269'] },
+  countries: { type: 'array', description: 'Jurisdiction country names the zones belong to', items: { type: 'string' } },
+  zoneCount: { type: 'integer', minimum: 0 },
+  featureCount: { type: 'integer', minimum: 0, description: 'Restriction features produced, one per zone volume' },
+  importedAt: { type: 'string', format: 'date-time' },
+  skipped: { type: 'array', description: 'Zones that could not be read', items: ref('SkippedZone') }
+};
+
+const notamErrorProperties: PropertiesOf<NotamError> = {
+  index: { type: 'integer', minimum: 0, description: 'Position of the NOTAM or text in the batch' },
+  notamId: { type: 'string', example: 'A1234/24' },
+  message: { type: 'string' }
+};
+
+const notamResponseProperties: PropertiesOf<NotamResponse> = {
+  notams: ref('RestrictionFeatureCollection'),
+  errors: {
+    type: 'array',
+    description: 'NOTAMs that could not be turned into a restriction; the rest of the batch is still returned',
+    items: ref('NotamError')
+  }
+};
+
+const fieldIssueProperties: PropertiesOf<FieldIssue> = {
+  field: { type: 'string', example: 'radius' },
+  code: { type: 'string', enum: Object.values(FieldIssueCode) },
+  message: { type: 'string' }
+};
+
+const sourceDatasetStatusProperties: PropertiesOf<SourceDatasetStatus> = {
+  state: { type: 'string', enum: ['loading', 'ready', 'failed'], description: 'failed only when no version has loaded' },
+  path: { type: 'string', description: 'Export file the dataset is loaded from' },
+  refreshSource: { type: 'string', enum: ['file', 'live'] },
+  version: { type: ['string', 'null'], description: 'Version declared by the export, or a hash of its contents' },
+  loadedAt: { type: ['string', 'null'], format: 'date-time' },
+  loadDurationMs: { type: ['integer', 'null'], description: 'Time to read, map and index the loaded version' },
+  featureCount: { type: 'integer', minimum: 0 },
+  nextRefreshAt: { type: ['string', 'null'], format: 'date-time' },
+  lastError: { type: ['string', 'null'], description: 'Error of the latest load or refresh; the previous version keeps serving' }
+};
+
+const tileCacheStatsProperties: PropertiesOf<TileCacheStats> = {
+  hits: { type: 'integer' },
+  misses: { type: 'integer' },
+  hitRate: { type: 'number', minimum: 0, maximum: 1 },
+  evictions: { type: 'integer' },
+  tiles: { type: 'integer' },
+  features: { type: 'integer' },
+  approximateBytes: { type: 'integer' },
+  ttlMs: { type: 'integer' },
+  maxTiles: { type: 'integer' },
+  filePath: { type: ['string', 'null'] },
+  lastPersistedAt: { type: ['string', 'null'], format: 'date-time' }
+};
+
+export const componentSchemas: Record<string, OpenApiSchema> = {
+  RestrictionCategory: { type: 'string', enum: Object.values(RestrictionCategory) },
+  RestrictionType: { type: 'string', enum: Object.values(RestrictionType) },
+  ConfidenceLevel: { type: 'string', enum: Object.values(ConfidenceLevel) },
+  CeilingStatus: {
+    type: 'string',
+    description: 'Planned altitude vs. FAA grid ceiling: BELOW_CEILING is LAANC-eligible, ABOVE_CEILING needs further authorization',
+    enum: Object.values(CeilingStatus)
+  },
+  ActivityStatus: {
+    type: 'string',
+    description: 'ACTIVE: in effect during the flight window; UPCOMING: in effect within 24 hours after it; INACTIVE: neither. ' +
+      'Restrictions that are not ACTIVE do not reduce allowedAreas.',
+    enum: Object.values(ActivityStatus)
+  },
+  FlightVerdict: {
+    type: 'string',
+    description: 'GO: nothing in effect stops the flight; AUTHORIZATION_NEEDED: LAANC, FAADroneZone, a waiver or a local permit ' +
+      'is required first; NO_GO: the flight is not allowed, or data is incomplete',
+    enum: Object.values(FlightVerdict)
+  },
+  LightCondition: {
+    type: 'string',
+    description: 'Part 107 light condition: DAYLIGHT between sunrise and sunset, CIVIL_TWILIGHT while the sun is less than 6° ' +
+      'below the horizon, NIGHT otherwise',
+    enum: Object.values(LightCondition)
+  },
+  ScheduleRule: objectSchema<ScheduleRule>('One recurring period a restriction is in effect', scheduleRuleProperties, ['start', 'end']),
+  RestrictionSchedule: objectSchema<RestrictionSchedule>(
+    'Recurring enforcement schedule; the restriction is in effect during any of its rules',
+    restrictionScheduleProperties,
+    ['rules']
+  ),
+  GeoJSONGeometry: {
+    type: 'object',
+    description: 'GeoJSON geometry (RFC 7946). Coordinates are [longitude, latitude] in WGS84.',
+    required: ['type'],
+    properties: {
+      type: {
+        type: 'string',
+        enum: ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection']
+      },
+      coordinates: {
+        description: 'Nested arrays of positions; depth depends on type',
+        oneOf: [
+          position,
+          { type: 'array', items: position },
+          { type: 'array', items: { type: 'array', items: position } },
+          { type: 'array', items: { type: 'array', items: { type: 'array', items: position } } }
+        ]
+      },
+      geometries: { type: 'array', items: ref('GeoJSONGeometry') }
+    }
+  },
+  Jurisdiction: objectSchema<Jurisdiction>('Jurisdiction of a restriction', jurisdictionProperties, ['country']),
+  RestrictionMetadata: objectSchema<RestrictionMetadata>('Auditing metadata', restrictionMetadataProperties, []),
+  RestrictionLayer: objectSchema<RestrictionLayer>(
+    'A single flight restriction. Providers may add source-specific properties (e.g. maxAGL, facility, gridId for FAA grid cells; ' +
+      'ceilingStatus (see CeilingStatus) and laancEligible on faaCeilings cells; notamNumber, expirationDate, ' +
+      'altitudeFloor/altitudeCeiling (feet) and their references on TFRs and NOTAMs; notamCode, validityPeriods, ' +
+      'schedule, active and the original text on parsed NOTAMs).',
+    restrictionLayerProperties,
+    ['id', 'geometry', 'category', 'type', 'authority', 'description', 'sourceUrl', 'confidenceLevel', 'jurisdiction'],
+    { additionalProperties: true }
+  ),
+  RestrictionFeature: objectSchema<RestrictionFeature>('GeoJSON Feature with RestrictionLayer properties', restrictionFeatureProperties, ['type', 'properties', 'geometry']),
+  RestrictionFeatureCollection: objectSchema<RestrictionFeatureCollection>('GeoJSON FeatureCollection of restrictions', restrictionFeatureCollectionProperties, ['type', 'features']),
+  RestrictionsResponse: objectSchema<RestrictionsResponse>(
+    'Map layers for a restriction search',
+    restrictionsResponseProperties,
+    ['searchArea', 'airspaceRestrictions', 'localRestrictions', 'allowedAreas', 'faaCeilings', 'effectiveZones']
+  ),
+  AppliedRestriction: objectSchema<AppliedRestriction>(
+    'A restriction contributing to an effective zone',
+    appliedRestrictionProperties,
+    ['id', 'category', 'type', 'authority', 'description', 'sourceUrl']
+  ),
+  RouteSegment: objectSchema<RouteSegment>(
+    'Stretch of the path whose corridor overlaps a restriction',
+    routeSegmentProperties,
+    ['startDistance', 'endDistance', 'startPosition', 'endPosition']
+  ),
+  RouteCrossing: objectSchema<RouteCrossing>('A restriction crossed by the route corridor', routeCrossingProperties, ['restrictionId', 'category', 'type', 'description', 'segments']),
+  RouteResponse: objectSchema<RouteResponse>(
+    'Corridor layers and crossings for a route search',
+    routeResponseProperties,
+    ['route', 'routeLength', 'corridor', 'airspaceRestrictions', 'localRestrictions', 'crossings']
+  ),
+  PointCheckResponse: objectSchema<PointCheckResponse>(
+    '"Can I fly here?" verdict for one point, altitude and operator',
+    pointCheckResponseProperties,
+    ['verdict', 'maxAltitude', 'restrictions', 'governingRestrictionIds', 'explanation']
+  ),
+  NotamError: objectSchema<NotamError>('A NOTAM, or text outside any NOTAM, that could not be parsed', notamErrorProperties, ['index', 'message']),
+  NotamResponse: objectSchema<NotamResponse>('Restrictions parsed from a NOTAM batch', notamResponseProperties, ['notams', 'errors']),
+  SourceFieldMapping: objectSchema<SourceFieldMapping>('Which source attribute holds each restriction property', sourceFieldMappingProperties, []),
+  SourceProbe: objectSchema<SourceProbe>("What probing a source's schema found", sourceProbeProperties, ['checkedAt', 'geometryType', 'fields']),
+  SourceRecord: objectSchema<SourceRecord>(
+    'A discovered municipal GIS source and its review state',
+    sourceRecordProperties,
+    ['id', 'name', 'url', 'protocol', 'restrictionType', 'fieldMapping', 'jurisdiction', 'category', 'status', 'discoveredAt', 'probe']
+  ),
+  RejectedCandidate: objectSchema<RejectedCandidate>('A suggested source that was not stored', rejectedCandidateProperties, ['url', 'reason']),
+  DiscoveryResult: objectSchema<DiscoveryResult>('Outcome of one discovery run', discoveryResultProperties, ['jurisdiction', 'pending', 'known', 'rejected']),
+  SkippedZone: objectSchema<SkippedZone>('An ED-269 zone that was not imported', skippedZoneProperties, ['identifier', 'reason']),
+  ZoneDatasetSummary: objectSchema<ZoneDatasetSummary>(
+    'An imported UAS geographical zone dataset',
+    zoneDatasetSummaryProperties,
+    ['id', 'title', 'format', 'countries', 'zoneCount', 'featureCount', 'importedAt', 'skipped']
+  ),
+  ProviderReport: objectSchema<ProviderReport>('Outcome of consulting one restriction provider', providerReportProperties, ['id', 'name', 'categories', 'status', 'latencyMs', 'featureCount', 'complete']),
+  LightPeriod: objectSchema<LightPeriod>('A stretch of one light condition', lightPeriodProperties, ['condition', 'start', 'end']),
+  SolarDay: objectSchema<SolarDay>(
+    'Sun times and light conditions for one local day',
+    solarDayProperties,
+    ['date', 'civilDawn', 'sunrise', 'solarNoon', 'sunset', 'civilDusk', 'periods']
+  ),
+  DaylightInfo: objectSchema<DaylightInfo>(
+    'Daylight, civil twilight and night across the flight window',
+    daylightInfoProperties,
+    ['location', 'days', 'flightConditions', 'advisory']
+  ),
+  RestrictionsMetadata: objectSchema<RestrictionsMetadata>(
+    'Provider status, flight window and daylight for a restriction search',
+    restrictionsMetadataProperties,
+    ['providers', 'dataComplete', 'flightWindow', 'timeline', 'jurisdictions', 'daylight']
+  ),
+  SourceDatasetStatus: objectSchema<SourceDatasetStatus>(
+    'A bulk-loaded source dataset',
+    sourceDatasetStatusProperties,
+    ['state', 'path', 'refreshSource', 'version', 'loadedAt', 'loadDurationMs', 'featureCount', 'nextRefreshAt', 'lastError']
+  ),
+  TileCacheStats: objectSchema<TileCacheStats>('Tile cache statistics', tileCacheStatsProperties, ['hits', 'misses', 'hitRate', 'tiles']),
+  FieldIssue: objectSchema<FieldIssue>('A single invalid request field', fieldIssueProperties, ['field', 'code', 'message']),
+  ErrorEnvelope: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', enum: Object.values(ErrorCode) },
+          message: { type: 'string' },
+          details: {
+            description: 'For VALIDATION_FAILED, an array of FieldIssue',
+            oneOf: [{ type: 'array', items: ref('FieldIssue') }, { type: 'object' }]
+          }
+        }
+      }
+    }
+  }
+};
+
+export { ref };
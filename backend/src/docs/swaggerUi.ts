@@ -0,0 +1,59 @@
+import express from 'express';
+import path from 'path';
+
+/**
+ * Offline API explorer served at /api/docs/ui
+ *
+ * Serves the Swagger UI assets bundled in the swagger-ui-dist package,
+ * so the explorer works without any CDN access. The initializer is a
+ * separate script file because the Content-Security-Policy set by Helmet
+ * does not allow inline scripts.
+ */
+const SWAGGER_UI_DIR = path.dirname(require.resolve('swagger-ui-dist/package.json'));
+
+const INDEX_HTML = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <title>YesFly API Explorer</title>
+    <link rel="stylesheet" href="swagger-ui.css">
+    <link rel="icon" type="image/png" href="favicon-32x32.png" sizes="32x32">
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="swagger-ui-bundle.js"></script>
+    <script src="init.js"></script>
+  </body>
+</html>`;
+
+const INIT_JS = `window.ui = SwaggerUIBundle({
+  url: '../docs',
+  dom_id: '#swagger-ui',
+  deepLinking: true,
+  presets: [SwaggerUIBundle.presets.apis]
+});`;
+
+export function createDocsUiRouter(): express.Router {
+  const router = express.Router();
+
+  // Relative asset URLs only resolve under a trailing slash
+  router.get('/', (req, res, next) => {
+    if (!req.originalUrl.split('?')[0].endsWith('/')) {
+      res.redirect(301, `${req.baseUrl}/`);
+      return;
+    }
+    next();
+  });
+
+  router.get('/', (req, res) => {
+    res.type('html').send(INDEX_HTML);
+  });
+
+  router.get('/init.js', (req, res) => {
+    res.type('application/javascript').send(INIT_JS);
+  });
+
+  router.use(express.static(SWAGGER_UI_DIR, { index: false }));
+
+  return router;
+}
@@ -0,0 +1,159 @@
+import { Response } from 'express';
+
+/**
+ * Typed API errors
+ *
+ * Every error response uses the same envelope:
+ * {
+ *   "success": false,
+ *   "error": { "code": "VALIDATION_FAILED", "message": "...", "details": [...] }
+ * }
+ *
+ * `code` is stable and machine-readable; integrations should branch on it
+ * rather than on `message`, which is meant for humans and may change.
+ */
+
+export enum ErrorCode {
+  VALIDATION_FAILED = 'VALIDATION_FAILED',
+  INVALID_JSON = 'INVALID_JSON',
+  PAYLOAD_TOO_LARGE = 'PAYLOAD_TOO_LARGE',
+  UNAUTHORIZED = 'UNAUTHORIZED',
+  NOT_FOUND = 'NOT_FOUND',
+  UPSTREAM_UNAVAILABLE = 'UPSTREAM_UNAVAILABLE',
+  NOT_CONFIGURED = 'NOT_CONFIGURED',
+  INTERNAL_ERROR = 'INTERNAL_ERROR'
+}
+
+/**
+ * Field-level problem reported inside a VALIDATION_FAILED error
+ */
+export interface FieldIssue {
+  field: string;
+  code: FieldIssueCode;
+  message: string;
+}
+
+export enum FieldIssueCode {
+  REQUIRED = 'REQUIRED',
+  INVALID_TYPE = 'INVALID_TYPE',
+  OUT_OF_RANGE = 'OUT_OF_RANGE',
+  INVALID_VALUE = 'INVALID_VALUE',
+  UNKNOWN_FIELD = 'UNKNOWN_FIELD'
+}
+
+export interface ErrorEnvelope {
+  success: false;
+  error: {
+    code: ErrorCode;
+    message: string;
+    details?: unknown;
+  };
+}
+
+/**
+ * Base class for errors that map to a specific HTTP response
+ */
+export class ApiError extends Error {
+  constructor(
+    public readonly status: number,
+    public readonly code: ErrorCode,
+    message: string,
+    public readonly details?: unknown
+  ) {
+    super(message);
+    this.name = new.target.name;
+  }
+
+  toResponse(): ErrorEnvelope {
+    return {
+      success: false,
+      error: {
+        code: this.code,
+        message: this.message,
+        ...(this.details !== undefined && { details: this.details })
+      }
+    };
+  }
+}
+
+export class ValidationError extends ApiError {
+  constructor(message: string, issues: FieldIssue[] = []) {
+    super(400, ErrorCode.VALIDATION_FAILED, message, issues);
+  }
+}
+
+export class InvalidJsonError extends ApiError {
+  constructor(message: string = 'Request body is not valid JSON') {
+    super(400, ErrorCode.INVALID_JSON, message);
+  }
+}
+
+export class PayloadTooLargeError extends ApiError {
+  constructor(message: string = 'Request body is too large') {
+    super(413, ErrorCode.PAYLOAD_TOO_LARGE, message);
+  }
+}
+
+export class UnauthorizedError extends ApiError {
+  constructor(message: string = 'A valid admin token is required') {
+    super(401, ErrorCode.UNAUTHORIZED, message);
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message: string, details?: unknown) {
+    super(404, ErrorCode.NOT_FOUND, message, details);
+  }
+}
+
+export class UpstreamError extends ApiError {
+  constructor(message: string, details?: unknown) {
+    super(502, ErrorCode.UPSTREAM_UNAVAILABLE, message, details);
+  }
+}
+
+export class NotConfiguredError extends ApiError {
+  constructor(message: string) {
+    super(503, ErrorCode.NOT_CONFIGURED, message);
+  }
+}
+
+export class InternalError extends ApiError {
+  constructor(message: string = 'Internal server error', details?: unknown) {
+    super(500, ErrorCode.INTERNAL_ERROR, message, details);
+  }
+}
+
+/**
+ * Normalize anything thrown into an ApiError
+ *
+ * Body-parser errors are mapped to their own codes. Unknown errors become
+ * INTERNAL_ERROR; their message is only exposed outside production.
+ */
+export function toApiError(error: unknown): ApiError {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  const parserError = error as { type?: string };
+  if (parserError?.type === 'entity.parse.failed') {
+    return new InvalidJsonError();
+  }
+  if (parserError?.type === 'entity.too.large') {
+    return new PayloadTooLargeError();
+  }
+
+  const message = process.env.NODE_ENV !== 'production' && error instanceof Error
+    ? error.message
+    : 'Internal server error';
+  const stack = process.env.NODE_ENV === 'development' && error instanceof Error ? error.stack : undefined;
+  return new InternalError(message, stack ? { stack } : undefined);
+}
+
+/**
+ * Send any thrown value as a consistent error envelope
+ */
+export function sendError(res: Response, error: unknown): void {
+  const apiError = toApiError(error);
+  res.status(apiError.status).json(apiError.toResponse());
+}
@@ -3,6 +3,7 @@ import cors from 'cors';
 import helmet from 'helmet';
 import { createRoutes } from './routes';
 import dotenv from 'dotenv';
+import { NotFoundError, toApiError } from './errors';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -46,8 +47,8 @@ app.use(helmet({
 app.use(cors({
   origin: ['http://localhost:3000', 'http://127.0.0.1:5173', 'http://localhost:5173'],
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Token']
 }));
 
 // Body parsing middleware
@@ -63,43 +64,48 @@ app.use((req, res, next) => {
 // Mount routes
 app.use(createRoutes());
 
-// Global error handler
+// Global error handler - every error leaves as the same envelope
 app.use((error: any, req: express.Request, res: express.Response, next: express.NextFunction) => {
-  console.error('Unhandled error:', error);
-  
-  // Don't send error details in production
-  const message = process.env.NODE_ENV === 'production' 
-    ? 'Internal server error' 
-    : error.message;
-  
-  res.status(500).json({
-    success: false,
-    error: 'Internal Server Error',
-    message,
-    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
-  });
+  const apiError = toApiError(error);
+  if (apiError.status >= 500) {
+    console.error('Unhandled error:', error);
+  }
+
+  res.status(apiError.status).json(apiError.toResponse());
 });
 
 // 404 handler
 app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Not Found',
-    message: `Route ${req.originalUrl} not found`,
+  const notFound = new NotFoundError(`Route ${req.originalUrl} not found`, {
     availableRoutes: [
       'GET /',
       'POST /api/restrictions',
+      'POST /api/route',
+      'POST /api/point-check',
+      'POST /api/notams',
+      'GET /api/jurisdiction',
+      'GET /api/sources',
+      'POST /api/sources/discover',
+      'POST /api/sources/:id/approve',
+      'POST /api/sources/:id/reject',
+      'GET /api/zones',
+      'POST /api/zones/ed269',
+      'DELETE /api/zones/:id',
       'GET /api/health',
-      'GET /api/docs'
+      'GET /api/cache/stats',
+      'GET /api/docs',
+      'GET /api/docs/ui'
     ]
   });
+
+  res.status(notFound.status).json(notFound.toResponse());
 });
 
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Drone Flight Restriction API server running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`📚 API docs: http://localhost:${PORT}/api/docs`);
+  console.log(`📚 API docs: http://localhost:${PORT}/api/docs (explorer: /api/docs/ui)`);
   console.log(`🎯 Restrictions endpoint: http://localhost:${PORT}/api/restrictions`);
   
   if (process.env.NODE_ENV !== 'production') {
@@ -0,0 +1,41 @@
+import { ArcGISSourceService } from '../services/arcgisSourceService';
+import { sourceCategories } from './sourceConfigs';
+import {
+  ArcGISSourceConfig,
+  ProviderCoverage,
+  ProviderQuery,
+  ProviderResult,
+  RestrictionCategory,
+  RestrictionProvider
+} from '../types';
+
+/**
+ * Restriction provider for one declaratively configured ArcGIS layer
+ *
+ * Identity, coverage and timeout come from the source config; the
+ * categories are every category its rules can produce. Features are raw
+ * (unmerged, unclipped); FAA facility merging and clipping happen in
+ * RestrictionService.
+ */
+export class ArcGISProvider implements RestrictionProvider {
+  readonly id: string;
+  readonly name: string;
+  readonly categories: RestrictionCategory[];
+  readonly timeout: number;
+  readonly coverage: ProviderCoverage;
+
+  private arcgisSourceService: ArcGISSourceService;
+
+  constructor(config: ArcGISSourceConfig, arcgisSourceService: ArcGISSourceService = new ArcGISSourceService(config)) {
+    this.id = config.id;
+    this.name = config.name;
+    this.categories = sourceCategories(config);
+    this.timeout = config.timeout || 30000;
+    this.coverage = config.coverage as ProviderCoverage;
+    this.arcgisSourceService = arcgisSourceService;
+  }
+
+  async query(query: ProviderQuery): Promise<ProviderResult> {
+    return this.arcgisSourceService.getRestrictionsInEnvelope(query.bbox);
+  }
+}
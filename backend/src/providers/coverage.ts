@@ -0,0 +1,23 @@
+import { ProviderCoverage } from '../types';
+
+/**
+ * Coverage shared by providers of US federal data (FAA)
+ */
+export const US_COVERAGE: ProviderCoverage = {
+  description: 'United States and territories',
+  bboxes: [
+    [-125.0, 24.0, -66.5, 49.5],   // Contiguous United States
+    [-180.0, 51.0, -129.0, 71.5],  // Alaska
+    [172.0, 51.0, 180.0, 53.5],    // Western Aleutians
+    [-160.5, 18.5, -154.5, 22.5],  // Hawaii
+    [-68.0, 17.5, -64.5, 18.6],    // Puerto Rico and US Virgin Islands
+    [144.5, 13.2, 146.1, 20.6]     // Guam and Northern Mariana Islands
+  ]
+};
+
+/**
+ * Named coverages that source configs can refer to instead of listing bboxes
+ */
+export const COVERAGE_PRESETS: Record<string, ProviderCoverage> = {
+  US: US_COVERAGE
+};
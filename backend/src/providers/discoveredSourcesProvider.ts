@@ -0,0 +1,45 @@
+import { DiscoveredSourceService } from '../services/discoveredSourceService';
+import { jurisdictionCovers } from '../services/jurisdictionService';
+import { getSourceStore, SourceStore } from '../services/sourceStore';
+import {
+  ProviderCoverage,
+  ProviderQuery,
+  ProviderResult,
+  RestrictionCategory,
+  RestrictionProvider
+} from '../types';
+
+/**
+ * Restriction provider for approved discovered municipal GIS sources
+ *
+ * Coverage follows the approved sources, so the registry only consults
+ * this provider for searches in a jurisdiction that has one. Pending and
+ * rejected sources are never queried.
+ */
+export class DiscoveredSourcesProvider implements RestrictionProvider {
+  readonly id = 'discovered-sources';
+  readonly name = 'Discovered Municipal GIS Sources';
+  readonly categories = [RestrictionCategory.CITY, RestrictionCategory.STATE];
+  readonly timeout = 20000;
+
+  private store: SourceStore;
+  private discoveredSourceService: DiscoveredSourceService;
+
+  constructor(store: SourceStore = getSourceStore(), discoveredSourceService: DiscoveredSourceService = new DiscoveredSourceService()) {
+    this.store = store;
+    this.discoveredSourceService = discoveredSourceService;
+  }
+
+  get coverage(): ProviderCoverage {
+    return {
+      description: 'Jurisdictions with approved discovered sources',
+      jurisdictions: this.store.list('approved').map(source => source.jurisdiction)
+    };
+  }
+
+  async query(query: ProviderQuery): Promise<ProviderResult> {
+    const sources = this.store.list('approved')
+      .filter(source => query.jurisdictions.some(j => jurisdictionCovers(source.jurisdiction, j)));
+    return this.discoveredSourceService.getRestrictions(sources, query.bbox);
+  }
+}
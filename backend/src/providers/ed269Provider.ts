@@ -0,0 +1,47 @@
+import { getZoneDatasetService, ZoneDatasetService } from '../services/zoneDatasetService';
+import {
+  ProviderCoverage,
+  ProviderQuery,
+  ProviderResult,
+  RestrictionCategory,
+  RestrictionProvider
+} from '../types';
+
+/**
+ * Restriction provider for imported ED-269 UAS geographical zones
+ *
+ * Coverage follows the imported datasets, so the registry only consults
+ * this provider for searches in a country that has one. Zones come from
+ * memory; the provider never calls out.
+ */
+export class ED269Provider implements RestrictionProvider {
+  readonly id = 'ed269-zones';
+  readonly name = 'ED-269 UAS Geographical Zones';
+  readonly categories = [
+    RestrictionCategory.NATIONAL,
+    RestrictionCategory.REGIONAL,
+    RestrictionCategory.MILITARY,
+    RestrictionCategory.ENVIRONMENTAL
+  ];
+  readonly timeout = 5000;
+
+  private zoneDatasetService: ZoneDatasetService;
+
+  constructor(zoneDatasetService: ZoneDatasetService = getZoneDatasetService()) {
+    this.zoneDatasetService = zoneDatasetService;
+  }
+
+  get coverage(): ProviderCoverage {
+    return {
+      description: 'Countries with imported ED-269 zone datasets',
+      jurisdictions: this.zoneDatasetService.getJurisdictions()
+    };
+  }
+
+  async query(query: ProviderQuery): Promise<ProviderResult> {
+    return {
+      collection: { type: 'FeatureCollection', features: this.zoneDatasetService.getZones(query.bbox) },
+      complete: true
+    };
+  }
+}
@@ -0,0 +1,34 @@
+import { ProviderRegistry } from '../services/providerRegistry';
+import { ArcGISProvider } from './arcgisProvider';
+import { DiscoveredSourcesProvider } from './discoveredSourcesProvider';
+import { ED269Provider } from './ed269Provider';
+import { OGCFeaturesProvider } from './ogcFeaturesProvider';
+import { OSMProvider } from './osmProvider';
+import { loadSourceConfigs } from './sourceConfigs';
+import { TFRProvider } from './tfrProvider';
+
+/**
+ * Build the registry used by the API
+ *
+ * ArcGIS layers (including the FAA UAS Facility Map), WFS feature types and
+ * OGC API - Features collections are declared as JSON files in the source
+ * config directory (see ./sourceConfigs); add a file there for a new state,
+ * county or city layer. Register providers that
+ * need code here. Regional providers declare coverage.jurisdictions
+ * (e.g. { country: 'United States', state: 'California' }) and are only
+ * consulted for searches there.
+ */
+export function createDefaultRegistry(): ProviderRegistry {
+  const registry = new ProviderRegistry();
+  loadSourceConfigs().forEach(config => registry.register(
+    config.protocol === 'arcgis' ? new ArcGISProvider(config) : new OGCFeaturesProvider(config)
+  ));
+
+  return registry
+    .register(new TFRProvider())
+    .register(new OSMProvider())
+    .register(new DiscoveredSourcesProvider())
+    .register(new ED269Provider());
+}
+
+export { ArcGISProvider, DiscoveredSourcesProvider, ED269Provider, OGCFeaturesProvider, OSMProvider, TFRProvider };
@@ -0,0 +1,41 @@
+import { OGCFeaturesService } from '../services/ogcFeaturesService';
+import {
+  OGCFeaturesSourceConfig,
+  ProviderCoverage,
+  ProviderQuery,
+  ProviderResult,
+  RestrictionCategory,
+  RestrictionProvider
+} from '../types';
+import { sourceCategories } from './sourceConfigs';
+
+/**
+ * Restriction provider for one declaratively configured WFS feature type
+ * or OGC API - Features collection
+ *
+ * Like ArcGISProvider, identity, coverage and timeout come from the
+ * source config and features are returned raw for RestrictionService to
+ * clip.
+ */
+export class OGCFeaturesProvider implements RestrictionProvider {
+  readonly id: string;
+  readonly name: string;
+  readonly categories: RestrictionCategory[];
+  readonly timeout: number;
+  readonly coverage: ProviderCoverage;
+
+  private ogcFeaturesService: OGCFeaturesService;
+
+  constructor(config: OGCFeaturesSourceConfig, ogcFeaturesService: OGCFeaturesService = new OGCFeaturesService(config)) {
+    this.id = config.id;
+    this.name = config.name;
+    this.categories = sourceCategories(config);
+    this.timeout = config.timeout || 30000;
+    this.coverage = config.coverage as ProviderCoverage;
+    this.ogcFeaturesService = ogcFeaturesService;
+  }
+
+  async query(query: ProviderQuery): Promise<ProviderResult> {
+    return this.ogcFeaturesService.getRestrictionsInEnvelope(query.bbox);
+  }
+}
@@ -0,0 +1,35 @@
+import { OverpassService } from '../services/overpassService';
+import {
+  ProviderCoverage,
+  ProviderQuery,
+  ProviderResult,
+  RestrictionCategory,
+  RestrictionProvider
+} from '../types';
+
+/**
+ * Restriction provider backed by OpenStreetMap land use
+ *
+ * Produces raw (unclipped) local restrictions for parks, prisons,
+ * military land, stadiums, hospitals with helipads, power plants and
+ * schools. Clipping happens in RestrictionService.
+ */
+export class OSMProvider implements RestrictionProvider {
+  readonly id = 'osm-landuse';
+  readonly name = 'OpenStreetMap Land Use';
+  readonly categories = [RestrictionCategory.CITY, RestrictionCategory.STATE, RestrictionCategory.PRIVATE];
+  readonly timeout = 20000;
+  readonly coverage: ProviderCoverage = {
+    description: 'Worldwide (OpenStreetMap)'
+  };
+
+  private overpassService: OverpassService;
+
+  constructor(overpassService: OverpassService = new OverpassService()) {
+    this.overpassService = overpassService;
+  }
+
+  async query(query: ProviderQuery): Promise<ProviderResult> {
+    return this.overpassService.getLandUseRestrictions(query.bbox);
+  }
+}
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { FieldIssue, FieldIssueCode } from '../errors';
+import { RestrictionCategory, SourceConfig } from '../types';
+import { validateSchema } from '../validation/schema';
+import { arcgisSourceConfigSchema, ogcSourceConfigSchema } from '../validation/requestSchemas';
+import { COVERAGE_PRESETS } from './coverage';
+
+/**
+ * Declarative GIS source definitions
+ *
+ * Every *.json file directly in the source config directory (SOURCE_CONFIG_DIR,
+ * default the backend's sources/ directory) defines one ArcGIS layer, WFS feature type or OGC API -
+ * Features collection and becomes one restriction provider. Subdirectories are not read, so sources/examples holds templates
+ * that are only used once copied up a level.
+ *
+ * A config that fails validation stops startup: silently dropping one
+ * would hide its restrictions from every search. So does a missing
+ * directory or a missing required source, which would otherwise leave
+ * searches reporting complete data without them.
+ */
+
+/**
+ * Sources every deployment must have; without the FAA UAS Facility Map a
+ * search would show controlled airspace as unrestricted
+ */
+export const REQUIRED_SOURCE_IDS = ['faa-uasfm'];
+
+/**
+ * Directory the source configs are read from
+ *
+ * The default is found from this module's location, not the working
+ * directory, so the server finds it whether started from backend/ or the
+ * repository root, from src/ or from the compiled dist/.
+ */
+export function sourceConfigDir(): string {
+  return process.env.SOURCE_CONFIG_DIR || path.join(packageRoot(), 'sources');
+}
+
+/**
+ * Read and validate every source config in a directory, sorted by file name
+ * @param required Source ids that must be among them
+ * @throws Error when the directory or a required source is missing, or naming the file and every invalid field
+ */
+export function loadSourceConfigs(dir: string = sourceConfigDir(), required: string[] = REQUIRED_SOURCE_IDS): SourceConfig[] {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Source config directory ${dir} not found; set SOURCE_CONFIG_DIR to the directory holding the source configs`);
+  }
+
+  const configs = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const filePath = path.join(dir, file);
+      let raw: unknown;
+      try {
+        raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Source config ${filePath} is not valid JSON: ${error instanceof Error ? error.message : String(error)}`);
+      }
+      return parseSourceConfig(raw, filePath);
+    });
+
+  const ids = new Set<string>();
+  configs.forEach(config => {
+    if (ids.has(config.id)) {
+      throw new Error(`Source config id ${config.id} is used by more than one file in ${dir}`);
+    }
+    ids.add(config.id);
+  });
+
+  const missing = required.filter(id => !ids.has(id));
+  if (missing.length > 0) {
+    throw new Error(`Required source config(s) ${missing.join(', ')} not found in ${dir}`);
+  }
+
+  console.log(`Loaded ${configs.length} source config(s) from ${dir}: ${configs.map(config => config.id).join(', ')}`);
+  return configs;
+}
+
+/**
+ * Validate one source config and resolve its coverage preset
+ * @param raw Parsed JSON
+ * @param origin File name used in error messages
+ * @throws Error listing every invalid field
+ */
+export function parseSourceConfig(raw: unknown, origin: string): SourceConfig {
+  const protocol = (raw as { protocol?: unknown } | null)?.protocol;
+  const issues = protocol === 'wfs' || protocol === 'ogcapi'
+    ? validateSchema(ogcSourceConfigSchema, raw)
+    : validateSchema(arcgisSourceConfigSchema, raw);
+  if (issues.length === 0) {
+    issues.push(...checkConfigDetails(raw as SourceConfig));
+  }
+  if (issues.length > 0) {
+    throw new Error(`Invalid source config ${origin}: ${issues.map(issue => issue.message).join('; ')}`);
+  }
+
+  const config = raw as SourceConfig;
+  return {
+    ...config,
+    coverage: typeof config.coverage === 'string' ? COVERAGE_PRESETS[config.coverage] : config.coverage
+  };
+}
+
+/**
+ * Every category a source's rules can produce
+ */
+export function sourceCategories(config: SourceConfig): RestrictionCategory[] {
+  const { category } = config.restriction;
+  return Array.from(new Set([category.default, ...(category.rules || []).map(rule => rule.category)]));
+}
+
+/**
+ * Checks the schema cannot express: coverage presets, union-typed field
+ * mappings, rule regular expressions and option combinations
+ */
+function checkConfigDetails(config: SourceConfig): FieldIssue[] {
+  const issues: FieldIssue[] = [];
+
+  if (typeof config.coverage === 'string') {
+    if (!COVERAGE_PRESETS[config.coverage]) {
+      issues.push({
+        field: 'coverage',
+        code: FieldIssueCode.INVALID_VALUE,
+        message: `coverage must be an object or one of: ${Object.keys(COVERAGE_PRESETS).join(', ')}`
+      });
+    }
+  } else if (typeof config.coverage !== 'object' || typeof config.coverage.description !== 'string') {
+    issues.push({ field: 'coverage', code: FieldIssueCode.INVALID_VALUE, message: 'coverage must be a preset name or an object with a description' });
+  }
+
+  Object.entries(config.restriction.fieldMapping || {}).forEach(([property, mapping]) => {
+    const field = `restriction.fieldMapping.${property}`;
+    const valid = typeof mapping === 'string' ||
+      (typeof mapping === 'object' && mapping !== null && typeof mapping.field === 'string' &&
+        (mapping.as === undefined || ['string', 'number', 'date'].includes(mapping.as)));
+    if (!valid) {
+      issues.push({ field, code: FieldIssueCode.INVALID_VALUE, message: `${field} must be an attribute name or { field, as?, default? }` });
+    }
+  });
+
+  [...(config.restriction.type.rules || []), ...(config.restriction.category.rules || [])].forEach(rule => {
+    if (rule.matches === undefined) return;
+    try {
+      new RegExp(rule.matches, 'i');
+    } catch {
+      issues.push({ field: 'restriction.rules', code: FieldIssueCode.INVALID_VALUE, message: `${rule.matches} is not a valid regular expression` });
+    }
+  });
+
+  if (config.protocol === 'arcgis' && config.dataset?.refreshFromLive && config.dataset.format === 'csv') {
+    issues.push({ field: 'dataset.refreshFromLive', code: FieldIssueCode.INVALID_VALUE, message: 'refreshFromLive writes GeoJSON and cannot refresh a CSV dataset' });
+  }
+
+  if ('projDefinition' in config && config.projDefinition && !config.crs) {
+    issues.push({ field: 'projDefinition', code: FieldIssueCode.INVALID_VALUE, message: 'projDefinition needs the crs it defines' });
+  }
+
+  return issues;
+}
+
+/**
+ * Nearest directory above this module holding a package.json: backend/
+ * both for src/providers and for dist/backend/src/providers
+ */
+function packageRoot(): string {
+  let dir = __dirname;
+  while (!fs.existsSync(path.join(dir, 'package.json'))) {
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      throw new Error(`No package.json found above ${__dirname}`);
+    }
+    dir = parent;
+  }
+  return dir;
+}
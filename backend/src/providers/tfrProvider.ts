@@ -0,0 +1,34 @@
+import { TFRService } from '../services/tfrService';
+import {
+  ProviderCoverage,
+  ProviderQuery,
+  ProviderResult,
+  RestrictionCategory,
+  RestrictionProvider
+} from '../types';
+import { US_COVERAGE } from './coverage';
+
+/**
+ * Restriction provider for FAA Temporary Flight Restrictions
+ *
+ * Only TFR areas in effect during the query's time window are returned.
+ * They have no grid ID, so RestrictionService clips them but never merges
+ * them with UAS facility map cells.
+ */
+export class TFRProvider implements RestrictionProvider {
+  readonly id = 'faa-tfr';
+  readonly name = 'FAA Temporary Flight Restrictions';
+  readonly categories = [RestrictionCategory.FAA];
+  readonly timeout = 30000;
+  readonly coverage: ProviderCoverage = US_COVERAGE;
+
+  private tfrService: TFRService;
+
+  constructor(tfrService: TFRService = new TFRService()) {
+    this.tfrService = tfrService;
+  }
+
+  async query(query: ProviderQuery): Promise<ProviderResult> {
+    return this.tfrService.getActiveTFRs(query.bbox, query.when);
+  }
+}
@@ -1,5 +1,6 @@
 import express from 'express';
 import { RestrictionController } from '../controllers/restrictionController';
+import { createDocsUiRouter } from '../docs/swaggerUi';
 
 /**
  * Route definitions for the drone flight restriction API
@@ -10,8 +11,20 @@ import { RestrictionController } from '../controllers/restrictionController';
  * 
  * Routes follow REST conventions:
  * - POST /api/restrictions - Get flight restrictions
+ * - POST /api/route - Check a planned flight path corridor
+ * - POST /api/point-check - Go / authorization-needed / no-go verdict at one point
+ * - POST /api/notams - Parse ICAO NOTAM text into restriction geometries
+ * - GET /api/jurisdiction - Resolve a point to its country, state, county and city
+ * - GET /api/sources - List discovered GIS sources (admin token)
+ * - POST /api/sources/discover - Discover GIS sources for a jurisdiction (admin token)
+ * - POST /api/sources/:id/approve, /reject - Review a discovered source (admin token)
+ * - GET /api/zones - List imported zone datasets (admin token)
+ * - POST /api/zones/ed269 - Import an ED-269 UAS geographical zone dataset (admin token)
+ * - DELETE /api/zones/:id - Remove an imported zone dataset (admin token)
  * - GET /api/health - Health check
- * - GET /api/docs - API documentation
+ * - GET /api/cache/stats - ArcGIS source tile cache statistics
+ * - GET /api/docs - OpenAPI 3 document
+ * - GET /api/docs/ui - Interactive API explorer
  */
 export function createRoutes(): express.Router {
   const router = express.Router();
@@ -23,11 +36,38 @@ export function createRoutes(): express.Router {
   // Main restriction endpoint
   apiRouter.post('/restrictions', restrictionController.getRestrictions.bind(restrictionController));
 
+  // Route corridor endpoint
+  apiRouter.post('/route', restrictionController.getRouteRestrictions.bind(restrictionController));
+
+  // Point check endpoint
+  apiRouter.post('/point-check', restrictionController.checkPoint.bind(restrictionController));
+
+  // NOTAM parsing endpoint
+  apiRouter.post('/notams', restrictionController.parseNotams.bind(restrictionController));
+
+  // Jurisdiction lookup endpoint
+  apiRouter.get('/jurisdiction', restrictionController.getJurisdiction.bind(restrictionController));
+
+  // Discovered source endpoints (admin token)
+  apiRouter.get('/sources', restrictionController.listSources.bind(restrictionController));
+  apiRouter.post('/sources/discover', restrictionController.discoverSources.bind(restrictionController));
+  apiRouter.post('/sources/:id/approve', restrictionController.reviewSource.bind(restrictionController));
+  apiRouter.post('/sources/:id/reject', restrictionController.reviewSource.bind(restrictionController));
+
+  // Imported zone dataset endpoints (admin token)
+  apiRouter.get('/zones', restrictionController.listZoneDatasets.bind(restrictionController));
+  apiRouter.post('/zones/ed269', restrictionController.importZoneDataset.bind(restrictionController));
+  apiRouter.delete('/zones/:id', restrictionController.deleteZoneDataset.bind(restrictionController));
+
   // Health check endpoint
   apiRouter.get('/health', restrictionController.healthCheck.bind(restrictionController));
 
-  // API documentation endpoint
+  // Cache statistics endpoint
+  apiRouter.get('/cache/stats', restrictionController.getCacheStats.bind(restrictionController));
+
+  // API documentation endpoints
   apiRouter.get('/docs', restrictionController.getApiDocs.bind(restrictionController));
+  apiRouter.use('/docs/ui', createDocsUiRouter());
 
   // Mount API routes under /api
   router.use('/api', apiRouter);
@@ -40,10 +80,22 @@ export function createRoutes(): express.Router {
       description: 'Backend API for drone flight restriction web application',
       endpoints: {
         restrictions: 'POST /api/restrictions',
+        route: 'POST /api/route',
+        pointCheck: 'POST /api/point-check',
+        notams: 'POST /api/notams',
+        jurisdiction: 'GET /api/jurisdiction?lat&lng',
+        sources: 'GET /api/sources',
+        discoverSources: 'POST /api/sources/discover',
+        reviewSource: 'POST /api/sources/:id/approve | /reject',
+        zones: 'GET /api/zones',
+        importZones: 'POST /api/zones/ed269',
+        deleteZones: 'DELETE /api/zones/:id',
         health: 'GET /api/health',
-        docs: 'GET /api/docs'
+        cacheStats: 'GET /api/cache/stats',
+        docs: 'GET /api/docs',
+        docsUi: 'GET /api/docs/ui'
       },
-      documentation: 'GET /api/docs for detailed API documentation'
+      documentation: 'GET /api/docs for the OpenAPI 3 document, GET /api/docs/ui to explore it'
     });
   });
 
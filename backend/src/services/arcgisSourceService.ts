@@ -0,0 +1,448 @@
+import axios, { AxiosResponse } from 'axios';
+import * as turf from '@turf/turf';
+import path from 'path';
+import { ArcGISSourceConfig, BoundingBox, RestrictionFeature, RestrictionFeatureCollection } from '../types';
+import { calculateEnvelope } from '../utils/spatial';
+import { CircuitBreaker, RetryOptions, retryWithBackoff } from '../utils/resilience';
+import { quadkeyToTile, tileBounds, tilesForBBox, tileToQuadkey } from '../utils/tiles';
+import { TileCache } from './tileCache';
+import { getSourceDataset, SourceDataset } from './sourceDataset';
+import { ConvertedESRIFeature, convertESRIFeatures } from '../utils/esriGeometry';
+import { mapRestrictionFeature } from '../utils/sourceMapping';
+
+/**
+ * Result of an ArcGIS source query, with warnings for anything that made
+ * the answer less reliable (e.g. retries needed to reach the upstream)
+ */
+export interface ArcGISQueryResult {
+  collection: RestrictionFeatureCollection;
+  warnings: string[];
+  /**
+   * False when the page cap was hit and some features may be missing
+   */
+  complete: boolean;
+}
+
+/**
+ * Tuning options for ArcGISSourceService, overriding the source config
+ */
+export interface ArcGISSourceOptions {
+  /** Tile cache to use; null queries every envelope directly */
+  tileCache?: TileCache | null;
+  /** Bulk-loaded dataset to answer from; null always queries the live service */
+  dataset?: SourceDataset | null;
+  /** Records requested per page (resultRecordCount) */
+  pageSize?: number;
+  /** Maximum pages fetched for a single envelope */
+  maxPages?: number;
+  /**
+   * How many times an envelope that still exceeds the transfer limit
+   * after maxPages is split into quadrants (0 disables splitting)
+   */
+  maxSplitDepth?: number;
+}
+
+/**
+ * Features fetched for one envelope, across all its pages
+ */
+interface EnvelopeQueryResult {
+  features: RestrictionFeature[];
+  attempts: number;
+  complete: boolean;
+}
+
+const tileCaches = new Map<string, TileCache>();
+
+/**
+ * Shared tile cache of a source with a `cache` block, one per source id
+ *
+ * Entries are persisted to .cache/<id>-tiles.json unless cache.persist is
+ * false. With cache.envPrefix set (FAA_CACHE for the FAA source),
+ * <prefix>_TTL_MS, <prefix>_MAX_TILES and <prefix>_FILE override the
+ * config; set <prefix>_FILE to an empty string to disable persistence.
+ */
+export function getSourceTileCache(config: ArcGISSourceConfig): TileCache | null {
+  if (!config.cache) return null;
+
+  let cache = tileCaches.get(config.id);
+  if (!cache) {
+    const { ttlMs, maxTiles, persist, envPrefix } = config.cache;
+    const env = (name: string) => (envPrefix ? process.env[`${envPrefix}_${name}`] : undefined);
+    const defaultFile = persist === false ? '' : path.join(process.cwd(), '.cache', `${config.id}-tiles.json`);
+
+    cache = new TileCache({
+      ttl: Number(env('TTL_MS')) || ttlMs || 6 * 60 * 60 * 1000,
+      maxTiles: Number(env('MAX_TILES')) || maxTiles || 5000,
+      filePath: env('FILE') ?? defaultFile
+    });
+    tileCaches.set(config.id, cache);
+  }
+  return cache;
+}
+
+/**
+ * Tile caches created so far, by source id
+ */
+export function getSourceTileCaches(): Map<string, TileCache> {
+  return tileCaches;
+}
+
+/**
+ * Generic adapter for an ArcGIS FeatureServer/MapServer layer
+ *
+ * Everything specific to a source - endpoint, layer, where clause, paging
+ * limits, caching and how attributes become restriction properties - comes
+ * from its ArcGISSourceConfig, so a new layer needs only a config file.
+ * The ArcGIS JSON response is converted to GeoJSON and mapped to
+ * RestrictionLayer features through the config's restriction mapping.
+ *
+ * With a `dataset` block, envelopes are answered from the bulk-loaded
+ * export in memory (see SourceDataset) once it has loaded; the live
+ * service is then only used to refresh it.
+ *
+ * Upstream failures are never hidden: transient errors are retried with
+ * backoff behind a circuit breaker, and anything still failing is thrown
+ * so callers can report the source as unavailable.
+ */
+export class ArcGISSourceService {
+  private readonly API_TIMEOUT = 8000;
+  private readonly RETRY_OPTIONS: RetryOptions = {
+    retries: 2,
+    baseDelay: 500,
+    maxDelay: 4000,
+    shouldRetry: isTransientError,
+    onRetry: (error, attempt, delay) =>
+      console.warn(`${this.config.name} attempt ${attempt} failed (${describeError(error)}), retrying in ${delay}ms`)
+  };
+
+  private readonly MAX_CONCURRENT_TILES = 4;
+  // Safety cap for a whole-layer download (pages of pageSize records)
+  private readonly MAX_DOWNLOAD_PAGES = 2000;
+
+  private circuitBreaker: CircuitBreaker;
+  private queryUrl: string;
+  private tileCache: TileCache | null;
+  private dataset: SourceDataset | null;
+  private pageSize: number;
+  private maxPages: number;
+  private maxSplitDepth: number;
+
+  constructor(private readonly config: ArcGISSourceConfig, options: ArcGISSourceOptions = {}) {
+    this.queryUrl = `${config.url.replace(/\/+$/, '')}/${config.layerId}/query`;
+    this.circuitBreaker = new CircuitBreaker(`${config.name} ArcGIS`, {
+      failureThreshold: 5,
+      resetTimeout: 30000
+    });
+    this.tileCache = options.tileCache !== undefined ? options.tileCache : getSourceTileCache(config);
+    this.pageSize = options.pageSize || config.paging?.pageSize || 1000;
+    this.maxPages = options.maxPages || config.paging?.maxPages || 10;
+    this.maxSplitDepth = options.maxSplitDepth ?? config.paging?.maxSplitDepth ?? 1;
+    this.dataset = options.dataset !== undefined ? options.dataset : getSourceDataset(config, () => this.downloadLayer());
+  }
+
+  /**
+   * Get restrictions for a given location and radius
+   * @param lat Center latitude
+   * @param lng Center longitude
+   * @param radius Search radius
+   * @returns Promise resolving to GeoJSON FeatureCollection of restrictions
+   */
+  async getRestrictions(lat: number, lng: number, radius: number): Promise<RestrictionFeatureCollection> {
+    // Expand the search area so features crossing its edge are included
+    const result = await this.getRestrictionsInEnvelope(calculateEnvelope(lat, lng, radius));
+    return result.collection;
+  }
+
+  /**
+   * Get restrictions intersecting a bounding envelope
+   *
+   * A loaded dataset answers from its index. Until it has loaded (or if
+   * it never does) the live service is queried instead, with a warning.
+   *
+   * With a tile cache the envelope is covered by fixed tiles at the
+   * config's tile zoom; cached tiles are reused and only the missing ones
+   * are requested. Without one, the envelope is queried directly.
+   * @param bbox Envelope as [minLng, minLat, maxLng, maxLat]
+   * @returns Promise resolving to the transformed features and any warnings
+   * @throws When the service cannot be reached after retries or the circuit is open
+   */
+  async getRestrictionsInEnvelope(bbox: BoundingBox): Promise<ArcGISQueryResult> {
+    if (this.dataset?.isReady()) {
+      return {
+        collection: { type: 'FeatureCollection', features: this.dataset.search(bbox) },
+        warnings: this.dataset.getWarnings(),
+        complete: true
+      };
+    }
+
+    const result = await this.queryLive(bbox);
+    if (this.dataset) {
+      const { state } = this.dataset.getStatus();
+      result.warnings.unshift(`${this.config.name} dataset is ${state === 'loading' ? 'still loading' : 'unavailable'}; queried the live service`);
+    }
+    return result;
+  }
+
+  /**
+   * Download every feature of the layer, for refreshing a dataset
+   * @returns Converted features with their raw attributes, unmapped
+   * @throws When a page cannot be fetched or the layer exceeds the download cap
+   */
+  async downloadLayer(): Promise<ConvertedESRIFeature[]> {
+    const features: ConvertedESRIFeature[] = [];
+    let offset = 0;
+    let exceededTransferLimit = true;
+
+    for (let pages = 0; exceededTransferLimit; pages++) {
+      if (pages >= this.MAX_DOWNLOAD_PAGES) {
+        throw new Error(`${this.config.name} layer has more than ${this.MAX_DOWNLOAD_PAGES} pages`);
+      }
+
+      const { value: response } = await this.circuitBreaker.execute(() =>
+        retryWithBackoff(() => axios.get(this.queryUrl, {
+          params: {
+            f: 'json',
+            where: this.config.where || '1=1',
+            outFields: '*',
+            returnGeometry: 'true',
+            outSR: '4326',
+            orderByFields: this.config.orderByField || 'OBJECTID',
+            resultOffset: offset,
+            resultRecordCount: this.pageSize
+          },
+          timeout: this.API_TIMEOUT
+        }).then(assertArcGISSuccess), this.RETRY_OPTIONS)
+      );
+
+      const pageRecords = response.data.features?.length || 0;
+      features.push(...convertESRIFeatures(response.data.features || [], this.config.name));
+      offset += pageRecords;
+      exceededTransferLimit = response.data.exceededTransferLimit === true && pageRecords > 0;
+    }
+
+    console.log(`Downloaded ${features.length} features from ${this.config.name}`);
+    return features;
+  }
+
+  /**
+   * Query the live service, through the tile cache when there is one
+   */
+  private async queryLive(bbox: BoundingBox): Promise<ArcGISQueryResult> {
+    if (!this.tileCache || !this.config.cache) {
+      const { features, attempts, complete } = await this.queryEnvelope(bbox);
+      const warnings = attempts > 1 ? [`${this.config.name} responded after ${attempts} attempts`] : [];
+      if (!complete) {
+        warnings.push(`${this.config.name} transfer limit still exceeded after ${this.maxPages} pages; features may be missing`);
+      }
+      return { collection: { type: 'FeatureCollection', features }, warnings, complete };
+    }
+
+    const tileCache = this.tileCache;
+    const quadkeys = tilesForBBox(bbox, this.config.cache.tileZoom).map(tileToQuadkey);
+    const tileFeatures = new Map<string, RestrictionFeature[]>();
+    const missing: string[] = [];
+
+    quadkeys.forEach(quadkey => {
+      const cached = tileCache.get(quadkey);
+      if (cached) {
+        tileFeatures.set(quadkey, cached);
+      } else {
+        missing.push(quadkey);
+      }
+    });
+
+    // Fetch missing tiles a few at a time; tiles that succeed are cached
+    // even if another tile fails, but any failure fails the whole query
+    const warnings: string[] = [];
+    const failures: unknown[] = [];
+    let complete = true;
+
+    for (let i = 0; i < missing.length; i += this.MAX_CONCURRENT_TILES) {
+      const batch = missing.slice(i, i + this.MAX_CONCURRENT_TILES);
+      const settled = await Promise.allSettled(batch.map(quadkey => this.queryEnvelope(tileBounds(quadkeyToTile(quadkey)))));
+
+      settled.forEach((outcome, index) => {
+        const quadkey = batch[index];
+        if (outcome.status === 'fulfilled') {
+          const { features, attempts, complete: tileComplete } = outcome.value;
+          tileFeatures.set(quadkey, features);
+          if (attempts > 1) {
+            warnings.push(`${this.config.name} responded after ${attempts} attempts for tile ${quadkey}`);
+          }
+
+          // Never cache a partial tile; it would be served as complete later
+          if (tileComplete) {
+            tileCache.set(quadkey, features);
+          } else {
+            complete = false;
+            warnings.push(`${this.config.name} transfer limit still exceeded after ${this.maxPages} pages for tile ${quadkey}; features may be missing`);
+          }
+        } else {
+          failures.push(outcome.reason);
+        }
+      });
+    }
+
+    if (failures.length > 0) {
+      throw failures[0];
+    }
+
+    // Features straddling tile edges are returned for every tile they touch
+    const features = new Map<string, RestrictionFeature>();
+    tileFeatures.forEach(tile => tile.forEach(feature => {
+      if (!features.has(feature.properties.id) && intersectsBBox(feature, bbox)) {
+        features.set(feature.properties.id, feature);
+      }
+    }));
+
+    return {
+      collection: {
+        type: 'FeatureCollection',
+        features: Array.from(features.values())
+      },
+      warnings,
+      complete
+    };
+  }
+
+  /**
+   * Query the layer for a single envelope
+   *
+   * If the envelope still exceeds the transfer limit after maxPages, it is
+   * split into quadrants that are queried separately (up to maxSplitDepth).
+   */
+  private async queryEnvelope(bbox: BoundingBox, depth: number = 0): Promise<EnvelopeQueryResult> {
+    const result = await this.queryEnvelopePages(bbox);
+    if (result.complete || depth >= this.maxSplitDepth) {
+      return result;
+    }
+
+    console.warn(`${this.config.name} transfer limit exceeded for envelope ${bbox.join(',')}, splitting into quadrants`);
+    const quadrants = await Promise.all(splitBBox(bbox).map(quadrant => this.queryEnvelope(quadrant, depth + 1)));
+
+    const features = new Map<string, RestrictionFeature>();
+    quadrants.forEach(quadrant => quadrant.features.forEach(f => features.set(f.properties.id, f)));
+
+    return {
+      features: Array.from(features.values()),
+      attempts: Math.max(...quadrants.map(q => q.attempts)),
+      complete: quadrants.every(q => q.complete)
+    };
+  }
+
+  /**
+   * Page through an envelope with resultOffset/resultRecordCount until
+   * ArcGIS stops reporting exceededTransferLimit or the page cap is hit
+   */
+  private async queryEnvelopePages(bbox: BoundingBox): Promise<EnvelopeQueryResult> {
+    const envelope = bbox.join(',');
+    const features = new Map<string, RestrictionFeature>();
+    let offset = 0;
+    let pages = 0;
+    let maxAttempts = 0;
+    let exceededTransferLimit = true;
+
+    while (exceededTransferLimit && pages < this.maxPages) {
+      const { value: response, attempts } = await this.circuitBreaker.execute(() =>
+        retryWithBackoff(() => axios.get(this.queryUrl, {
+          params: {
+            f: 'json',
+            where: this.config.where || '1=1',
+            geometry: envelope,
+            geometryType: 'esriGeometryEnvelope',
+            inSR: '4326',
+            spatialRel: 'esriSpatialRelIntersects',
+            outFields: '*',
+            returnGeometry: 'true',
+            outSR: '4326',
+            // Stable ordering is required for offset paging
+            orderByFields: this.config.orderByField || 'OBJECTID',
+            resultOffset: offset,
+            resultRecordCount: this.pageSize
+          },
+          timeout: this.API_TIMEOUT
+        }).then(assertArcGISSuccess), this.RETRY_OPTIONS)
+      );
+
+      pages++;
+      maxAttempts = Math.max(maxAttempts, attempts);
+
+      // Transform ArcGIS JSON to GeoJSON, de-duplicating by mapped id across pages
+      const pageRecords = response.data.features?.length || 0;
+      this.transformResponse(response.data).forEach(f => features.set(f.properties.id, f));
+
+      offset += pageRecords;
+      exceededTransferLimit = response.data.exceededTransferLimit === true && pageRecords > 0;
+    }
+
+    return {
+      features: Array.from(features.values()),
+      attempts: maxAttempts,
+      complete: !exceededTransferLimit
+    };
+  }
+
+  /**
+   * Convert an ArcGIS JSON response to restriction features
+   * @param data ArcGIS JSON query response
+   */
+  private transformResponse(data: any): RestrictionFeature[] {
+    // Features without usable geometry are dropped during conversion
+    return convertESRIFeatures(data.features || [], this.config.name)
+      .map(feature => mapRestrictionFeature(this.config.restriction, feature.geometry, feature.attributes));
+  }
+}
+
+/**
+ * Split an envelope into four equal quadrants
+ */
+function splitBBox([minX, minY, maxX, maxY]: BoundingBox): BoundingBox[] {
+  const midX = (minX + maxX) / 2;
+  const midY = (minY + maxY) / 2;
+  return [
+    [minX, minY, midX, midY],
+    [midX, minY, maxX, midY],
+    [minX, midY, midX, maxY],
+    [midX, midY, maxX, maxY]
+  ];
+}
+
+/**
+ * Checks whether a feature's bounding box overlaps an envelope
+ */
+function intersectsBBox(feature: RestrictionFeature, bbox: BoundingBox): boolean {
+  const [minX, minY, maxX, maxY] = turf.bbox(feature as any);
+  return minX <= bbox[2] && maxX >= bbox[0] && minY <= bbox[3] && maxY >= bbox[1];
+}
+
+/**
+ * ArcGIS reports query errors with HTTP 200 and an error body,
+ * so treat those as failures too
+ */
+function assertArcGISSuccess(response: AxiosResponse): AxiosResponse {
+  if (response.data?.error) {
+    const { code, message } = response.data.error;
+    const error: Error & { arcgisCode?: number } = new Error(`ArcGIS error ${code}: ${message}`);
+    error.arcgisCode = code;
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * Network errors, timeouts, 429 and 5xx responses are worth retrying;
+ * other 4xx responses and malformed queries are not
+ */
+function isTransientError(error: unknown): boolean {
+  if (axios.isAxiosError(error)) {
+    const status = error.response?.status;
+    return status === undefined || status === 429 || status >= 500;
+  }
+
+  const arcgisCode = (error as { arcgisCode?: number })?.arcgisCode;
+  return arcgisCode === undefined || arcgisCode === 429 || arcgisCode >= 500;
+}
+
+function describeError(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
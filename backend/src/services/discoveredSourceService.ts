@@ -0,0 +1,149 @@
+import axios from 'axios';
+import {
+  BoundingBox,
+  ConfidenceLevel,
+  ProviderResult,
+  RestrictionFeature,
+  SourceRecord
+} from '../types';
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+import { convertESRIFeatures } from '../utils/esriGeometry';
+
+/**
+ * Features from one page of a source, plus whether more were left behind
+ */
+interface SourcePage {
+  records: Array<{ geometry: GeoJSONGeometry; attributes: Record<string, any> }>;
+  truncated: boolean;
+}
+
+/**
+ * Queries approved discovered sources for restriction areas
+ *
+ * Each source is read once per search, up to MAX_FEATURES features, and
+ * its attributes are mapped through the source's field mapping. Every
+ * feature is LOW confidence: the source was found by a model and checked
+ * by a person, but its meaning is not verified feature by feature.
+ */
+export class DiscoveredSourceService {
+  private readonly API_TIMEOUT = 10000;
+  private readonly MAX_FEATURES = 1000;
+
+  /**
+   * Restrictions from every source within a bounding box
+   *
+   * A source that fails or returns more than MAX_FEATURES features marks
+   * the result incomplete instead of failing the others.
+   */
+  async getRestrictions(sources: SourceRecord[], bbox: BoundingBox): Promise<ProviderResult> {
+    const warnings: string[] = [];
+    const features: RestrictionFeature[] = [];
+    let complete = true;
+
+    await Promise.all(sources.map(async source => {
+      try {
+        const page = source.protocol === 'arcgis'
+          ? await this.queryArcGIS(source, bbox)
+          : await this.queryWFS(source, bbox);
+
+        features.push(...page.records.map((record, index) => this.toFeature(source, record, index)));
+        if (page.truncated) {
+          complete = false;
+          warnings.push(`${source.name}: more than ${this.MAX_FEATURES} features, some were not read`);
+        }
+      } catch (error) {
+        complete = false;
+        warnings.push(`${source.name}: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }));
+
+    return { collection: { type: 'FeatureCollection', features }, warnings, complete };
+  }
+
+  private async queryArcGIS(source: SourceRecord, [minX, minY, maxX, maxY]: BoundingBox): Promise<SourcePage> {
+    const { data } = await axios.get(`${source.url.replace(/\/+$/, '')}/query`, {
+      params: {
+        f: 'json',
+        geometry: `${minX},${minY},${maxX},${maxY}`,
+        geometryType: 'esriGeometryEnvelope',
+        inSR: '4326',
+        spatialRel: 'esriSpatialRelIntersects',
+        outFields: '*',
+        returnGeometry: 'true',
+        outSR: '4326',
+        resultRecordCount: this.MAX_FEATURES
+      },
+      timeout: this.API_TIMEOUT
+    });
+
+    if (data?.error) {
+      throw new Error(`ArcGIS error ${data.error.code}: ${data.error.message}`);
+    }
+
+    return {
+      records: convertESRIFeatures(data?.features || [], source.name),
+      truncated: data?.exceededTransferLimit === true
+    };
+  }
+
+  private async queryWFS(source: SourceRecord, [minX, minY, maxX, maxY]: BoundingBox): Promise<SourcePage> {
+    const { data } = await axios.get(source.url, {
+      params: {
+        service: 'WFS',
+        version: '2.0.0',
+        request: 'GetFeature',
+        typeNames: source.layer,
+        // CRS84 is longitude/latitude, unlike EPSG:4326 in WFS 2.0
+        bbox: `${minX},${minY},${maxX},${maxY},urn:ogc:def:crs:OGC:1.3:CRS84`,
+        srsName: 'urn:ogc:def:crs:OGC:1.3:CRS84',
+        outputFormat: 'application/json',
+        count: this.MAX_FEATURES + 1
+      },
+      timeout: this.API_TIMEOUT
+    });
+
+    if (!Array.isArray(data?.features)) {
+      throw new Error('WFS response is not GeoJSON');
+    }
+
+    const records = data.features
+      .filter((feature: any) => feature?.geometry)
+      .map((feature: any) => ({ geometry: feature.geometry as GeoJSONGeometry, attributes: feature.properties || {} }));
+    return { records: records.slice(0, this.MAX_FEATURES), truncated: records.length > this.MAX_FEATURES };
+  }
+
+  private toFeature(source: SourceRecord, record: SourcePage['records'][number], index: number): RestrictionFeature {
+    const { fieldMapping } = source;
+    const attribute = (field?: string) => (field && record.attributes[field] != null ? String(record.attributes[field]) : undefined);
+    const name = attribute(fieldMapping.name) || source.name;
+    const kind = attribute(fieldMapping.kind);
+    const maxAGL = Number(attribute(fieldMapping.maxAGL));
+
+    return {
+      type: 'Feature',
+      geometry: record.geometry,
+      properties: {
+        id: `${source.id}-${record.attributes.OBJECTID ?? record.attributes.objectid ?? index}`,
+        geometry: record.geometry,
+        category: source.category,
+        type: source.restrictionType,
+        authority: source.name,
+        description: attribute(fieldMapping.description) || [name, kind].filter(Boolean).join(' - '),
+        sourceUrl: source.url,
+        confidenceLevel: ConfidenceLevel.LOW,
+        jurisdiction: source.jurisdiction,
+        name,
+        city: source.jurisdiction.city || source.jurisdiction.county,
+        source: `${source.name} (discovered)`,
+        notes: source.notes || 'Discovered municipal GIS source, approved for use; verify locally before flying',
+        ...(kind ? { kind } : {}),
+        ...(Number.isFinite(maxAGL) ? { maxAGL } : {}),
+        discoveredSourceId: source.id,
+        metadata: {
+          dataSource: source.url,
+          lastVerified: source.reviewedAt
+        }
+      }
+    };
+  }
+}
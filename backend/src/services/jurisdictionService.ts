@@ -0,0 +1,316 @@
+import fs from 'fs';
+import * as turf from '@turf/turf';
+import { feature } from 'topojson-client';
+import { Topology, GeometryObject } from 'topojson-specification';
+import { Feature, FeatureCollection, MultiPolygon, Polygon } from 'geojson';
+import { BoundingBox, Jurisdiction, RestrictionFeatureCollection } from '../types';
+import { ValidationError } from '../errors';
+import { jurisdictionQuerySchema } from '../validation/requestSchemas';
+import { validateSchema } from '../validation/schema';
+
+/**
+ * A boundary polygon with its precomputed bounding box
+ */
+interface Boundary {
+  id: string;
+  name: string;
+  bbox: BoundingBox;
+  geometry: Polygon | MultiPolygon;
+}
+
+/**
+ * Plug-in that resolves the city (incorporated place) at a point
+ *
+ * Countries, states and counties come from bundled boundary data; city
+ * limits are too large to bundle for every country, so they are added per
+ * deployment. A source is only asked about points inside a state it covers.
+ */
+export interface CityBoundarySource {
+  name: string;
+
+  /**
+   * Name of the city containing the point, if any
+   * @param within Country, state and county already resolved for the point
+   */
+  resolveCity(lat: number, lng: number, within: Jurisdiction): string | undefined;
+}
+
+/**
+ * City boundaries read from a GeoJSON FeatureCollection
+ *
+ * Each feature needs a `name` property; an optional `state` property
+ * (full state name) limits it to points in that state.
+ */
+export class GeoJSONCityBoundaries implements CityBoundarySource {
+  private boundaries: Array<Boundary & { state?: string }>;
+
+  constructor(readonly name: string, collection: FeatureCollection) {
+    this.boundaries = collection.features
+      .filter((f): f is Feature<Polygon | MultiPolygon> =>
+        !!f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon') && !!f.properties?.name)
+      .map((f, index) => ({
+        ...toBoundary(f, String(f.id ?? index), String(f.properties!.name)),
+        ...(f.properties!.state ? { state: String(f.properties!.state) } : {})
+      }));
+  }
+
+  /**
+   * Load city boundaries from a GeoJSON file
+   */
+  static fromFile(filePath: string): GeoJSONCityBoundaries {
+    const collection = JSON.parse(fs.readFileSync(filePath, 'utf8')) as FeatureCollection;
+    return new GeoJSONCityBoundaries(filePath, collection);
+  }
+
+  resolveCity(lat: number, lng: number, within: Jurisdiction): string | undefined {
+    const candidates = this.boundaries.filter(b => !b.state || b.state === within.state);
+    return findContaining(candidates, lng, lat)?.name;
+  }
+}
+
+// Country names as the rest of the API spells them
+const COUNTRY_NAMES: Record<string, string> = {
+  'United States of America': 'United States'
+};
+
+const US_COUNTRY = 'United States';
+
+// Most points sampled along a search area outline when resolving its jurisdictions
+const MAX_OUTLINE_SAMPLES = 32;
+
+/**
+ * Resolves coordinates to the country, state, county and city they fall in
+ *
+ * Works offline from boundaries bundled with the world-atlas (countries,
+ * 1:50m) and us-atlas (US states and counties, 1:10m) packages. US states
+ * and counties are checked first, so points near a border resolve to the
+ * more detailed US data. City limits come from registered
+ * CityBoundarySource plug-ins.
+ */
+export class JurisdictionService {
+  private countries: Boundary[] | null = null;
+  private states: Boundary[] | null = null;
+  private counties: Boundary[] | null = null;
+  private citySources: CityBoundarySource[] = [];
+
+  /**
+   * Add a source of city boundaries. Sources are asked in registration
+   * order and the first match wins.
+   */
+  registerCityBoundaries(source: CityBoundarySource): this {
+    this.citySources.push(source);
+    return this;
+  }
+
+  /**
+   * Boundary datasets used for lookups
+   */
+  getSources(): string[] {
+    return [
+      'world-atlas countries-50m',
+      'us-atlas states-10m',
+      'us-atlas counties-10m',
+      ...this.citySources.map(source => source.name)
+    ];
+  }
+
+  /**
+   * Jurisdiction containing a point
+   * @returns null over open water or anywhere outside every country boundary
+   */
+  resolve(lat: number, lng: number): Jurisdiction | null {
+    this.load();
+
+    const state = findContaining(this.states!, lng, lat);
+    let jurisdiction: Jurisdiction;
+
+    if (state) {
+      jurisdiction = { country: US_COUNTRY, state: state.name };
+
+      // County FIPS codes start with their state's code
+      const county = findContaining(this.counties!.filter(c => c.id.startsWith(state.id)), lng, lat);
+      if (county) jurisdiction.county = county.name;
+    } else {
+      const country = findContaining(this.countries!, lng, lat);
+      if (!country) return null;
+      jurisdiction = { country: COUNTRY_NAMES[country.name] || country.name };
+    }
+
+    for (const source of this.citySources) {
+      const city = source.resolveCity(lat, lng, jurisdiction);
+      if (city) {
+        jurisdiction.city = city;
+        break;
+      }
+    }
+
+    return jurisdiction;
+  }
+
+  /**
+   * Every distinct jurisdiction touched by a search area
+   *
+   * Samples the center and points along the outline, so a jurisdiction
+   * that only clips the area between two samples can be missed.
+   */
+  resolveArea(searchArea: RestrictionFeatureCollection, center: [number, number]): Jurisdiction[] {
+    const outline = turf.explode(searchArea as FeatureCollection).features.map(point => point.geometry.coordinates);
+    const step = Math.max(1, Math.ceil(outline.length / MAX_OUTLINE_SAMPLES));
+    const samples = [center, ...outline.filter((_, index) => index % step === 0)];
+
+    const found = new Map<string, Jurisdiction>();
+    for (const [lng, lat] of samples) {
+      const jurisdiction = this.resolve(lat, lng);
+      if (jurisdiction) found.set(jurisdictionKey(jurisdiction), jurisdiction);
+    }
+    return Array.from(found.values());
+  }
+
+  /**
+   * Fill in each restriction's jurisdiction from a point on its geometry
+   *
+   * Resolved fields replace the provider's placeholder values; fields
+   * that could not be resolved (e.g. a city without a boundary plug-in)
+   * keep whatever the provider reported.
+   */
+  annotate(collection: RestrictionFeatureCollection): RestrictionFeatureCollection {
+    return {
+      ...collection,
+      features: collection.features.map(restriction => {
+        const anchor = representativePoint(restriction.geometry as Feature['geometry']);
+        const resolved = anchor ? this.resolve(anchor[1], anchor[0]) : null;
+        if (!resolved) return restriction;
+
+        return {
+          ...restriction,
+          properties: {
+            ...restriction.properties,
+            jurisdiction: { ...restriction.properties.jurisdiction, ...resolved }
+          }
+        };
+      })
+    };
+  }
+
+  /**
+   * Decode the bundled TopoJSON boundaries on first use
+   */
+  private load(): void {
+    if (this.countries) return;
+
+    const world = require('world-atlas/countries-50m.json') as Topology;
+    const us = require('us-atlas/counties-10m.json') as Topology;
+
+    this.countries = boundariesOf(world, 'countries');
+    this.states = boundariesOf(us, 'states');
+    this.counties = boundariesOf(us, 'counties');
+  }
+}
+
+let jurisdictionService: JurisdictionService | null = null;
+
+/**
+ * Shared jurisdiction resolver
+ *
+ * Set CITY_BOUNDARIES_FILE to a GeoJSON FeatureCollection of city limits
+ * (see GeoJSONCityBoundaries) to resolve cities as well.
+ */
+export function getJurisdictionService(): JurisdictionService {
+  if (!jurisdictionService) {
+    jurisdictionService = new JurisdictionService();
+    if (process.env.CITY_BOUNDARIES_FILE) {
+      jurisdictionService.registerCityBoundaries(GeoJSONCityBoundaries.fromFile(process.env.CITY_BOUNDARIES_FILE));
+    }
+  }
+  return jurisdictionService;
+}
+
+/**
+ * Validate the lat/lng query string of GET /api/jurisdiction
+ * @throws ValidationError listing every invalid field
+ */
+export function validateJurisdictionQuery(query: Record<string, unknown>): { lat: number; lng: number } {
+  // Query string values arrive as strings; numeric ones are checked as numbers
+  const values = Object.fromEntries(Object.entries(query).map(([name, value]) => [
+    name,
+    typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value
+  ]));
+
+  const issues = validateSchema(jurisdictionQuerySchema, values);
+  if (issues.length > 0) {
+    throw new ValidationError('Invalid jurisdiction request', issues);
+  }
+
+  return { lat: values.lat as number, lng: values.lng as number };
+}
+
+/**
+ * Two jurisdictions are the same when every level matches
+ */
+export function jurisdictionKey(jurisdiction: Jurisdiction): string {
+  return [jurisdiction.country, jurisdiction.state, jurisdiction.county, jurisdiction.city].join('|');
+}
+
+/**
+ * Whether a jurisdiction lies inside a coverage jurisdiction; levels the
+ * coverage leaves out match anything
+ */
+export function jurisdictionCovers(coverage: Jurisdiction, jurisdiction: Jurisdiction): boolean {
+  return coverage.country === jurisdiction.country &&
+    (!coverage.state || coverage.state === jurisdiction.state) &&
+    (!coverage.county || coverage.county === jurisdiction.county) &&
+    (!coverage.city || coverage.city === jurisdiction.city);
+}
+
+function boundariesOf(topology: Topology, objectName: string): Boundary[] {
+  const collection = feature(topology, topology.objects[objectName] as GeometryObject) as FeatureCollection;
+
+  return collection.features
+    .filter((f): f is Feature<Polygon | MultiPolygon> =>
+      !!f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon'))
+    .map(f => toBoundary(unwrapAntimeridian(f), String(f.id), String(f.properties?.name)));
+}
+
+/**
+ * Make rings that jump across the antimeridian (Russia, Fiji, the
+ * Aleutians) continuous by letting longitudes run past ±180; lookups then
+ * also try the point shifted by 360 degrees
+ */
+function unwrapAntimeridian(f: Feature<Polygon | MultiPolygon>): Feature<Polygon | MultiPolygon> {
+  const unwrapRing = (ring: number[][]) => {
+    let previous = ring[0][0];
+    return ring.map(([lng, lat]) => {
+      let unwrapped = lng;
+      while (unwrapped - previous > 180) unwrapped -= 360;
+      while (previous - unwrapped > 180) unwrapped += 360;
+      previous = unwrapped;
+      return [unwrapped, lat];
+    });
+  };
+
+  const geometry: Polygon | MultiPolygon = f.geometry.type === 'Polygon'
+    ? { type: 'Polygon', coordinates: f.geometry.coordinates.map(unwrapRing) }
+    : { type: 'MultiPolygon', coordinates: f.geometry.coordinates.map(polygon => polygon.map(unwrapRing)) };
+  return { ...f, geometry };
+}
+
+function toBoundary(f: Feature<Polygon | MultiPolygon>, id: string, name: string): Boundary {
+  return { id, name, bbox: turf.bbox(f) as BoundingBox, geometry: f.geometry };
+}
+
+function findContaining<T extends Boundary>(boundaries: T[], lng: number, lat: number): T | undefined {
+  return boundaries.find(b => [lng, lng - 360, lng + 360].some(x =>
+    x >= b.bbox[0] && x <= b.bbox[2] && lat >= b.bbox[1] && lat <= b.bbox[3] &&
+    turf.booleanPointInPolygon([x, lat], b.geometry)));
+}
+
+/**
+ * A point guaranteed to lie on the geometry, or null for empty geometries
+ */
+function representativePoint(geometry: Feature['geometry']): [number, number] | null {
+  try {
+    return turf.pointOnFeature(geometry as Polygon).geometry.coordinates as [number, number];
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,76 @@
+import fs from 'fs';
+import axios from 'axios';
+import { NotConfiguredError, UpstreamError } from '../errors';
+
+/**
+ * One message of a chat-completions conversation
+ */
+export interface ChatMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+const DEFAULT_LLM_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+
+/**
+ * Client for an OpenAI-compatible chat-completions endpoint
+ *
+ * Defaults to OpenRouter. Configured through:
+ * - LLM_API_URL: endpoint URL; point it at a local server (e.g. a mock or
+ *   Ollama) to run without a hosted model
+ * - LLM_API_KEY (or OPENROUTER_API_KEY): bearer token, required for the
+ *   default OpenRouter endpoint and sent to any other endpoint when set
+ * - LLM_MODEL: model name sent with each request
+ * - LLM_TIMEOUT_MS: request timeout (default 60 seconds)
+ * - LLM_FIXTURE_FILE: read a saved chat-completions response from this
+ *   file instead of calling any endpoint
+ *
+ * Keys are only ever read from the environment.
+ */
+export class ChatCompletionClient {
+  private readonly API_URL = process.env.LLM_API_URL || DEFAULT_LLM_API_URL;
+  private readonly API_KEY = process.env.LLM_API_KEY || process.env.OPENROUTER_API_KEY;
+  private readonly MODEL = process.env.LLM_MODEL || 'meta-llama/llama-3.3-70b-instruct:free';
+  private readonly TIMEOUT = Number(process.env.LLM_TIMEOUT_MS) || 60000;
+  private readonly FIXTURE_FILE = process.env.LLM_FIXTURE_FILE;
+
+  /**
+   * Text of the model's reply
+   * @throws NotConfiguredError when the default endpoint is used without a key
+   * @throws UpstreamError when the endpoint fails or returns no reply
+   */
+  async complete(messages: ChatMessage[]): Promise<string> {
+    let response: any;
+
+    if (this.FIXTURE_FILE) {
+      response = JSON.parse(await fs.promises.readFile(this.FIXTURE_FILE, 'utf8'));
+    } else {
+      if (this.API_URL === DEFAULT_LLM_API_URL && !this.API_KEY) {
+        throw new NotConfiguredError('Source discovery needs LLM_API_KEY (or OPENROUTER_API_KEY), or LLM_API_URL pointing at a local endpoint');
+      }
+
+      try {
+        const { data } = await axios.post(this.API_URL, {
+          model: this.MODEL,
+          messages,
+          temperature: 0
+        }, {
+          headers: {
+            'Content-Type': 'application/json',
+            ...(this.API_KEY ? { Authorization: `Bearer ${this.API_KEY}` } : {})
+          },
+          timeout: this.TIMEOUT
+        });
+        response = data;
+      } catch (error) {
+        throw new UpstreamError(`Chat-completions request failed: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }
+
+    const content = response?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string' || content.trim() === '') {
+      throw new UpstreamError('Chat-completions response has no message content');
+    }
+    return content;
+  }
+}
@@ -0,0 +1,142 @@
+import {
+  ConfidenceLevel,
+  NotamError,
+  NotamInput,
+  NotamResponse,
+  RestrictionCategory,
+  RestrictionFeature,
+  RestrictionType,
+  TimeWindow
+} from '../types';
+import { NotamRestriction } from '../../../shared/types/RestrictionLayer';
+import { FieldIssueCode, ValidationError } from '../errors';
+import { validateSchema } from '../validation/schema';
+import { MAX_NOTAMS_PER_REQUEST, notamsRequestSchema } from '../validation/requestSchemas';
+import { isNotamActive, NotamLimit, parseNotam, ParsedNotam, splitNotams } from '../utils/notamParser';
+import { getJurisdictionService, JurisdictionService } from './jurisdictionService';
+
+/**
+ * Turns batches of ICAO NOTAM text into restriction features
+ *
+ * Each NOTAM is parsed on its own: one that cannot be read is reported in
+ * `errors` and the rest of the batch is still returned. NOTAMs are
+ * airspace restrictions, so they use the FAA (airspace authority) category.
+ */
+export class NotamService {
+  constructor(private jurisdictions: JurisdictionService = getJurisdictionService()) {}
+
+  /**
+   * Parse a batch of NOTAMs
+   * @param input NOTAM text and the time to evaluate them at
+   * @returns Restriction features and the NOTAMs that could not be parsed
+   * @throws ValidationError when the request is malformed or has too many NOTAMs
+   */
+  parseBatch(input: NotamInput): NotamResponse {
+    const issues = validateSchema(notamsRequestSchema, input);
+    if (issues.length > 0) {
+      throw new ValidationError('Invalid NOTAM request', issues);
+    }
+
+    const texts = splitNotams(input.text);
+    if (texts.length === 0 || texts.length > MAX_NOTAMS_PER_REQUEST) {
+      throw new ValidationError('Invalid NOTAM request', [{
+        field: 'text',
+        code: FieldIssueCode.OUT_OF_RANGE,
+        message: `text must contain between 1 and ${MAX_NOTAMS_PER_REQUEST} NOTAMs (found ${texts.length})`
+      }]);
+    }
+
+    const instant = input.time ? new Date(input.time) : new Date();
+    const when: TimeWindow = { start: instant, end: instant };
+    const features: RestrictionFeature[] = [];
+    const errors: NotamError[] = [];
+
+    texts.forEach((text, index) => {
+      const notamId = /^\(?\s*([A-Z]\d{4}\/\d{2})/.exec(text)?.[1];
+
+      try {
+        const notam = parseNotam(text);
+        if (notam.kind === 'NOTAMC') {
+          errors.push({ index, notamId, message: `${notam.id} is a cancellation; it does not define a restriction` });
+          return;
+        }
+        features.push(this.toFeature(notam, when));
+      } catch (error) {
+        errors.push({ index, notamId, message: error instanceof Error ? error.message : String(error) });
+      }
+    });
+
+    console.log(`Parsed ${features.length} of ${texts.length} NOTAMs`);
+    return { notams: this.jurisdictions.annotate({ type: 'FeatureCollection', features }), errors };
+  }
+
+  private toFeature(notam: ParsedNotam, when: TimeWindow): RestrictionFeature {
+    const properties: NotamRestriction = {
+      id: `notam-${notam.id.replace('/', '-')}`,
+      geometry: notam.geometry,
+      category: RestrictionCategory.FAA,
+      type: restrictionTypeFor(notam.code),
+      authority: `NOTAM office ${notam.locations[0] || notam.fir}`,
+      description: `NOTAM ${notam.id} - ${notam.description || notam.code}` +
+        ` (${formatLimit(notam.lower)} to ${formatLimit(notam.upper)})`,
+      sourceUrl: '',
+      confidenceLevel: ConfidenceLevel.HIGH,
+      jurisdiction: { country: notam.fir.startsWith('K') ? 'United States' : 'Unknown' },
+      metadata: {
+        dataSource: 'ICAO NOTAM (user supplied)',
+        updatedAt: new Date().toISOString()
+      },
+      notamNumber: notam.id,
+      notamCode: notam.code,
+      fir: notam.fir,
+      effectiveDate: notam.validFrom,
+      expirationDate: notam.validTo,
+      scheduleText: notam.schedule,
+      validityPeriods: notam.validityPeriods,
+      active: isNotamActive(notam, when),
+      altitudeFloor: notam.lower.feet,
+      altitudeFloorReference: notam.lower.reference,
+      altitudeCeiling: Number.isFinite(notam.upper.feet) ? notam.upper.feet : null,
+      altitudeCeilingReference: notam.upper.reference,
+      text: notam.text,
+      name: `NOTAM ${notam.id}`,
+      geometrySource: notam.geometrySource,
+      source: 'NOTAM'
+    };
+
+    const notes: string[] = [];
+    if (notam.validToEstimated) {
+      notes.push('End of validity is estimated (EST); expect a replacement or cancellation NOTAM');
+    }
+    if (!notam.scheduleParsed) {
+      notes.push(`Schedule "${notam.schedule}" could not be interpreted; shown as active for the whole validity period`);
+    }
+    if (notes.length > 0) {
+      properties.notes = notes.join(' | ');
+    }
+
+    return { type: 'Feature', properties, geometry: notam.geometry };
+  }
+}
+
+/**
+ * Restriction severity from the Q code subject (second and third letters):
+ * prohibited, restricted and temporary reserved/segregated areas are NO_FLY;
+ * controlled airspace changes need authorization; danger areas, warnings
+ * and everything else are advisory
+ */
+function restrictionTypeFor(code: string): RestrictionType {
+  const subject = code.slice(1, 3);
+  if (['RP', 'RR', 'RT', 'RA', 'RM'].includes(subject)) return RestrictionType.NO_FLY;
+  if (subject.startsWith('A')) return RestrictionType.AUTH_REQUIRED;
+  return RestrictionType.ADVISORY;
+}
+
+function formatLimit(limit: NotamLimit): string {
+  switch (limit.reference) {
+    case 'SFC': return 'surface';
+    case 'UNL': return 'unlimited';
+    case 'STD': return `FL${Math.round(limit.feet / 100)}`;
+    default: return `${limit.feet} ft ${limit.reference}`;
+  }
+}
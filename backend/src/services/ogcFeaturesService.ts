@@ -0,0 +1,253 @@
+import axios from 'axios';
+import { BoundingBox, OGCFeaturesSourceConfig, ProviderResult, RestrictionFeature } from '../types';
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+import { CircuitBreaker, RetryOptions, retryWithBackoff } from '../utils/resilience';
+import { parseGMLFeatureCollection } from '../utils/gml';
+import { CRS84, createTransform, isNorthingFirst, PositionTransform, transformGeometry } from '../utils/reproject';
+import { mapRestrictionFeature } from '../utils/sourceMapping';
+
+/**
+ * Tuning options for OGCFeaturesService, overriding the source config
+ */
+export interface OGCFeaturesOptions {
+  /** Features requested per page (WFS count, OGC API limit) */
+  pageSize?: number;
+  /** Maximum pages fetched for one query */
+  maxPages?: number;
+}
+
+/**
+ * A page request: a URL plus query parameters, or a server-provided next link
+ */
+interface PageRequest {
+  url: string;
+  params?: Record<string, string | number>;
+}
+
+/**
+ * Features of one page, still in the source CRS
+ */
+interface SourcePage {
+  records: Array<{ geometry: GeoJSONGeometry | null; attributes: Record<string, any>; crs: string }>;
+  next: PageRequest | null;
+}
+
+// Default WFS CRS; its URN form is unambiguous about latitude-first axis order
+const WFS_DEFAULT_CRS = 'urn:ogc:def:crs:EPSG::4326';
+
+/**
+ * Adapter for OGC WFS 2.0 feature types and OGC API - Features collections
+ *
+ * Each query asks for the features intersecting the search envelope
+ * (WFS GetFeature with a bbox, or /collections/{id}/items?bbox=) and
+ * follows paging until the server has no more: `next` links where the
+ * server gives them, otherwise WFS startIndex. Responses may be GeoJSON or
+ * GML 3.2; positions are reprojected from the response CRS to WGS84 and
+ * each feature is mapped through the config's restriction mapping, the
+ * same way as ArcGIS sources.
+ *
+ * Transient failures are retried with backoff behind a circuit breaker;
+ * anything still failing is thrown so the source is reported unavailable.
+ */
+export class OGCFeaturesService {
+  private readonly API_TIMEOUT = 10000;
+  private readonly RETRY_OPTIONS: RetryOptions = {
+    retries: 2,
+    baseDelay: 500,
+    maxDelay: 4000,
+    shouldRetry: isTransientError,
+    onRetry: (error, attempt, delay) =>
+      console.warn(`${this.config.name} attempt ${attempt} failed (${describeError(error)}), retrying in ${delay}ms`)
+  };
+
+  private circuitBreaker: CircuitBreaker;
+  private pageSize: number;
+  private maxPages: number;
+  private transforms = new Map<string, PositionTransform>();
+
+  constructor(private readonly config: OGCFeaturesSourceConfig, options: OGCFeaturesOptions = {}) {
+    this.circuitBreaker = new CircuitBreaker(`${config.name} ${config.protocol === 'wfs' ? 'WFS' : 'OGC API'}`, {
+      failureThreshold: 5,
+      resetTimeout: 30000
+    });
+    this.pageSize = options.pageSize || config.paging?.pageSize || 500;
+    this.maxPages = options.maxPages || config.paging?.maxPages || 10;
+  }
+
+  /**
+   * Get restrictions intersecting a bounding envelope
+   * @param bbox Envelope as [minLng, minLat, maxLng, maxLat]
+   * @returns Promise resolving to the transformed features and any warnings
+   * @throws When the service cannot be reached after retries, answers with an exception or the circuit is open
+   */
+  async getRestrictionsInEnvelope(bbox: BoundingBox): Promise<ProviderResult> {
+    const features = new Map<string, RestrictionFeature>();
+    const warnings: string[] = [];
+    let request: PageRequest | null = this.firstPage(bbox);
+    let pages = 0;
+    let maxAttempts = 0;
+    let dropped = 0;
+
+    while (request && pages < this.maxPages) {
+      const current: PageRequest = request;
+      const { value: page, attempts } = await this.circuitBreaker.execute(() =>
+        retryWithBackoff(() => this.fetchPage(current), this.RETRY_OPTIONS)
+      );
+
+      pages++;
+      maxAttempts = Math.max(maxAttempts, attempts);
+
+      page.records.forEach(record => {
+        if (!record.geometry) {
+          dropped++;
+          return;
+        }
+        const geometry = transformGeometry(record.geometry, this.transformFor(record.crs));
+        const feature = mapRestrictionFeature(this.config.restriction, geometry, record.attributes);
+        // De-duplicate by mapped id across pages
+        features.set(feature.properties.id, feature);
+      });
+
+      request = page.next;
+    }
+
+    if (maxAttempts > 1) {
+      warnings.push(`${this.config.name} responded after ${maxAttempts} attempts`);
+    }
+    if (dropped > 0) {
+      console.warn(`${this.config.name}: dropped ${dropped} feature(s) with missing or unsupported geometry`);
+    }
+    const complete = request === null;
+    if (!complete) {
+      warnings.push(`${this.config.name} still had more features after ${this.maxPages} pages; some may be missing`);
+    }
+
+    return { collection: { type: 'FeatureCollection', features: Array.from(features.values()) }, warnings, complete };
+  }
+
+  private firstPage([minX, minY, maxX, maxY]: BoundingBox): PageRequest {
+    const { config } = this;
+
+    if (config.protocol === 'ogcapi') {
+      return {
+        url: `${config.url.replace(/\/+$/, '')}/collections/${encodeURIComponent(config.layer)}/items`,
+        params: {
+          // bbox is CRS84 (longitude/latitude) unless bbox-crs says otherwise
+          bbox: `${minX},${minY},${maxX},${maxY}`,
+          limit: this.pageSize,
+          ...(config.crs ? { crs: config.crs } : {}),
+          ...config.params
+        }
+      };
+    }
+
+    return {
+      url: config.url,
+      params: {
+        service: 'WFS',
+        version: '2.0.0',
+        request: 'GetFeature',
+        typeNames: config.layer,
+        // EPSG 4326 in URN form is latitude first
+        bbox: `${minY},${minX},${maxY},${maxX},${WFS_DEFAULT_CRS}`,
+        srsName: config.crs || WFS_DEFAULT_CRS,
+        outputFormat: config.outputFormat === 'gml32' ? 'application/gml+xml; version=3.2' : 'application/json',
+        count: this.pageSize,
+        startIndex: 0,
+        ...config.params
+      }
+    };
+  }
+
+  /**
+   * Fetch and parse one page, whatever format the server answered in
+   */
+  private async fetchPage(request: PageRequest): Promise<SourcePage> {
+    const response = await axios.get(request.url, {
+      params: request.params,
+      headers: { Accept: 'application/geo+json, application/json;q=0.9, application/gml+xml;q=0.8, text/xml;q=0.5' },
+      responseType: 'text',
+      timeout: this.API_TIMEOUT
+    });
+
+    const body = String(response.data).trim();
+    const requestedCrs = this.config.crs || (this.config.protocol === 'wfs' ? WFS_DEFAULT_CRS : CRS84);
+
+    if (body.startsWith('<')) {
+      const collection = parseGMLFeatureCollection(body);
+      return {
+        records: collection.features.map(feature => ({
+          geometry: feature.geometry,
+          attributes: feature.attributes,
+          crs: feature.srsName || requestedCrs
+        })),
+        next: collection.next
+          ? { url: new URL(collection.next, request.url).toString() }
+          : this.nextStartIndex(request, collection.numberReturned ?? collection.features.length)
+      };
+    }
+
+    let data: any;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      throw new Error(`${this.config.name} response is neither GeoJSON nor GML`);
+    }
+    if (!Array.isArray(data?.features)) {
+      throw new Error(`${this.config.name} response is not a GeoJSON FeatureCollection`);
+    }
+
+    // OGC API reports the response CRS in a header; some WFS servers add a GeoJSON crs member
+    const contentCrs = String(response.headers['content-crs'] || '').replace(/^<|>$/g, '');
+    const crs = data.crs?.properties?.name || contentCrs || requestedCrs;
+    const nextLink = Array.isArray(data.links) ? data.links.find((link: any) => link?.rel === 'next' && link.href) : undefined;
+
+    return {
+      records: data.features.map((feature: any) => ({
+        geometry: feature?.geometry || null,
+        attributes: feature?.properties || {},
+        crs
+      })),
+      next: nextLink
+        ? { url: new URL(nextLink.href, request.url).toString() }
+        : this.nextStartIndex(request, data.numberReturned ?? data.features.length)
+    };
+  }
+
+  /**
+   * WFS paging by startIndex; a short page means the server has no more.
+   * OGC API pages only continue through next links.
+   */
+  private nextStartIndex(request: PageRequest, returned: number): PageRequest | null {
+    if (this.config.protocol !== 'wfs' || !request.params || returned < this.pageSize) {
+      return null;
+    }
+    return { url: request.url, params: { ...request.params, startIndex: Number(request.params.startIndex || 0) + returned } };
+  }
+
+  private transformFor(crs: string): PositionTransform {
+    let transform = this.transforms.get(crs);
+    if (!transform) {
+      const swapAxes = this.config.axisOrder ? this.config.axisOrder === 'yx' : isNorthingFirst(crs);
+      transform = createTransform(crs, this.config.projDefinition, swapAxes);
+      this.transforms.set(crs, transform);
+    }
+    return transform;
+  }
+}
+
+/**
+ * Network errors, timeouts, 429 and 5xx responses are worth retrying;
+ * other 4xx responses and exception reports are not
+ */
+function isTransientError(error: unknown): boolean {
+  if (axios.isAxiosError(error)) {
+    const status = error.response?.status;
+    return status === undefined || status === 429 || status >= 500;
+  }
+  return false;
+}
+
+function describeError(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
@@ -0,0 +1,312 @@
+import axios from 'axios';
+import * as turf from '@turf/turf';
+import {
+  BoundingBox,
+  ConfidenceLevel,
+  RestrictionCategory,
+  RestrictionFeature,
+  RestrictionFeatureCollection,
+  RestrictionType
+} from '../types';
+import { LocalRestriction } from '../../../shared/types/RestrictionLayer';
+import { CircuitBreaker, RetryOptions, retryWithBackoff } from '../utils/resilience';
+import { convertOSMToGeoJSON, OverpassElement } from '../utils/osmGeometry';
+
+/**
+ * Result of an Overpass query, with warnings for anything that made the
+ * answer less reliable
+ */
+export interface OverpassQueryResult {
+  collection: RestrictionFeatureCollection;
+  warnings: string[];
+  /**
+   * False when Overpass reported a runtime error (e.g. a timeout) and
+   * returned only part of the result
+   */
+  complete: boolean;
+}
+
+/**
+ * How one kind of OSM land use maps to a local restriction
+ */
+interface LandUseRule {
+  id: string;
+  label: string;
+  /** Overpass tag filters; an element matching any of them is selected */
+  filters: string[];
+  matches(tags: Record<string, string>): boolean;
+  /** Only keep elements that contain a helipad */
+  requiresHelipad?: boolean;
+  category: LocalRestriction['category'];
+  type: RestrictionType;
+  confidenceLevel: ConfidenceLevel;
+  authority: string;
+  enforcement: string;
+  penalties: string;
+  description: string;
+}
+
+const MILITARY_KINDS = ['base', 'airfield', 'barracks', 'range', 'training_area', 'naval_base', 'danger_area'];
+
+/**
+ * Land uses that commonly carry drone restrictions, most restrictive first.
+ * An element matching several rules takes the first one.
+ *
+ * OSM tags say what a place is, not what rules apply to it, so confidence
+ * is never HIGH; NO_FLY is reserved for places where flight is restricted
+ * almost everywhere (prisons, military land). Nor do they say when a
+ * restriction applies, so none has a schedule: each is always in effect.
+ */
+const LAND_USE_RULES: LandUseRule[] = [
+  {
+    id: 'prison',
+    label: 'Prison',
+    filters: ['["amenity"="prison"]'],
+    matches: tags => tags.amenity === 'prison',
+    category: RestrictionCategory.STATE,
+    type: RestrictionType.NO_FLY,
+    confidenceLevel: ConfidenceLevel.MEDIUM,
+    authority: 'State department of corrections',
+    enforcement: '24/7',
+    penalties: 'Many states make flying over or delivering contraband to a correctional facility a criminal offense',
+    description: 'Correctional facility; most states prohibit drone flight over prisons'
+  },
+  {
+    id: 'military',
+    label: 'Military land',
+    filters: ['["landuse"="military"]', `["military"~"^(${MILITARY_KINDS.join('|')})$"]`],
+    matches: tags => tags.landuse === 'military' || MILITARY_KINDS.includes(tags.military),
+    category: RestrictionCategory.STATE,
+    type: RestrictionType.NO_FLY,
+    confidenceLevel: ConfidenceLevel.MEDIUM,
+    authority: 'Military installation command',
+    enforcement: '24/7',
+    penalties: 'Federal and state trespass and critical infrastructure laws; drones may be disabled or seized',
+    description: 'Military land; flight over military installations is prohibited or requires the installation\'s permission'
+  },
+  {
+    id: 'power-plant',
+    label: 'Power plant',
+    filters: ['["power"="plant"]'],
+    matches: tags => tags.power === 'plant',
+    category: RestrictionCategory.STATE,
+    type: RestrictionType.ADVISORY,
+    confidenceLevel: ConfidenceLevel.MEDIUM,
+    authority: 'State critical infrastructure law',
+    enforcement: '24/7',
+    penalties: 'Varies by state; several states criminalize flight over critical infrastructure',
+    description: 'Power plant; several states restrict drone flight over critical infrastructure'
+  },
+  {
+    id: 'hospital-helipad',
+    label: 'Hospital with helipad',
+    filters: ['["amenity"="hospital"]'],
+    matches: tags => tags.amenity === 'hospital',
+    requiresHelipad: true,
+    category: RestrictionCategory.PRIVATE,
+    type: RestrictionType.ADVISORY,
+    confidenceLevel: ConfidenceLevel.MEDIUM,
+    authority: 'Hospital operator',
+    enforcement: '24/7; medical helicopters may arrive without notice',
+    penalties: 'Interfering with emergency aircraft may violate federal law',
+    description: 'Hospital with a helipad; expect low-flying medical helicopters'
+  },
+  {
+    id: 'stadium',
+    label: 'Stadium',
+    filters: ['["leisure"="stadium"]'],
+    matches: tags => tags.leisure === 'stadium',
+    category: RestrictionCategory.PRIVATE,
+    type: RestrictionType.ADVISORY,
+    confidenceLevel: ConfidenceLevel.LOW,
+    authority: 'Venue operator',
+    enforcement: 'Event days; large events may also be covered by an FAA stadium TFR',
+    penalties: 'Venue rules; TFR violations carry FAA civil penalties',
+    description: 'Stadium; drone flight is usually prohibited during events'
+  },
+  {
+    id: 'school',
+    label: 'School',
+    filters: ['["amenity"="school"]'],
+    matches: tags => tags.amenity === 'school',
+    category: RestrictionCategory.CITY,
+    type: RestrictionType.ADVISORY,
+    confidenceLevel: ConfidenceLevel.LOW,
+    authority: 'School district',
+    enforcement: 'School hours',
+    penalties: 'Varies by district and city ordinance',
+    description: 'School grounds; many districts prohibit drones over school property'
+  },
+  {
+    id: 'park',
+    label: 'Park',
+    filters: ['["leisure"="park"]'],
+    matches: tags => tags.leisure === 'park',
+    category: RestrictionCategory.CITY,
+    type: RestrictionType.ADVISORY,
+    confidenceLevel: ConfidenceLevel.LOW,
+    authority: 'Local parks department',
+    enforcement: 'Park hours; check local park rules',
+    penalties: 'Varies by city ordinance',
+    description: 'Park; many cities restrict drone takeoff and landing in parks'
+  }
+];
+
+/**
+ * Overpass API client for land uses that imply local drone restrictions
+ *
+ * The endpoint is configured through OVERPASS_URL so a local fixture or a
+ * self-hosted Overpass instance can replace the public one.
+ */
+export class OverpassService {
+  private readonly OVERPASS_URL = process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter';
+  private readonly API_TIMEOUT = 15000;
+  // Server-side limit passed to Overpass, kept below API_TIMEOUT
+  private readonly QUERY_TIMEOUT_SECONDS = 12;
+  private readonly RETRY_OPTIONS: RetryOptions = {
+    retries: 1,
+    baseDelay: 1000,
+    maxDelay: 4000,
+    shouldRetry: isTransientError,
+    onRetry: (error, attempt, delay) =>
+      console.warn(`Overpass API attempt ${attempt} failed (${describeError(error)}), retrying in ${delay}ms`)
+  };
+
+  private circuitBreaker = new CircuitBreaker('Overpass', {
+    failureThreshold: 5,
+    resetTimeout: 30000
+  });
+
+  /**
+   * Get local restrictions implied by OSM land use inside an envelope
+   * @param bbox Envelope as [minLng, minLat, maxLng, maxLat]
+   * @returns Promise resolving to the transformed features and any warnings
+   * @throws When Overpass cannot be reached after retries or the circuit is open
+   */
+  async getLandUseRestrictions(bbox: BoundingBox): Promise<OverpassQueryResult> {
+    const { value: response, attempts } = await this.circuitBreaker.execute(() =>
+      retryWithBackoff(() => axios.post(
+        this.OVERPASS_URL,
+        new URLSearchParams({ data: this.buildQuery(bbox) }).toString(),
+        {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: this.API_TIMEOUT
+        }
+      ), this.RETRY_OPTIONS)
+    );
+
+    const warnings: string[] = [];
+    if (attempts > 1) {
+      warnings.push(`Overpass API responded after ${attempts} attempts`);
+    }
+
+    // Overpass reports timeouts and memory limits in `remark` with HTTP 200
+    const remark: string | undefined = response.data?.remark;
+    const complete = !remark || !/error/i.test(remark);
+    if (!complete) {
+      warnings.push(`Overpass returned a partial result: ${remark}`);
+    }
+
+    if (!Array.isArray(response.data?.elements)) {
+      throw new Error('Overpass response has no elements array');
+    }
+
+    return {
+      collection: this.transformOverpassResponse(response.data.elements),
+      warnings,
+      complete
+    };
+  }
+
+  /**
+   * Overpass QL selecting every land use rule plus helipads, with full geometry
+   */
+  private buildQuery([minLng, minLat, maxLng, maxLat]: BoundingBox): string {
+    const selectors = LAND_USE_RULES.flatMap(rule => rule.filters.map(filter => `  wr${filter};`));
+
+    return [
+      `[out:json][timeout:${this.QUERY_TIMEOUT_SECONDS}][bbox:${minLat},${minLng},${maxLat},${maxLng}];`,
+      '(',
+      ...selectors,
+      '  nwr["aeroway"="helipad"];',
+      ');',
+      'out geom;'
+    ].join('\n');
+  }
+
+  /**
+   * Transform Overpass elements into local restriction features
+   */
+  private transformOverpassResponse(elements: OverpassElement[]): RestrictionFeatureCollection {
+    const helipads = elements
+      .filter(element => element.tags?.aeroway === 'helipad')
+      .map(element => convertOSMToGeoJSON(element))
+      .filter(geometry => geometry !== null)
+      .map(geometry => turf.pointOnFeature(geometry as any));
+
+    const features: RestrictionFeature[] = [];
+    let dropped = 0;
+
+    for (const element of elements) {
+      const tags = element.tags || {};
+      const rule = LAND_USE_RULES.find(candidate => candidate.matches(tags));
+      if (!rule) continue;
+
+      const geometry = convertOSMToGeoJSON(element);
+      if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+        dropped++;
+        continue;
+      }
+
+      if (rule.requiresHelipad && !helipads.some(helipad => turf.booleanPointInPolygon(helipad, geometry as any))) {
+        continue;
+      }
+
+      const name = tags.name || rule.label;
+      const properties: LocalRestriction = {
+        id: `osm-${element.type}-${element.id}`,
+        geometry,
+        category: rule.category,
+        type: rule.type,
+        authority: rule.authority,
+        description: `${name} - ${rule.description}`,
+        sourceUrl: `https://www.openstreetmap.org/${element.type}/${element.id}`,
+        confidenceLevel: rule.confidenceLevel,
+        jurisdiction: { country: tags['addr:country'] || 'Unknown' },
+        enforcement: rule.enforcement,
+        penalties: rule.penalties,
+        metadata: {
+          dataSource: 'OpenStreetMap (Overpass API)',
+          updatedAt: new Date().toISOString()
+        },
+        name,
+        landUse: rule.id,
+        source: 'OpenStreetMap'
+      };
+
+      features.push({ type: 'Feature', properties, geometry });
+    }
+
+    if (dropped > 0) {
+      console.warn(`OpenStreetMap: dropped ${dropped} land use element(s) without polygon geometry`);
+    }
+
+    return { type: 'FeatureCollection', features };
+  }
+}
+
+/**
+ * Network errors, timeouts, 429 (rate limited) and 5xx responses are worth
+ * retrying; other 4xx responses (e.g. a malformed query) are not
+ */
+function isTransientError(error: unknown): boolean {
+  if (axios.isAxiosError(error)) {
+    const status = error.response?.status;
+    return status === undefined || status === 429 || status >= 500;
+  }
+  return false;
+}
+
+function describeError(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
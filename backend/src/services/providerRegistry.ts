@@ -0,0 +1,229 @@
+import {
+  BoundingBox,
+  Jurisdiction,
+  ProviderQuery,
+  ProviderReport,
+  ProviderResult,
+  RestrictionCategory,
+  RestrictionFeature,
+  RestrictionProvider
+} from '../types';
+import { jurisdictionCovers } from './jurisdictionService';
+import { splitBBoxAtAntimeridian } from '../utils/spatial';
+
+// Categories published by airspace authorities (the FAA, national aviation authorities)
+const AIRSPACE_CATEGORIES = [RestrictionCategory.FAA, RestrictionCategory.NATIONAL];
+
+/**
+ * Result of fanning a query out to every applicable provider
+ */
+export interface ProviderFanOutResult {
+  features: RestrictionFeature[];
+  reports: ProviderReport[];
+}
+
+/**
+ * Registry of restriction providers
+ *
+ * RestrictionService asks the registry for restrictions instead of
+ * talking to individual data sources. New state, city or private
+ * sources only need to implement RestrictionProvider and be registered.
+ */
+export class ProviderRegistry {
+  private providers = new Map<string, RestrictionProvider>();
+
+  /**
+   * Register a provider. Provider ids must be unique.
+   */
+  register(provider: RestrictionProvider): this {
+    if (this.providers.has(provider.id)) {
+      throw new Error(`Restriction provider "${provider.id}" is already registered`);
+    }
+
+    this.providers.set(provider.id, provider);
+    return this;
+  }
+
+  unregister(id: string): boolean {
+    return this.providers.delete(id);
+  }
+
+  getProviders(): RestrictionProvider[] {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Providers whose declared coverage intersects the query bounding box
+   * and, for regional providers, covers one of the query's jurisdictions
+   */
+  getApplicableProviders(query: ProviderQuery): RestrictionProvider[] {
+    const parts = splitBBoxAtAntimeridian(query.bbox);
+    return this.getProviders().filter(provider => {
+      const { jurisdictions } = provider.coverage;
+      if (coveredParts(provider, parts).length === 0) return false;
+      if (!jurisdictions) return true;
+      return jurisdictions.some(coverage => query.jurisdictions.some(j => jurisdictionCovers(coverage, j)));
+    });
+  }
+
+  /**
+   * Query all applicable providers in parallel
+   *
+   * A provider that throws or exceeds its timeout does not fail the
+   * whole search; it is reported as failed so the caller can flag the
+   * result as incomplete.
+   *
+   * An envelope extending past ±180 is split at the antimeridian and
+   * each provider is queried once per part it covers.
+   *
+   * When no airspace authority's provider covers a jurisdiction the search
+   * touches, a failed "airspace-coverage" report is added: without one the
+   * search would come back unrestricted there.
+   */
+  async queryAll(query: ProviderQuery): Promise<ProviderFanOutResult> {
+    const providers = this.getApplicableProviders(query);
+    const parts = splitBBoxAtAntimeridian(query.bbox);
+
+    const settled = await Promise.all(providers.map(async provider => {
+      const startedAt = Date.now();
+      try {
+        const result = await withTimeout(queryParts(provider, query, coveredParts(provider, parts)), provider.timeout, provider.id);
+        return { result, latencyMs: Date.now() - startedAt };
+      } catch (error) {
+        return { error, latencyMs: Date.now() - startedAt };
+      }
+    }));
+
+    const features: RestrictionFeature[] = [];
+    const reports: ProviderReport[] = [];
+
+    settled.forEach((outcome, index) => {
+      const provider = providers[index];
+      const report: ProviderReport = {
+        id: provider.id,
+        name: provider.name,
+        categories: provider.categories,
+        status: 'ok',
+        latencyMs: outcome.latencyMs,
+        featureCount: 0,
+        complete: false
+      };
+
+      if (outcome.result) {
+        const warnings = [...(outcome.result.warnings || [])];
+
+        // Ignore anything outside the categories the provider declared
+        const returned = outcome.result.collection.features;
+        const accepted = returned.filter(f => provider.categories.includes(f.properties.category));
+        if (accepted.length !== returned.length) {
+          warnings.push(`${returned.length - accepted.length} feature(s) outside declared categories were ignored`);
+        }
+
+        features.push(...accepted);
+        report.featureCount = accepted.length;
+        report.complete = outcome.result.complete !== false;
+
+        if (warnings.length > 0 || !report.complete) {
+          report.status = 'degraded';
+          report.warnings = warnings;
+        }
+      } else {
+        console.error(`Provider ${provider.id} failed:`, outcome.error);
+        report.status = 'failed';
+        report.error = outcome.error instanceof Error ? outcome.error.message : String(outcome.error);
+      }
+
+      reports.push(report);
+    });
+
+    const uncovered = airspaceGaps(providers, query);
+    if (uncovered.length > 0) {
+      reports.push({
+        id: 'airspace-coverage',
+        name: 'Airspace authority data',
+        categories: AIRSPACE_CATEGORIES,
+        status: 'failed',
+        latencyMs: 0,
+        featureCount: 0,
+        complete: false,
+        error: `No airspace authority data source covers ${uncovered.join(', ')}; airspace restrictions there are unknown`
+      });
+    }
+
+    return { features, reports };
+  }
+}
+
+/**
+ * Countries of the query's jurisdictions that no applicable airspace
+ * provider covers. A provider scoped by bounding box alone covers every
+ * jurisdiction it was applicable for.
+ */
+function airspaceGaps(providers: RestrictionProvider[], query: ProviderQuery): string[] {
+  const airspace = providers.filter(provider => provider.categories.some(category => AIRSPACE_CATEGORIES.includes(category)));
+  if (airspace.some(provider => !provider.coverage.jurisdictions)) return [];
+
+  const covered = (jurisdiction: Jurisdiction) => airspace.some(provider =>
+    provider.coverage.jurisdictions!.some(coverage => jurisdictionCovers(coverage, jurisdiction)));
+  const gaps = query.jurisdictions.filter(jurisdiction => !covered(jurisdiction)).map(jurisdiction => jurisdiction.country);
+
+  if (gaps.length === 0 && airspace.length === 0) return ['this area'];
+  return [...new Set(gaps)];
+}
+
+/**
+ * The envelope parts a provider's declared coverage intersects; all of
+ * them for a global provider
+ */
+function coveredParts(provider: RestrictionProvider, parts: BoundingBox[]): BoundingBox[] {
+  const { bboxes } = provider.coverage;
+  if (!bboxes || bboxes.length === 0) return parts;
+  return parts.filter(part => bboxes.some(bbox => bboxesIntersect(bbox, part)));
+}
+
+/**
+ * Query a provider for each envelope part, merging the results
+ * (features in several parts are kept once, by id)
+ */
+async function queryParts(provider: RestrictionProvider, query: ProviderQuery, parts: BoundingBox[]): Promise<ProviderResult> {
+  if (parts.length === 1 && parts[0] === query.bbox) {
+    return provider.query(query);
+  }
+
+  const results = await Promise.all(parts.map(bbox => provider.query({ ...query, bbox })));
+  const features = new Map<string, RestrictionFeature>();
+  results.forEach(result => result.collection.features.forEach(f => features.set(f.properties.id, f)));
+
+  return {
+    collection: { type: 'FeatureCollection', features: Array.from(features.values()) },
+    warnings: results.flatMap(result => result.warnings || []),
+    complete: results.every(result => result.complete !== false)
+  };
+}
+
+/**
+ * Checks whether two bounding boxes overlap
+ */
+function bboxesIntersect(a: BoundingBox, b: BoundingBox): boolean {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+/**
+ * Rejects if the promise does not settle within the given time
+ */
+function withTimeout<T>(promise: Promise<T>, timeout: number, label: string): Promise<T> {
+  return new Promise<T>((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeout}ms`)), timeout);
+
+    promise.then(
+      value => {
+        clearTimeout(timer);
+        resolve(value);
+      },
+      error => {
+        clearTimeout(timer);
+        reject(error);
+      }
+    );
+  });
+}
@@ -1,78 +1,316 @@
 import * as turf from '@turf/turf';
 import { Feature, FeatureCollection, Polygon, MultiPolygon } from 'geojson';
-import { LocationInput, RestrictionsResponse } from '../types';
-import { RestrictionFeature, RestrictionFeatureCollection, RestrictionCategory, RestrictionType, ConfidenceLevel } from '../types';
-import { RestrictionLayer } from '../../../shared/types/RestrictionLayer';
-import { validateInput, generateSearchArea } from '../utils/spatial';
-import { FAAProxyService } from './faaProxyService';
+import { FlightWindow, Jurisdiction, LocationInput, PointCheckInput, PointCheckResult, ProviderQuery, ProviderReport, RestrictionsResult, RouteCrossing, RouteInput, RouteResult, TimeWindow } from '../types';
+import { RestrictionFeature, RestrictionFeatureCollection, RestrictionCategory, RestrictionType, ConfidenceLevel, CeilingStatus, ActivityStatus } from '../types';
+import { GeoJSONGeometry, RestrictionLayer } from '../../../shared/types/RestrictionLayer';
+import { validateInput, generateSearchArea, generateSearchAreaForInput, calculateEnvelope, calculateEnvelopeForInput } from '../utils/spatial';
+import { calculateCorridorExtent, findRouteSegments, generateCorridor, validateRouteInput } from '../utils/route';
+import { annotateActivity, resolveFlightWindow, timelineFor } from '../utils/schedule';
+import { describeDaylight } from '../utils/daylight';
+import { computeAllowedArea } from '../utils/allowedArea';
+import { computeEffectiveZones } from '../utils/effectiveZones';
+import { containsPoint, evaluatePointCheck, POINT_CHECK_RADIUS_MILES, validatePointCheckInput } from '../utils/pointCheck';
+import { repairRestriction } from '../utils/geometryHygiene';
+import { ProviderRegistry } from './providerRegistry';
+import { getJurisdictionService, JurisdictionService } from './jurisdictionService';
+import { createDefaultRegistry } from '../providers';
 
 export class RestrictionService {
-  private faaProxyService: FAAProxyService;
+  private registry: ProviderRegistry;
+  private jurisdictions: JurisdictionService;
 
-  constructor() {
-    this.faaProxyService = new FAAProxyService();
+  constructor(registry: ProviderRegistry = createDefaultRegistry(), jurisdictions: JurisdictionService = getJurisdictionService()) {
+    this.registry = registry;
+    this.jurisdictions = jurisdictions;
   }
 
-  async getRestrictions(input: LocationInput): Promise<RestrictionsResponse> {
+  async getRestrictions(input: LocationInput): Promise<RestrictionsResult> {
     const validatedInput = validateInput(input);
     const { lat, lng, radius } = validatedInput;
 
-    const searchArea = generateSearchArea(lat, lng, radius);
+    // Circle around the center, or the caller's area of interest
+    const searchArea = generateSearchAreaForInput(validatedInput);
 
-    // 1️⃣ Generate FAA airspace restrictions
-    const airspaceRestrictions = await this.generateAirspaceRestrictions(lat, lng, radius);
+    const flightWindow = resolveFlightWindow(validatedInput, [lng, lat]);
+    const jurisdictions = this.jurisdictions.resolveArea(searchArea, [lng, lat]);
 
-    // 2️⃣ Calculate allowed areas
-    const allowedAreas = this.calculateAllowedAreas(searchArea, airspaceRestrictions.features);
+    const collected = await this.collectRestrictions({
+      lat,
+      lng,
+      radius,
+      bbox: calculateEnvelopeForInput(validatedInput),
+      searchArea,
+      when: toTimeWindow(flightWindow),
+      jurisdictions
+    });
+    const { gridCells, reports, dataComplete } = collected;
+
+    // Mark each restriction active, upcoming or inactive for the flight window
+    const airspaceRestrictions = annotateActivity(collected.airspaceRestrictions, flightWindow, [lng, lat]);
+    const localRestrictions = annotateActivity(collected.localRestrictions, flightWindow, [lng, lat]);
+
+    // 3️⃣ Calculate allowed areas, but only from complete data: a failed or
+    // partial provider means restrictions may be missing, so nothing is shown as allowed.
+    // Restrictions not in effect at any point in the flight window do not block it.
+    const jurisdiction = jurisdictions[0] || { country: 'Unknown' };
+    const activeRestrictions = [
+      ...airspaceRestrictions.features,
+      ...localRestrictions.features
+    ].filter(f => f.properties.activity === ActivityStatus.ACTIVE);
+    const allowedAreas: RestrictionFeatureCollection = dataComplete
+      ? this.calculateAllowedAreas(searchArea, activeRestrictions, jurisdiction)
+      : { type: 'FeatureCollection', features: [] };
+
+    // 4️⃣ Partition the restricted ground by effective rule. Grid cells stand in
+    // for the merged facilities so each cell keeps its own ceiling.
+    const faaCeilings = this.classifyCeilings(gridCells, validatedInput.altitude);
+    const effectiveZones = this.calculateEffectiveZones([
+      ...faaCeilings.features,
+      ...activeRestrictions.filter(f => !f.properties.gridId)
+    ], jurisdiction);
 
     return {
-      searchArea,
-      airspaceRestrictions,
-      localRestrictions: { type: 'FeatureCollection', features: [] } as RestrictionFeatureCollection,
-      allowedAreas
+      data: {
+        searchArea,
+        airspaceRestrictions,
+        localRestrictions,
+        allowedAreas,
+        faaCeilings,
+        effectiveZones
+      },
+      metadata: {
+        providers: reports,
+        dataComplete,
+        flightWindow,
+        timeline: timelineFor(flightWindow),
+        jurisdictions,
+        daylight: describeDaylight(flightWindow, [lng, lat])
+      }
     };
   }
 
   /**
-   * Fetch FAA restrictions and merge grids by facility
+   * Restrictions along a planned flight path
+   *
+   * The route is buffered into a corridor that goes through the same
+   * fetch/merge/clip pipeline as a radius search; each restriction left in
+   * the corridor is then reported with the along-track stretches it covers.
+   * When dataComplete is false, crossings may be missing.
    */
-  private async generateAirspaceRestrictions(
-    lat: number,
-    lng: number,
-    radius: number
-  ): Promise<RestrictionFeatureCollection> {
-    try {
-      const raw = await this.faaProxyService.getFAARestrictions(lat, lng, radius);
-      const searchArea = generateSearchArea(lat, lng, radius);
+  async getRouteRestrictions(input: RouteInput): Promise<RouteResult> {
+    const validatedInput = validateRouteInput(input);
+    const corridor = generateCorridor(validatedInput);
+
+    const extent = calculateCorridorExtent(corridor);
+    const flightWindow = resolveFlightWindow(validatedInput, [extent.lng, extent.lat]);
+    const jurisdictions = this.jurisdictions.resolveArea(corridor, [extent.lng, extent.lat]);
+
+    const collected = await this.collectRestrictions({
+      ...extent,
+      searchArea: corridor,
+      when: toTimeWindow(flightWindow),
+      jurisdictions
+    });
+    const { reports, dataComplete } = collected;
+    const airspaceRestrictions = annotateActivity(collected.airspaceRestrictions, flightWindow, [extent.lng, extent.lat]);
+    const localRestrictions = annotateActivity(collected.localRestrictions, flightWindow, [extent.lng, extent.lat]);
+
+    const crossings: RouteCrossing[] = [...airspaceRestrictions.features, ...localRestrictions.features]
+      .map(restriction => ({
+        restrictionId: restriction.properties.id,
+        category: restriction.properties.category,
+        type: restriction.properties.type,
+        description: restriction.properties.description,
+        ...(typeof restriction.properties.maxAGL === 'number' ? { maxAGL: restriction.properties.maxAGL } : {}),
+        segments: findRouteSegments(validatedInput, restriction)
+      }))
+      .filter(crossing => crossing.segments.length > 0)
+      .sort((a, b) => a.segments[0].startDistance - b.segments[0].startDistance);
+
+    return {
+      data: {
+        route: turf.feature(validatedInput.route),
+        routeLength: turf.length(turf.feature(validatedInput.route), { units: 'miles' }),
+        corridor,
+        airspaceRestrictions,
+        localRestrictions,
+        crossings
+      },
+      metadata: {
+        providers: reports,
+        dataComplete,
+        flightWindow,
+        timeline: timelineFor(flightWindow),
+        jurisdictions,
+        daylight: describeDaylight(flightWindow, [extent.lng, extent.lat])
+      }
+    };
+  }
+
+  /**
+   * "Can I fly here?" verdict for one point, altitude and operator
+   *
+   * Restrictions are fetched through the same pipeline as a radius search
+   * around the point; those in effect during the flight window whose area
+   * contains the point decide the verdict (see utils/pointCheck).
+   */
+  async checkPoint(input: PointCheckInput): Promise<PointCheckResult> {
+    const validatedInput = validatePointCheckInput(input);
+    const { lat, lng } = validatedInput;
+
+    const searchArea = generateSearchArea(lat, lng, POINT_CHECK_RADIUS_MILES);
+    const flightWindow = resolveFlightWindow(validatedInput, [lng, lat]);
+    const jurisdictions = this.jurisdictions.resolveArea(searchArea, [lng, lat]);
+
+    const collected = await this.collectRestrictions({
+      lat,
+      lng,
+      radius: POINT_CHECK_RADIUS_MILES,
+      bbox: calculateEnvelope(lat, lng, POINT_CHECK_RADIUS_MILES),
+      searchArea,
+      when: toTimeWindow(flightWindow),
+      jurisdictions
+    });
+    const { gridCells, reports, dataComplete } = collected;
+    const airspaceRestrictions = annotateActivity(collected.airspaceRestrictions, flightWindow, [lng, lat]);
+    const localRestrictions = annotateActivity(collected.localRestrictions, flightWindow, [lng, lat]);
 
-      // Merge FAA grids that belong to the same airport
-      const mergedRestrictions = this.mergeFAAFeaturesByFacility(raw.features);
+    // Grid cells stand in for the merged facilities so the point gets its own cell's ceiling
+    const applicable = [
+      ...gridCells.features,
+      ...[...airspaceRestrictions.features, ...localRestrictions.features]
+        .filter(f => !f.properties.gridId && f.properties.activity === ActivityStatus.ACTIVE)
+    ].filter(f => containsPoint(f, [lng, lat]));
 
-      // Clip restrictions to the search area
-      return this.clipRestrictionsToSearchArea(mergedRestrictions, searchArea);
-    } catch (err) {
-      console.error('FAA API failed:', err);
-      return { type: 'FeatureCollection', features: [] };
+    const missingProviders = dataComplete
+      ? []
+      : reports.filter(report => report.status === 'failed' || !report.complete).map(report => report.name);
+
+    return {
+      data: evaluatePointCheck(applicable, validatedInput, missingProviders),
+      metadata: {
+        providers: reports,
+        dataComplete,
+        flightWindow,
+        timeline: timelineFor(flightWindow),
+        jurisdictions,
+        daylight: describeDaylight(flightWindow, [lng, lat])
+      }
+    };
+  }
+
+  /**
+   * Fetch, merge and clip restrictions for a search area
+   * @returns Airspace and local layers clipped to the search area, plus provider reports
+   */
+  private async collectRestrictions(query: ProviderQuery): Promise<{
+    airspaceRestrictions: RestrictionFeatureCollection;
+    localRestrictions: RestrictionFeatureCollection;
+    gridCells: RestrictionFeatureCollection;
+    reports: ProviderReport[];
+    dataComplete: boolean;
+  }> {
+    // 1️⃣ Fan out to every provider covering the search envelope
+    const fanOut = await this.registry.queryAll(query);
+    const { reports } = fanOut;
+
+    // Repair malformed upstream geometry before it is merged or clipped
+    const features = fanOut.features
+      .map(repairRestriction)
+      .filter((f): f is RestrictionFeature => f !== null);
+    if (features.length < fanOut.features.length) {
+      console.warn(`Dropped ${fanOut.features.length - features.length} restriction(s) with no usable geometry`);
     }
+
+    // 2️⃣ Split provider output into airspace (FAA) and local layers
+    const airspaceFeatures = features.filter(f => f.properties.category === RestrictionCategory.FAA);
+    const localFeatures = features.filter(f => f.properties.category !== RestrictionCategory.FAA);
+
+    // Merge FAA grids that belong to the same airport, then clip to the search area
+    const airspaceRestrictions = this.clipRestrictionsToSearchArea(
+      this.mergeFAAFeaturesByFacility(airspaceFeatures),
+      query.searchArea
+    );
+    const localRestrictions = this.clipRestrictionsToSearchArea(
+      { type: 'FeatureCollection', features: localFeatures },
+      query.searchArea
+    );
+
+    // Grid cells are also kept unmerged, since merging loses each cell's own ceiling
+    const gridCells = this.clipRestrictionsToSearchArea(
+      { type: 'FeatureCollection', features: airspaceFeatures.filter(f => f.properties.gridId) },
+      query.searchArea
+    );
+
+    // A failed or partial provider means restrictions may be missing
+    const dataComplete = reports.every(report => report.status !== 'failed' && report.complete);
+
+    // Resolve each restriction's jurisdiction from where it lies in the search area
+    return {
+      airspaceRestrictions: this.jurisdictions.annotate(airspaceRestrictions),
+      localRestrictions: this.jurisdictions.annotate(localRestrictions),
+      gridCells: this.jurisdictions.annotate(gridCells),
+      reports,
+      dataComplete
+    };
+  }
+
+  /**
+   * Classify FAA grid cells against a planned altitude
+   *
+   * Zero-ceiling cells are always flagged; the other cells are only
+   * classified when an altitude was requested.
+   */
+  private classifyCeilings(gridCells: RestrictionFeatureCollection, altitude?: number): RestrictionFeatureCollection {
+    const features = gridCells.features.map(cell => {
+      const ceiling = Number(cell.properties.maxAGL) || 0;
+      let ceilingStatus: CeilingStatus | undefined;
+
+      if (ceiling === 0) {
+        ceilingStatus = CeilingStatus.ZERO_CEILING;
+      } else if (altitude !== undefined) {
+        ceilingStatus = altitude <= ceiling ? CeilingStatus.BELOW_CEILING : CeilingStatus.ABOVE_CEILING;
+      }
+
+      if (!ceilingStatus) {
+        return cell;
+      }
+
+      return {
+        ...cell,
+        properties: {
+          ...cell.properties,
+          ceilingStatus,
+          laancEligible: ceilingStatus === CeilingStatus.BELOW_CEILING
+        }
+      };
+    });
+
+    return { type: 'FeatureCollection', features };
   }
 
   /**
    * Merge multiple FAA restriction grids that belong to the same airport
    * into a single polygon or multipolygon per facility
+   *
+   * Only UAS facility map grid cells are merged; other FAA features
+   * pass through untouched.
    */
   private mergeFAAFeaturesByFacility(features: RestrictionFeature[]): RestrictionFeatureCollection {
     const grouped: Record<string, RestrictionFeature[]> = {};
+    const mergedFeatures: RestrictionFeature[] = features.filter(f => !f.properties.gridId);
 
     // Group by facility or fallback to gridId
-    features.forEach(f => {
-      const key = f.properties.facility || f.properties.gridId || 'unknown';
+    features.filter(f => f.properties.gridId).forEach(f => {
+      const key = f.properties.facility || f.properties.gridId;
       if (!grouped[key]) grouped[key] = [];
       grouped[key].push(f);
     });
 
-    const mergedFeatures: RestrictionFeature[] = [];
-
     Object.entries(grouped).forEach(([facility, group]) => {
+      // A merged facility reports its lowest cell ceiling; per-cell ceilings are in faaCeilings
+      group = this.withLowestCeiling(group);
+
       try {
         // Skip if only one feature (no need to merge)
         if (group.length <= 1) {
@@ -174,16 +412,15 @@ export class RestrictionService {
           // Create a MultiPolygon geometry from all combined features
           const multiPolygonGeometry = {
             type: 'MultiPolygon' as const,
-            coordinates: combined.features.map(f => {
+            coordinates: combined.features.flatMap(f => {
               const geom = f.geometry as any;
               if (geom.type === 'Polygon') {
-                return geom.coordinates;
+                return [geom.coordinates];
               } else if (geom.type === 'MultiPolygon') {
-                return geom.coordinates.flat(); // Flatten nested MultiPolygon coordinates
-              } else {
-                // For other geometry types, try to convert to polygon coordinates
-                return [[[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]]]; // Fallback
+                return geom.coordinates; // Each member polygon stays its own polygon
               }
+              // Points and lines cover no area
+              return [];
             })
           };
 
@@ -196,7 +433,7 @@ export class RestrictionService {
           mergedFeatures.push(restrictionFeature);
         }
       } catch (err) {
-        console.warn(`Failed to merge FAA grids for facility ${facility}:`, err);
+        console.warn(`Failed to merge ${group.length} FAA grids for facility ${facility}; keeping them unmerged:`, err);
         mergedFeatures.push(...group); // fallback
       }
     });
@@ -204,95 +441,88 @@ export class RestrictionService {
     return { type: 'FeatureCollection', features: mergedFeatures };
   }
 
-  private calculateAllowedAreas(searchArea: RestrictionFeatureCollection, restrictions: RestrictionFeature[]): RestrictionFeatureCollection {
-    // If there are no restrictions, the entire search area is allowed
-    if (restrictions.length === 0) {
-      const resultFeature: RestrictionFeature = {
-        type: 'Feature',
-        properties: {
-          id: 'allowed-area',
-          geometry: searchArea.features[0].geometry,
-          category: RestrictionCategory.FAA,
-          type: RestrictionType.NO_FLY,
-          authority: 'System',
-          description: 'Entire search area is allowed (no restrictions)',
-          sourceUrl: '',
-          confidenceLevel: ConfidenceLevel.HIGH,
-          jurisdiction: { country: 'US' }
-        },
-        geometry: searchArea.features[0].geometry
-      };
-
-      return { type: 'FeatureCollection', features: [resultFeature] };
+  /**
+   * Put the cell with the lowest ceiling first: the merged facility takes
+   * the first cell's properties, so its type and description then match
+   * that ceiling. A 0 ft ceiling means no LAANC authorization, i.e. NO_FLY.
+   */
+  private withLowestCeiling(group: RestrictionFeature[]): RestrictionFeature[] {
+    const withCeiling = group.filter(f => Number.isFinite(Number(f.properties.maxAGL)));
+    if (group.length <= 1 || withCeiling.length === 0) {
+      return group;
     }
 
-    // If there are restrictions, calculate the allowed area by subtracting all restrictions from search area
+    const lowest = withCeiling.reduce((best, f) => Number(f.properties.maxAGL) < Number(best.properties.maxAGL) ? f : best);
+    const maxAGL = Number(lowest.properties.maxAGL);
+    const type = maxAGL === 0 ? RestrictionType.NO_FLY : lowest.properties.type;
+    return [
+      { ...lowest, properties: { ...lowest.properties, maxAGL, type } },
+      ...group.filter(f => f !== lowest)
+    ];
+  }
+
+  /**
+   * Allowed flight area: the search area minus every restriction in effect
+   *
+   * Fails closed: if any geometry operation fails, nothing is reported as
+   * allowed rather than an area that may include restricted ground.
+   */
+  private calculateAllowedAreas(
+    searchArea: RestrictionFeatureCollection,
+    restrictions: RestrictionFeature[],
+    jurisdiction: Jurisdiction
+  ): RestrictionFeatureCollection {
+    let allowed: Polygon | MultiPolygon | null;
     try {
-      let currentAllowedArea = searchArea.features[0].geometry;
-
-      // Process each restriction to subtract from the allowed area
-      for (const restriction of restrictions) {
-        try {
-          // Use turf.difference correctly for Turf v7
-          // Create a feature collection with both features
-          const featureCollection = {
-            type: 'FeatureCollection' as const,
-            features: [
-              {
-                type: 'Feature' as const,
-                properties: {},
-                geometry: currentAllowedArea as any
-              },
-              {
-                type: 'Feature' as const,
-                properties: {},
-                geometry: restriction.geometry as any
-              }
-            ]
-          };
+      allowed = computeAllowedArea(searchArea.features[0].geometry as Polygon | MultiPolygon, restrictions);
+    } catch (err) {
+      console.error(`Failed to calculate allowed areas from ${restrictions.length} restrictions; reporting none:`, err);
+      return { type: 'FeatureCollection', features: [] };
+    }
 
-          // Use turf.difference with the feature collection
-          const diff = turf.difference(featureCollection as any);
+    if (!allowed) {
+      // The entire search area is restricted
+      return { type: 'FeatureCollection', features: [] };
+    }
 
-          if (diff && diff.geometry) {
-            currentAllowedArea = diff.geometry as any;
-          } else {
-            // If difference returns null, the entire area is restricted
-            return { type: 'FeatureCollection', features: [] };
-          }
-        } catch (err) {
-          console.warn('Failed to subtract restriction from allowed area:', err);
-          // Continue with the current allowed area if there's an error
-        }
-      }
+    const geometry = allowed as GeoJSONGeometry;
+    const resultFeature: RestrictionFeature = {
+      type: 'Feature',
+      properties: {
+        id: 'allowed-area',
+        geometry,
+        category: RestrictionCategory.SYSTEM,
+        type: RestrictionType.ALLOWED,
+        authority: 'YesFly',
+        description: restrictions.length === 0
+          ? 'Entire search area is allowed (no restrictions in effect)'
+          : 'Allowed flight area after applying all restrictions in effect',
+        sourceUrl: '',
+        confidenceLevel: ConfidenceLevel.HIGH,
+        jurisdiction
+      },
+      geometry
+    };
 
-      // If we have a valid allowed area after all subtractions
-      if (currentAllowedArea) {
-        const resultFeature: RestrictionFeature = {
-          type: 'Feature',
-          properties: {
-            id: 'allowed-area',
-            geometry: currentAllowedArea,
-            category: RestrictionCategory.FAA,
-            type: RestrictionType.NO_FLY,
-            authority: 'System',
-            description: 'Allowed flight area after applying all restrictions',
-            sourceUrl: '',
-            confidenceLevel: ConfidenceLevel.HIGH,
-            jurisdiction: { country: 'US' }
-          },
-          geometry: currentAllowedArea
-        };
+    return { type: 'FeatureCollection', features: [resultFeature] };
+  }
 
-        return { type: 'FeatureCollection', features: [resultFeature] };
-      }
+  /**
+   * Effective zones: non-overlapping cells of the restricted ground, each
+   * with the restrictions that apply there and the strictest rule
+   *
+   * Unlike allowed areas these are reported from partial data too, since
+   * a missing restriction can only make a zone less strict than shown; the
+   * caller still sees dataComplete. On a geometry failure no zones are
+   * reported and the individual layers remain the reference.
+   */
+  private calculateEffectiveZones(restrictions: RestrictionFeature[], jurisdiction: Jurisdiction): RestrictionFeatureCollection {
+    try {
+      return computeEffectiveZones(restrictions, jurisdiction);
     } catch (err) {
-      console.warn('Failed to calculate allowed areas:', err);
+      console.error(`Failed to calculate effective zones from ${restrictions.length} restrictions; reporting none:`, err);
+      return { type: 'FeatureCollection', features: [] };
     }
-
-    // If we get here, either the entire area is restricted or there was an error
-    // Return empty allowed areas
-    return { type: 'FeatureCollection', features: [] };
   }
 
   /**
@@ -347,12 +577,25 @@ export class RestrictionService {
         }
         // If no intersection, the restriction doesn't intersect with search area, so skip it
       } catch (err) {
-        console.warn('Failed to clip restriction to search area:', err);
-        // If clipping fails, include the original restriction as fallback
-        clippedFeatures.push(restriction);
+        // Keep the whole restriction rather than lose it, and say so
+        console.warn(`Failed to clip restriction ${restriction.properties.id} to the search area:`, err);
+        clippedFeatures.push({
+          ...restriction,
+          properties: {
+            ...restriction.properties,
+            notes: `${restriction.properties.notes || ''} ${restriction.properties.notes ? '| ' : ''}Not clipped to search area (geometry could not be processed)`.trim()
+          }
+        });
       }
     }
 
     return { type: 'FeatureCollection', features: clippedFeatures };
   }
 }
+
+/**
+ * Time window passed to providers for a resolved flight window
+ */
+function toTimeWindow(flightWindow: Required<FlightWindow>): TimeWindow {
+  return { start: new Date(flightWindow.start), end: new Date(flightWindow.end) };
+}
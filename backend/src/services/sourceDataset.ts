@@ -0,0 +1,320 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import RBush, { BBox } from 'rbush';
+import * as turf from '@turf/turf';
+import { ArcGISSourceConfig, BoundingBox, RestrictionFeature, SourceDatasetStatus } from '../types';
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+import { ConvertedESRIFeature } from '../utils/esriGeometry';
+import { parseCSVRecords } from '../utils/csv';
+import { parseWKT } from '../utils/wkt';
+import { mapRestrictionFeature } from '../utils/sourceMapping';
+
+/**
+ * Downloads every feature of a source's layer, for refreshFromLive
+ */
+export type LayerDownloader = () => Promise<ConvertedESRIFeature[]>;
+
+/**
+ * Dataset settings after environment overrides
+ */
+export interface SourceDatasetSettings {
+  /** Absolute path of the export file */
+  path: string;
+  format: 'geojson' | 'csv';
+  wktColumn: string;
+  refreshIntervalMs: number;
+  refreshFromLive: boolean;
+}
+
+interface IndexEntry extends BBox {
+  feature: RestrictionFeature;
+}
+
+/**
+ * Records read from an export, before mapping
+ */
+interface ExportContents {
+  records: Array<{ geometry: GeoJSONGeometry | null; attributes: Record<string, any> }>;
+  version: string | null;
+}
+
+const datasets = new Map<string, SourceDataset>();
+
+/**
+ * Shared dataset of an ArcGIS source with a `dataset` block, one per
+ * source id, started on first use
+ *
+ * With dataset.envPrefix set (FAA_DATASET for the FAA source),
+ * <prefix>_PATH, <prefix>_REFRESH_MS and <prefix>_FROM_LIVE override the
+ * config. Returns null when no export path is configured, in which case
+ * the source is queried live.
+ */
+export function getSourceDataset(config: ArcGISSourceConfig, downloadLayer: LayerDownloader): SourceDataset | null {
+  if (!config.dataset) return null;
+
+  let dataset = datasets.get(config.id);
+  if (!dataset) {
+    const { envPrefix } = config.dataset;
+    const env = (name: string) => (envPrefix ? process.env[`${envPrefix}_${name}`] : undefined);
+    const filePath = env('PATH') || config.dataset.path;
+    if (!filePath) return null;
+
+    const fromLive = env('FROM_LIVE');
+    dataset = new SourceDataset(config, {
+      path: path.resolve(process.cwd(), filePath),
+      format: config.dataset.format || (/\.csv$/i.test(filePath) ? 'csv' : 'geojson'),
+      wktColumn: config.dataset.wktColumn || 'WKT',
+      refreshIntervalMs: Number(env('REFRESH_MS')) || config.dataset.refreshIntervalMs || 0,
+      refreshFromLive: fromLive !== undefined ? fromLive === 'true' : config.dataset.refreshFromLive === true
+    }, downloadLayer);
+    datasets.set(config.id, dataset);
+    dataset.start();
+  }
+  return dataset;
+}
+
+/**
+ * Datasets created so far, by source id
+ */
+export function getSourceDatasets(): Map<string, SourceDataset> {
+  return datasets;
+}
+
+/**
+ * A source layer bulk-loaded from an export into an in-memory R-tree
+ *
+ * The export is a GeoJSON FeatureCollection or a CSV with a WKT geometry
+ * column, holding the layer's raw attributes; every record is mapped
+ * through the source's restriction mapping once, at load time, so an
+ * envelope query is a single index search.
+ *
+ * Refreshes re-read the file when it has changed or, with
+ * refreshFromLive, download the whole layer from the live service and
+ * save it to the file first. A refresh builds a new index and swaps it in
+ * only once complete; if it fails, the previous version keeps serving and
+ * the error is reported in the status and in query warnings.
+ */
+export class SourceDataset {
+  private index: RBush<IndexEntry> | null = null;
+  private version: string | null = null;
+  private loadedAt: Date | null = null;
+  private loadDurationMs: number | null = null;
+  private featureCount = 0;
+  private fileStamp: string | null = null;
+  private lastError: string | null = null;
+  private nextRefreshAt: Date | null = null;
+  private refreshing: Promise<void> | null = null;
+  private timer: NodeJS.Timeout | null = null;
+
+  constructor(
+    private readonly config: ArcGISSourceConfig,
+    readonly settings: SourceDatasetSettings,
+    private readonly downloadLayer?: LayerDownloader
+  ) {}
+
+  /**
+   * Load the export (downloading it first if it is missing and
+   * refreshFromLive is set) and schedule refreshes
+   */
+  start(): void {
+    const initial = this.settings.refreshFromLive && !fs.existsSync(this.settings.path) ? 'live' : 'file';
+    void this.refresh(initial);
+
+    if (this.settings.refreshIntervalMs > 0 && !this.timer) {
+      this.timer = setInterval(() => void this.refresh(this.settings.refreshFromLive ? 'live' : 'file'), this.settings.refreshIntervalMs);
+      // Never keep the process alive just to refresh
+      this.timer.unref();
+      this.nextRefreshAt = new Date(Date.now() + this.settings.refreshIntervalMs);
+    }
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.nextRefreshAt = null;
+    }
+  }
+
+  /**
+   * Whether a version has loaded and queries can be answered from the index
+   */
+  isReady(): boolean {
+    return this.index !== null;
+  }
+
+  /**
+   * Features whose bounding box overlaps an envelope
+   */
+  search([minX, minY, maxX, maxY]: BoundingBox): RestrictionFeature[] {
+    return this.index ? this.index.search({ minX, minY, maxX, maxY }).map(entry => entry.feature) : [];
+  }
+
+  /**
+   * Warnings to attach to answers from the index
+   */
+  getWarnings(): string[] {
+    return this.lastError && this.loadedAt
+      ? [`${this.config.name} dataset refresh failed (${this.lastError}); serving version ${this.version} loaded ${this.loadedAt.toISOString()}`]
+      : [];
+  }
+
+  getStatus(): SourceDatasetStatus {
+    return {
+      state: this.index ? 'ready' : this.lastError ? 'failed' : 'loading',
+      path: this.settings.path,
+      refreshSource: this.settings.refreshFromLive ? 'live' : 'file',
+      version: this.version,
+      loadedAt: this.loadedAt?.toISOString() || null,
+      loadDurationMs: this.loadDurationMs,
+      featureCount: this.featureCount,
+      nextRefreshAt: this.nextRefreshAt?.toISOString() || null,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Reload the dataset; concurrent calls share one refresh
+   * @param from 'file' re-reads the export if it changed; 'live' downloads the layer into it first
+   */
+  refresh(from: 'file' | 'live'): Promise<void> {
+    if (!this.refreshing) {
+      this.refreshing = this.runRefresh(from).finally(() => {
+        this.refreshing = null;
+        if (this.timer) {
+          this.nextRefreshAt = new Date(Date.now() + this.settings.refreshIntervalMs);
+        }
+      });
+    }
+    return this.refreshing;
+  }
+
+  private async runRefresh(from: 'file' | 'live'): Promise<void> {
+    const started = Date.now();
+    try {
+      if (from === 'live') {
+        await this.downloadSnapshot();
+      }
+
+      const stat = await fs.promises.stat(this.settings.path);
+      const stamp = `${stat.size}:${stat.mtimeMs}`;
+      if (this.index && stamp === this.fileStamp) {
+        this.lastError = null;
+        return;
+      }
+
+      const text = await fs.promises.readFile(this.settings.path, 'utf8');
+      const contents = this.settings.format === 'csv'
+        ? readCSVExport(text, this.settings.wktColumn)
+        : readGeoJSONExport(text);
+
+      const { entries, dropped } = this.buildEntries(contents);
+      const index = new RBush<IndexEntry>();
+      index.load(entries);
+
+      this.index = index;
+      this.version = contents.version || crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+      this.loadedAt = new Date();
+      this.loadDurationMs = Date.now() - started;
+      this.featureCount = entries.length;
+      this.fileStamp = stamp;
+      this.lastError = null;
+
+      console.log(`Loaded ${this.config.name} dataset ${this.version}: ${entries.length} features in ${this.loadDurationMs}ms` +
+        (dropped > 0 ? ` (${dropped} without usable geometry dropped)` : ''));
+    } catch (error) {
+      this.lastError = error instanceof Error ? error.message : String(error);
+      console.error(`Failed to ${from === 'live' ? 'refresh' : 'load'} ${this.config.name} dataset from ${from === 'live' ? 'the live service' : this.settings.path}:`, this.lastError);
+    }
+  }
+
+  /**
+   * Download the whole layer and save it as the GeoJSON export, via a
+   * temp file so readers never see a partial file
+   */
+  private async downloadSnapshot(): Promise<void> {
+    if (!this.downloadLayer) {
+      throw new Error('no live source to refresh from');
+    }
+
+    const features = await this.downloadLayer();
+    const snapshot = {
+      type: 'FeatureCollection',
+      version: `live-${new Date().toISOString()}`,
+      features: features.map(feature => ({ type: 'Feature', geometry: feature.geometry, properties: feature.attributes }))
+    };
+
+    await fs.promises.mkdir(path.dirname(this.settings.path), { recursive: true });
+    const tempPath = `${this.settings.path}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(snapshot));
+    await fs.promises.rename(tempPath, this.settings.path);
+  }
+
+  /**
+   * Map every record and compute its index bounds, de-duplicating by mapped id
+   */
+  private buildEntries(contents: ExportContents): { entries: IndexEntry[]; dropped: number } {
+    const entries = new Map<string, IndexEntry>();
+    let dropped = 0;
+
+    contents.records.forEach(record => {
+      if (!record.geometry) {
+        dropped++;
+        return;
+      }
+      const feature = mapRestrictionFeature(this.config.restriction, record.geometry, record.attributes);
+      const [minX, minY, maxX, maxY] = turf.bbox(feature as any);
+      if (![minX, minY, maxX, maxY].every(Number.isFinite)) {
+        dropped++;
+        return;
+      }
+      entries.set(feature.properties.id, { minX, minY, maxX, maxY, feature });
+    });
+
+    return { entries: Array.from(entries.values()), dropped };
+  }
+}
+
+/**
+ * GeoJSON export: a FeatureCollection whose properties are the layer's
+ * attributes, optionally with a top-level `version`
+ */
+function readGeoJSONExport(text: string): ExportContents {
+  const data = JSON.parse(text);
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error('dataset is not a GeoJSON FeatureCollection');
+  }
+
+  return {
+    records: data.features.map((feature: any) => ({
+      geometry: feature?.geometry || null,
+      attributes: feature?.properties || {}
+    })),
+    version: typeof data.version === 'string' && data.version ? data.version : null
+  };
+}
+
+/**
+ * CSV export: one record per row with its geometry as WKT in one column
+ */
+function readCSVExport(text: string, wktColumn: string): ExportContents {
+  const rows = parseCSVRecords(text);
+  if (rows.length > 0 && !(wktColumn in rows[0])) {
+    throw new Error(`dataset has no ${wktColumn} column`);
+  }
+
+  return {
+    records: rows.map(row => {
+      const { [wktColumn]: wkt, ...attributes } = row;
+      let geometry: GeoJSONGeometry | null = null;
+      try {
+        geometry = wkt ? parseWKT(wkt) : null;
+      } catch {
+        // Counted as dropped like any record without geometry
+      }
+      return { geometry, attributes };
+    }),
+    version: null
+  };
+}
@@ -0,0 +1,233 @@
+import crypto from 'crypto';
+import {
+  DiscoveryResult,
+  Jurisdiction,
+  RejectedCandidate,
+  RestrictionCategory,
+  SourceCandidate,
+  SourceRecord
+} from '../types';
+import { FieldIssueCode, NotFoundError, UpstreamError, ValidationError } from '../errors';
+import { validateSchema } from '../validation/schema';
+import { discoverSourcesRequestSchema, reviewSourceRequestSchema, sourceCandidateSchema } from '../validation/requestSchemas';
+import { probeSource } from '../utils/sourceProbe';
+import { ChatCompletionClient } from './llmClient';
+import { getJurisdictionService, JurisdictionService } from './jurisdictionService';
+import { getSourceStore, SourceStore } from './sourceStore';
+
+// Most candidates probed from one model reply
+const MAX_CANDIDATES = 10;
+
+const SYSTEM_PROMPT = [
+  'You find public GIS web services published by local governments that map areas where drone (UAS) flight is',
+  'restricted or regulated: parks with drone bans, critical infrastructure, prisons, stadiums, schools and similar.',
+  'Only suggest ArcGIS REST layers (a FeatureServer or MapServer layer URL ending in the layer number) or OGC WFS',
+  'endpoints with a feature type name. Only suggest endpoints you believe exist; never invent URLs.',
+  'Reply with JSON only, no prose, in this shape:',
+  '{"candidates":[{"name":"...","url":"...","protocol":"arcgis"|"wfs","layer":"WFS feature type, omit for arcgis",',
+  '"restrictionType":"NO_FLY"|"AUTH_REQUIRED"|"ADVISORY","fieldMapping":{"name":"attribute with the area name",',
+  '"description":"attribute describing the rule","kind":"attribute with the kind of area","maxAGL":"attribute with a',
+  'ceiling in feet"},"notes":"what the attributes mean"}]}',
+  'Leave out fieldMapping entries the layer has no attribute for. Reply {"candidates":[]} if you know of none.'
+].join(' ');
+
+/**
+ * Request body of POST /api/sources/discover
+ */
+export interface DiscoverSourcesInput {
+  lat?: number;
+  lng?: number;
+  jurisdiction?: Jurisdiction;
+}
+
+/**
+ * Finds municipal GIS restriction sources with a language model
+ *
+ * Given a jurisdiction, the model is asked for ArcGIS/WFS endpoints and
+ * what their attributes mean. Each candidate is then probed: only
+ * endpoints that answer with a polygon layer containing the mapped
+ * attributes are kept, as *pending* records. A person must approve a
+ * record before DiscoveredSourcesProvider queries it, and its features
+ * are always LOW confidence.
+ *
+ * Set DISCOVERY_ALLOW_PRIVATE_HOSTS=true to probe localhost or private
+ * addresses, e.g. a local mock GIS server.
+ */
+export class SourceDiscoveryService {
+  private readonly ALLOW_PRIVATE_HOSTS = process.env.DISCOVERY_ALLOW_PRIVATE_HOSTS === 'true';
+
+  constructor(
+    private llm: ChatCompletionClient = new ChatCompletionClient(),
+    private store: SourceStore = getSourceStore(),
+    private jurisdictions: JurisdictionService = getJurisdictionService()
+  ) {}
+
+  /**
+   * Ask the model for sources in a jurisdiction and store those that pass probing
+   * @throws ValidationError when neither a jurisdiction nor a resolvable point is given
+   * @throws UpstreamError when the model reply cannot be read
+   */
+  async discover(input: DiscoverSourcesInput): Promise<DiscoveryResult> {
+    const jurisdiction = this.resolveJurisdiction(input);
+    const reply = await this.llm.complete([
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: `Jurisdiction: ${describeJurisdiction(jurisdiction)}` }
+    ]);
+
+    const rejected: RejectedCandidate[] = [];
+    const candidates = parseCandidates(reply, rejected);
+
+    const pending: SourceRecord[] = [];
+    const known: SourceRecord[] = [];
+
+    for (const candidate of candidates) {
+      const id = sourceId(candidate);
+      const existing = this.store.get(id);
+
+      // A reviewed source keeps its decision; discovery never re-opens it
+      if (existing && existing.status !== 'pending') {
+        known.push(existing);
+        continue;
+      }
+
+      try {
+        const probe = await probeSource(candidate, this.ALLOW_PRIVATE_HOSTS);
+        pending.push(this.store.save({
+          ...candidate,
+          id,
+          jurisdiction,
+          category: jurisdiction.city || jurisdiction.county ? RestrictionCategory.CITY : RestrictionCategory.STATE,
+          status: 'pending',
+          discoveredAt: existing?.discoveredAt || new Date().toISOString(),
+          probe
+        }));
+      } catch (error) {
+        rejected.push({ url: candidate.url, name: candidate.name, reason: error instanceof Error ? error.message : String(error) });
+      }
+    }
+
+    console.log(`Source discovery for ${describeJurisdiction(jurisdiction)}: ` +
+      `${pending.length} pending, ${known.length} already reviewed, ${rejected.length} rejected`);
+    return { jurisdiction, pending, known, rejected };
+  }
+
+  list(status?: string): SourceRecord[] {
+    if (status !== undefined && !['pending', 'approved', 'rejected'].includes(status)) {
+      throw new ValidationError('Invalid source list request', [{
+        field: 'status',
+        code: FieldIssueCode.INVALID_VALUE,
+        message: 'status must be one of: pending, approved, rejected'
+      }]);
+    }
+    return this.store.list(status as SourceRecord['status'] | undefined);
+  }
+
+  /**
+   * Approve or reject a discovered source
+   * @throws NotFoundError when no source has the id
+   */
+  review(id: string, decision: 'approved' | 'rejected', body: unknown = {}): SourceRecord {
+    const issues = validateSchema(reviewSourceRequestSchema, body ?? {});
+    if (issues.length > 0) {
+      throw new ValidationError('Invalid source review request', issues);
+    }
+
+    const source = this.store.get(id);
+    if (!source) {
+      throw new NotFoundError(`Source ${id} not found`);
+    }
+
+    const { note } = (body ?? {}) as { note?: string };
+    return this.store.save({
+      ...source,
+      status: decision,
+      reviewedAt: new Date().toISOString(),
+      ...(note ? { reviewNote: note } : {})
+    });
+  }
+
+  private resolveJurisdiction(input: DiscoverSourcesInput): Jurisdiction {
+    const issues = validateSchema(discoverSourcesRequestSchema, input);
+    if (issues.length === 0 && !input.jurisdiction && (input.lat === undefined || input.lng === undefined)) {
+      issues.push({ field: 'jurisdiction', code: FieldIssueCode.REQUIRED, message: 'Either jurisdiction or lat and lng is required' });
+    }
+    if (issues.length > 0) {
+      throw new ValidationError('Invalid source discovery request', issues);
+    }
+
+    if (input.jurisdiction) return input.jurisdiction;
+
+    const jurisdiction = this.jurisdictions.resolve(input.lat!, input.lng!);
+    if (!jurisdiction) {
+      throw new ValidationError('Invalid source discovery request', [{
+        field: 'lat',
+        code: FieldIssueCode.INVALID_VALUE,
+        message: 'No jurisdiction contains this point'
+      }]);
+    }
+    return jurisdiction;
+  }
+}
+
+/**
+ * Candidates from the model's reply, with invalid ones moved to `rejected`
+ * @throws UpstreamError when the reply has no JSON candidates list
+ */
+function parseCandidates(reply: string, rejected: RejectedCandidate[]): SourceCandidate[] {
+  // Models often wrap JSON in a code fence or add a sentence around it
+  const json = reply.slice(reply.indexOf('{'), reply.lastIndexOf('}') + 1);
+  let parsed: any;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    throw new UpstreamError('Discovery model reply is not JSON', { reply: reply.slice(0, 500) });
+  }
+  if (!Array.isArray(parsed?.candidates)) {
+    throw new UpstreamError('Discovery model reply has no candidates list', { reply: reply.slice(0, 500) });
+  }
+
+  const candidates: SourceCandidate[] = [];
+  for (const candidate of parsed.candidates.slice(0, MAX_CANDIDATES)) {
+    const issues = validateSchema(sourceCandidateSchema, candidate);
+    if (issues.length > 0) {
+      const { url, name } = (candidate ?? {}) as { url?: unknown; name?: unknown };
+      rejected.push({
+        url: typeof url === 'string' ? url : '',
+        ...(typeof name === 'string' ? { name } : {}),
+        reason: issues.map(issue => issue.message).join('; ')
+      });
+      continue;
+    }
+
+    // Keep only the fields a source record uses; models add their own
+    const { name, url, protocol, layer, restrictionType, fieldMapping, notes } = candidate as SourceCandidate;
+    candidates.push({
+      name,
+      url,
+      protocol,
+      ...(layer ? { layer } : {}),
+      restrictionType,
+      fieldMapping: Object.fromEntries(
+        (['name', 'description', 'kind', 'maxAGL'] as const)
+          .filter(key => fieldMapping[key])
+          .map(key => [key, fieldMapping[key]])
+      ),
+      ...(notes ? { notes } : {})
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Stable id for a source, so rediscovering it updates the same record
+ */
+function sourceId(candidate: SourceCandidate): string {
+  const key = `${candidate.protocol}|${candidate.url.replace(/\/+$/, '')}|${candidate.layer || ''}`;
+  return `src-${crypto.createHash('sha1').update(key).digest('hex').slice(0, 12)}`;
+}
+
+function describeJurisdiction(jurisdiction: Jurisdiction): string {
+  return [jurisdiction.city, jurisdiction.county && `${jurisdiction.county} County`, jurisdiction.state, jurisdiction.country]
+    .filter(Boolean)
+    .join(', ');
+}
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import { SourceRecord, SourceStatus } from '../types';
+
+interface PersistedSources {
+  version: number;
+  sources: SourceRecord[];
+}
+
+const STORE_FILE_VERSION = 1;
+
+/**
+ * Discovered GIS sources and their review state
+ *
+ * Kept in memory and written through to a JSON file on every change, so
+ * approvals survive restarts. Changes are rare (one per discovery run or
+ * review), so writes are not batched.
+ */
+export class SourceStore {
+  private sources = new Map<string, SourceRecord>();
+
+  constructor(private readonly filePath?: string) {
+    this.load();
+  }
+
+  list(status?: SourceStatus): SourceRecord[] {
+    return Array.from(this.sources.values()).filter(source => !status || source.status === status);
+  }
+
+  get(id: string): SourceRecord | undefined {
+    return this.sources.get(id);
+  }
+
+  save(source: SourceRecord): SourceRecord {
+    this.sources.set(source.id, source);
+    this.persist();
+    return source;
+  }
+
+  /**
+   * Load stored sources. A missing or corrupt file means starting empty.
+   */
+  private load(): void {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const persisted: PersistedSources = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (persisted.version !== STORE_FILE_VERSION) {
+        console.warn(`Ignoring source store ${this.filePath}: unsupported version ${persisted.version}`);
+        return;
+      }
+      persisted.sources.forEach(source => this.sources.set(source.id, source));
+      console.log(`Loaded ${this.sources.size} discovered sources from ${this.filePath}`);
+    } catch (error) {
+      console.warn(`Failed to load source store from ${this.filePath}:`, error);
+    }
+  }
+
+  /**
+   * Write via a temp file so a crash mid-write cannot truncate the store
+   */
+  private persist(): void {
+    if (!this.filePath) return;
+
+    const payload: PersistedSources = { version: STORE_FILE_VERSION, sources: this.list() };
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(payload, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+let sourceStore: SourceStore | null = null;
+
+/**
+ * Shared store of discovered sources
+ *
+ * Persisted to DISCOVERED_SOURCES_FILE (default .cache/discovered-sources.json;
+ * set it to an empty string to keep sources in memory only).
+ */
+export function getSourceStore(): SourceStore {
+  if (!sourceStore) {
+    sourceStore = new SourceStore(
+      process.env.DISCOVERED_SOURCES_FILE ?? path.join(process.cwd(), '.cache', 'discovered-sources.json')
+    );
+  }
+  return sourceStore;
+}
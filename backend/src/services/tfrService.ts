@@ -0,0 +1,241 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import * as turf from '@turf/turf';
+import {
+  BoundingBox,
+  ConfidenceLevel,
+  RestrictionCategory,
+  RestrictionFeature,
+  RestrictionFeatureCollection,
+  RestrictionType,
+  TimeWindow
+} from '../types';
+import { TFRRestriction } from '../../../shared/types/RestrictionLayer';
+import { CircuitBreaker, RetryOptions, retryWithBackoff } from '../utils/resilience';
+import { isTFRAreaActive, parseTFRNotice, TFRNotice } from '../utils/tfrXml';
+
+/**
+ * Result of a TFR lookup, with warnings for anything that made the
+ * answer less reliable
+ */
+export interface TFRQueryResult {
+  collection: RestrictionFeatureCollection;
+  warnings: string[];
+  /**
+   * False when some notices could not be fetched or parsed; an active
+   * TFR may then be missing
+   */
+  complete: boolean;
+}
+
+interface NoticeSnapshot {
+  notices: TFRNotice[];
+  failed: string[];
+  fetchedAt: number;
+}
+
+/**
+ * FAA Temporary Flight Restriction (TFR) service
+ *
+ * Reads the list of current TFRs from TFR_LIST_URL and each notice's XML
+ * from TFR_DETAIL_URL (with {id} replaced by the NOTAM number, "4/1234"
+ * becoming "4_1234"). Set TFR_FIXTURE_DIR to read notices from *.xml files
+ * in a local directory instead. Parsed notices are cached for
+ * TFR_CACHE_TTL_MS (default 5 minutes).
+ */
+export class TFRService {
+  private readonly TFR_LIST_URL = process.env.TFR_LIST_URL || 'https://tfr.faa.gov/tfrapi/exportTfrList';
+  private readonly TFR_DETAIL_URL = process.env.TFR_DETAIL_URL || 'https://tfr.faa.gov/download/detail_{id}.xml';
+  private readonly TFR_FIXTURE_DIR = process.env.TFR_FIXTURE_DIR;
+  private readonly CACHE_TTL = Number(process.env.TFR_CACHE_TTL_MS) || 5 * 60 * 1000;
+  private readonly API_TIMEOUT = 8000;
+  private readonly MAX_CONCURRENT_NOTICES = 4;
+  private readonly RETRY_OPTIONS: RetryOptions = {
+    retries: 2,
+    baseDelay: 500,
+    maxDelay: 4000,
+    shouldRetry: isTransientError,
+    onRetry: (error, attempt, delay) =>
+      console.warn(`FAA TFR attempt ${attempt} failed (${describeError(error)}), retrying in ${delay}ms`)
+  };
+
+  private circuitBreaker = new CircuitBreaker('FAA TFR', {
+    failureThreshold: 5,
+    resetTimeout: 30000
+  });
+
+  private snapshot: NoticeSnapshot | null = null;
+  private pending: Promise<NoticeSnapshot> | null = null;
+
+  /**
+   * Get TFR areas intersecting an envelope and active during a time window
+   * @param bbox Envelope as [minLng, minLat, maxLng, maxLat]
+   * @param when Time window of the planned flight
+   * @returns Promise resolving to the TFR features and any warnings
+   * @throws When the TFR list cannot be fetched after retries or the circuit is open
+   */
+  async getActiveTFRs(bbox: BoundingBox, when: TimeWindow): Promise<TFRQueryResult> {
+    const { notices, failed } = await this.getNotices();
+    const features: RestrictionFeature[] = [];
+
+    for (const notice of notices) {
+      notice.areas.forEach((area, index) => {
+        if (!isTFRAreaActive(area, when) || !overlapsBBox(area.geometry, bbox)) {
+          return;
+        }
+
+        const starts = area.schedules.map(schedule => schedule.start.getTime());
+        const ends = area.schedules.map(schedule => schedule.end?.getTime() ?? null);
+        const expiration = ends.includes(null) ? null : Math.max(...(ends as number[]));
+
+        const properties: TFRRestriction = {
+          id: `tfr-${notice.notamNumber.replace('/', '-')}-${index + 1}`,
+          geometry: area.geometry,
+          category: RestrictionCategory.FAA,
+          type: RestrictionType.NO_FLY,
+          authority: 'FAA',
+          description: `TFR ${notice.notamNumber} - ${notice.type} - ${area.name}` +
+            ` (${formatAltitude(area.floor, area.floorReference)} to ${formatAltitude(area.ceiling, area.ceilingReference)})`,
+          sourceUrl: `https://tfr.faa.gov/tfr3/?page=detail_${notice.notamNumber.replace('/', '_')}`,
+          confidenceLevel: ConfidenceLevel.HIGH,
+          jurisdiction: { country: 'United States' },
+          metadata: {
+            dataSource: 'FAA TFR',
+            updatedAt: new Date().toISOString()
+          },
+          effectiveDate: new Date(Math.min(...starts)).toISOString(),
+          expirationDate: expiration === null ? null : new Date(expiration).toISOString(),
+          notamNumber: notice.notamNumber,
+          tfrType: notice.type,
+          altitudeFloor: area.floor,
+          altitudeFloorReference: area.floorReference,
+          altitudeCeiling: area.ceiling,
+          altitudeCeilingReference: area.ceilingReference,
+          name: `TFR ${notice.notamNumber}`,
+          facility: notice.facility,
+          notes: notice.description,
+          source: 'FAA TFR'
+        };
+
+        features.push({ type: 'Feature', properties, geometry: area.geometry });
+      });
+    }
+
+    return {
+      collection: { type: 'FeatureCollection', features },
+      warnings: failed.length > 0 ? [`Could not load ${failed.length} TFR notice(s): ${failed.join(', ')}`] : [],
+      complete: failed.length === 0
+    };
+  }
+
+  /**
+   * Current notices, from cache when fresh. Concurrent callers share one refresh.
+   */
+  private async getNotices(): Promise<NoticeSnapshot> {
+    if (this.snapshot && Date.now() - this.snapshot.fetchedAt < this.CACHE_TTL) {
+      return this.snapshot;
+    }
+
+    if (!this.pending) {
+      this.pending = (this.TFR_FIXTURE_DIR ? this.loadFixtures(this.TFR_FIXTURE_DIR) : this.fetchNotices())
+        .then(snapshot => {
+          this.snapshot = snapshot;
+          return snapshot;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Fetch the TFR list, then each notice a few at a time. A notice that
+   * fails is reported rather than failing the whole lookup.
+   */
+  private async fetchNotices(): Promise<NoticeSnapshot> {
+    const { value: listResponse } = await this.request(this.TFR_LIST_URL, 'json');
+    if (!Array.isArray(listResponse.data)) {
+      throw new Error('TFR list response is not an array');
+    }
+
+    const ids: string[] = listResponse.data
+      .map((entry: any) => String(entry?.notam_id || '').trim())
+      .filter((id: string) => id.length > 0);
+
+    const notices: TFRNotice[] = [];
+    const failed: string[] = [];
+
+    for (let i = 0; i < ids.length; i += this.MAX_CONCURRENT_NOTICES) {
+      const batch = ids.slice(i, i + this.MAX_CONCURRENT_NOTICES);
+      const settled = await Promise.allSettled(batch.map(async id => {
+        const url = this.TFR_DETAIL_URL.replace('{id}', id.replace('/', '_'));
+        const { value: response } = await this.request(url, 'text');
+        return parseTFRNotice(response.data);
+      }));
+
+      settled.forEach((outcome, index) => {
+        if (outcome.status === 'fulfilled') {
+          notices.push(outcome.value);
+        } else {
+          console.warn(`Failed to load TFR ${batch[index]}:`, describeError(outcome.reason));
+          failed.push(batch[index]);
+        }
+      });
+    }
+
+    console.log(`Loaded ${notices.length} TFR notices (${failed.length} failed)`);
+    return { notices, failed, fetchedAt: Date.now() };
+  }
+
+  private async loadFixtures(directory: string): Promise<NoticeSnapshot> {
+    const files = (await fs.promises.readdir(directory)).filter(file => file.endsWith('.xml'));
+    const notices: TFRNotice[] = [];
+    const failed: string[] = [];
+
+    for (const file of files) {
+      try {
+        notices.push(parseTFRNotice(await fs.promises.readFile(path.join(directory, file), 'utf8')));
+      } catch (error) {
+        console.warn(`Failed to parse TFR fixture ${file}:`, describeError(error));
+        failed.push(file);
+      }
+    }
+
+    console.log(`Loaded ${notices.length} TFR notices from ${directory}`);
+    return { notices, failed, fetchedAt: Date.now() };
+  }
+
+  private request(url: string, responseType: 'json' | 'text') {
+    return this.circuitBreaker.execute(() =>
+      retryWithBackoff(() => axios.get(url, { responseType, timeout: this.API_TIMEOUT }), this.RETRY_OPTIONS)
+    );
+  }
+}
+
+function overlapsBBox(geometry: any, bbox: BoundingBox): boolean {
+  const [minX, minY, maxX, maxY] = turf.bbox(geometry);
+  return minX <= bbox[2] && maxX >= bbox[0] && minY <= bbox[3] && maxY >= bbox[1];
+}
+
+function formatAltitude(feet: number, reference: string): string {
+  if (reference === 'SFC') return 'surface';
+  if (reference === 'STD') return `FL${Math.round(feet / 100)}`;
+  return `${feet} ft ${reference}`;
+}
+
+/**
+ * Network errors, timeouts, 429 and 5xx responses are worth retrying
+ */
+function isTransientError(error: unknown): boolean {
+  if (axios.isAxiosError(error)) {
+    const status = error.response?.status;
+    return status === undefined || status === 429 || status >= 500;
+  }
+  return false;
+}
+
+function describeError(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
@@ -0,0 +1,188 @@
+import fs from 'fs';
+import path from 'path';
+import { RestrictionFeature } from '../types';
+
+/**
+ * Options for a TileCache instance
+ */
+export interface TileCacheOptions {
+  /** Time to live for a cached tile in milliseconds */
+  ttl: number;
+  /** Maximum number of tiles kept; least recently used tiles are evicted */
+  maxTiles: number;
+  /** JSON file used to persist the cache between restarts (optional) */
+  filePath?: string;
+  /** Delay before writing changes to disk, batching bursts of writes */
+  persistDelay?: number;
+}
+
+interface TileEntry {
+  features: RestrictionFeature[];
+  storedAt: number;
+  expiresAt: number;
+}
+
+interface PersistedCache {
+  version: number;
+  tiles: Record<string, TileEntry>;
+}
+
+/**
+ * Cache statistics reported by GET /api/cache/stats
+ */
+export interface TileCacheStats {
+  hits: number;
+  misses: number;
+  hitRate: number;
+  evictions: number;
+  tiles: number;
+  features: number;
+  approximateBytes: number;
+  ttlMs: number;
+  maxTiles: number;
+  filePath: string | null;
+  lastPersistedAt: string | null;
+}
+
+const CACHE_FILE_VERSION = 1;
+
+/**
+ * Tile-keyed cache of transformed restriction features
+ *
+ * Entries are keyed by quadkey and expire after a fixed TTL. The cache
+ * is an LRU (Map insertion order) and is optionally persisted to a JSON
+ * file so a restarted server starts warm.
+ */
+export class TileCache {
+  private tiles = new Map<string, TileEntry>();
+  private hits = 0;
+  private misses = 0;
+  private evictions = 0;
+  private persistTimer: NodeJS.Timeout | null = null;
+  private lastPersistedAt: Date | null = null;
+
+  constructor(private readonly options: TileCacheOptions) {
+    this.load();
+  }
+
+  /**
+   * Features cached for a tile, or undefined on a miss or expired entry
+   */
+  get(quadkey: string): RestrictionFeature[] | undefined {
+    const entry = this.tiles.get(quadkey);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.tiles.delete(quadkey);
+      this.misses++;
+      return undefined;
+    }
+
+    // Refresh LRU position
+    this.tiles.delete(quadkey);
+    this.tiles.set(quadkey, entry);
+    this.hits++;
+    return entry.features;
+  }
+
+  set(quadkey: string, features: RestrictionFeature[]): void {
+    const now = Date.now();
+    this.tiles.delete(quadkey);
+    this.tiles.set(quadkey, { features, storedAt: now, expiresAt: now + this.options.ttl });
+
+    while (this.tiles.size > this.options.maxTiles) {
+      const oldest = this.tiles.keys().next().value as string;
+      this.tiles.delete(oldest);
+      this.evictions++;
+    }
+
+    this.schedulePersist();
+  }
+
+  clear(): void {
+    this.tiles.clear();
+    this.schedulePersist();
+  }
+
+  getStats(): TileCacheStats {
+    const lookups = this.hits + this.misses;
+    let features = 0;
+    let approximateBytes = 0;
+
+    this.tiles.forEach((entry, quadkey) => {
+      features += entry.features.length;
+      approximateBytes += quadkey.length + JSON.stringify(entry.features).length;
+    });
+
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups === 0 ? 0 : this.hits / lookups,
+      evictions: this.evictions,
+      tiles: this.tiles.size,
+      features,
+      approximateBytes,
+      ttlMs: this.options.ttl,
+      maxTiles: this.options.maxTiles,
+      filePath: this.options.filePath || null,
+      lastPersistedAt: this.lastPersistedAt ? this.lastPersistedAt.toISOString() : null
+    };
+  }
+
+  /**
+   * Load unexpired tiles from disk. A missing or corrupt file just
+   * means starting cold.
+   */
+  private load(): void {
+    const { filePath } = this.options;
+    if (!filePath || !fs.existsSync(filePath)) return;
+
+    try {
+      const persisted: PersistedCache = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (persisted.version !== CACHE_FILE_VERSION) {
+        console.warn(`Ignoring tile cache ${filePath}: unsupported version ${persisted.version}`);
+        return;
+      }
+
+      const now = Date.now();
+      Object.entries(persisted.tiles)
+        .filter(([, entry]) => entry.expiresAt > now)
+        .sort(([, a], [, b]) => a.storedAt - b.storedAt)
+        .slice(-this.options.maxTiles)
+        .forEach(([quadkey, entry]) => this.tiles.set(quadkey, entry));
+
+      console.log(`Loaded ${this.tiles.size} cached tiles from ${filePath}`);
+    } catch (error) {
+      console.warn(`Failed to load tile cache from ${filePath}:`, error);
+    }
+  }
+
+  private schedulePersist(): void {
+    if (!this.options.filePath || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist().catch(error => console.warn('Failed to persist tile cache:', error));
+    }, this.options.persistDelay ?? 2000);
+
+    // Never keep the process alive just to write the cache
+    this.persistTimer.unref();
+  }
+
+  /**
+   * Write the cache to disk via a temp file so a crash mid-write
+   * cannot leave a truncated cache behind
+   */
+  private async persist(): Promise<void> {
+    const filePath = this.options.filePath!;
+    const payload: PersistedCache = {
+      version: CACHE_FILE_VERSION,
+      tiles: Object.fromEntries(this.tiles)
+    };
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(payload));
+    await fs.promises.rename(tempPath, filePath);
+    this.lastPersistedAt = new Date();
+  }
+}
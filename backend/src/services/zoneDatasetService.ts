@@ -0,0 +1,223 @@
+import fs from 'fs';
+import path from 'path';
+import * as turf from '@turf/turf';
+import {
+  BoundingBox,
+  Jurisdiction,
+  RestrictionFeature,
+  ZoneDatasetSummary
+} from '../types';
+import { FieldIssueCode, NotFoundError, ValidationError } from '../errors';
+import { readED269 } from '../utils/ed269';
+
+interface ZoneDataset {
+  summary: ZoneDatasetSummary;
+  features: Array<{ feature: RestrictionFeature; bbox: BoundingBox }>;
+}
+
+const DATASET_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+/**
+ * Imported ED-269 UAS geographical zone datasets
+ *
+ * Each dataset is one ED-269 file in the data directory, named <id>.json;
+ * files can be dropped there directly or imported through the admin API,
+ * which writes them there. Files are read at startup and kept in memory
+ * with the bounding box of every zone volume for fast envelope queries.
+ * Importing a dataset under an existing id replaces it. An id derived
+ * from the title only replaces a dataset with the same title, so another
+ * country's dataset cannot be dropped by a slug collision.
+ */
+export class ZoneDatasetService {
+  private datasets = new Map<string, ZoneDataset>();
+
+  constructor(private readonly dirPath?: string) {
+    this.load();
+  }
+
+  list(): ZoneDatasetSummary[] {
+    return Array.from(this.datasets.values()).map(dataset => dataset.summary);
+  }
+
+  /**
+   * Countries with imported zones
+   */
+  getJurisdictions(): Jurisdiction[] {
+    const countries = new Set(this.list().flatMap(summary => summary.countries));
+    return Array.from(countries).map(country => ({ country }));
+  }
+
+  /**
+   * Zone volumes whose bounding box overlaps an envelope
+   */
+  getZones([minX, minY, maxX, maxY]: BoundingBox): RestrictionFeature[] {
+    return Array.from(this.datasets.values()).flatMap(dataset => dataset.features
+      .filter(({ bbox }) => bbox[0] <= maxX && bbox[2] >= minX && bbox[1] <= maxY && bbox[3] >= minY)
+      .map(({ feature }) => feature));
+  }
+
+  /**
+   * Import an ED-269 document
+   * @param document Parsed request body
+   * @param id Dataset id; derived from the document title when omitted
+   * @throws ValidationError when the document or id is invalid, or no zone can be used
+   */
+  import(document: unknown, id?: string): ZoneDatasetSummary {
+    if (id !== undefined && !DATASET_ID_PATTERN.test(id)) {
+      throw new ValidationError('Invalid zone dataset import', [{
+        field: 'id',
+        code: FieldIssueCode.INVALID_VALUE,
+        message: 'id must be lowercase letters, digits and hyphens (at most 64)'
+      }]);
+    }
+
+    let dataset: ZoneDataset;
+    try {
+      dataset = buildDataset(document, id || '', new Date());
+    } catch (error) {
+      throw new ValidationError('Invalid zone dataset import', [{
+        field: '(body)',
+        code: FieldIssueCode.INVALID_VALUE,
+        message: error instanceof Error ? error.message : String(error)
+      }]);
+    }
+
+    if (dataset.summary.zoneCount === 0) {
+      throw new ValidationError('Invalid zone dataset import', dataset.summary.skipped.slice(0, 20).map(zone => ({
+        field: `zone ${zone.identifier}`,
+        code: FieldIssueCode.INVALID_VALUE,
+        message: zone.reason
+      })));
+    }
+
+    if (!id) {
+      dataset.summary.id = this.idFromTitle(dataset.summary.title);
+    }
+
+    this.persist(dataset.summary.id, document);
+    this.datasets.set(dataset.summary.id, dataset);
+    console.log(`Imported ED-269 dataset ${dataset.summary.id}: ${dataset.summary.zoneCount} zones, ` +
+      `${dataset.summary.skipped.length} skipped`);
+    return dataset.summary;
+  }
+
+  /**
+   * Dataset id derived from a title
+   * @throws ValidationError when the title gives no id, or its id belongs to a dataset with another title
+   */
+  private idFromTitle(title: string): string {
+    const id = slugify(title);
+    if (!id) {
+      throw new ValidationError('Invalid zone dataset import', [{
+        field: 'id',
+        code: FieldIssueCode.REQUIRED,
+        message: title
+          ? `id is required: no id can be derived from the title "${title}"`
+          : 'id is required: the document has no title to derive one from'
+      }]);
+    }
+
+    const existing = this.datasets.get(id);
+    if (existing && existing.summary.title !== title) {
+      throw new ValidationError('Invalid zone dataset import', [{
+        field: 'id',
+        code: FieldIssueCode.INVALID_VALUE,
+        message: `id ${id}, derived from the title, belongs to dataset "${existing.summary.title}"; ` +
+          'give an id to import this one alongside it, or that id to replace it'
+      }]);
+    }
+    return id;
+  }
+
+  /**
+   * Remove an imported dataset and its file
+   * @throws NotFoundError when no dataset has the id
+   */
+  remove(id: string): void {
+    if (!this.datasets.delete(id)) {
+      throw new NotFoundError(`Zone dataset ${id} not found`);
+    }
+    if (this.dirPath) {
+      fs.rmSync(path.join(this.dirPath, `${id}.json`), { force: true });
+    }
+  }
+
+  /**
+   * Read every dataset file. Unreadable files are skipped with a warning.
+   */
+  private load(): void {
+    if (!this.dirPath || !fs.existsSync(this.dirPath)) return;
+
+    fs.readdirSync(this.dirPath)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const filePath = path.join(this.dirPath!, file);
+        try {
+          const document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          const dataset = buildDataset(document, path.basename(file, '.json'), fs.statSync(filePath).mtime);
+          this.datasets.set(dataset.summary.id, dataset);
+        } catch (error) {
+          console.warn(`Failed to load ED-269 dataset ${filePath}:`, error instanceof Error ? error.message : error);
+        }
+      });
+
+    if (this.datasets.size > 0) {
+      console.log(`Loaded ${this.datasets.size} ED-269 dataset(s) from ${this.dirPath}`);
+    }
+  }
+
+  /**
+   * Write via a temp file so a crash mid-write cannot truncate a dataset
+   */
+  private persist(id: string, document: unknown): void {
+    if (!this.dirPath) return;
+
+    fs.mkdirSync(this.dirPath, { recursive: true });
+    const filePath = path.join(this.dirPath, `${id}.json`);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(document));
+    fs.renameSync(tempPath, filePath);
+  }
+}
+
+let zoneDatasetService: ZoneDatasetService | null = null;
+
+/**
+ * Shared store of imported zone datasets
+ *
+ * Read from and written to ED269_DATA_DIR (default data/ed269; set it to
+ * an empty string to keep imports in memory only).
+ */
+export function getZoneDatasetService(): ZoneDatasetService {
+  if (!zoneDatasetService) {
+    zoneDatasetService = new ZoneDatasetService(
+      process.env.ED269_DATA_DIR ?? path.join(process.cwd(), 'data', 'ed269')
+    );
+  }
+  return zoneDatasetService;
+}
+
+function buildDataset(document: unknown, id: string, importedAt: Date): ZoneDataset {
+  // Untitled documents take their id as title; without an id the import must supply one
+  const result = readED269(document, id);
+  return {
+    summary: {
+      id,
+      title: result.title,
+      format: 'ED-269',
+      countries: result.countries,
+      zoneCount: result.zoneCount,
+      featureCount: result.features.length,
+      importedAt: importedAt.toISOString(),
+      skipped: result.skipped
+    },
+    features: result.features.map(feature => ({ feature, bbox: turf.bbox(feature as any) as BoundingBox }))
+  };
+}
+
+/**
+ * Id from a title's Latin letters and digits; empty when it has none
+ */
+function slugify(title: string): string {
+  return title.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').slice(0, 64).replace(/^-+|-+$/g, '');
+}
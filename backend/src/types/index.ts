@@ -3,12 +3,101 @@
  */
 
 // Input validation types
+export type RadiusUnit = 'miles' | 'feet' | 'meters' | 'kilometers';
+
+/**
+ * Polygonal area of interest, as a bare geometry or a Feature
+ */
+export type AreaOfInterest =
+  | Polygon
+  | MultiPolygon
+  | Feature<Polygon | MultiPolygon>;
+
+/**
+ * Planned flight window. Times are ISO 8601; the time zone (IANA, default
+ * the search location's) sets which days the map timeline covers and the local time of
+ * schedules without their own time zone.
+ */
+export interface FlightWindow {
+  start: string;
+  end: string;
+  timezone?: string;
+}
+
 export interface LocationInput {
+  /**
+   * Search center. For an area-of-interest search this is derived from the AOI.
+   */
   lat: number;
   lng: number;
+  /**
+   * Search radius in `units`; validated input is always normalized to miles.
+   * For an area-of-interest search this is the radius of the AOI's bounding circle.
+   */
   radius: number;
+  units?: RadiusUnit;
+  /**
+   * Optional polygon searched instead of the center/radius circle;
+   * validated input always holds a bare Polygon or MultiPolygon
+   */
+  aoi?: AreaOfInterest;
+  /**
+   * Optional planned altitude in feet AGL, compared with FAA grid ceilings
+   */
+  altitude?: number;
+  /**
+   * Optional ISO 8601 time the flight is planned for; defaults to now
+   */
+  time?: string;
+  /**
+   * Optional planned flight window, instead of `time`
+   */
+  flightWindow?: FlightWindow;
+}
+
+/**
+ * Planned flight path for a corridor search
+ */
+export interface RouteInput {
+  route: LineString;
+  /** Lateral buffer either side of the path in `units`; validated input is in miles */
+  buffer: number;
+  units?: RadiusUnit;
+  /** Planned altitude in feet AGL at each route vertex */
+  altitudes?: number[];
+  /** ISO 8601 time the flight is planned for; defaults to now */
+  time?: string;
+  /** Planned flight window, instead of `time` */
+  flightWindow?: FlightWindow;
+}
+
+/**
+ * Point to check for a "can I fly here?" verdict
+ */
+export interface PointCheckInput {
+  lat: number;
+  lng: number;
+  /** Planned altitude in feet AGL */
+  altitude: number;
+  operator: OperatorType;
+  /** ISO 8601 time the flight is planned for; defaults to now */
+  time?: string;
+  /** Planned flight window, instead of `time` */
+  flightWindow?: FlightWindow;
+}
+
+/**
+ * Batch of ICAO NOTAM text to parse into restriction features
+ */
+export interface NotamInput {
+  /** One or more NOTAMs, each starting with its "A1234/24 NOTAMN" header */
+  text: string;
+  /** ISO 8601 time used to mark each NOTAM active or inactive; defaults to now */
+  time?: string;
 }
 
+import { Feature, LineString, MultiPolygon, Polygon } from 'geojson';
+
 // Import shared restriction layer types
 import {
   RestrictionFeature,
@@ -16,6 +105,11 @@ import {
   RestrictionCategory,
   RestrictionType,
   ConfidenceLevel,
+  CeilingStatus,
+  ActivityStatus,
+  LightCondition,
+  FlightVerdict,
+  OperatorType,
   Jurisdiction,
   RestrictionMetadata
 } from '../../../shared/types/RestrictionLayer';
@@ -26,6 +120,561 @@ export interface RestrictionsResponse {
   airspaceRestrictions: RestrictionFeatureCollection;
   localRestrictions: RestrictionFeatureCollection;
   allowedAreas: RestrictionFeatureCollection;
+  /**
+   * Unmerged FAA UAS facility map grid cells, each keeping its own ceiling
+   * (maxAGL) and, when an altitude was requested, a ceilingStatus
+   */
+  faaCeilings: RestrictionFeatureCollection;
+  /**
+   * The restricted part of the search area split into non-overlapping
+   * zones, each listing the restrictions in effect there (restrictions:
+   * AppliedRestriction[]) with the resulting type and lowest maxAGL
+   */
+  effectiveZones: RestrictionFeatureCollection;
+}
+
+/**
+ * A restriction contributing to an effective zone
+ */
+export interface AppliedRestriction {
+  id: string;
+  category: RestrictionCategory;
+  type: RestrictionType;
+  maxAGL?: number;
+  authority: string;
+  description: string;
+  sourceUrl: string;
+}
+
+/**
+ * Bounding box in WGS84 degrees: [minLng, minLat, maxLng, maxLat]
+ */
+export type BoundingBox = [number, number, number, number];
+
+/**
+ * Period a search covers. Time-limited restrictions (e.g. TFRs) are
+ * only returned when they are in effect at some point within it.
+ */
+export interface TimeWindow {
+  start: Date;
+  end: Date;
+}
+
+/**
+ * Area handed to every restriction provider for a single search
+ */
+export interface ProviderQuery {
+  lat: number;
+  lng: number;
+  radius: number;
+  bbox: BoundingBox;
+  searchArea: RestrictionFeatureCollection;
+  when: TimeWindow;
+  /** Jurisdictions the search area touches (see JurisdictionService) */
+  jurisdictions: Jurisdiction[];
+}
+
+/**
+ * Geographic coverage a provider declares. A provider without any
+ * bounding boxes is treated as global.
+ */
+export interface ProviderCoverage {
+  description: string;
+  bboxes?: BoundingBox[];
+  /**
+   * Jurisdictions a regional provider's sources cover. When set, the
+   * provider is only consulted for searches touching one of them (never,
+   * when empty); levels left out (e.g. no county) match anything.
+   */
+  jurisdictions?: Jurisdiction[];
+}
+
+/**
+ * Features returned by a provider. Warnings mark a response that
+ * succeeded but should be treated as degraded; complete: false marks
+ * a response known to be missing features (e.g. a paging cap was hit).
+ */
+export interface ProviderResult {
+  collection: RestrictionFeatureCollection;
+  warnings?: string[];
+  complete?: boolean;
+}
+
+/**
+ * Pluggable source of restriction features (FAA, state, city, private...)
+ *
+ * Providers only fetch and transform their own data. Clipping, merging
+ * and allowed-area calculation stay in RestrictionService.
+ */
+export interface RestrictionProvider {
+  id: string;
+  name: string;
+  coverage: ProviderCoverage;
+  categories: RestrictionCategory[];
+  timeout: number;
+  query(query: ProviderQuery): Promise<ProviderResult>;
+}
+
+/**
+ * ok: provider answered normally
+ * degraded: provider answered, but only after retries or with warnings
+ * failed: provider could not answer; its restrictions are missing
+ */
+export type ProviderStatus = 'ok' | 'degraded' | 'failed';
+
+/**
+ * Outcome of consulting one provider during a search
+ */
+export interface ProviderReport {
+  id: string;
+  name: string;
+  categories: RestrictionCategory[];
+  status: ProviderStatus;
+  latencyMs: number;
+  featureCount: number;
+  complete: boolean;
+  warnings?: string[];
+  error?: string;
+}
+
+// Search metadata produced by the service layer
+export interface RestrictionsMetadata {
+  providers: ProviderReport[];
+  /**
+   * False when any provider failed or returned partial data, or no
+   * airspace authority's data covers the search area. Allowed
+   * areas are withheld in that case because missing data must never
+   * read as "safe to fly".
+   */
+  dataComplete: boolean;
+  /**
+   * Flight window the restrictions were evaluated for (a single instant
+   * when only `time` or nothing was requested)
+   */
+  flightWindow: Required<FlightWindow>;
+  /**
+   * Whole local days covering the flight window; activeIntervals on each
+   * restriction are given across this range
+   */
+  timeline: { start: string; end: string };
+  /**
+   * Jurisdictions the search area touches; regional providers are chosen
+   * from these
+   */
+  jurisdictions: Jurisdiction[];
+  /**
+   * Sun times and light conditions at the search center across the
+   * timeline's days
+   */
+  daylight: DaylightInfo;
+}
+
+/**
+ * A stretch of one light condition
+ */
+export interface LightPeriod {
+  condition: LightCondition;
+  start: string;
+  end: string;
+}
+
+/**
+ * Sun times for one local day. Events the sun does not reach that day
+ * (polar day or night, white nights) are null.
+ */
+export interface SolarDay {
+  /** Local date, YYYY-MM-DD */
+  date: string;
+  civilDawn: string | null;
+  sunrise: string | null;
+  solarNoon: string;
+  sunset: string | null;
+  civilDusk: string | null;
+  /** Light conditions across the local day, in order */
+  periods: LightPeriod[];
+}
+
+export interface DaylightInfo {
+  /** [lng, lat] the sun times were computed for */
+  location: [number, number];
+  days: SolarDay[];
+  /** Light conditions the flight window falls in */
+  flightConditions: LightCondition[];
+  /** Lighting and training reminder when the flight window reaches civil twilight or night */
+  advisory: string | null;
+}
+
+export interface RestrictionsResult {
+  data: RestrictionsResponse;
+  metadata: RestrictionsMetadata;
+}
+
+/**
+ * Stretch of a route whose corridor overlaps a restriction. Distances are
+ * in miles along the path from its first vertex.
+ */
+export interface RouteSegment {
+  startDistance: number;
+  endDistance: number;
+  startPosition: [number, number];
+  endPosition: [number, number];
+  /** Planned altitude range over the stretch, when altitudes were given */
+  minAltitude?: number;
+  maxAltitude?: number;
+  /** True when the planned altitude goes above the restriction's maxAGL */
+  exceedsCeiling?: boolean;
+}
+
+/**
+ * A restriction crossed by the route corridor and where it is crossed
+ */
+export interface RouteCrossing {
+  restrictionId: string;
+  category: RestrictionCategory;
+  type: RestrictionType;
+  description: string;
+  maxAGL?: number;
+  segments: RouteSegment[];
+}
+
+// Response structure for a corridor search
+export interface RouteResponse {
+  route: Feature<LineString>;
+  routeLength: number;
+  corridor: RestrictionFeatureCollection;
+  airspaceRestrictions: RestrictionFeatureCollection;
+  localRestrictions: RestrictionFeatureCollection;
+  crossings: RouteCrossing[];
+}
+
+export interface RouteResult {
+  data: RouteResponse;
+  metadata: RestrictionsMetadata;
+}
+
+/**
+ * Verdict for one point, altitude and operator
+ */
+export interface PointCheckResponse {
+  verdict: FlightVerdict;
+  /**
+   * Highest altitude in feet AGL at the point: 400, or a lower ceiling
+   * from a restriction in effect there. Null when the verdict is NO_GO.
+   */
+  maxAltitude: number | null;
+  /** Every restriction in effect at the point */
+  restrictions: AppliedRestriction[];
+  /** Restrictions that decided the verdict or the max altitude */
+  governingRestrictionIds: string[];
+  /** Plain-language reasons for the verdict */
+  explanation: string;
+}
+
+export interface PointCheckResult {
+  data: PointCheckResponse;
+  metadata: RestrictionsMetadata;
+}
+
+/**
+ * A NOTAM, or text outside any NOTAM, from a batch that could not be
+ * turned into a restriction
+ */
+export interface NotamError {
+  /** Position of the NOTAM or text in the batch, from 0 */
+  index: number;
+  notamId?: string;
+  message: string;
+}
+
+// Response structure for a NOTAM batch
+export interface NotamResponse {
+  notams: RestrictionFeatureCollection;
+  errors: NotamError[];
+}
+
+/**
+ * Protocol a discovered GIS source is queried with
+ * arcgis: ArcGIS REST FeatureServer/MapServer layer
+ * wfs: OGC Web Feature Service feature type
+ */
+export type SourceProtocol = 'arcgis' | 'wfs';
+
+/**
+ * Review state of a discovered source. Only approved sources are queried.
+ */
+export type SourceStatus = 'pending' | 'approved' | 'rejected';
+
+/**
+ * Which source attribute holds each restriction property
+ */
+export interface SourceFieldMapping {
+  name?: string;
+  description?: string;
+  /** Attribute with the source's own kind of restriction (e.g. "NO DRONES") */
+  kind?: string;
+  /** Attribute with a ceiling in feet AGL */
+  maxAGL?: string;
+}
+
+/**
+ * A GIS endpoint suggested by the discovery model, before it is probed
+ */
+export interface SourceCandidate {
+  name: string;
+  url: string;
+  protocol: SourceProtocol;
+  /** WFS feature type name; ArcGIS candidates point at the layer URL instead */
+  layer?: string;
+  restrictionType: RestrictionType;
+  fieldMapping: SourceFieldMapping;
+  notes?: string;
+}
+
+/**
+ * What probing a candidate's schema found
+ */
+export interface SourceProbe {
+  checkedAt: string;
+  geometryType: string;
+  fields: string[];
+}
+
+/**
+ * A discovered source kept for human review
+ */
+export interface SourceRecord extends SourceCandidate {
+  id: string;
+  jurisdiction: Jurisdiction;
+  category: RestrictionCategory;
+  status: SourceStatus;
+  discoveredAt: string;
+  probe: SourceProbe;
+  reviewedAt?: string;
+  reviewNote?: string;
+}
+
+/**
+ * A candidate that failed validation or probing
+ */
+export interface RejectedCandidate {
+  url: string;
+  name?: string;
+  reason: string;
+}
+
+/**
+ * Outcome of one discovery run
+ */
+export interface DiscoveryResult {
+  jurisdiction: Jurisdiction;
+  /** Newly stored or still-pending sources awaiting review */
+  pending: SourceRecord[];
+  /** Candidates that were already approved or rejected */
+  known: SourceRecord[];
+  rejected: RejectedCandidate[];
+}
+
+/**
+ * A zone of an imported dataset that could not be used
+ */
+export interface SkippedZone {
+  /** Zone identifier, or its position in the file when it has none */
+  identifier: string;
+  reason: string;
+}
+
+/**
+ * Summary of an imported EUROCAE ED-269 UAS geographical zone dataset
+ */
+export interface ZoneDatasetSummary {
+  id: string;
+  title: string;
+  format: 'ED-269';
+  /** Countries the zones belong to, as jurisdiction country names */
+  countries: string[];
+  zoneCount: number;
+  /** Restriction features produced (one per zone volume) */
+  featureCount: number;
+  importedAt: string;
+  skipped: SkippedZone[];
+}
+
+/**
+ * Test on one source attribute. A missing attribute compares as null.
+ * Every operator given must hold.
+ */
+export interface AttributeCondition {
+  field: string;
+  equals?: string | number | boolean | null;
+  in?: Array<string | number | boolean | null>;
+  lessThan?: number;
+  greaterThan?: number;
+  /** Case-insensitive regular expression tested against the value as text */
+  matches?: string;
+}
+
+/**
+ * How a restriction property is read from a source attribute
+ */
+export interface AttributeMapping {
+  field: string;
+  /** Convert the value; dates accept epoch milliseconds or any Date.parse string */
+  as?: 'string' | 'number' | 'date';
+  /** Used when the attribute is missing or empty */
+  default?: string | number | boolean | null;
+}
+
+/**
+ * Rules turning a source feature's attributes into RestrictionLayer properties
+ *
+ * Text values are templates: {FIELD} is replaced by the attribute,
+ * {FIELD|OTHER|'text'} falls back to the next attribute or quoted literal
+ * when a value is missing.
+ */
+export interface RestrictionMappingConfig {
+  /** Template for the restriction id; features with the same id are de-duplicated */
+  id: string;
+  authority: string;
+  description: string;
+  sourceUrl: string;
+  confidenceLevel: ConfidenceLevel;
+  jurisdiction: Jurisdiction;
+  /** First matching rule wins; otherwise the default */
+  type: { rules?: Array<AttributeCondition & { type: RestrictionType }>; default: RestrictionType };
+  category: { rules?: Array<AttributeCondition & { category: RestrictionCategory }>; default: RestrictionCategory };
+  /** Extra RestrictionLayer properties, by property name (e.g. maxAGL, name, effectiveDate) */
+  fieldMapping?: Record<string, string | AttributeMapping>;
+  /** Fixed extra properties (e.g. city, notes) */
+  properties?: Record<string, string | number | boolean>;
+  dataSource?: string;
+}
+
+/**
+ * Settings shared by every declarative GIS source definition
+ *
+ * Files in the source config directory (see ../providers/sourceConfigs)
+ * each hold one definition and become one restriction provider.
+ */
+export interface SourceConfigBase {
+  id: string;
+  name: string;
+  /** Provider timeout in milliseconds (default 30000) */
+  timeout?: number;
+  /** Coverage, or the name of a preset such as "US" */
+  coverage: ProviderCoverage | string;
+  restriction: RestrictionMappingConfig;
+}
+
+/**
+ * Declarative definition of an ArcGIS FeatureServer/MapServer layer source
+ */
+export interface ArcGISSourceConfig extends SourceConfigBase {
+  protocol: 'arcgis';
+  /** FeatureServer or MapServer URL, without the layer id */
+  url: string;
+  layerId: number;
+  /** ArcGIS where clause (default 1=1) */
+  where?: string;
+  /** Field used for stable paging order (default OBJECTID) */
+  orderByField?: string;
+  paging?: {
+    /** Records requested per page (resultRecordCount) */
+    pageSize?: number;
+    /** Maximum pages fetched for a single envelope */
+    maxPages?: number;
+    /**
+     * How many times an envelope that still exceeds the transfer limit
+     * after maxPages is split into quadrants (0 disables splitting)
+     */
+    maxSplitDepth?: number;
+  };
+  /** Cache results by map tile; omit to query the envelope directly every time */
+  cache?: {
+    tileZoom: number;
+    ttlMs?: number;
+    maxTiles?: number;
+    /** Persist to .cache/<id>-tiles.json between restarts */
+    persist?: boolean;
+    /** Read <prefix>_TTL_MS, <prefix>_MAX_TILES and <prefix>_FILE overrides from the environment */
+    envPrefix?: string;
+  };
+  /**
+   * Answer queries from a bulk-loaded export of the layer held in an
+   * in-memory spatial index; the live service is only used to refresh it
+   * (refreshFromLive) or while no export has loaded yet
+   */
+  dataset?: {
+    /** Export file, relative to the working directory; without one the layer is queried live */
+    path?: string;
+    /** GeoJSON FeatureCollection, or CSV with a WKT geometry column (default from the file extension) */
+    format?: 'geojson' | 'csv';
+    /** CSV column holding the geometry as WKT (default WKT) */
+    wktColumn?: string;
+    /** How often to reload the export; omit to load it once at startup */
+    refreshIntervalMs?: number;
+    /** Refresh by downloading the whole layer into path (GeoJSON only) instead of re-reading the file */
+    refreshFromLive?: boolean;
+    /** Read <prefix>_PATH, <prefix>_REFRESH_MS and <prefix>_FROM_LIVE overrides from the environment */
+    envPrefix?: string;
+  };
+}
+
+/**
+ * Declarative definition of an OGC WFS 2.0 feature type or an
+ * OGC API - Features collection
+ */
+export interface OGCFeaturesSourceConfig extends SourceConfigBase {
+  protocol: 'wfs' | 'ogcapi';
+  /** WFS endpoint, or the OGC API landing page (without /collections) */
+  url: string;
+  /** WFS feature type name (typeNames) or OGC API collection id */
+  layer: string;
+  /**
+   * CRS to request features in, e.g. "EPSG:25832". Defaults to WGS84
+   * (urn:ogc:def:crs:EPSG::4326 for WFS, CRS84 for OGC API). Features are
+   * always reprojected to WGS84 longitude/latitude.
+   */
+  crs?: string;
+  /** proj4 definition for a CRS the adapter does not know */
+  projDefinition?: string;
+  /**
+   * Coordinate order of the response, when a server does not follow its
+   * CRS's axis order (common for GeoJSON); inferred from the CRS otherwise
+   */
+  axisOrder?: 'xy' | 'yx';
+  /** WFS output format (default geojson, falling back to GML 3.2 when the reply is XML) */
+  outputFormat?: 'geojson' | 'gml32';
+  /** Extra query parameters, e.g. a CQL_FILTER or an API key the publisher requires */
+  params?: Record<string, string>;
+  paging?: {
+    /** Features requested per page (WFS count, OGC API limit) */
+    pageSize?: number;
+    /** Maximum pages fetched for one query */
+    maxPages?: number;
+  };
+}
+
+/**
+ * Any declarative GIS source definition
+ */
+export type SourceConfig = ArcGISSourceConfig | OGCFeaturesSourceConfig;
+
+/**
+ * State of a source's bulk-loaded dataset, reported by /api/health
+ */
+export interface SourceDatasetStatus {
+  /** loading until the first load finishes; failed when no version could be loaded */
+  state: 'loading' | 'ready' | 'failed';
+  path: string;
+  refreshSource: 'file' | 'live';
+  /** Version declared by the export, or a hash of its contents */
+  version: string | null;
+  loadedAt: string | null;
+  loadDurationMs: number | null;
+  featureCount: number;
+  nextRefreshAt: string | null;
+  /** Error of the most recent load or refresh, cleared by the next success */
+  lastError: string | null;
 }
 
 // Mock data configuration
@@ -49,6 +698,11 @@ export {
   RestrictionCategory,
   RestrictionType,
   ConfidenceLevel,
+  CeilingStatus,
+  ActivityStatus,
+  LightCondition,
+  FlightVerdict,
+  OperatorType,
   Jurisdiction,
   RestrictionMetadata
 };
@@ -0,0 +1,27 @@
+import crypto from 'crypto';
+import { Request } from 'express';
+import { UnauthorizedError } from '../errors';
+
+/**
+ * Check the X-Admin-Token header against ADMIN_TOKEN
+ *
+ * Admin endpoints are disabled entirely while ADMIN_TOKEN is unset.
+ * @throws UnauthorizedError when the token is missing, wrong or not configured
+ */
+export function assertAdminToken(req: Request): void {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    throw new UnauthorizedError('Admin endpoints are disabled: ADMIN_TOKEN is not set');
+  }
+
+  const provided = req.get('X-Admin-Token') || '';
+  // Compare digests so the comparison takes the same time whatever the token length
+  const matches = crypto.timingSafeEqual(digest(provided), digest(expected));
+  if (!matches) {
+    throw new UnauthorizedError();
+  }
+}
+
+function digest(value: string): Buffer {
+  return crypto.createHash('sha256').update(value).digest();
+}
@@ -0,0 +1,94 @@
+import * as turf from '@turf/turf';
+import { Feature, MultiPolygon, Polygon } from 'geojson';
+import { RestrictionFeature } from '../types';
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+
+/**
+ * Allowed flight area: the search area minus every restriction in effect
+ *
+ * Rather than subtracting restrictions one at a time from a shrinking
+ * area, restrictions are pre-filtered to those whose bounding box
+ * overlaps the search area, merged with a cascaded union (pairs of
+ * spatially sorted neighbours, then pairs of those results, and so on)
+ * and subtracted from the search area in a single difference.
+ *
+ * Failures are never skipped: a restriction that could not be merged or
+ * subtracted would leave restricted ground marked allowed, so any
+ * geometry error is thrown and the caller must show nothing as allowed
+ * (fail closed). Points and lines cover no area and are not subtracted.
+ */
+
+export type AreaFeature = Feature<Polygon | MultiPolygon>;
+
+/**
+ * Subtract restrictions from a search area
+ * @param searchArea Polygon or MultiPolygon search area
+ * @param restrictions Restrictions in effect
+ * @returns The allowed part of the search area, or null when none of it is allowed
+ * @throws Error when a geometry operation fails
+ */
+export function computeAllowedArea(searchArea: Polygon | MultiPolygon, restrictions: RestrictionFeature[]): Polygon | MultiPolygon | null {
+  const area = turf.feature(searchArea);
+  const [minX, minY, maxX, maxY] = turf.bbox(area);
+
+  const candidates = restrictions
+    .flatMap(restriction => areaFeatures(restriction.geometry).map(feature => {
+      const bbox = turf.bbox(feature);
+      // A NaN bounding box would fail every overlap test and silently skip the restriction
+      if (!bbox.every(Number.isFinite)) {
+        throw new Error(`Restriction ${restriction.properties.id} has invalid coordinates`);
+      }
+      return { feature, bbox };
+    }))
+    .filter(({ bbox }) => bbox[0] <= maxX && bbox[2] >= minX && bbox[1] <= maxY && bbox[3] >= minY)
+    // Neighbours end up in the same pairs, keeping intermediate unions small
+    .sort((a, b) => a.bbox[0] - b.bbox[0] || a.bbox[1] - b.bbox[1])
+    .map(({ feature }) => feature);
+
+  if (candidates.length === 0) {
+    return searchArea;
+  }
+
+  const restricted = cascadedUnion(candidates);
+  if (!restricted) {
+    return searchArea;
+  }
+
+  const allowed = turf.difference(turf.featureCollection([area, restricted]));
+  return allowed ? allowed.geometry : null;
+}
+
+/**
+ * Polygonal parts of a restriction geometry
+ */
+export function areaFeatures(geometry: GeoJSONGeometry): AreaFeature[] {
+  switch (geometry.type) {
+    case 'Polygon':
+    case 'MultiPolygon':
+      return [turf.feature(geometry as Polygon | MultiPolygon)];
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap(areaFeatures);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Union features pairwise, level by level, until one is left
+ */
+function cascadedUnion(features: AreaFeature[]): AreaFeature | null {
+  let level = features;
+  while (level.length > 1) {
+    const next: AreaFeature[] = [];
+    for (let i = 0; i < level.length; i += 2) {
+      if (i + 1 === level.length) {
+        next.push(level[i]);
+        continue;
+      }
+      const merged = turf.union(turf.featureCollection([level[i], level[i + 1]]));
+      if (merged) next.push(merged);
+    }
+    level = next;
+  }
+  return level[0] || null;
+}
@@ -0,0 +1,79 @@
+/**
+ * RFC 4180 CSV reader for dataset exports
+ *
+ * Fields may be quoted, with "" for a literal quote; quoted fields may
+ * contain commas and line breaks (WKT geometry columns always do). Lines
+ * end with LF or CRLF and a leading byte order mark is ignored.
+ */
+
+/**
+ * Parse CSV text into records keyed by the header row
+ * @throws Error when a quoted field is not closed
+ */
+export function parseCSVRecords(text: string): Array<Record<string, string>> {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return rows
+    // A blank line reads as one empty field
+    .filter(row => row.length > 1 || row[0] !== '')
+    .map(row => Object.fromEntries(columns.map((column, index) => [column, row[index] ?? ''])));
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @throws Error when a quoted field is not closed
+ */
+export function parseCSV(text: string): string[][] {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
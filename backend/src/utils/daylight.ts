@@ -0,0 +1,97 @@
+import { DaylightInfo, FlightWindow, LightCondition, LightPeriod, SolarDay } from '../types';
+import { localDaysFor } from './schedule';
+import { CIVIL_TWILIGHT_ALTITUDE, getSunAltitude, getSunTimes, SUNRISE_ALTITUDE } from './solar';
+
+/**
+ * Daylight, civil twilight and night for a flight window
+ *
+ * Part 107 (14 CFR 107.29) allows flight in civil twilight and at night
+ * only with anti-collision lighting visible for 3 statute miles; night
+ * flight also requires the updated knowledge test or recurrent training.
+ */
+
+const MS_PER_DAY = 86400000;
+
+const TWILIGHT_ADVISORY = 'Part of the flight window is in civil twilight. Part 107 requires anti-collision ' +
+  'lighting visible for at least 3 statute miles, with a flash rate sufficient to avoid a collision.';
+
+const NIGHT_ADVISORY = 'Part of the flight window is at night (after evening civil twilight or before morning ' +
+  'civil twilight). Part 107 night operations require anti-collision lighting visible for at least 3 statute miles ' +
+  'and a remote pilot who has passed the current knowledge test or recurrent training that covers night operations.';
+
+/**
+ * Sun times and light conditions at a location across a flight window's days
+ * @param flightWindow Resolved flight window
+ * @param location [lng, lat] of the search center
+ */
+export function describeDaylight(flightWindow: Required<FlightWindow>, [lng, lat]: [number, number]): DaylightInfo {
+  const days: SolarDay[] = localDaysFor(flightWindow).map(day => {
+    const sun = getSunTimes(new Date(day.noon), lat, lng);
+    // A local day can reach into the neighbouring solar days, so their events cut it too
+    const events = [day.noon - MS_PER_DAY, day.noon, day.noon + MS_PER_DAY]
+      .map(noon => noon === day.noon ? sun : getSunTimes(new Date(noon), lat, lng))
+      .flatMap(times => [times.civilDawn, times.sunrise, times.sunset, times.civilDusk]);
+    return {
+      date: day.date,
+      civilDawn: toIso(sun.civilDawn),
+      sunrise: toIso(sun.sunrise),
+      solarNoon: sun.solarNoon.toISOString(),
+      sunset: toIso(sun.sunset),
+      civilDusk: toIso(sun.civilDusk),
+      periods: lightPeriods(day.start, day.end, events, lat, lng)
+    };
+  });
+
+  const windowStart = Date.parse(flightWindow.start);
+  const windowEnd = Date.parse(flightWindow.end);
+  const flightConditions = [...new Set(days
+    .flatMap(day => day.periods)
+    .filter(period => Date.parse(period.start) <= windowEnd && Date.parse(period.end) > windowStart)
+    .map(period => period.condition))];
+
+  let advisory: string | null = null;
+  if (flightConditions.includes(LightCondition.NIGHT)) {
+    advisory = NIGHT_ADVISORY;
+  } else if (flightConditions.includes(LightCondition.CIVIL_TWILIGHT)) {
+    advisory = TWILIGHT_ADVISORY;
+  }
+
+  return { location: [lng, lat], days, flightConditions, advisory };
+}
+
+/**
+ * Split a day at the sun events that fall inside it and classify each
+ * stretch by the sun's altitude at its midpoint, which also covers days
+ * where some events do not happen
+ */
+function lightPeriods(dayStart: number, dayEnd: number, events: Array<Date | null>, lat: number, lng: number): LightPeriod[] {
+  const boundaries = events
+    .filter((event): event is Date => event !== null)
+    .map(event => event.getTime())
+    .filter(time => time > dayStart && time < dayEnd)
+    .sort((a, b) => a - b);
+  const edges = [dayStart, ...boundaries, dayEnd];
+
+  const periods: LightPeriod[] = [];
+  for (let i = 0; i < edges.length - 1; i++) {
+    const condition = classify(getSunAltitude(new Date((edges[i] + edges[i + 1]) / 2), lat, lng));
+    const previous = periods[periods.length - 1];
+
+    if (previous && previous.condition === condition) {
+      previous.end = new Date(edges[i + 1]).toISOString();
+    } else {
+      periods.push({ condition, start: new Date(edges[i]).toISOString(), end: new Date(edges[i + 1]).toISOString() });
+    }
+  }
+  return periods;
+}
+
+function classify(altitude: number): LightCondition {
+  if (altitude >= SUNRISE_ALTITUDE) return LightCondition.DAYLIGHT;
+  if (altitude >= CIVIL_TWILIGHT_ALTITUDE) return LightCondition.CIVIL_TWILIGHT;
+  return LightCondition.NIGHT;
+}
+
+function toIso(date: Date | null): string | null {
+  return date ? date.toISOString() : null;
+}
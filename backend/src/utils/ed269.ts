@@ -0,0 +1,294 @@
+import * as turf from '@turf/turf';
+import {
+  ConfidenceLevel,
+  RestrictionCategory,
+  RestrictionFeature,
+  RestrictionType,
+  SkippedZone
+} from '../types';
+import { GeoJSONGeometry, RestrictionSchedule, ScheduleRule, Weekday } from '../../../shared/types/RestrictionLayer';
+
+/**
+ * EUROCAE ED-269 UAS geographical zone reader
+ *
+ * ED-269 files hold a list of zones, each with an identifier, an ISO
+ * 3166-1 alpha-3 country, a restriction (PROHIBITED, REQ_AUTHORISATION,
+ * CONDITIONAL or NO_RESTRICTION), reasons, one or more volumes (a
+ * horizontal Polygon or Circle with lower and upper limits), time
+ * applicability and the authorities to contact. Every volume becomes one
+ * RestrictionLayer feature:
+ *
+ * - type: PROHIBITED is NO_FLY; REQ_AUTHORISATION and CONDITIONAL (flight
+ *   only under the zone's conditions) are AUTH_REQUIRED; NO_RESTRICTION is
+ *   ADVISORY
+ * - category: NATURE zones are ENVIRONMENTAL, zones naming military or
+ *   defence use MILITARY, zones with a region code REGIONAL, others
+ *   NATIONAL
+ * - maxAGL: a volume starting above the ground (AGL lower limit) leaves
+ *   flight below it outside the zone, so its lower limit is the ceiling
+ * - applicability becomes validityPeriods and a schedule, evaluated like
+ *   any other restriction's
+ *
+ * Zones that cannot be read are skipped with a reason instead of failing
+ * the whole file.
+ */
+
+const FEET_PER_METRE = 3.28084;
+
+// Vertices used to approximate circular zones
+const CIRCLE_STEPS = 64;
+
+// ED-269 countries (EASA member states and neighbours) by ISO 3166-1
+// alpha-3 code, named as the jurisdiction resolver names them
+const COUNTRY_NAMES: Record<string, string> = {
+  AUT: 'Austria', BEL: 'Belgium', BGR: 'Bulgaria', HRV: 'Croatia', CYP: 'Cyprus', CZE: 'Czechia',
+  DNK: 'Denmark', EST: 'Estonia', FIN: 'Finland', FRA: 'France', DEU: 'Germany', GRC: 'Greece',
+  HUN: 'Hungary', IRL: 'Ireland', ITA: 'Italy', LVA: 'Latvia', LTU: 'Lithuania', LUX: 'Luxembourg',
+  MLT: 'Malta', NLD: 'Netherlands', POL: 'Poland', PRT: 'Portugal', ROU: 'Romania', SVK: 'Slovakia',
+  SVN: 'Slovenia', ESP: 'Spain', SWE: 'Sweden', NOR: 'Norway', ISL: 'Iceland', LIE: 'Liechtenstein',
+  CHE: 'Switzerland', GBR: 'United Kingdom'
+};
+
+const RESTRICTION_TYPES: Record<string, RestrictionType> = {
+  PROHIBITED: RestrictionType.NO_FLY,
+  REQ_AUTHORISATION: RestrictionType.AUTH_REQUIRED,
+  CONDITIONAL: RestrictionType.AUTH_REQUIRED,
+  NO_RESTRICTION: RestrictionType.ADVISORY
+};
+
+const WEEKDAYS: Weekday[] = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
+
+const MILITARY_TEXT = /military|defen[cs]e|militaire|milit[äa]r|army|air ?base/i;
+
+/**
+ * Features read from an ED-269 file
+ */
+export interface ED269ImportResult {
+  title: string;
+  /** Countries of the zones read, as jurisdiction country names */
+  countries: string[];
+  zoneCount: number;
+  features: RestrictionFeature[];
+  skipped: SkippedZone[];
+}
+
+/**
+ * Read an ED-269 document
+ * @param document Parsed JSON: an object with a `features` list of zones, or the list itself
+ * @param fallbackTitle Title used when the document has none
+ * @throws Error when the document has no list of zones
+ */
+export function readED269(document: unknown, fallbackTitle: string): ED269ImportResult {
+  const zones = Array.isArray(document) ? document : (document as { features?: unknown } | null)?.features;
+  if (!Array.isArray(zones)) {
+    throw new Error('Not an ED-269 document: expected a "features" list of zones');
+  }
+
+  const features: RestrictionFeature[] = [];
+  const skipped: SkippedZone[] = [];
+  const countries = new Set<string>();
+  let zoneCount = 0;
+
+  zones.forEach((zone, index) => {
+    const identifier = typeof zone?.identifier === 'string' && zone.identifier ? zone.identifier : `#${index + 1}`;
+    try {
+      const zoneFeatures = readZone(zone, identifier);
+      features.push(...zoneFeatures);
+      countries.add(zoneFeatures[0].properties.jurisdiction.country);
+      zoneCount++;
+    } catch (error) {
+      skipped.push({ identifier, reason: error instanceof Error ? error.message : String(error) });
+    }
+  });
+
+  const title = (document as { title?: unknown } | null)?.title;
+  return {
+    title: typeof title === 'string' && title.trim() ? title.trim() : fallbackTitle,
+    countries: Array.from(countries).sort(),
+    zoneCount,
+    features,
+    skipped
+  };
+}
+
+/**
+ * Features for each volume of one zone
+ * @throws Error naming what makes the zone unusable
+ */
+function readZone(zone: any, identifier: string): RestrictionFeature[] {
+  if (!zone || typeof zone !== 'object') throw new Error('Zone is not an object');
+  if (identifier.startsWith('#')) throw new Error('Zone has no identifier');
+
+  const country = COUNTRY_NAMES[String(zone.country || '').toUpperCase()];
+  if (!country) throw new Error(`Unsupported country code ${zone.country}`);
+
+  const type = RESTRICTION_TYPES[zone.restriction];
+  if (!type) throw new Error(`Unknown restriction ${zone.restriction}`);
+
+  const volumes = Array.isArray(zone.geometry) ? zone.geometry : [];
+  if (volumes.length === 0) throw new Error('Zone has no geometry');
+
+  const reasons: string[] = Array.isArray(zone.reason) ? zone.reason.map(String) : [];
+  const authorities: any[] = Array.isArray(zone.zoneAuthority) ? zone.zoneAuthority : [];
+  const authority = authorities.find(entry => entry?.purpose === 'AUTHORIZATION') || authorities[0] || {};
+  const name = typeof zone.name === 'string' && zone.name ? zone.name : identifier;
+  const { validityPeriods, schedule } = readApplicability(zone.applicability);
+
+  return volumes.map((volume: any, index: number): RestrictionFeature => {
+    const geometry = readHorizontalProjection(volume?.horizontalProjection);
+    if (!geometry) throw new Error(`Volume ${index + 1} has no Polygon or Circle horizontal projection`);
+
+    const limits = readVerticalLimits(volume);
+    const id = `ed269-${zone.country}-${identifier}${volumes.length > 1 ? `-${index + 1}` : ''}`;
+
+    return {
+      type: 'Feature',
+      geometry,
+      properties: {
+        id,
+        geometry,
+        category: categoryOf(zone, reasons),
+        type,
+        authority: authority.name || authority.service || `${country} aviation authority`,
+        description: [name, zone.message].filter(Boolean).join(' - '),
+        sourceUrl: authority.siteURL || '',
+        confidenceLevel: ConfidenceLevel.HIGH,
+        jurisdiction: { country },
+        name,
+        zoneIdentifier: identifier,
+        ed269Restriction: zone.restriction,
+        reasons,
+        ...(Array.isArray(zone.restrictionConditions) && zone.restrictionConditions.length > 0
+          ? { restrictionConditions: zone.restrictionConditions.map(String) }
+          : {}),
+        ...(limits ? { verticalLimits: limits } : {}),
+        ...(limits && limits.lowerReference === 'AGL' && limits.lower > 0 ? { maxAGL: limits.lower } : {}),
+        ...(validityPeriods ? { validityPeriods } : {}),
+        ...(schedule ? { schedule } : {}),
+        authorityContacts: authorities.map(contact => ({
+          ...(contact.name ? { name: contact.name } : {}),
+          ...(contact.service ? { service: contact.service } : {}),
+          ...(contact.contactName ? { contactName: contact.contactName } : {}),
+          ...(contact.email ? { email: contact.email } : {}),
+          ...(contact.phone ? { phone: contact.phone } : {}),
+          ...(contact.siteURL ? { siteURL: contact.siteURL } : {}),
+          ...(contact.purpose ? { purpose: contact.purpose } : {}),
+          ...(contact.intervalBefore ? { intervalBefore: contact.intervalBefore } : {})
+        })),
+        source: 'ED-269 UAS geographical zones',
+        metadata: {
+          dataSource: 'ED-269',
+          lastVerified: new Date().toISOString()
+        }
+      }
+    };
+  });
+}
+
+function categoryOf(zone: any, reasons: string[]): RestrictionCategory {
+  if (reasons.includes('NATURE')) return RestrictionCategory.ENVIRONMENTAL;
+  if (MILITARY_TEXT.test([zone.name, zone.otherReasonInfo, zone.message].filter(Boolean).join(' '))) {
+    return RestrictionCategory.MILITARY;
+  }
+  if (Number(zone.region) > 0) return RestrictionCategory.REGIONAL;
+  return RestrictionCategory.NATIONAL;
+}
+
+/**
+ * Polygon as GeoJSON, or a Circle (center [lng, lat], radius in metres) approximated by a polygon
+ */
+function readHorizontalProjection(projection: any): GeoJSONGeometry | null {
+  if (projection?.type === 'Polygon' && Array.isArray(projection.coordinates) && projection.coordinates[0]?.length >= 4) {
+    return { type: 'Polygon', coordinates: projection.coordinates };
+  }
+  if (projection?.type === 'MultiPolygon' && Array.isArray(projection.coordinates) && projection.coordinates.length > 0) {
+    return { type: 'MultiPolygon', coordinates: projection.coordinates };
+  }
+
+  const center = projection?.center;
+  const radius = Number(projection?.radius);
+  if (projection?.type === 'Circle' && Array.isArray(center) && center.length >= 2 && radius > 0) {
+    return turf.circle([Number(center[0]), Number(center[1])], radius / 1000, { steps: CIRCLE_STEPS, units: 'kilometers' }).geometry as GeoJSONGeometry;
+  }
+  return null;
+}
+
+/**
+ * Lower and upper limits in feet with their references (AGL, AMSL, WGS84)
+ */
+function readVerticalLimits(volume: any): { lower: number; upper: number; lowerReference: string; upperReference: string } | null {
+  const factor = volume?.uomDimensions === 'FT' ? 1 : FEET_PER_METRE;
+  const lower = Number(volume?.lowerLimit ?? 0);
+  const upper = Number(volume?.upperLimit);
+  if (!Number.isFinite(lower) || !Number.isFinite(upper)) return null;
+
+  return {
+    lower: Math.round(lower * factor),
+    upper: Math.round(upper * factor),
+    lowerReference: String(volume.lowerVerticalReference || 'AGL'),
+    upperReference: String(volume.upperVerticalReference || 'AGL')
+  };
+}
+
+/**
+ * Periods and weekly schedule a zone applies in
+ *
+ * A zone without applicability, or with a permanent entry that has no
+ * schedule, always applies. Schedules of several entries are combined;
+ * when only some entries have one, the schedule is dropped so the zone
+ * reads as in effect for the whole of each period rather than too little.
+ */
+function readApplicability(applicability: unknown): {
+  validityPeriods?: Array<{ start: string; end: string | null }>;
+  schedule?: RestrictionSchedule;
+} {
+  const entries: any[] = Array.isArray(applicability) ? applicability.filter(entry => entry && typeof entry === 'object') : [];
+  if (entries.length === 0 || entries.some(entry => entry.permanent === 'YES' && !hasSchedule(entry))) {
+    return {};
+  }
+
+  const validityPeriods = entries.map(entry => ({
+    start: toISO(entry.startDateTime) || new Date(0).toISOString(),
+    end: toISO(entry.endDateTime)
+  }));
+
+  if (!entries.every(hasSchedule)) {
+    return { validityPeriods };
+  }
+
+  const rules: ScheduleRule[] = entries.flatMap(entry => entry.schedule.flatMap((item: any) => {
+    const start = toClockTime(item?.startTime);
+    const end = toClockTime(item?.endTime);
+    if (!start || !end) return [];
+
+    const days = (Array.isArray(item.day) ? item.day : [item.day]).map((day: unknown) => String(day).toUpperCase());
+    return [{
+      ...(days.includes('ANY') ? {} : { days: WEEKDAYS.filter(day => days.includes(day)) }),
+      start,
+      end
+    }];
+  }));
+
+  // ED-269 schedule times are UTC
+  return rules.length > 0
+    ? { validityPeriods, schedule: { timezone: 'UTC', rules } }
+    : { validityPeriods };
+}
+
+function hasSchedule(entry: any): boolean {
+  return Array.isArray(entry.schedule) && entry.schedule.length > 0;
+}
+
+function toISO(value: unknown): string | null {
+  if (typeof value !== 'string') return null;
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+/**
+ * "HH:MM" from an ED-269 time such as "08:00:00Z"
+ */
+function toClockTime(value: unknown): string | null {
+  const match = typeof value === 'string' ? value.match(/^(\d{2}):(\d{2})/) : null;
+  return match ? `${match[1]}:${match[2]}` : null;
+}
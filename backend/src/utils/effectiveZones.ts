@@ -0,0 +1,193 @@
+import * as turf from '@turf/turf';
+import { BBox } from 'geojson';
+import { AppliedRestriction, ConfidenceLevel, Jurisdiction, RestrictionCategory, RestrictionFeature, RestrictionFeatureCollection, RestrictionType } from '../types';
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+import { AreaFeature, areaFeatures } from './allowedArea';
+
+/**
+ * Effective zones: the search area partitioned into non-overlapping cells,
+ * each carrying every restriction that applies there and the rule that
+ * results from them
+ *
+ * Restrictions are overlaid one at a time. Each cell a new restriction
+ * overlaps is split into the part inside it (which gains the restriction)
+ * and the part outside; whatever the restriction covers beyond the
+ * existing cells becomes a new cell. Only cells whose bounding box meets
+ * the restriction's are clipped.
+ *
+ * The effective rule of a cell is the strictest type among its
+ * restrictions (NO_FLY, then AUTH_REQUIRED, then ADVISORY) and the lowest
+ * ceiling; a no-fly cell has a ceiling of 0. Unrestricted ground is left
+ * out, since that is what allowedAreas shows.
+ */
+
+interface Cell {
+  feature: AreaFeature;
+  bbox: BBox;
+  restrictions: RestrictionFeature[];
+}
+
+// Strictest first
+const TYPE_STRICTNESS = [RestrictionType.NO_FLY, RestrictionType.AUTH_REQUIRED, RestrictionType.ADVISORY];
+const CONFIDENCE_ORDER = [ConfidenceLevel.LOW, ConfidenceLevel.MEDIUM, ConfidenceLevel.HIGH];
+
+// Clipping leaves slivers along shared edges; cells smaller than this (m²) are dropped
+const MIN_CELL_AREA = 1;
+
+// Bounds the work on pathological inputs
+const MAX_CELLS = 20000;
+
+/**
+ * Partition restrictions into effective zones
+ * @param restrictions Restrictions in effect, already clipped to the search area
+ * @param jurisdiction Jurisdiction reported on every zone
+ * @returns One feature per cell, largest first
+ * @throws Error when a geometry operation fails or the cell limit is exceeded
+ */
+export function computeEffectiveZones(restrictions: RestrictionFeature[], jurisdiction: Jurisdiction): RestrictionFeatureCollection {
+  let cells: Cell[] = [];
+
+  restrictions.forEach(restriction => {
+    const areas = areaFeatures(restriction.geometry);
+    if (areas.length === 0) return;
+
+    const shape = areas.length === 1 ? areas[0] : turf.union(turf.featureCollection(areas));
+    if (!shape) return;
+    const bbox = turf.bbox(shape);
+    if (!bbox.every(Number.isFinite)) {
+      throw new Error(`Restriction ${restriction.properties.id} has invalid coordinates`);
+    }
+
+    const next: Cell[] = [];
+    let remainder: AreaFeature | null = shape;
+
+    cells.forEach(cell => {
+      if (!bboxesOverlap(cell.bbox, bbox)) {
+        next.push(cell);
+        return;
+      }
+
+      const inside = turf.intersect(turf.featureCollection([cell.feature, shape]));
+      if (!inside || turf.area(inside) < MIN_CELL_AREA) {
+        next.push(cell);
+        return;
+      }
+
+      next.push(toCell(inside, [...cell.restrictions, restriction]));
+      const outside = turf.difference(turf.featureCollection([cell.feature, shape]));
+      if (outside && turf.area(outside) >= MIN_CELL_AREA) {
+        next.push(toCell(outside, cell.restrictions));
+      }
+      if (remainder) {
+        remainder = turf.difference(turf.featureCollection([remainder, cell.feature]));
+      }
+    });
+
+    if (remainder && turf.area(remainder) >= MIN_CELL_AREA) {
+      next.push(toCell(remainder, [restriction]));
+    }
+
+    if (next.length > MAX_CELLS) {
+      throw new Error(`Effective zones exceed ${MAX_CELLS} cells`);
+    }
+    cells = next;
+  });
+
+  const features = cells
+    .map(cell => ({ cell, area: turf.area(cell.feature) }))
+    .sort((a, b) => b.area - a.area)
+    .map(({ cell }, index) => toZone(cell, `zone-${index + 1}`, jurisdiction));
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * The rule that results from restrictions applying at the same place
+ */
+export interface EffectiveRule {
+  type: RestrictionType;
+  /** Lowest ceiling in feet AGL, 0 for NO_FLY; undefined when none is published */
+  maxAGL?: number;
+  /** Lowest confidence among the restrictions */
+  confidenceLevel: ConfidenceLevel;
+  /** Restrictions that set the type and the ceiling */
+  governing: RestrictionFeature[];
+}
+
+/**
+ * Strictest type and lowest ceiling among restrictions
+ * @param restrictions At least one restriction
+ */
+export function effectiveRule(restrictions: RestrictionFeature[]): EffectiveRule {
+  const type = TYPE_STRICTNESS.find(candidate => restrictions.some(r => r.properties.type === candidate)) || RestrictionType.ADVISORY;
+  const ceilings = restrictions.map(r => r.properties.maxAGL).filter((value): value is number => typeof value === 'number' && Number.isFinite(value));
+  const maxAGL = type === RestrictionType.NO_FLY ? 0 : ceilings.length > 0 ? Math.min(...ceilings) : undefined;
+
+  // Restrictions that set both the type and the ceiling, else those setting either
+  const setsType = (r: RestrictionFeature) => r.properties.type === type;
+  const setsCeiling = (r: RestrictionFeature) => type === RestrictionType.NO_FLY || maxAGL === undefined || r.properties.maxAGL === maxAGL;
+  const setsBoth = restrictions.filter(r => setsType(r) && setsCeiling(r));
+  const governing = setsBoth.length > 0 ? setsBoth : restrictions.filter(r => setsType(r) || setsCeiling(r));
+
+  const confidenceLevel = CONFIDENCE_ORDER.find(level => restrictions.some(r => r.properties.confidenceLevel === level)) || ConfidenceLevel.HIGH;
+
+  return { type, ...(maxAGL !== undefined ? { maxAGL } : {}), confidenceLevel, governing };
+}
+
+/**
+ * Summary of a restriction as listed on a zone or a point check
+ */
+export function toAppliedRestriction(restriction: RestrictionFeature): AppliedRestriction {
+  const { id, category, type, maxAGL, authority, description, sourceUrl } = restriction.properties;
+  return {
+    id,
+    category,
+    type,
+    ...(typeof maxAGL === 'number' ? { maxAGL } : {}),
+    authority,
+    description,
+    sourceUrl
+  };
+}
+
+/**
+ * Zone feature for a cell, with its effective rule
+ */
+function toZone(cell: Cell, id: string, jurisdiction: Jurisdiction): RestrictionFeature {
+  const { type, maxAGL, confidenceLevel, governing } = effectiveRule(cell.restrictions);
+
+  const geometry = cell.feature.geometry as GeoJSONGeometry;
+  return {
+    type: 'Feature',
+    properties: {
+      id,
+      geometry,
+      category: RestrictionCategory.SYSTEM,
+      type,
+      authority: 'YesFly',
+      description: describeZone(type, maxAGL, cell.restrictions.length),
+      sourceUrl: '',
+      confidenceLevel,
+      jurisdiction,
+      ...(maxAGL !== undefined ? { maxAGL } : {}),
+      restrictions: cell.restrictions.map(toAppliedRestriction),
+      governingRestrictionIds: governing.map(r => r.properties.id)
+    },
+    geometry
+  };
+}
+
+function describeZone(type: RestrictionType, maxAGL: number | undefined, count: number): string {
+  const rule = type === RestrictionType.NO_FLY
+    ? 'No flight'
+    : `${type === RestrictionType.AUTH_REQUIRED ? 'Authorization required' : 'Advisory'}${maxAGL !== undefined ? `, ceiling ${maxAGL} ft AGL` : ''}`;
+  return `${rule} (${count} restriction${count === 1 ? ' applies' : 's apply'})`;
+}
+
+function toCell(feature: AreaFeature, restrictions: RestrictionFeature[]): Cell {
+  return { feature, bbox: turf.bbox(feature), restrictions };
+}
+
+function bboxesOverlap(a: BBox, b: BBox): boolean {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
@@ -0,0 +1,248 @@
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+
+/**
+ * ESRI JSON to GeoJSON conversion for ArcGIS REST responses
+ *
+ * Handles the parts of the ESRI geometry model that a naive mapping gets
+ * wrong:
+ * - Polygon rings are classified by winding order: clockwise rings are
+ *   outer shells, counter-clockwise rings are holes. Holes are attached to
+ *   the shell that contains them and several shells become a MultiPolygon.
+ * - Polylines with several paths become a MultiLineString.
+ * - Multipoints become a MultiPoint.
+ * - Missing or unsupported geometry converts to null instead of a
+ *   placeholder coordinate.
+ *
+ * Output follows RFC 7946: outer rings counter-clockwise, holes clockwise.
+ */
+
+type Position = [number, number];
+type Ring = Position[];
+
+/**
+ * ArcGIS feature as returned by a FeatureServer query with f=json
+ */
+export interface ESRIFeature {
+  attributes: Record<string, any>;
+  geometry?: any;
+}
+
+/**
+ * ESRI feature converted to a GeoJSON geometry plus its attributes
+ */
+export interface ConvertedESRIFeature {
+  geometry: GeoJSONGeometry;
+  attributes: Record<string, any>;
+}
+
+/**
+ * Convert an ESRI geometry object to GeoJSON
+ * @param esriGeometry ESRI point, multipoint, polyline or polygon
+ * @returns GeoJSON geometry, or null if the geometry is missing, empty or unsupported
+ */
+export function convertESRIToGeoJSON(esriGeometry: any): GeoJSONGeometry | null {
+  if (!esriGeometry) {
+    return null;
+  }
+
+  if (Array.isArray(esriGeometry.rings)) {
+    return convertRings(esriGeometry.rings);
+  }
+
+  if (Array.isArray(esriGeometry.paths)) {
+    const paths = esriGeometry.paths
+      .map(toPositions)
+      .filter((path: Position[]) => path.length >= 2);
+
+    if (paths.length === 0) return null;
+    if (paths.length === 1) return { type: 'LineString', coordinates: paths[0] };
+    return { type: 'MultiLineString', coordinates: paths };
+  }
+
+  if (Array.isArray(esriGeometry.points)) {
+    const points = toPositions(esriGeometry.points);
+
+    if (points.length === 0) return null;
+    if (points.length === 1) return { type: 'Point', coordinates: points[0] };
+    return { type: 'MultiPoint', coordinates: points };
+  }
+
+  if (isFiniteNumber(esriGeometry.x) && isFiniteNumber(esriGeometry.y)) {
+    return { type: 'Point', coordinates: [esriGeometry.x, esriGeometry.y] };
+  }
+
+  // Empty points ({ x: null }), curves (curveRings/curvePaths) and envelopes
+  return null;
+}
+
+/**
+ * Convert a list of ESRI features, dropping any without usable geometry
+ * @param features ESRI features from an ArcGIS query response
+ * @param source Label used in the warning for dropped features
+ * @returns Converted features in their original order
+ */
+export function convertESRIFeatures(features: ESRIFeature[], source: string): ConvertedESRIFeature[] {
+  const converted: ConvertedESRIFeature[] = [];
+  let dropped = 0;
+
+  for (const feature of features) {
+    const geometry = convertESRIToGeoJSON(feature.geometry);
+    if (geometry) {
+      converted.push({ geometry, attributes: feature.attributes || {} });
+    } else {
+      dropped++;
+    }
+  }
+
+  if (dropped > 0) {
+    console.warn(`${source}: dropped ${dropped} feature(s) with missing or unsupported geometry`);
+  }
+
+  return converted;
+}
+
+/**
+ * Build a Polygon or MultiPolygon from ESRI rings
+ */
+function convertRings(esriRings: any[]): GeoJSONGeometry | null {
+  const shells: Ring[] = [];
+  const holes: Ring[] = [];
+
+  for (const esriRing of esriRings) {
+    const ring = closeRing(toPositions(esriRing));
+
+    // A valid linear ring needs at least four positions
+    if (ring.length < 4) continue;
+
+    const area = signedArea(ring);
+    if (area === 0) continue;
+
+    // ESRI outer rings are clockwise (negative signed area)
+    if (area < 0) {
+      shells.push(ring);
+    } else {
+      holes.push(ring);
+    }
+  }
+
+  // Some producers ignore the winding convention entirely; rather than
+  // dropping the geometry, treat the rings as shells
+  if (shells.length === 0) {
+    shells.push(...holes.splice(0));
+  }
+
+  if (shells.length === 0) {
+    return null;
+  }
+
+  const polygons: Ring[][] = shells.map(shell => [shell]);
+
+  for (const hole of holes) {
+    const owner = findContainingShell(hole, shells);
+    if (owner === -1) {
+      // A hole outside every shell is really a separate shell
+      polygons.push([hole]);
+    } else {
+      polygons[owner].push(hole);
+    }
+  }
+
+  // RFC 7946 winding: shells counter-clockwise, holes clockwise
+  const oriented = polygons.map(rings => rings.map((ring, index) => orient(ring, index === 0)));
+
+  if (oriented.length === 1) {
+    return { type: 'Polygon', coordinates: oriented[0] };
+  }
+  return { type: 'MultiPolygon', coordinates: oriented };
+}
+
+/**
+ * Index of the smallest shell containing the hole, or -1
+ */
+function findContainingShell(hole: Ring, shells: Ring[]): number {
+  let owner = -1;
+  let ownerArea = Infinity;
+
+  shells.forEach((shell, index) => {
+    const area = Math.abs(signedArea(shell));
+    if (area < ownerArea && hole.every(position => pointInRing(position, shell, true))) {
+      owner = index;
+      ownerArea = area;
+    }
+  });
+
+  // Fall back to a single interior-ish vertex test for holes that touch their shell
+  if (owner === -1) {
+    shells.forEach((shell, index) => {
+      const area = Math.abs(signedArea(shell));
+      if (area < ownerArea && pointInRing(hole[0], shell, false)) {
+        owner = index;
+        ownerArea = area;
+      }
+    });
+  }
+
+  return owner;
+}
+
+/**
+ * Ray-casting point in ring test
+ * @param onBoundaryInside Whether points on the ring boundary count as inside
+ */
+function pointInRing([x, y]: Position, ring: Ring, onBoundaryInside: boolean): boolean {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    // On-segment check
+    const cross = (x - xi) * (yj - yi) - (y - yi) * (xj - xi);
+    if (cross === 0 && x >= Math.min(xi, xj) && x <= Math.max(xi, xj) && y >= Math.min(yi, yj) && y <= Math.max(yi, yj)) {
+      return onBoundaryInside;
+    }
+
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Shoelace signed area: positive for counter-clockwise rings
+ */
+function signedArea(ring: Ring): number {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return sum / 2;
+}
+
+function orient(ring: Ring, counterClockwise: boolean): Ring {
+  const isCounterClockwise = signedArea(ring) > 0;
+  return isCounterClockwise === counterClockwise ? ring : [...ring].reverse();
+}
+
+function closeRing(ring: Ring): Ring {
+  if (ring.length === 0) return ring;
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+}
+
+/**
+ * Keep x/y of each vertex (dropping z/m values) and skip invalid vertices
+ */
+function toPositions(vertices: any[]): Position[] {
+  if (!Array.isArray(vertices)) return [];
+  return vertices
+    .filter(vertex => Array.isArray(vertex) && isFiniteNumber(vertex[0]) && isFiniteNumber(vertex[1]))
+    .map(vertex => [vertex[0], vertex[1]] as Position);
+}
+
+function isFiniteNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value);
+}
@@ -0,0 +1,234 @@
+import * as turf from '@turf/turf';
+import { Feature, MultiPolygon, Polygon } from 'geojson';
+import { RestrictionFeature } from '../types';
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+
+/**
+ * Geometry validation and repair for upstream restriction data
+ *
+ * Sources publish rings that are unclosed, repeat vertices, wind the
+ * wrong way or cross themselves, and turf's clipping operations throw on
+ * some of them. Every provider feature is checked here before it is
+ * merged or clipped:
+ *
+ * - positions with non-numeric ordinates are dropped, and only [x, y] is kept
+ * - consecutive duplicate vertices are removed and rings are closed
+ * - rings left with fewer than four positions are dropped (a polygon
+ *   whose outer ring is dropped is dropped with it)
+ * - self-intersecting polygons are rebuilt as valid polygons by the
+ *   polygon clipper (crossing rings are split at the crossings)
+ * - rings are rewound to RFC 7946 order: outer rings counter-clockwise,
+ *   holes clockwise
+ *
+ * Points and lines get the same position clean-up. A geometry with
+ * nothing usable left repairs to null.
+ */
+
+type Position = [number, number];
+
+export enum GeometryIssueCode {
+  NON_FINITE_POSITION = 'NON_FINITE_POSITION',
+  DUPLICATE_VERTEX = 'DUPLICATE_VERTEX',
+  UNCLOSED_RING = 'UNCLOSED_RING',
+  TOO_FEW_POSITIONS = 'TOO_FEW_POSITIONS',
+  WRONG_ORIENTATION = 'WRONG_ORIENTATION',
+  SELF_INTERSECTION = 'SELF_INTERSECTION'
+}
+
+/**
+ * A problem found in a geometry
+ */
+export interface GeometryIssue {
+  code: GeometryIssueCode;
+  /** Where the problem is, e.g. "polygon 0 ring 1" */
+  location: string;
+}
+
+/**
+ * Find everything repairGeometry would fix
+ * @returns Issues, empty when the geometry is valid
+ */
+export function validateGeometry(geometry: GeoJSONGeometry): GeometryIssue[] {
+  switch (geometry.type) {
+    case 'Point':
+      return isFinitePosition(geometry.coordinates) ? [] : [{ code: GeometryIssueCode.NON_FINITE_POSITION, location: 'point' }];
+    case 'MultiPoint':
+      return geometry.coordinates.some(position => !isFinitePosition(position))
+        ? [{ code: GeometryIssueCode.NON_FINITE_POSITION, location: 'multipoint' }]
+        : [];
+    case 'LineString':
+      return lineIssues(geometry.coordinates, 'line');
+    case 'MultiLineString':
+      return geometry.coordinates.flatMap((line, index) => lineIssues(line, `line ${index}`));
+    case 'Polygon':
+      return polygonIssues(geometry.coordinates, 'polygon');
+    case 'MultiPolygon':
+      return geometry.coordinates.flatMap((polygon, index) => polygonIssues(polygon, `polygon ${index}`));
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap((child, index) =>
+        validateGeometry(child).map(issue => ({ ...issue, location: `member ${index} ${issue.location}` })));
+  }
+}
+
+/**
+ * Repair a geometry (see the module description)
+ * @returns The repaired geometry, or null when nothing usable is left
+ */
+export function repairGeometry(geometry: GeoJSONGeometry): GeoJSONGeometry | null {
+  switch (geometry.type) {
+    case 'Point':
+      return isFinitePosition(geometry.coordinates) ? { type: 'Point', coordinates: toPosition(geometry.coordinates) } : null;
+    case 'MultiPoint': {
+      const points = geometry.coordinates.filter(isFinitePosition).map(toPosition);
+      return points.length > 0 ? { type: 'MultiPoint', coordinates: points } : null;
+    }
+    case 'LineString': {
+      const line = cleanPositions(geometry.coordinates);
+      return line.length >= 2 ? { type: 'LineString', coordinates: line } : null;
+    }
+    case 'MultiLineString': {
+      const lines = geometry.coordinates.map(cleanPositions).filter(line => line.length >= 2);
+      return lines.length > 0 ? { type: 'MultiLineString', coordinates: lines } : null;
+    }
+    case 'Polygon':
+    case 'MultiPolygon':
+      return repairPolygonal(geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates);
+    case 'GeometryCollection': {
+      const geometries = geometry.geometries
+        .map(repairGeometry)
+        .filter((child): child is GeoJSONGeometry => child !== null);
+      return geometries.length > 0 ? { type: 'GeometryCollection', geometries } : null;
+    }
+  }
+}
+
+/**
+ * Repair a restriction's geometry
+ * @returns The feature itself when its geometry is valid, a copy with the
+ *   repaired geometry otherwise, or null when nothing usable is left
+ */
+export function repairRestriction(feature: RestrictionFeature): RestrictionFeature | null {
+  if (!feature.geometry) return null;
+  if (validateGeometry(feature.geometry).length === 0) return feature;
+
+  const geometry = repairGeometry(feature.geometry);
+  return geometry ? { ...feature, geometry } : null;
+}
+
+/**
+ * Clean each polygon's rings, rebuild self-intersecting ones and rewind
+ */
+function repairPolygonal(polygons: number[][][][]): GeoJSONGeometry | null {
+  const cleaned = polygons
+    .map(polygon => {
+      // Holes cannot stand without their outer ring
+      const outer = polygon[0] ? closeRing(polygon[0]) : null;
+      if (!outer) return null;
+      return [outer, ...polygon.slice(1).map(closeRing).filter((ring): ring is Position[] => ring !== null)];
+    })
+    .filter((rings): rings is Position[][] => rings !== null);
+  if (cleaned.length === 0) return null;
+
+  const repaired = cleaned.flatMap(rings => {
+    const polygon = turf.polygon(rings);
+    return turf.kinks(polygon).features.length > 0 ? rebuild(polygon) : [rings];
+  });
+  if (repaired.length === 0) return null;
+
+  const geometry: Polygon | MultiPolygon = repaired.length === 1
+    ? { type: 'Polygon', coordinates: repaired[0] }
+    : { type: 'MultiPolygon', coordinates: repaired };
+  return turf.rewind(geometry, { reverse: false }) as GeoJSONGeometry;
+}
+
+/**
+ * Rebuild a self-intersecting polygon as valid polygons by clipping it to
+ * its own bounding box; the clipper splits crossing rings at the crossings
+ */
+function rebuild(polygon: Feature<Polygon>): Position[][][] {
+  const [minX, minY, maxX, maxY] = turf.bbox(polygon);
+  const frame = turf.bboxPolygon([minX - 1, minY - 1, maxX + 1, maxY + 1]);
+  const result = turf.intersect(turf.featureCollection([polygon, frame]));
+  if (!result) return [];
+  return (result.geometry.type === 'Polygon' ? [result.geometry.coordinates] : result.geometry.coordinates) as Position[][][];
+}
+
+/**
+ * A ring's cleaned positions, closed, or null with fewer than four
+ */
+function closeRing(ring: number[][]): Position[] | null {
+  const positions = cleanPositions(ring);
+  if (positions.length === 0) return null;
+
+  const [first, last] = [positions[0], positions[positions.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) positions.push([first[0], first[1]]);
+  return positions.length >= 4 ? positions : null;
+}
+
+/**
+ * Finite [x, y] positions without consecutive duplicates
+ */
+function cleanPositions(positions: number[][]): Position[] {
+  const result: Position[] = [];
+  positions.filter(isFinitePosition).forEach(position => {
+    const previous = result[result.length - 1];
+    if (!previous || previous[0] !== position[0] || previous[1] !== position[1]) {
+      result.push(toPosition(position));
+    }
+  });
+  return result;
+}
+
+function lineIssues(line: number[][], location: string): GeometryIssue[] {
+  const issues: GeometryIssue[] = [];
+  if (line.some(position => !isFinitePosition(position))) issues.push({ code: GeometryIssueCode.NON_FINITE_POSITION, location });
+  if (hasConsecutiveDuplicates(line)) issues.push({ code: GeometryIssueCode.DUPLICATE_VERTEX, location });
+  if (cleanPositions(line).length < 2) issues.push({ code: GeometryIssueCode.TOO_FEW_POSITIONS, location });
+  return issues;
+}
+
+function polygonIssues(rings: number[][][], location: string): GeometryIssue[] {
+  const issues: GeometryIssue[] = [];
+
+  rings.forEach((ring, index) => {
+    const ringLocation = `${location} ring ${index}`;
+    if (ring.some(position => !isFinitePosition(position))) {
+      issues.push({ code: GeometryIssueCode.NON_FINITE_POSITION, location: ringLocation });
+      return;
+    }
+    if (hasConsecutiveDuplicates(ring)) issues.push({ code: GeometryIssueCode.DUPLICATE_VERTEX, location: ringLocation });
+
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (!first || first[0] !== last[0] || first[1] !== last[1]) {
+      issues.push({ code: GeometryIssueCode.UNCLOSED_RING, location: ringLocation });
+    }
+    if (!closeRing(ring)) {
+      issues.push({ code: GeometryIssueCode.TOO_FEW_POSITIONS, location: ringLocation });
+      return;
+    }
+
+    // RFC 7946: outer rings counter-clockwise, holes clockwise
+    if (turf.booleanClockwise(ring) !== (index > 0)) {
+      issues.push({ code: GeometryIssueCode.WRONG_ORIENTATION, location: ringLocation });
+    }
+  });
+
+  // Crossings can only be looked for once the rings are well formed
+  if (issues.length === 0 && rings.length > 0 && turf.kinks(turf.polygon(rings)).features.length > 0) {
+    issues.push({ code: GeometryIssueCode.SELF_INTERSECTION, location });
+  }
+  return issues;
+}
+
+function hasConsecutiveDuplicates(positions: number[][]): boolean {
+  return positions.some((position, index) =>
+    index > 0 && position[0] === positions[index - 1][0] && position[1] === positions[index - 1][1]);
+}
+
+function isFinitePosition(position: unknown): position is number[] {
+  return Array.isArray(position) && position.length >= 2 && Number.isFinite(position[0]) && Number.isFinite(position[1]);
+}
+
+function toPosition(position: number[]): Position {
+  return [position[0], position[1]];
+}
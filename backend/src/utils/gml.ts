@@ -0,0 +1,274 @@
+import { XMLParser } from 'fast-xml-parser';
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+
+/**
+ * GML 3.2 simple features reader for WFS GetFeature responses
+ *
+ * Reads the members of a wfs:FeatureCollection (wfs:member, or
+ * gml:featureMember/featureMembers from older servers). Each feature's
+ * scalar child elements become attributes and its first geometry property
+ * becomes a GeoJSON geometry. Supported geometries are the simple
+ * features profile: Point, LineString, Polygon, Surface (PolygonPatch),
+ * MultiPoint, MultiCurve/MultiLineString and MultiSurface/MultiPolygon.
+ *
+ * Positions are returned exactly as written, in the geometry's srsName
+ * and axis order; reprojection is left to the caller (see reproject.ts).
+ */
+
+/**
+ * One feature read from a GML feature collection
+ */
+export interface GMLFeature {
+  geometry: GeoJSONGeometry | null;
+  attributes: Record<string, string>;
+  /** srsName of the geometry, or of the collection when the geometry has none */
+  srsName?: string;
+}
+
+export interface GMLFeatureCollection {
+  features: GMLFeature[];
+  /** numberReturned reported by the server, when given */
+  numberReturned?: number;
+  /** URL of the next page (WFS 2.0 `next` attribute), when given */
+  next?: string;
+}
+
+type Position = number[];
+
+const GEOMETRY_ELEMENTS = new Set([
+  'Point', 'LineString', 'Curve', 'Polygon', 'Surface',
+  'MultiPoint', 'MultiCurve', 'MultiLineString', 'MultiSurface', 'MultiPolygon'
+]);
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  // Keep attribute text as written (codes such as "007" must not become numbers)
+  parseTagValue: false,
+  parseAttributeValue: false
+});
+
+/**
+ * Parse a GML feature collection
+ * @throws Error when the document is an OGC exception report or not a feature collection
+ */
+export function parseGMLFeatureCollection(xml: string): GMLFeatureCollection {
+  const document = xmlParser.parse(xml);
+
+  if (document.ExceptionReport) {
+    const exception = asArray(document.ExceptionReport.Exception)[0];
+    const message = asArray(exception?.ExceptionText).map(text).join(' ').trim();
+    throw new Error(`WFS exception${exception?.['@_exceptionCode'] ? ` ${exception['@_exceptionCode']}` : ''}: ${message || 'no details'}`);
+  }
+
+  const collection = document.FeatureCollection;
+  if (!collection) {
+    throw new Error('Response is not a GML feature collection');
+  }
+
+  const collectionSrs = findSrsName(collection.boundedBy);
+  const featureElements = [
+    ...asArray(collection.member),
+    ...asArray(collection.featureMember),
+    ...asArray(collection.featureMembers)
+  ].flatMap(member => Object.entries(member || {})
+    .filter(([key, value]) => !key.startsWith('@_') && typeof value === 'object')
+    .flatMap(([, value]) => asArray(value)));
+
+  const numberReturned = Number(collection['@_numberReturned']);
+  return {
+    features: featureElements.map(element => readFeature(element, collectionSrs)),
+    ...(Number.isFinite(numberReturned) ? { numberReturned } : {}),
+    ...(collection['@_next'] ? { next: String(collection['@_next']) } : {})
+  };
+}
+
+/**
+ * Convert a GML geometry element to GeoJSON
+ * @param name Element name without namespace prefix, e.g. "Polygon"
+ * @param node Parsed element
+ * @returns GeoJSON geometry, or null if the geometry is empty or unsupported
+ */
+export function convertGMLGeometry(name: string, node: any): GeoJSONGeometry | null {
+  switch (name) {
+    case 'Point': {
+      const [position] = positions(node);
+      return position ? { type: 'Point', coordinates: position as [number, number] } : null;
+    }
+    case 'LineString':
+    case 'Curve': {
+      const line = lineOf(node);
+      return line ? { type: 'LineString', coordinates: line as [number, number][] } : null;
+    }
+    case 'Polygon':
+    case 'Surface': {
+      const polygons = polygonsOf(name, node);
+      if (polygons.length === 0) return null;
+      return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] as [number, number][][] }
+        : { type: 'MultiPolygon', coordinates: polygons as [number, number][][][] };
+    }
+    case 'MultiPoint': {
+      const points = members(node, 'pointMember', 'pointMembers').flatMap(([, child]) => positions(child).slice(0, 1));
+      return points.length > 0 ? { type: 'MultiPoint', coordinates: points as [number, number][] } : null;
+    }
+    case 'MultiCurve':
+    case 'MultiLineString': {
+      const lines = members(node, 'curveMember', 'curveMembers', 'lineStringMember')
+        .map(([, child]) => lineOf(child))
+        .filter((line): line is Position[] => line !== null);
+      if (lines.length === 0) return null;
+      return lines.length === 1
+        ? { type: 'LineString', coordinates: lines[0] as [number, number][] }
+        : { type: 'MultiLineString', coordinates: lines as [number, number][][] };
+    }
+    case 'MultiSurface':
+    case 'MultiPolygon': {
+      const polygons = members(node, 'surfaceMember', 'surfaceMembers', 'polygonMember')
+        .flatMap(([childName, child]) => polygonsOf(childName, child));
+      if (polygons.length === 0) return null;
+      return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] as [number, number][][] }
+        : { type: 'MultiPolygon', coordinates: polygons as [number, number][][][] };
+    }
+    default:
+      return null;
+  }
+}
+
+function readFeature(element: any, collectionSrs?: string): GMLFeature {
+  const attributes: Record<string, string> = {};
+  let geometry: GeoJSONGeometry | null = null;
+  let srsName: string | undefined;
+
+  for (const [key, value] of Object.entries(element)) {
+    if (key.startsWith('@_') || key === 'boundedBy') continue;
+
+    const geometryEntry = typeof value === 'object' && value !== null
+      ? Object.entries(value).find(([childName]) => GEOMETRY_ELEMENTS.has(childName))
+      : undefined;
+
+    if (geometryEntry) {
+      // Only the first geometry property is used
+      if (!geometry) {
+        geometry = convertGMLGeometry(geometryEntry[0], geometryEntry[1]);
+        srsName = geometryEntry[1]?.['@_srsName'];
+      }
+      continue;
+    }
+
+    const attribute = text(value);
+    if (attribute !== '') attributes[key] = attribute;
+  }
+
+  const resolvedSrs = srsName || collectionSrs;
+  return { geometry, attributes, ...(resolvedSrs ? { srsName: resolvedSrs } : {}) };
+}
+
+/**
+ * Rings of a Polygon, or of each PolygonPatch of a Surface
+ */
+function polygonsOf(name: string, node: any): Position[][][] {
+  if (name === 'Surface') {
+    return asArray(node?.patches?.PolygonPatch).flatMap(patch => polygonsOf('Polygon', patch));
+  }
+  if (name !== 'Polygon') return [];
+
+  const exterior = ringOf(node?.exterior);
+  if (!exterior) return [];
+  const interiors = asArray(node.interior)
+    .map(ringOf)
+    .filter((ring): ring is Position[] => ring !== null);
+  return [[exterior, ...interiors]];
+}
+
+/**
+ * Positions of a LinearRing (or Ring of curve members), closed, with at least four positions
+ */
+function ringOf(boundary: any): Position[] | null {
+  if (!boundary) return null;
+
+  const ring = boundary.LinearRing
+    ? positions(boundary.LinearRing)
+    : asArray(boundary.Ring?.curveMember).flatMap(member => lineOf(member.LineString || member.Curve) || []);
+  if (ring.length === 0) return null;
+
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+  return ring.length >= 4 ? ring : null;
+}
+
+/**
+ * Positions of a LineString, or of each LineStringSegment of a Curve
+ */
+function lineOf(node: any): Position[] | null {
+  if (!node) return null;
+  const line = node.segments
+    ? asArray(node.segments.LineStringSegment).flatMap(positions)
+    : positions(node);
+  return line.length >= 2 ? line : null;
+}
+
+/**
+ * Positions from posList, pos or (GML 2) coordinates, respecting srsDimension
+ */
+function positions(node: any): Position[] {
+  if (!node) return [];
+
+  if (node.posList !== undefined) {
+    const dimension = Number(node.posList?.['@_srsDimension'] || node['@_srsDimension']) || 2;
+    const values = numbers(text(node.posList));
+    const result: Position[] = [];
+    for (let i = 0; i + 1 < values.length; i += dimension) {
+      result.push([values[i], values[i + 1]]);
+    }
+    return result;
+  }
+
+  if (node.pos !== undefined) {
+    return asArray(node.pos)
+      .map(pos => numbers(text(pos)))
+      .filter(values => values.length >= 2)
+      .map(values => [values[0], values[1]]);
+  }
+
+  if (node.coordinates !== undefined) {
+    return text(node.coordinates).trim().split(/\s+/)
+      .map(tuple => tuple.split(',').map(Number))
+      .filter(values => values.length >= 2 && values.every(Number.isFinite))
+      .map(values => [values[0], values[1]]);
+  }
+
+  return [];
+}
+
+/**
+ * Geometry children of a multi-geometry's member elements, as [name, node]
+ */
+function members(node: any, ...memberNames: string[]): Array<[string, any]> {
+  return memberNames
+    .flatMap(memberName => asArray(node?.[memberName]))
+    .flatMap(member => Object.entries(member || {})
+      .filter(([name]) => GEOMETRY_ELEMENTS.has(name))
+      .flatMap(([name, child]) => asArray(child).map(item => [name, item] as [string, any])));
+}
+
+function findSrsName(boundedBy: any): string | undefined {
+  return boundedBy?.Envelope?.['@_srsName'];
+}
+
+function numbers(value: string): number[] {
+  return value.trim().split(/\s+/).map(Number).filter(Number.isFinite);
+}
+
+function text(node: any): string {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return node['#text'] !== undefined ? String(node['#text']) : '';
+  return String(node);
+}
+
+function asArray<T>(value: T | T[] | undefined): T[] {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
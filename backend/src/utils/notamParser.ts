@@ -0,0 +1,501 @@
+import * as turf from '@turf/turf';
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+import { TimeWindow } from '../types';
+
+/**
+ * Parser for ICAO-format NOTAM text
+ *
+ *   A1234/24 NOTAMN
+ *   Q) EGTT/QRTCA/IV/BO/W/000/050/5130N00005W005
+ *   A) EGTT B) 2401011200 C) 2401021800 EST
+ *   D) MON-FRI 0800-1700
+ *   E) TEMPORARY RESTRICTED AREA ACTIVATED WI AREA 513000N 0000500W -
+ *      513100N 0000400W - 512900N 0000300W
+ *   F) SFC G) 2000FT AMSL
+ *
+ * Geometry comes from item E when it lists a polygon (three or more
+ * coordinates) or a single coordinate with a radius; otherwise from the
+ * Q-line center and radius. Item D schedules are expanded into concrete
+ * validity periods between items B and C.
+ */
+
+type Position = [number, number];
+
+// Q-line radius 999 means "the whole FIR", which is not a usable geometry
+const WHOLE_FIR_RADIUS = 999;
+
+// Longest span a schedule is expanded over (PERM NOTAMs have no item C)
+const MAX_SCHEDULE_DAYS = 366;
+
+const CIRCLE_STEPS = 64;
+
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Vertical limit in feet with its reference: SFC (surface), AGL, MSL,
+ * STD (flight level) or UNL (unlimited)
+ */
+export interface NotamLimit {
+  /** Infinity for UNL */
+  feet: number;
+  reference: 'SFC' | 'AGL' | 'MSL' | 'STD' | 'UNL';
+}
+
+export interface ValidityPeriod {
+  start: string;
+  /** null when the NOTAM is permanent */
+  end: string | null;
+}
+
+/**
+ * A parsed NOTAM
+ */
+export interface ParsedNotam {
+  id: string;
+  /** NOTAMN (new), NOTAMR (replace) or NOTAMC (cancel) */
+  kind: string;
+  fir: string;
+  /** Five-letter Q code, e.g. QRTCA */
+  code: string;
+  locations: string[];
+  validFrom: string;
+  validTo: string | null;
+  validToEstimated: boolean;
+  /** Raw item D, when present */
+  schedule: string | null;
+  /** False when item D could not be interpreted and the whole B–C span is used */
+  scheduleParsed: boolean;
+  validityPeriods: ValidityPeriod[];
+  lower: NotamLimit;
+  upper: NotamLimit;
+  description: string;
+  geometry: GeoJSONGeometry;
+  /** Where the geometry came from */
+  geometrySource: 'ITEM_E_POLYGON' | 'ITEM_E_CIRCLE' | 'Q_LINE';
+  text: string;
+}
+
+export class NotamParseError extends Error {}
+
+/**
+ * Split a batch of NOTAM text into individual NOTAMs
+ *
+ * NOTAMs start with their series/number header ("A1234/24 NOTAMN"),
+ * optionally wrapped in parentheses as in AFTN messages, in which case
+ * they end at the closing parenthesis. Text before the first NOTAM or
+ * after a parenthesized one is returned as its own entry, so parsing it
+ * fails and it is reported rather than dropped or read as part of a NOTAM.
+ * @param batch Text containing one or more NOTAMs
+ */
+export function splitNotams(batch: string): string[] {
+  const header = /(?:^|\n)\s*\(?\s*[A-Z]\d{4}\/\d{2}\s+NOTAM[NRC]\b/g;
+  const starts: number[] = [];
+  let match: RegExpExecArray | null;
+
+  while ((match = header.exec(batch)) !== null) {
+    starts.push(match.index);
+  }
+
+  if (starts.length === 0) {
+    return batch.trim() ? [batch.trim()] : [];
+  }
+
+  const texts = [batch.slice(0, starts[0])];
+  starts.forEach((start, index) => {
+    const block = batch.slice(start, starts[index + 1]);
+    const end = blockEnd(block);
+    texts.push(block.slice(0, end), block.slice(end));
+  });
+
+  return texts.map(text => text.trim()).filter(text => text.length > 0);
+}
+
+/**
+ * Parse a single ICAO NOTAM
+ * @param text NOTAM text
+ * @throws NotamParseError when a required item is missing or malformed
+ */
+export function parseNotam(text: string): ParsedNotam {
+  const normalized = text.replace(/\r/g, '').replace(/^\s*\(/, '').replace(/\)\s*$/, '').trim();
+
+  const headerMatch = /^([A-Z]\d{4}\/\d{2})\s+(NOTAM[NRC])\b/.exec(normalized);
+  if (!headerMatch) {
+    const excerpt = normalized.length > 40 ? `${normalized.slice(0, 40)}...` : normalized;
+    throw new NotamParseError(`Missing NOTAM header (e.g. "A1234/24 NOTAMN") in "${excerpt}"`);
+  }
+  const [, id, kind] = headerMatch;
+
+  const items = splitItems(normalized);
+  const q = parseQLine(items.Q);
+
+  if (!items.B) {
+    throw new NotamParseError(`${id}: missing item B (start of validity)`);
+  }
+  const validFrom = parseNotamTime(items.B, 'B');
+
+  const cItem = (items.C || '').trim();
+  const permanent = cItem === '' || /^PERM\b/.test(cItem);
+  const validTo = permanent ? null : parseNotamTime(cItem, 'C');
+  if (validTo && validTo.getTime() <= validFrom.getTime()) {
+    throw new NotamParseError(`${id}: item C is not after item B`);
+  }
+
+  const schedule = items.D ? items.D.replace(/\s+/g, ' ').trim() : null;
+  const periods = schedule ? expandSchedule(schedule, validFrom, validTo) : null;
+
+  const description = (items.E || '').replace(/\s+/g, ' ').trim();
+  const { geometry, source } = buildGeometry(id, description, q);
+
+  return {
+    id,
+    kind,
+    fir: q.fir,
+    code: q.code,
+    locations: (items.A || '').trim().split(/\s+/).filter(Boolean),
+    validFrom: validFrom.toISOString(),
+    validTo: validTo ? validTo.toISOString() : null,
+    validToEstimated: /\bEST\b/.test(cItem),
+    schedule,
+    scheduleParsed: !schedule || periods !== null,
+    validityPeriods: periods ?? [{ start: validFrom.toISOString(), end: validTo ? validTo.toISOString() : null }],
+    lower: items.F ? parseLimit(items.F) : { feet: q.lowerFL * 100, reference: q.lowerFL === 0 ? 'SFC' : 'STD' },
+    upper: items.G ? parseLimit(items.G) : { feet: q.upperFL * 100, reference: q.upperFL >= 999 ? 'UNL' : 'STD' },
+    description,
+    geometry,
+    geometrySource: source,
+    text: text.trim()
+  };
+}
+
+/**
+ * Whether a NOTAM is in effect at any point in a time window
+ */
+export function isNotamActive(notam: ParsedNotam, when: TimeWindow): boolean {
+  return notam.validityPeriods.some(period =>
+    new Date(period.start).getTime() <= when.end.getTime() &&
+    (period.end === null || new Date(period.end).getTime() > when.start.getTime())
+  );
+}
+
+interface QLine {
+  fir: string;
+  code: string;
+  lowerFL: number;
+  upperFL: number;
+  center: Position;
+  radiusNM: number;
+}
+
+/**
+ * End of a NOTAM block: just past the parenthesis closing it when it opens
+ * with one, else the whole block. Item labels such as "E)" do not close.
+ */
+function blockEnd(block: string): number {
+  const open = block.search(/\S/);
+  if (block[open] !== '(') return block.length;
+
+  let depth = 0;
+  for (let i = open; i < block.length; i++) {
+    if (block[i] === '(') {
+      depth++;
+    } else if (block[i] === ')' && !/(?:^|\s)[QABCDEFG]$/.test(block.slice(Math.max(0, i - 2), i))) {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return block.length;
+}
+
+/**
+ * Items Q) to G) keyed by letter. Item text runs until the next item label.
+ */
+function splitItems(text: string): Record<string, string> {
+  const items: Record<string, string> = {};
+  const label = /(?:^|\s)([QABCDEFG])\)\s*/g;
+  const found: Array<{ key: string; start: number; end: number }> = [];
+  let match: RegExpExecArray | null;
+
+  while ((match = label.exec(text)) !== null) {
+    found.push({ key: match[1], start: match.index, end: label.lastIndex });
+  }
+
+  found.forEach((item, index) => {
+    const next = found[index + 1];
+    // Keep the first occurrence; "A)" style text inside item E is rare but possible
+    if (items[item.key] === undefined) {
+      items[item.key] = text.slice(item.end, next ? next.start : undefined).trim();
+    }
+  });
+
+  return items;
+}
+
+/**
+ * Q) FIR/QCODE/TRAFFIC/PURPOSE/SCOPE/LOWER/UPPER/COORDINATES+RADIUS
+ */
+function parseQLine(q: string | undefined): QLine {
+  if (!q) {
+    throw new NotamParseError('Missing Q-line');
+  }
+
+  const fields = q.replace(/\s+/g, '').split('/');
+  if (fields.length < 8) {
+    throw new NotamParseError(`Malformed Q-line "${q}": expected 8 fields`);
+  }
+
+  const [fir, code, , , , lower, upper, location] = fields;
+  const locationMatch = /^(\d{4}[NS])(\d{5}[EW])(\d{3})$/.exec(location);
+  if (!locationMatch) {
+    throw new NotamParseError(`Malformed Q-line coordinates "${location}"`);
+  }
+
+  const center = parseCoordinatePair(locationMatch[1], locationMatch[2]);
+  if (!center) {
+    throw new NotamParseError(`Q-line coordinates "${location}" are out of range`);
+  }
+
+  return {
+    fir,
+    code,
+    lowerFL: Number(lower) || 0,
+    upperFL: Number(upper) || 999,
+    center,
+    radiusNM: Number(locationMatch[3])
+  };
+}
+
+/**
+ * Polygon or circle from item E, falling back to the Q-line circle
+ */
+function buildGeometry(id: string, description: string, q: QLine): {
+  geometry: GeoJSONGeometry;
+  source: ParsedNotam['geometrySource'];
+} {
+  const coordinatePattern = /(\d{4,6}(?:\.\d+)?[NS])\s*(\d{5,7}(?:\.\d+)?[EW])/g;
+  const positions: Position[] = [];
+  let match: RegExpExecArray | null;
+
+  while ((match = coordinatePattern.exec(description)) !== null) {
+    const position = parseCoordinatePair(match[1], match[2]);
+    if (position) positions.push(position);
+  }
+
+  if (positions.length >= 3) {
+    const ring = [...positions];
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+
+    if (ring.length >= 4) {
+      return {
+        geometry: turf.rewind(turf.polygon([ring]).geometry as any) as unknown as GeoJSONGeometry,
+        source: 'ITEM_E_POLYGON'
+      };
+    }
+  }
+
+  const radiusMatch = /(\d+(?:\.\d+)?)\s*(NM|KM|M)\b/.exec(description);
+  if (positions.length === 1 && radiusMatch) {
+    return {
+      geometry: circle(positions[0], toNauticalMiles(Number(radiusMatch[1]), radiusMatch[2])),
+      source: 'ITEM_E_CIRCLE'
+    };
+  }
+
+  if (q.radiusNM >= WHOLE_FIR_RADIUS) {
+    throw new NotamParseError(`${id}: Q-line covers the whole FIR and item E has no usable geometry`);
+  }
+
+  // A zero radius still marks a point restriction; give it the smallest Q-line radius
+  return { geometry: circle(q.center, Math.max(q.radiusNM, 1)), source: 'Q_LINE' };
+}
+
+function circle(center: Position, radiusNM: number): GeoJSONGeometry {
+  return turf.circle(center, radiusNM, { steps: CIRCLE_STEPS, units: 'nauticalmiles' }).geometry as GeoJSONGeometry;
+}
+
+function toNauticalMiles(value: number, unit: string): number {
+  switch (unit) {
+    case 'KM': return value / 1.852;
+    case 'M': return value / 1852;
+    default: return value;
+  }
+}
+
+/**
+ * "5130N" / "513045N" / "513045.5N" with "00005W" / "0000530W" / "0000530.5W"
+ */
+function parseCoordinatePair(latText: string, lngText: string): Position | null {
+  const lat = parseDMS(latText, 2);
+  const lng = parseDMS(lngText, 3);
+  if (lat === null || lng === null || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return [lng, lat];
+}
+
+function parseDMS(value: string, degreeDigits: number): number | null {
+  const match = /^(\d+)(\.\d+)?([NSEW])$/.exec(value);
+  if (!match) return null;
+
+  const [, digits, fraction = '', hemisphere] = match;
+  if (digits.length !== degreeDigits + 2 && digits.length !== degreeDigits + 4) return null;
+
+  const degrees = Number(digits.slice(0, degreeDigits));
+  const minutes = Number(digits.slice(degreeDigits, degreeDigits + 2));
+  const seconds = digits.length > degreeDigits + 2 ? Number(digits.slice(degreeDigits + 2) + fraction) : 0;
+  if (minutes >= 60 || seconds >= 60) return null;
+
+  const decimal = degrees + minutes / 60 + seconds / 3600;
+  return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+}
+
+/**
+ * YYMMDDHHMM in UTC
+ */
+function parseNotamTime(value: string, item: string): Date {
+  const match = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/.exec(value.trim());
+  if (!match) {
+    throw new NotamParseError(`Item ${item} "${value}" is not a YYMMDDHHMM time`);
+  }
+
+  const [, yy, mm, dd, hh, min] = match.map(Number);
+  const date = new Date(Date.UTC(2000 + yy, mm - 1, dd, hh, min));
+  if (date.getUTCMonth() !== mm - 1 || date.getUTCDate() !== dd || hh > 24 || min > 59) {
+    throw new NotamParseError(`Item ${item} "${value}" is not a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Items F/G: SFC, GND, UNL, FL100, 1000FT AMSL, 500FT AGL, 300M AMSL
+ */
+function parseLimit(value: string): NotamLimit {
+  const text = value.replace(/\s+/g, ' ').trim().toUpperCase();
+
+  if (/^(SFC|GND)\b/.test(text)) return { feet: 0, reference: 'SFC' };
+  if (/^UNL\b/.test(text)) return { feet: Infinity, reference: 'UNL' };
+
+  const flightLevel = /^FL\s?(\d{1,3})\b/.exec(text);
+  if (flightLevel) return { feet: Number(flightLevel[1]) * 100, reference: 'STD' };
+
+  const height = /^(\d+)\s?(FT|M)\b\s*(AMSL|MSL|AGL|SFC|GND)?/.exec(text);
+  if (height) {
+    const feet = height[2] === 'M' ? Math.round(Number(height[1]) * 3.28084) : Number(height[1]);
+    const reference = height[3] === 'AGL' || height[3] === 'SFC' || height[3] === 'GND' ? 'AGL' : 'MSL';
+    return { feet, reference };
+  }
+
+  throw new NotamParseError(`Cannot read vertical limit "${value}"`);
+}
+
+/**
+ * Expand an item D schedule into validity periods between B and C
+ *
+ * Supports comma-separated clauses of an optional day selector (DAILY,
+ * weekdays such as MON-FRI or MON WED, or dates such as JAN 05 07 or
+ * 05-09) followed by one or more HHMM-HHMM ranges. Times that cannot be
+ * computed here (SR/SS) cover the whole day, which errs on the side of
+ * showing the restriction.
+ * @returns Periods, or null when the schedule cannot be interpreted
+ */
+function expandSchedule(schedule: string, from: Date, to: Date | null): ValidityPeriod[] | null {
+  const clauses = schedule.split(',').map(clause => parseClause(clause.trim()));
+  if (clauses.length === 0 || clauses.some(clause => clause === null)) {
+    return null;
+  }
+
+  const last = to ?? new Date(from.getTime() + MAX_SCHEDULE_DAYS * 86400000);
+  const periods: Array<{ start: number; end: number }> = [];
+  const day = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+
+  for (let count = 0; day.getTime() <= last.getTime() && count <= MAX_SCHEDULE_DAYS; count++) {
+    for (const clause of clauses as ScheduleClause[]) {
+      if (!clause.matches(day)) continue;
+
+      for (const [startMinutes, endMinutes] of clause.ranges) {
+        const start = day.getTime() + startMinutes * 60000;
+        // Ranges ending before they start run past midnight
+        const end = day.getTime() + (endMinutes <= startMinutes ? endMinutes + 1440 : endMinutes) * 60000;
+        const clippedStart = Math.max(start, from.getTime());
+        const clippedEnd = Math.min(end, last.getTime());
+        if (clippedEnd > clippedStart) {
+          periods.push({ start: clippedStart, end: clippedEnd });
+        }
+      }
+    }
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+
+  return periods
+    .sort((a, b) => a.start - b.start)
+    .map(period => ({ start: new Date(period.start).toISOString(), end: new Date(period.end).toISOString() }));
+}
+
+interface ScheduleClause {
+  matches(day: Date): boolean;
+  /** Minutes after midnight UTC */
+  ranges: Array<[number, number]>;
+}
+
+function parseClause(clause: string): ScheduleClause | null {
+  const ranges: Array<[number, number]> = [];
+  const rangePattern = /\b(\d{4}|SR|SS)\s*-\s*(\d{4}|SR|SS)\b/g;
+  let match: RegExpExecArray | null;
+
+  while ((match = rangePattern.exec(clause)) !== null) {
+    if (/S[RS]/.test(match[1] + match[2])) {
+      ranges.push([0, 1440]);
+    } else {
+      ranges.push([toMinutes(match[1]), toMinutes(match[2])]);
+    }
+  }
+  if (/\bH24\b/.test(clause)) ranges.push([0, 1440]);
+  if (ranges.length === 0) return null;
+
+  const selector = clause.replace(rangePattern, ' ').replace(/\bH24\b/, ' ').trim();
+  const matches = parseDaySelector(selector);
+  return matches ? { matches, ranges } : null;
+}
+
+function parseDaySelector(selector: string): ((day: Date) => boolean) | null {
+  if (selector === '' || selector === 'DAILY') {
+    return () => true;
+  }
+
+  const tokens = selector.replace(/\s*-\s*/g, '-').split(/\s+/);
+
+  if (tokens.every(token => /^[A-Z]{3}(-[A-Z]{3})?$/.test(token) && token.split('-').every(name => WEEKDAYS.includes(name)))) {
+    const days = new Set<number>();
+    tokens.forEach(token => {
+      const [first, lastName = first] = token.split('-');
+      let index = WEEKDAYS.indexOf(first);
+      const end = WEEKDAYS.indexOf(lastName);
+      days.add(index);
+      while (index !== end) {
+        index = (index + 1) % 7;
+        days.add(index);
+      }
+    });
+    return day => days.has(day.getUTCDay());
+  }
+
+  // Dates: optional month name followed by days or day ranges, e.g. "JAN 05 07-09 FEB 01"
+  const dates = new Set<string>();
+  let month: number | null = null;
+  for (const token of tokens) {
+    if (MONTHS.includes(token)) {
+      month = MONTHS.indexOf(token);
+      continue;
+    }
+    const range = /^(\d{2})(?:-(\d{2}))?$/.exec(token);
+    if (!range) return null;
+    for (let d = Number(range[1]); d <= Number(range[2] ?? range[1]); d++) {
+      dates.add(`${month ?? '*'}-${d}`);
+    }
+  }
+
+  return day => dates.has(`${day.getUTCMonth()}-${day.getUTCDate()}`) || dates.has(`*-${day.getUTCDate()}`);
+}
+
+function toMinutes(hhmm: string): number {
+  return Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(2));
+}
@@ -0,0 +1,157 @@
+import * as turf from '@turf/turf';
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+
+/**
+ * OpenStreetMap (Overpass `out geom`) to GeoJSON conversion
+ *
+ * - Nodes become Points.
+ * - Closed ways become Polygons; open ways become LineStrings.
+ * - Multipolygon and boundary relations are assembled from their member
+ *   ways: members are stitched end to end into rings (OSM splits long
+ *   boundaries across several ways), inner rings become holes of the outer
+ *   ring that contains them, and several outer rings become a MultiPolygon.
+ *
+ * Output follows RFC 7946 winding: outer rings counter-clockwise, holes clockwise.
+ */
+
+type Position = [number, number];
+
+/**
+ * Vertex as returned by Overpass `out geom`
+ */
+export interface OverpassPoint {
+  lat: number;
+  lon: number;
+}
+
+/**
+ * Element of an Overpass JSON response queried with `out geom`
+ */
+export interface OverpassElement {
+  type: 'node' | 'way' | 'relation';
+  id: number;
+  lat?: number;
+  lon?: number;
+  geometry?: Array<OverpassPoint | null>;
+  members?: Array<{
+    type: 'node' | 'way' | 'relation';
+    ref: number;
+    role: string;
+    geometry?: Array<OverpassPoint | null>;
+  }>;
+  tags?: Record<string, string>;
+}
+
+/**
+ * Convert an Overpass element to GeoJSON
+ * @param element Node, way or relation with inline geometry
+ * @returns GeoJSON geometry, or null if the element has no usable geometry
+ */
+export function convertOSMToGeoJSON(element: OverpassElement): GeoJSONGeometry | null {
+  switch (element.type) {
+    case 'node':
+      return isFiniteNumber(element.lat) && isFiniteNumber(element.lon)
+        ? { type: 'Point', coordinates: [element.lon, element.lat] }
+        : null;
+
+    case 'way': {
+      const positions = toPositions(element.geometry);
+      if (isClosed(positions) && positions.length >= 4) {
+        return assemblePolygons([positions], []);
+      }
+      return positions.length >= 2 ? { type: 'LineString', coordinates: positions } : null;
+    }
+
+    case 'relation': {
+      const kind = element.tags?.type;
+      if (kind !== 'multipolygon' && kind !== 'boundary') {
+        return null;
+      }
+
+      const ways = (element.members || []).filter(member => member.type === 'way');
+      const outer = stitchRings(ways.filter(member => member.role !== 'inner').map(member => toPositions(member.geometry)));
+      const inner = stitchRings(ways.filter(member => member.role === 'inner').map(member => toPositions(member.geometry)));
+      return assemblePolygons(outer, inner);
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Join way segments that share end points into closed rings. Segments
+ * that cannot be closed are dropped.
+ */
+function stitchRings(segments: Position[][]): Position[][] {
+  const open = segments.filter(segment => segment.length >= 2).map(segment => [...segment]);
+  const rings: Position[][] = [];
+
+  while (open.length > 0) {
+    let ring = open.shift()!;
+
+    while (!isClosed(ring)) {
+      const end = ring[ring.length - 1];
+      const nextIndex = open.findIndex(segment => samePosition(segment[0], end) || samePosition(segment[segment.length - 1], end));
+      if (nextIndex === -1) break;
+
+      const [next] = open.splice(nextIndex, 1);
+      const oriented = samePosition(next[0], end) ? next : [...next].reverse();
+      ring = ring.concat(oriented.slice(1));
+    }
+
+    if (isClosed(ring) && ring.length >= 4) {
+      rings.push(ring);
+    }
+  }
+
+  return rings;
+}
+
+/**
+ * Build a Polygon or MultiPolygon, attaching each hole to the smallest
+ * outer ring that contains it
+ */
+function assemblePolygons(outer: Position[][], inner: Position[][]): GeoJSONGeometry | null {
+  if (outer.length === 0) {
+    return null;
+  }
+
+  const polygons: Position[][][] = outer
+    .map(ring => ({ ring, area: turf.area(turf.polygon([ring])) }))
+    .sort((a, b) => a.area - b.area)
+    .map(({ ring }) => [ring]);
+
+  for (const hole of inner) {
+    // Polygons are sorted smallest first, so the first match is the tightest
+    const owner = polygons.find(rings => turf.booleanPointInPolygon(hole[0], turf.polygon([rings[0]])));
+    if (owner) {
+      owner.push(hole);
+    }
+  }
+
+  const geometry: GeoJSONGeometry = polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+
+  return turf.rewind(geometry as any) as unknown as GeoJSONGeometry;
+}
+
+function toPositions(points: Array<OverpassPoint | null> | undefined): Position[] {
+  if (!Array.isArray(points)) return [];
+  return points
+    .filter((point): point is OverpassPoint => !!point && isFiniteNumber(point.lat) && isFiniteNumber(point.lon))
+    .map(point => [point.lon, point.lat] as Position);
+}
+
+function isClosed(positions: Position[]): boolean {
+  return positions.length > 1 && samePosition(positions[0], positions[positions.length - 1]);
+}
+
+function samePosition(a: Position, b: Position): boolean {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+function isFiniteNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value);
+}
@@ -0,0 +1,201 @@
+import * as turf from '@turf/turf';
+import { MultiPolygon, Polygon } from 'geojson';
+import { FlightVerdict, OperatorType, PointCheckInput, PointCheckResponse, RestrictionFeature, RestrictionType } from '../types';
+import { ValidationError } from '../errors';
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+import { validateSchema } from '../validation/schema';
+import { pointCheckRequestSchema } from '../validation/requestSchemas';
+import { validateFlightWindow } from './schedule';
+import { effectiveRule, toAppliedRestriction } from './effectiveZones';
+
+/**
+ * "Can I fly here?" verdicts for a single point
+ *
+ * Every restriction in effect at the point contributes a reason with the
+ * verdict it calls for; the strictest one wins:
+ *
+ * - a no-fly restriction is NO_GO
+ * - an FAA facility map grid cell needs LAANC authorization up to its
+ *   ceiling. Above it, or where the ceiling is 0, a Part 107 pilot can
+ *   still apply through FAADroneZone; a recreational flyer cannot.
+ * - any other authorization-required restriction needs its authority's
+ *   permission
+ * - advisories are reported but do not stop the flight
+ * - above 400 ft AGL a Part 107 pilot needs a waiver; a recreational
+ *   flyer may not fly
+ *
+ * Missing data must never read as "go": when any provider failed or
+ * returned partial data the verdict is NO_GO.
+ */
+
+// Restrictions are fetched for a small circle around the point, then tested for containing it
+export const POINT_CHECK_RADIUS_MILES = 100 / 5280;
+
+// 14 CFR 107.51(b) and 49 U.S.C. 44809(a)(6)
+const MAX_ALTITUDE_FT = 400;
+
+const VERDICT_ORDER = [FlightVerdict.GO, FlightVerdict.AUTHORIZATION_NEEDED, FlightVerdict.NO_GO];
+
+const OPERATOR_LABELS: Record<OperatorType, string> = {
+  [OperatorType.PART_107]: 'Part 107',
+  [OperatorType.RECREATIONAL]: 'recreational'
+};
+
+/**
+ * One finding behind a verdict
+ */
+interface Reason {
+  verdict: FlightVerdict;
+  text: string;
+  restrictionIds: string[];
+}
+
+/**
+ * Validates a point check request
+ * @throws ValidationError listing every invalid field
+ */
+export function validatePointCheckInput(input: PointCheckInput): PointCheckInput {
+  const issues = validateSchema(pointCheckRequestSchema, input);
+  if (issues.length === 0) {
+    issues.push(...validateFlightWindow(input));
+  }
+  if (issues.length > 0) {
+    throw new ValidationError('Invalid point check request', issues);
+  }
+  return input;
+}
+
+/**
+ * Whether a restriction's area contains a point; points and lines contain nothing
+ */
+export function containsPoint(restriction: RestrictionFeature, position: [number, number]): boolean {
+  return areaContains(restriction.geometry, position);
+}
+
+/**
+ * Verdict, altitude limit and explanation for the restrictions in effect at a point
+ * @param restrictions Restrictions in effect at the point, with FAA grid cells in place of merged facilities
+ * @param input Validated point check input
+ * @param missingProviders Names of providers that failed or returned partial data
+ */
+export function evaluatePointCheck(
+  restrictions: RestrictionFeature[],
+  input: PointCheckInput,
+  missingProviders: string[]
+): PointCheckResponse {
+  const { altitude, operator } = input;
+  const reasons = restrictions.map(restriction => restrictionReason(restriction, altitude, operator));
+
+  if (altitude > MAX_ALTITUDE_FT) {
+    reasons.push(operator === OperatorType.PART_107
+      ? {
+        verdict: FlightVerdict.AUTHORIZATION_NEEDED,
+        text: `${altitude} ft is above the ${MAX_ALTITUDE_FT} ft Part 107 limit; a waiver of 14 CFR 107.51 is required.`,
+        restrictionIds: []
+      }
+      : {
+        verdict: FlightVerdict.NO_GO,
+        text: `${altitude} ft is above the ${MAX_ALTITUDE_FT} ft limit for recreational flyers.`,
+        restrictionIds: []
+      });
+  }
+
+  if (missingProviders.length > 0) {
+    reasons.push({
+      verdict: FlightVerdict.NO_GO,
+      text: `Restriction data is incomplete (${missingProviders.join(', ')} unavailable or partial), so restrictions ` +
+        'may be missing here. Do not fly until the point can be checked again.',
+      restrictionIds: []
+    });
+  }
+
+  const verdict = reasons.reduce(
+    (worst, reason) => VERDICT_ORDER.indexOf(reason.verdict) > VERDICT_ORDER.indexOf(worst) ? reason.verdict : worst,
+    FlightVerdict.GO
+  );
+
+  // No ceiling is reported where the flight may not go ahead
+  const rule = restrictions.length > 0 ? effectiveRule(restrictions) : null;
+  const maxAltitude = verdict === FlightVerdict.NO_GO ? null : Math.min(MAX_ALTITUDE_FT, rule?.maxAGL ?? MAX_ALTITUDE_FT);
+
+  // Reasons at the verdict's level, plus whatever set a ceiling below 400 ft
+  const governing = new Set(reasons.filter(reason => reason.verdict === verdict).flatMap(reason => reason.restrictionIds));
+  if (rule && maxAltitude !== null && maxAltitude < MAX_ALTITUDE_FT) {
+    rule.governing.forEach(restriction => governing.add(restriction.properties.id));
+  }
+
+  const ordered = [...reasons].sort((a, b) => VERDICT_ORDER.indexOf(b.verdict) - VERDICT_ORDER.indexOf(a.verdict));
+  if (restrictions.length === 0 && missingProviders.length === 0) {
+    ordered.push({ verdict: FlightVerdict.GO, text: 'No restrictions are in effect here during the flight window.', restrictionIds: [] });
+  }
+
+  return {
+    verdict,
+    maxAltitude,
+    restrictions: restrictions.map(toAppliedRestriction),
+    governingRestrictionIds: Array.from(governing),
+    explanation: [headline(verdict, altitude, operator), ...ordered.map(reason => reason.text)].join(' ')
+  };
+}
+
+/**
+ * What one restriction in effect at the point means for the flight
+ */
+function restrictionReason(restriction: RestrictionFeature, altitude: number, operator: OperatorType): Reason {
+  const { id, type, maxAGL, authority, description, gridId } = restriction.properties;
+  const restrictionIds = [id];
+
+  // FAA facility map grid cells are decided by their ceiling, whatever type the source gave them
+  if (gridId && typeof maxAGL === 'number') {
+    if (maxAGL > 0 && altitude <= maxAGL) {
+      return {
+        verdict: FlightVerdict.AUTHORIZATION_NEEDED,
+        text: `This is controlled airspace: request LAANC authorization to fly up to ${maxAGL} ft AGL.`,
+        restrictionIds
+      };
+    }
+    const limit = maxAGL === 0
+      ? 'The FAA facility map ceiling here is 0 ft, so LAANC cannot authorize any flight'
+      : `${altitude} ft is above the ${maxAGL} ft LAANC ceiling here`;
+    return operator === OperatorType.PART_107
+      ? { verdict: FlightVerdict.AUTHORIZATION_NEEDED, text: `${limit}; apply for airspace authorization through FAADroneZone.`, restrictionIds }
+      : { verdict: FlightVerdict.NO_GO, text: `${limit}, and recreational flyers can only be authorized through LAANC.`, restrictionIds };
+  }
+
+  switch (type) {
+    case RestrictionType.NO_FLY:
+      return { verdict: FlightVerdict.NO_GO, text: `No-fly: ${description} (${authority}).`, restrictionIds };
+    case RestrictionType.AUTH_REQUIRED:
+      return {
+        verdict: FlightVerdict.AUTHORIZATION_NEEDED,
+        text: `Authorization from ${authority} is required: ${description}` +
+          `${typeof maxAGL === 'number' ? ` (ceiling ${maxAGL} ft AGL)` : ''}.`,
+        restrictionIds
+      };
+    default:
+      return { verdict: FlightVerdict.GO, text: `Advisory: ${description} (${authority}).`, restrictionIds };
+  }
+}
+
+function headline(verdict: FlightVerdict, altitude: number, operator: OperatorType): string {
+  switch (verdict) {
+    case FlightVerdict.GO:
+      return `Go: you can fly here at ${altitude} ft AGL under ${OPERATOR_LABELS[operator]} rules.`;
+    case FlightVerdict.AUTHORIZATION_NEEDED:
+      return `Authorization needed before flying here at ${altitude} ft AGL under ${OPERATOR_LABELS[operator]} rules.`;
+    default:
+      return `No-go: do not fly here at ${altitude} ft AGL under ${OPERATOR_LABELS[operator]} rules.`;
+  }
+}
+
+function areaContains(geometry: GeoJSONGeometry, position: [number, number]): boolean {
+  switch (geometry.type) {
+    case 'Polygon':
+    case 'MultiPolygon':
+      return turf.booleanPointInPolygon(position, geometry as Polygon | MultiPolygon);
+    case 'GeometryCollection':
+      return geometry.geometries.some(child => areaContains(child, position));
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,131 @@
+import proj4 from 'proj4';
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+
+/**
+ * Coordinate reference system handling for OGC feature sources
+ *
+ * CRS names arrive in many spellings (EPSG:25832, urn:ogc:def:crs:EPSG::25832,
+ * http://www.opengis.net/def/crs/EPSG/0/25832, ...). They are normalized to
+ * an EPSG code, or CRS84, and reprojected to WGS84 longitude/latitude with
+ * proj4. Definitions are bundled for the CRSs GIS portals in the US and
+ * Europe commonly publish in; others need a proj4 definition in the source
+ * config.
+ *
+ * Axis order follows the CRS: the URN and http URI forms of a CRS whose
+ * EPSG definition lists latitude or northing first (e.g. EPSG 4326 itself)
+ * carry coordinates in that order, while the legacy EPSG:xxxx form and
+ * CRS84 are always x/y (longitude/latitude, easting/northing).
+ */
+
+export const CRS84 = 'OGC:CRS84';
+
+// proj4 definitions beyond the ones it ships with (4326, 4269, 3857)
+const PROJ_DEFINITIONS: Record<string, string> = {
+  'EPSG:4258': '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs',
+  'EPSG:4617': '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs',
+  'EPSG:4283': '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs',
+  'EPSG:5070': '+proj=aea +lat_0=23 +lon_0=-96 +lat_1=29.5 +lat_2=45.5 +x_0=0 +y_0=0 +datum=NAD83 +units=m +no_defs',
+  'EPSG:3310': '+proj=aea +lat_0=0 +lon_0=-120 +lat_1=34 +lat_2=40.5 +x_0=0 +y_0=-4000000 +datum=NAD83 +units=m +no_defs',
+  'EPSG:27700': '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy ' +
+    '+towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs',
+  'EPSG:2154': '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 ' +
+    '+towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  'EPSG:3035': '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  'EPSG:3006': '+proj=utm +zone=33 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  'EPSG:28992': '+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 ' +
+    '+ellps=bessel +towgs84=565.417,50.3319,465.552,-0.398957,0.343988,-1.8774,4.0725 +units=m +no_defs',
+  'EPSG:2056': '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=2600000 +y_0=1200000 ' +
+    '+ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs'
+};
+
+// CRSs whose EPSG axis order is latitude/northing first
+const NORTHING_FIRST = new Set(['EPSG:4326', 'EPSG:4258', 'EPSG:4269', 'EPSG:4283', 'EPSG:4617', 'EPSG:3035', 'EPSG:3006']);
+
+/**
+ * Normalize a CRS name to "EPSG:<code>" or CRS84
+ * @returns The normalized name, or null when it is not recognized
+ */
+export function normalizeCRS(name: string): string | null {
+  const trimmed = name.trim();
+  if (/CRS:?84$/i.test(trimmed)) return CRS84;
+
+  const code = trimmed.match(/^EPSG:(\d+)$/i) ||
+    trimmed.match(/^urn:ogc:def:crs:EPSG:[\d.]*:(\d+)$/i) ||
+    trimmed.match(/^https?:\/\/www\.opengis\.net\/def\/crs\/EPSG\/[^/]+\/(\d+)$/i) ||
+    trimmed.match(/^https?:\/\/www\.opengis\.net\/gml\/srs\/epsg\.xml#(\d+)$/i);
+  return code ? `EPSG:${code[1]}` : null;
+}
+
+/**
+ * Whether coordinates written in this CRS name come latitude/northing first
+ */
+export function isNorthingFirst(name: string): boolean {
+  const crs = normalizeCRS(name);
+  // Only the URN and URI spellings promise the EPSG axis order
+  return !!crs && NORTHING_FIRST.has(crs) && !/^EPSG:/i.test(name.trim());
+}
+
+/**
+ * Reprojects [x, y] positions of one CRS to WGS84 [lng, lat]
+ */
+export type PositionTransform = (position: number[]) => [number, number];
+
+/**
+ * Build a transform from a CRS to WGS84 longitude/latitude
+ * @param name CRS name as reported by the source
+ * @param projDefinition proj4 definition for a CRS not bundled here
+ * @param swapAxes Whether positions come y/x (see isNorthingFirst)
+ * @throws Error when the CRS is unknown and no definition is given
+ */
+export function createTransform(name: string, projDefinition?: string, swapAxes: boolean = isNorthingFirst(name)): PositionTransform {
+  const crs = normalizeCRS(name);
+  const order = (position: number[]): [number, number] => (swapAxes ? [position[1], position[0]] : [position[0], position[1]]);
+
+  if (crs === CRS84 || crs === 'EPSG:4326') {
+    return order;
+  }
+
+  const definition = projDefinition || (crs && (PROJ_DEFINITIONS[crs] || (proj4.defs(crs) ? crs : null))) || (crs && utmDefinition(crs));
+  if (!definition) {
+    throw new Error(`Unsupported CRS ${name}; add a projDefinition to the source config`);
+  }
+
+  const converter = proj4(definition, 'EPSG:4326');
+  return position => converter.forward(order(position)) as [number, number];
+}
+
+/**
+ * Reproject every position of a geometry
+ */
+export function transformGeometry(geometry: GeoJSONGeometry, transform: PositionTransform): GeoJSONGeometry {
+  switch (geometry.type) {
+    case 'Point':
+      return { type: 'Point', coordinates: transform(geometry.coordinates) };
+    case 'MultiPoint':
+    case 'LineString':
+      return { type: geometry.type, coordinates: geometry.coordinates.map(transform) } as GeoJSONGeometry;
+    case 'MultiLineString':
+    case 'Polygon':
+      return { type: geometry.type, coordinates: geometry.coordinates.map(line => line.map(transform)) } as GeoJSONGeometry;
+    case 'MultiPolygon':
+      return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(polygon => polygon.map(ring => ring.map(transform))) };
+    case 'GeometryCollection':
+      return { type: 'GeometryCollection', geometries: geometry.geometries.map(child => transformGeometry(child, transform)) };
+  }
+}
+
+/**
+ * UTM zones on WGS84 (326xx north, 327xx south), ETRS89 (258xx) and
+ * NAD83 (269xx)
+ */
+function utmDefinition(crs: string): string | null {
+  const code = Number(crs.slice('EPSG:'.length));
+  const zone = code % 100;
+  if (zone < 1 || zone > 60) return null;
+
+  if (code >= 32601 && code <= 32660) return `+proj=utm +zone=${zone} +datum=WGS84 +units=m +no_defs`;
+  if (code >= 32701 && code <= 32760) return `+proj=utm +zone=${zone} +south +datum=WGS84 +units=m +no_defs`;
+  if (code >= 25828 && code <= 25838) return `+proj=utm +zone=${zone} +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs`;
+  if (code >= 26901 && code <= 26923) return `+proj=utm +zone=${zone} +datum=NAD83 +units=m +no_defs`;
+  return null;
+}
@@ -0,0 +1,153 @@
+/**
+ * Resilience helpers for calls to upstream GIS services
+ *
+ * - retryWithBackoff: retries transient failures with exponential backoff
+ * - CircuitBreaker: stops hammering an upstream that keeps failing and
+ *   fails fast until a cool-down period has passed
+ */
+
+export interface RetryOptions {
+  /** Number of retries after the first attempt */
+  retries: number;
+  /** Delay before the first retry in milliseconds */
+  baseDelay: number;
+  /** Upper bound for a single delay in milliseconds */
+  maxDelay: number;
+  /** Return false to give up immediately on a non-transient error */
+  shouldRetry?: (error: unknown) => boolean;
+  /** Called before each retry, useful for logging */
+  onRetry?: (error: unknown, attempt: number, delay: number) => void;
+}
+
+/**
+ * Result of a retried call, including how many attempts it took
+ */
+export interface RetryResult<T> {
+  value: T;
+  attempts: number;
+}
+
+/**
+ * Run an async function, retrying with exponential backoff and jitter
+ * @param fn Function to call
+ * @param options Retry configuration
+ * @returns The resolved value and the number of attempts used
+ */
+export async function retryWithBackoff<T>(fn: () => Promise<T>, options: RetryOptions): Promise<RetryResult<T>> {
+  let attempt = 0;
+
+  for (;;) {
+    attempt++;
+    try {
+      const value = await fn();
+      return { value, attempts: attempt };
+    } catch (error) {
+      const retriesUsed = attempt - 1;
+      if (retriesUsed >= options.retries || (options.shouldRetry && !options.shouldRetry(error))) {
+        throw error;
+      }
+
+      // Jitter keeps concurrent requests from retrying in lockstep
+      const ceiling = Math.min(options.maxDelay, options.baseDelay * 2 ** retriesUsed);
+      const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+      options.onRetry?.(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+export enum CircuitState {
+  CLOSED = 'CLOSED',
+  OPEN = 'OPEN',
+  HALF_OPEN = 'HALF_OPEN'
+}
+
+export interface CircuitBreakerOptions {
+  /** Consecutive failures before the circuit opens */
+  failureThreshold: number;
+  /** How long the circuit stays open before a trial call is allowed (ms) */
+  resetTimeout: number;
+}
+
+/**
+ * Thrown when a call is rejected because the circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(name: string, retryAt: number) {
+    super(`${name} circuit is open; upstream calls suspended until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * Minimal circuit breaker
+ *
+ * CLOSED: calls pass through, consecutive failures are counted.
+ * OPEN: calls fail fast with CircuitOpenError until resetTimeout elapses.
+ * HALF_OPEN: one trial call is let through; success closes the circuit,
+ * failure opens it again.
+ */
+export class CircuitBreaker {
+  private state = CircuitState.CLOSED;
+  private failures = 0;
+  private openedAt = 0;
+  private trialInFlight = false;
+
+  constructor(private readonly name: string, private readonly options: CircuitBreakerOptions) {}
+
+  getState(): CircuitState {
+    if (this.state === CircuitState.OPEN && Date.now() - this.openedAt >= this.options.resetTimeout) {
+      return CircuitState.HALF_OPEN;
+    }
+    return this.state;
+  }
+
+  async execute<T>(fn: () => Promise<T>): Promise<T> {
+    const state = this.getState();
+
+    if (state === CircuitState.OPEN || (state === CircuitState.HALF_OPEN && this.trialInFlight)) {
+      throw new CircuitOpenError(this.name, this.openedAt + this.options.resetTimeout);
+    }
+
+    // Only the trial call may clear the flag; calls started while CLOSED must not
+    const isTrial = state === CircuitState.HALF_OPEN;
+    if (isTrial) {
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      this.onFailure();
+      throw error;
+    } finally {
+      if (isTrial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  private onSuccess(): void {
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+  }
+
+  private onFailure(): void {
+    this.failures++;
+
+    // Internal state is still OPEN while half-open, so a failed trial re-opens the circuit
+    if (this.state === CircuitState.OPEN || this.failures >= this.options.failureThreshold) {
+      if (this.state !== CircuitState.OPEN) {
+        console.warn(`${this.name} circuit opened after ${this.failures} consecutive failures`);
+      }
+      this.state = CircuitState.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
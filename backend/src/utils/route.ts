@@ -0,0 +1,287 @@
+import * as turf from '@turf/turf';
+import { MultiPolygon, Polygon } from 'geojson';
+import { BoundingBox, RestrictionFeature, RestrictionFeatureCollection, RouteInput, RouteSegment } from '../types';
+import { FieldIssue, FieldIssueCode, ValidationError } from '../errors';
+import { validateSchema } from '../validation/schema';
+import {
+  MAX_CORRIDOR_BUFFER_MILES,
+  MAX_ROUTE_LENGTH_MILES,
+  MIN_CORRIDOR_BUFFER_MILES,
+  routeRequestSchema
+} from '../validation/requestSchemas';
+import { validateFlightWindow } from './schedule';
+import { MILES_PER_UNIT } from './spatial';
+
+/**
+ * Corridor geometry for planned flight paths
+ *
+ * A route is a LineString with a lateral buffer. The corridor is the
+ * buffered line; along-track segments are the stretches of the line whose
+ * corridor overlaps a restriction, measured in miles from the first vertex.
+ */
+
+type Position = [number, number];
+
+// Same tolerance as radius validation, for rounded client values
+const BUFFER_TOLERANCE = 1e-6;
+
+// Distances closer than this (in miles, about 0.5 mm) are the same point
+const DISTANCE_EPSILON = 1e-9;
+
+/**
+ * Validates a route request and normalizes the buffer to miles
+ * @param input Route, buffer, optional units and per-vertex altitudes
+ * @returns Validated input with buffer in miles
+ * @throws ValidationError listing every invalid field
+ */
+export function validateRouteInput(input: RouteInput): RouteInput {
+  const issues = validateSchema(routeRequestSchema, input);
+  if (issues.length > 0) {
+    throw new ValidationError('Invalid route request', issues);
+  }
+
+  const coordinates = input.route.coordinates as Position[];
+  const rangeIssues: FieldIssue[] = validateFlightWindow(input);
+
+  coordinates.forEach(([lng, lat], index) => {
+    if (lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+      rangeIssues.push({
+        field: `route.coordinates[${index}]`,
+        code: FieldIssueCode.OUT_OF_RANGE,
+        message: `route.coordinates[${index}] must be [longitude, latitude] within WGS84 bounds`
+      });
+    }
+  });
+
+  const units = input.units || 'miles';
+  const buffer = input.buffer * MILES_PER_UNIT[units];
+  if (buffer < MIN_CORRIDOR_BUFFER_MILES - BUFFER_TOLERANCE || buffer > MAX_CORRIDOR_BUFFER_MILES + BUFFER_TOLERANCE) {
+    rangeIssues.push({
+      field: 'buffer',
+      code: FieldIssueCode.OUT_OF_RANGE,
+      message: `buffer must be between 10 feet and ${MAX_CORRIDOR_BUFFER_MILES} mile (got ${input.buffer} ${units})`
+    });
+  }
+
+  if (input.altitudes && input.altitudes.length !== coordinates.length) {
+    rangeIssues.push({
+      field: 'altitudes',
+      code: FieldIssueCode.INVALID_VALUE,
+      message: `altitudes must have one value per route vertex (expected ${coordinates.length}, got ${input.altitudes.length})`
+    });
+  }
+
+  if (rangeIssues.length > 0) {
+    throw new ValidationError('Invalid route request', rangeIssues);
+  }
+
+  const length = turf.length(turf.lineString(coordinates), { units: 'miles' });
+  if (length === 0 || length > MAX_ROUTE_LENGTH_MILES) {
+    throw new ValidationError('Invalid route request', [{
+      field: 'route',
+      code: FieldIssueCode.OUT_OF_RANGE,
+      message: `route must be longer than 0 and at most ${MAX_ROUTE_LENGTH_MILES} miles (got ${length.toFixed(2)})`
+    }]);
+  }
+
+  return {
+    ...input,
+    route: { type: 'LineString', coordinates },
+    buffer,
+    units: 'miles'
+  };
+}
+
+/**
+ * Buffers a validated route into its corridor polygon
+ * @param input Validated route input (buffer in miles)
+ * @returns GeoJSON FeatureCollection with the corridor polygon
+ */
+export function generateCorridor(input: RouteInput): RestrictionFeatureCollection {
+  try {
+    const corridor = turf.buffer(turf.feature(input.route), input.buffer, { units: 'miles' });
+    return { type: 'FeatureCollection', features: [corridor as any] };
+  } catch (error) {
+    throw new Error(`Failed to generate route corridor: ${error}`);
+  }
+}
+
+/**
+ * Center, bounding radius and envelope of a corridor, for provider queries
+ * @param corridor Corridor from generateCorridor
+ */
+export function calculateCorridorExtent(corridor: RestrictionFeatureCollection): {
+  lat: number;
+  lng: number;
+  radius: number;
+  bbox: BoundingBox;
+} {
+  const bbox = turf.bbox(corridor as any) as BoundingBox;
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  const center: Position = [(minLng + maxLng) / 2, (minLat + maxLat) / 2];
+
+  return {
+    lat: center[1],
+    lng: center[0],
+    radius: turf.distance(center, [maxLng, maxLat], { units: 'miles' }),
+    bbox
+  };
+}
+
+/**
+ * Along-track segments of a route whose corridor overlaps a restriction
+ *
+ * A point on the path is affected when the restriction lies within the
+ * lateral buffer of it, i.e. when the point is inside the restriction
+ * grown by the buffer. The path is cut wherever it crosses the boundary
+ * of that area, so segment ends are exact rather than sampled.
+ * @param input Validated route input (buffer in miles)
+ * @param restriction Restriction, typically already clipped to the corridor
+ * @returns Segments in path order; empty when the corridor misses the restriction
+ */
+export function findRouteSegments(input: RouteInput, restriction: RestrictionFeature): RouteSegment[] {
+  const geometry = restriction.geometry;
+  if (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon') {
+    return [];
+  }
+
+  const area = growArea(geometry as Polygon | MultiPolygon, input.buffer);
+  const coordinates = input.route.coordinates as Position[];
+  const cumulative = cumulativeDistances(coordinates);
+  const edges = ringEdges(area);
+  const segments: RouteSegment[] = [];
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const a = coordinates[i];
+    const b = coordinates[i + 1];
+    const segmentLength = cumulative[i + 1] - cumulative[i];
+
+    // Split the leg at every boundary crossing and test each piece
+    const cuts = [0, 1, ...edges.flatMap(([p, q]) => crossingParameter(a, b, p, q))]
+      .sort((x, y) => x - y);
+
+    for (let c = 0; c < cuts.length - 1; c++) {
+      const [t0, t1] = [cuts[c], cuts[c + 1]];
+      if (t1 - t0 < 1e-12) continue;
+
+      if (!turf.booleanPointInPolygon(interpolate(a, b, (t0 + t1) / 2), area)) continue;
+
+      const startDistance = cumulative[i] + t0 * segmentLength;
+      const endDistance = cumulative[i] + t1 * segmentLength;
+      const previous = segments[segments.length - 1];
+
+      if (previous && startDistance - previous.endDistance < DISTANCE_EPSILON) {
+        previous.endDistance = endDistance;
+        previous.endPosition = interpolate(a, b, t1);
+      } else {
+        segments.push({
+          startDistance,
+          endDistance,
+          startPosition: interpolate(a, b, t0),
+          endPosition: interpolate(a, b, t1)
+        });
+      }
+    }
+  }
+
+  if (input.altitudes) {
+    const ceiling = restriction.properties.maxAGL;
+    segments.forEach(segment => {
+      const [minAltitude, maxAltitude] = altitudeRange(input.altitudes!, cumulative, segment.startDistance, segment.endDistance);
+      segment.minAltitude = minAltitude;
+      segment.maxAltitude = maxAltitude;
+      if (typeof ceiling === 'number') {
+        segment.exceedsCeiling = maxAltitude > ceiling;
+      }
+    });
+  }
+
+  return segments;
+}
+
+/**
+ * Grow a restriction by the corridor buffer; fall back to the restriction
+ * itself if buffering fails so crossings are never silently dropped
+ */
+function growArea(geometry: Polygon | MultiPolygon, bufferMiles: number): Polygon | MultiPolygon {
+  try {
+    const grown = turf.buffer(turf.feature(geometry), bufferMiles, { units: 'miles', steps: 16 });
+    if (grown && grown.geometry) {
+      return grown.geometry as Polygon | MultiPolygon;
+    }
+  } catch (err) {
+    console.warn('Failed to buffer restriction for route crossing check:', err);
+  }
+  return geometry;
+}
+
+/**
+ * Miles from the first vertex to each vertex
+ */
+function cumulativeDistances(coordinates: Position[]): number[] {
+  const distances = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    distances.push(distances[i - 1] + turf.distance(coordinates[i - 1], coordinates[i], { units: 'miles' }));
+  }
+  return distances;
+}
+
+function ringEdges(area: Polygon | MultiPolygon): Array<[Position, Position]> {
+  const polygons = area.type === 'Polygon' ? [area.coordinates] : area.coordinates;
+  const edges: Array<[Position, Position]> = [];
+
+  for (const rings of polygons) {
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length - 1; i++) {
+        edges.push([ring[i] as Position, ring[i + 1] as Position]);
+      }
+    }
+  }
+  return edges;
+}
+
+/**
+ * Parameter t along a→b where it crosses edge p→q, as a 0- or 1-element list
+ */
+function crossingParameter(a: Position, b: Position, p: Position, q: Position): number[] {
+  const d: Position = [b[0] - a[0], b[1] - a[1]];
+  const e: Position = [q[0] - p[0], q[1] - p[1]];
+  const denominator = d[0] * e[1] - d[1] * e[0];
+
+  // Parallel edges never cut the leg; collinear overlaps are settled by the midpoint test
+  if (denominator === 0) return [];
+
+  const w: Position = [p[0] - a[0], p[1] - a[1]];
+  const t = (w[0] * e[1] - w[1] * e[0]) / denominator;
+  const u = (w[0] * d[1] - w[1] * d[0]) / denominator;
+
+  return t > 0 && t < 1 && u >= 0 && u <= 1 ? [t] : [];
+}
+
+function interpolate(a: Position, b: Position, t: number): Position {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+/**
+ * Lowest and highest planned altitude between two along-track distances,
+ * interpolating linearly between vertices
+ */
+function altitudeRange(altitudes: number[], cumulative: number[], start: number, end: number): [number, number] {
+  const altitudeAt = (distance: number): number => {
+    for (let i = 0; i < cumulative.length - 1; i++) {
+      if (distance <= cumulative[i + 1]) {
+        const span = cumulative[i + 1] - cumulative[i];
+        const t = span === 0 ? 0 : (distance - cumulative[i]) / span;
+        return altitudes[i] + (altitudes[i + 1] - altitudes[i]) * t;
+      }
+    }
+    return altitudes[altitudes.length - 1];
+  };
+
+  const values = [
+    altitudeAt(start),
+    altitudeAt(end),
+    ...altitudes.filter((_, i) => cumulative[i] > start && cumulative[i] < end)
+  ];
+  return [Math.min(...values), Math.max(...values)];
+}
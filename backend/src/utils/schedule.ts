@@ -0,0 +1,377 @@
+import tzLookup from '@photostructure/tz-lookup';
+import {
+  ActivityStatus,
+  FlightWindow,
+  RestrictionFeature,
+  RestrictionFeatureCollection
+} from '../types';
+import { RestrictionSchedule, Weekday } from '../../../shared/types/RestrictionLayer';
+import { FieldIssue, FieldIssueCode } from '../errors';
+import { MAX_FLIGHT_WINDOW_HOURS } from '../validation/requestSchemas';
+import { getSunTimes } from './solar';
+
+/**
+ * Flight windows and restriction schedules
+ *
+ * A restriction is in effect between its effectiveDate and expirationDate
+ * (either may be missing), during any of its validityPeriods (NOTAMs) and,
+ * when it has a structured schedule, during one of the schedule's rules.
+ * Schedule times without a time zone are local time at the restriction,
+ * taken from the flight window's time zone.
+ */
+
+interface Interval {
+  start: number;
+  end: number;
+}
+
+const MS_PER_MINUTE = 60000;
+const MS_PER_DAY = 86400000;
+
+// How far past the flight window a restriction still counts as upcoming
+const UPCOMING_HORIZON_MS = MS_PER_DAY;
+
+const WEEKDAY_NAMES: Record<string, Weekday> = {
+  Mon: 'MON', Tue: 'TUE', Wed: 'WED', Thu: 'THU', Fri: 'FRI', Sat: 'SAT', Sun: 'SUN'
+};
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+/**
+ * Whether a string is an IANA time zone known to this runtime
+ */
+export function isValidTimeZone(timezone: string): boolean {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks on a flight window that the request schema cannot express
+ * @returns List of issues; empty when the window is valid
+ */
+export function validateFlightWindow(input: { time?: string; flightWindow?: FlightWindow }): FieldIssue[] {
+  const { time, flightWindow } = input;
+  if (!flightWindow) return [];
+
+  const issues: FieldIssue[] = [];
+
+  if (time !== undefined) {
+    issues.push({
+      field: 'time',
+      code: FieldIssueCode.INVALID_VALUE,
+      message: 'time and flightWindow cannot both be given'
+    });
+  }
+
+  const duration = Date.parse(flightWindow.end) - Date.parse(flightWindow.start);
+  if (duration < 0 || duration > MAX_FLIGHT_WINDOW_HOURS * 3600000) {
+    issues.push({
+      field: 'flightWindow.end',
+      code: FieldIssueCode.OUT_OF_RANGE,
+      message: `flightWindow.end must be after flightWindow.start and at most ${MAX_FLIGHT_WINDOW_HOURS} hours later`
+    });
+  }
+
+  if (flightWindow.timezone !== undefined && !isValidTimeZone(flightWindow.timezone)) {
+    issues.push({
+      field: 'flightWindow.timezone',
+      code: FieldIssueCode.INVALID_VALUE,
+      message: `flightWindow.timezone must be an IANA time zone such as America/Los_Angeles (got ${flightWindow.timezone})`
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * IANA time zone at a location, or UTC when it cannot be determined
+ * @param location [lng, lat]
+ */
+export function timeZoneAt([lng, lat]: [number, number]): string {
+  try {
+    const timezone = tzLookup(lat, lng);
+    return isValidTimeZone(timezone) ? timezone : 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+/**
+ * The flight window a search is evaluated for: the requested window, or
+ * the single instant given by `time` (default now)
+ * @param location [lng, lat] whose time zone is used when the request gives none
+ */
+export function resolveFlightWindow(
+  input: { time?: string; flightWindow?: FlightWindow },
+  location: [number, number]
+): Required<FlightWindow> {
+  if (input.flightWindow) {
+    return {
+      start: new Date(input.flightWindow.start).toISOString(),
+      end: new Date(input.flightWindow.end).toISOString(),
+      timezone: input.flightWindow.timezone || timeZoneAt(location)
+    };
+  }
+
+  const instant = (input.time ? new Date(input.time) : new Date()).toISOString();
+  return { start: instant, end: instant, timezone: timeZoneAt(location) };
+}
+
+/**
+ * Whole local days covering a flight window
+ */
+export function timelineFor(flightWindow: Required<FlightWindow>): { start: string; end: string } {
+  const { timezone } = flightWindow;
+  const first = zonedParts(Date.parse(flightWindow.start), timezone);
+  const last = zonedParts(Date.parse(flightWindow.end), timezone);
+
+  return {
+    start: new Date(zonedTimeToUtc(first.year, first.month, first.day, 0, timezone)).toISOString(),
+    end: new Date(zonedTimeToUtc(last.year, last.month, last.day + 1, 0, timezone)).toISOString()
+  };
+}
+
+/**
+ * Local calendar days covering a flight window, with the UTC instants of
+ * their start, noon and end
+ */
+export function localDaysFor(flightWindow: Required<FlightWindow>): Array<{ date: string; start: number; noon: number; end: number }> {
+  const { timezone } = flightWindow;
+  const timelineEnd = Date.parse(timelineFor(flightWindow).end);
+  const first = zonedParts(Date.parse(flightWindow.start), timezone);
+  const days: Array<{ date: string; start: number; noon: number; end: number }> = [];
+
+  for (let offset = 0; ; offset++) {
+    const start = zonedTimeToUtc(first.year, first.month, first.day + offset, 0, timezone);
+    if (start >= timelineEnd) break;
+
+    const noon = zonedTimeToUtc(first.year, first.month, first.day + offset, 12 * 60, timezone);
+    const { year, month, day } = zonedParts(noon, timezone);
+    days.push({
+      date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+      start,
+      noon,
+      end: zonedTimeToUtc(first.year, first.month, first.day + offset + 1, 0, timezone)
+    });
+  }
+
+  return days;
+}
+
+/**
+ * Mark each restriction ACTIVE, UPCOMING or INACTIVE for a flight window
+ * and list the periods it is in effect across the window's days
+ * @param collection Restrictions to annotate
+ * @param flightWindow Resolved flight window
+ * @param location [lng, lat] used for sunrise and sunset
+ */
+export function annotateActivity(
+  collection: RestrictionFeatureCollection,
+  flightWindow: Required<FlightWindow>,
+  location: [number, number]
+): RestrictionFeatureCollection {
+  const window: Interval = { start: Date.parse(flightWindow.start), end: Date.parse(flightWindow.end) };
+  const timeline = timelineFor(flightWindow);
+  const range: Interval = {
+    start: Math.min(Date.parse(timeline.start), window.start),
+    end: Math.max(Date.parse(timeline.end), window.end + UPCOMING_HORIZON_MS)
+  };
+
+  const features = collection.features.map((feature): RestrictionFeature => {
+    const intervals = activeIntervals(feature, range, flightWindow.timezone, location);
+
+    let activity = ActivityStatus.INACTIVE;
+    if (intervals.some(interval => interval.start <= window.end && interval.end > window.start)) {
+      activity = ActivityStatus.ACTIVE;
+    } else if (intervals.some(interval => interval.start > window.end && interval.start <= window.end + UPCOMING_HORIZON_MS)) {
+      activity = ActivityStatus.UPCOMING;
+    }
+
+    const timelineIntervals = clip(intervals, { start: Date.parse(timeline.start), end: Date.parse(timeline.end) });
+
+    return {
+      ...feature,
+      properties: {
+        ...feature.properties,
+        activity,
+        activeIntervals: timelineIntervals.map(interval => ({
+          start: new Date(interval.start).toISOString(),
+          end: new Date(interval.end).toISOString()
+        }))
+      }
+    };
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Periods within a range during which a restriction is in effect
+ */
+function activeIntervals(feature: RestrictionFeature, range: Interval, timezone: string, location: [number, number]): Interval[] {
+  const props = feature.properties;
+
+  let intervals: Interval[] = Array.isArray(props.validityPeriods)
+    ? props.validityPeriods.map((period: { start: string; end: string | null }) => ({
+      start: Date.parse(period.start),
+      end: period.end ? Date.parse(period.end) : Infinity
+    }))
+    : [{ start: toTime(props.effectiveDate) ?? -Infinity, end: toTime(props.expirationDate) ?? Infinity }];
+
+  intervals = clip(intervals, range);
+
+  if (props.schedule?.rules?.length) {
+    const scheduled = scheduleIntervals(props.schedule, range, props.schedule.timezone || timezone, location);
+    intervals = intersect(intervals, scheduled);
+  }
+
+  return intervals;
+}
+
+/**
+ * Expand a structured schedule into periods overlapping a range
+ */
+function scheduleIntervals(schedule: RestrictionSchedule, range: Interval, timezone: string, [lng, lat]: [number, number]): Interval[] {
+  const intervals: Interval[] = [];
+  // Start a day early so periods running past midnight into the range are included
+  const first = zonedParts(range.start - MS_PER_DAY, timezone);
+
+  for (let offset = 0; ; offset++) {
+    const dayStart = zonedTimeToUtc(first.year, first.month, first.day + offset, 0, timezone);
+    if (dayStart >= range.end) break;
+
+    const noon = zonedTimeToUtc(first.year, first.month, first.day + offset, 12 * 60, timezone);
+    const nextDayStart = zonedTimeToUtc(first.year, first.month, first.day + offset + 1, 0, timezone);
+    const weekday = zonedParts(noon, timezone).weekday;
+    const sun = getSunTimes(new Date(noon), lat, lng);
+
+    const resolve = (time: string): number | null => {
+      if (time === 'SUNRISE') return sun.sunrise ? sun.sunrise.getTime() : (sun.polar === 'DAY' ? dayStart : null);
+      if (time === 'SUNSET') return sun.sunset ? sun.sunset.getTime() : (sun.polar === 'DAY' ? nextDayStart : null);
+      const [hours, minutes] = time.split(':').map(Number);
+      const day = zonedParts(noon, timezone);
+      return zonedTimeToUtc(day.year, day.month, day.day, hours * 60 + minutes, timezone);
+    };
+
+    for (const rule of schedule.rules) {
+      if (rule.days && !rule.days.includes(weekday)) continue;
+
+      const start = resolve(rule.start);
+      let end = resolve(rule.end);
+      if (start === null || end === null) continue;
+      // Periods ending before they start run past midnight
+      if (end <= start) end += nextDayStart - dayStart;
+
+      intervals.push({ start, end });
+    }
+  }
+
+  return clip(merge(intervals), range);
+}
+
+function clip(intervals: Interval[], range: Interval): Interval[] {
+  return intervals
+    .map(interval => ({ start: Math.max(interval.start, range.start), end: Math.min(interval.end, range.end) }))
+    .filter(interval => interval.end > interval.start);
+}
+
+function intersect(a: Interval[], b: Interval[]): Interval[] {
+  const result: Interval[] = [];
+  for (const first of a) {
+    for (const second of b) {
+      const start = Math.max(first.start, second.start);
+      const end = Math.min(first.end, second.end);
+      if (end > start) result.push({ start, end });
+    }
+  }
+  return merge(result);
+}
+
+function merge(intervals: Interval[]): Interval[] {
+  const sorted = [...intervals].sort((x, y) => x.start - y.start);
+  const merged: Interval[] = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+}
+
+/**
+ * FAA dates arrive as ISO strings or epoch milliseconds
+ */
+function toTime(value: unknown): number | null {
+  if (value === undefined || value === null || value === '') return null;
+  const time = typeof value === 'number' ? value : Date.parse(String(value));
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Calendar date, time and weekday of an instant in a time zone
+ */
+function zonedParts(instant: number, timezone: string): {
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+  weekday: Weekday;
+} {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    });
+    formatters.set(timezone, formatter);
+  }
+
+  const parts: Record<string, string> = {};
+  formatter.formatToParts(new Date(instant)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAY_NAMES[parts.weekday]
+  };
+}
+
+/**
+ * UTC instant of a local date and time. Days past the end of the month
+ * roll over (day 32 of January is February 1st).
+ */
+function zonedTimeToUtc(year: number, month: number, day: number, minutes: number, timezone: string): number {
+  const asUtc = Date.UTC(year, month - 1, day, 0, minutes);
+  // The offset at the guess can differ from the offset at the answer around DST changes
+  const firstGuess = asUtc - offsetAt(asUtc, timezone);
+  return asUtc - offsetAt(firstGuess, timezone);
+}
+
+/**
+ * Milliseconds the time zone is ahead of UTC at an instant
+ */
+function offsetAt(instant: number, timezone: string): number {
+  const parts = zonedParts(instant, timezone);
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return local - Math.floor(instant / MS_PER_MINUTE) * MS_PER_MINUTE;
+}
@@ -0,0 +1,118 @@
+/**
+ * Sunrise, sunset and civil twilight times
+ *
+ * Uses the sunrise equation (the NOAA low-precision solar position
+ * algorithm), accurate to about a minute between the polar circles, which
+ * is plenty for restrictions that apply "from sunrise to sunset" and for
+ * the civil twilight limits of Part 107 night operations.
+ */
+
+const DEGREES = Math.PI / 180;
+const J2000 = 2451545.0009;
+const UNIX_EPOCH_JULIAN_DAY = 2440587.5;
+const MS_PER_DAY = 86400000;
+const EARTH_OBLIQUITY = 23.4397;
+
+// Sun altitude at apparent sunrise/sunset: refraction plus the solar disc radius
+export const SUNRISE_ALTITUDE = -0.833;
+
+// Civil twilight ends (evening) and begins (morning) with the sun 6 degrees below the horizon
+export const CIVIL_TWILIGHT_ALTITUDE = -6;
+
+/**
+ * Sun event times for one solar day. Sunrise and sunset are null when the
+ * sun stays above (polar day) or below (polar night) the horizon all day;
+ * civil dawn and dusk are null when it never crosses 6 degrees below.
+ */
+export interface SunTimes {
+  civilDawn: Date | null;
+  sunrise: Date | null;
+  sunset: Date | null;
+  civilDusk: Date | null;
+  solarNoon: Date;
+  polar?: 'DAY' | 'NIGHT';
+}
+
+/**
+ * Civil dawn, sunrise, solar noon, sunset and civil dusk for the solar day
+ * nearest an instant
+ * @param day Any instant on the wanted day, ideally local noon
+ * @param lat Latitude in degrees
+ * @param lng Longitude in degrees, east positive
+ */
+export function getSunTimes(day: Date, lat: number, lng: number): SunTimes {
+  const { transit, declination } = solarTransit(day, lng);
+  const halfDay = hourAngle(SUNRISE_ALTITUDE, lat, declination);
+  const halfCivilDay = hourAngle(CIVIL_TWILIGHT_ALTITUDE, lat, declination);
+
+  return {
+    civilDawn: halfCivilDay === null ? null : fromJulian(transit - halfCivilDay / 360),
+    sunrise: halfDay === null ? null : fromJulian(transit - halfDay / 360),
+    sunset: halfDay === null ? null : fromJulian(transit + halfDay / 360),
+    civilDusk: halfCivilDay === null ? null : fromJulian(transit + halfCivilDay / 360),
+    solarNoon: fromJulian(transit),
+    ...(halfDay === null ? { polar: isSunUp(lat, declination) ? 'DAY' as const : 'NIGHT' as const } : {})
+  };
+}
+
+/**
+ * Altitude of the sun's center above the horizon, in degrees
+ * @param instant Time of the observation
+ * @param lat Latitude in degrees
+ * @param lng Longitude in degrees, east positive
+ */
+export function getSunAltitude(instant: Date, lat: number, lng: number): number {
+  const { transit, declination } = solarTransit(instant, lng);
+  const julianDate = instant.getTime() / MS_PER_DAY + UNIX_EPOCH_JULIAN_DAY;
+  const localHourAngle = (julianDate - transit) * 360;
+
+  return Math.asin(
+    Math.sin(lat * DEGREES) * Math.sin(declination * DEGREES) +
+    Math.cos(lat * DEGREES) * Math.cos(declination * DEGREES) * Math.cos(localHourAngle * DEGREES)
+  ) / DEGREES;
+}
+
+/**
+ * Julian date of solar noon and the sun's declination on that day
+ */
+function solarTransit(day: Date, lng: number): { transit: number; declination: number } {
+  const westLongitude = -lng;
+  const julianDay = day.getTime() / MS_PER_DAY + UNIX_EPOCH_JULIAN_DAY;
+  const cycle = Math.round(julianDay - J2000 - westLongitude / 360);
+  const approximateNoon = J2000 + westLongitude / 360 + cycle;
+
+  const meanAnomaly = (357.5291 + 0.98560028 * (approximateNoon - 2451545)) % 360;
+  const center = 1.9148 * Math.sin(meanAnomaly * DEGREES) +
+    0.02 * Math.sin(2 * meanAnomaly * DEGREES) +
+    0.0003 * Math.sin(3 * meanAnomaly * DEGREES);
+  const eclipticLongitude = (meanAnomaly + center + 180 + 102.9372) % 360;
+
+  const transit = approximateNoon +
+    0.0053 * Math.sin(meanAnomaly * DEGREES) -
+    0.0069 * Math.sin(2 * eclipticLongitude * DEGREES);
+  const declination = Math.asin(Math.sin(eclipticLongitude * DEGREES) * Math.sin(EARTH_OBLIQUITY * DEGREES)) / DEGREES;
+
+  return { transit, declination };
+}
+
+/**
+ * Hour angle in degrees at which the sun reaches an altitude, or null
+ * when it never does that day
+ */
+function hourAngle(altitude: number, lat: number, declination: number): number | null {
+  const cosine = (Math.sin(altitude * DEGREES) - Math.sin(lat * DEGREES) * Math.sin(declination * DEGREES)) /
+    (Math.cos(lat * DEGREES) * Math.cos(declination * DEGREES));
+  if (cosine < -1 || cosine > 1) return null;
+  return Math.acos(cosine) / DEGREES;
+}
+
+/**
+ * Whether the sun is above the horizon at solar noon
+ */
+function isSunUp(lat: number, declination: number): boolean {
+  return 90 - Math.abs(lat - declination) > SUNRISE_ALTITUDE;
+}
+
+function fromJulian(julianDate: number): Date {
+  return new Date(Math.round((julianDate - UNIX_EPOCH_JULIAN_DAY) * MS_PER_DAY));
+}
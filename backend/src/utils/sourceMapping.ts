@@ -0,0 +1,140 @@
+import {
+  AttributeCondition,
+  AttributeMapping,
+  RestrictionFeature,
+  RestrictionMappingConfig
+} from '../types';
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+
+/**
+ * Declarative mapping from GIS source attributes to restriction features
+ *
+ * Source configs describe how a layer's attributes become RestrictionLayer
+ * properties (see RestrictionMappingConfig): text templates such as
+ * "faa-{GRID_ID|OBJECTID}", per-property attribute mappings, and ordered
+ * rules that pick the restriction type and category.
+ */
+
+// {FIELD}, {FIELD|OTHER} or {FIELD|'literal'}
+const TEMPLATE_TOKEN = /\{([^{}]+)\}/g;
+
+/**
+ * Render a template against a feature's attributes
+ *
+ * Each {A|B|'text'} token takes the first alternative that has a value;
+ * a token with none renders as an empty string.
+ */
+export function renderTemplate(template: string, attributes: Record<string, any>): string {
+  return template.replace(TEMPLATE_TOKEN, (_, token: string) => {
+    for (const alternative of token.split('|').map(part => part.trim())) {
+      const literal = alternative.match(/^'(.*)'$/);
+      if (literal) return literal[1];
+
+      const value = attributes[alternative];
+      if (hasValue(value)) return String(value);
+    }
+    return '';
+  });
+}
+
+/**
+ * Whether an attribute condition holds for a feature
+ *
+ * Missing and empty attributes compare as null, so `in: [0, null]`
+ * matches both a zero and an absent value. Equality compares values as
+ * text because services disagree on whether codes are numbers or strings.
+ */
+export function matchesCondition(condition: AttributeCondition, attributes: Record<string, any>): boolean {
+  const value = hasValue(attributes[condition.field]) ? attributes[condition.field] : null;
+  const same = (expected: unknown) => (expected === null ? value === null : value !== null && String(value) === String(expected));
+
+  if (condition.equals !== undefined && !same(condition.equals)) return false;
+  if (condition.in !== undefined && !condition.in.some(same)) return false;
+  if (condition.lessThan !== undefined && !(value !== null && Number(value) < condition.lessThan)) return false;
+  if (condition.greaterThan !== undefined && !(value !== null && Number(value) > condition.greaterThan)) return false;
+  if (condition.matches !== undefined && !(value !== null && new RegExp(condition.matches, 'i').test(String(value)))) return false;
+  return true;
+}
+
+/**
+ * Read one mapped property from a feature's attributes
+ * @returns The converted value, or undefined when it is missing and has no default
+ */
+export function mapAttribute(mapping: string | AttributeMapping, attributes: Record<string, any>): unknown {
+  const { field, as, default: fallback } = typeof mapping === 'string' ? { field: mapping } as AttributeMapping : mapping;
+  const value = attributes[field];
+  if (!hasValue(value)) return fallback ?? undefined;
+
+  switch (as) {
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : fallback ?? undefined;
+    }
+    case 'date': {
+      // ArcGIS reports dates as epoch milliseconds
+      const time = typeof value === 'number' ? value : Date.parse(String(value));
+      return Number.isFinite(time) ? new Date(time).toISOString() : fallback ?? undefined;
+    }
+    case 'string':
+      return String(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Build a restriction feature from a source feature
+ * @param mapping Restriction mapping of the source config
+ * @param geometry Feature geometry, already GeoJSON in WGS84
+ * @param attributes Feature attributes as returned by the source
+ */
+export function mapRestrictionFeature(
+  mapping: RestrictionMappingConfig,
+  geometry: GeoJSONGeometry,
+  attributes: Record<string, any>
+): RestrictionFeature {
+  const type = mapping.type.rules?.find(rule => matchesCondition(rule, attributes))?.type ?? mapping.type.default;
+  const category = mapping.category.rules?.find(rule => matchesCondition(rule, attributes))?.category ?? mapping.category.default;
+
+  const mapped: Record<string, unknown> = {};
+  Object.entries(mapping.fieldMapping || {}).forEach(([property, attributeMapping]) => {
+    const value = mapAttribute(attributeMapping, attributes);
+    if (value !== undefined) mapped[property] = value;
+  });
+
+  return {
+    type: 'Feature',
+    geometry,
+    properties: {
+      ...mapping.properties,
+      ...mapped,
+      id: renderTemplate(mapping.id, attributes),
+      geometry,
+      category,
+      type,
+      authority: renderTemplate(mapping.authority, attributes),
+      description: renderTemplate(mapping.description, attributes),
+      sourceUrl: renderTemplate(mapping.sourceUrl, attributes),
+      confidenceLevel: mapping.confidenceLevel,
+      jurisdiction: mapping.jurisdiction,
+      metadata: {
+        dataSource: mapping.dataSource || renderTemplate(mapping.sourceUrl, attributes),
+        lastVerified: new Date().toISOString()
+      }
+    }
+  };
+}
+
+/**
+ * Template field names referenced by a mapping, for checking a config
+ * against a layer's schema
+ */
+export function templateFields(template: string): string[] {
+  return Array.from(template.matchAll(TEMPLATE_TOKEN))
+    .flatMap(([, token]) => token.split('|').map(part => part.trim()))
+    .filter(alternative => !/^'.*'$/.test(alternative));
+}
+
+function hasValue(value: unknown): boolean {
+  return value !== undefined && value !== null && value !== '';
+}
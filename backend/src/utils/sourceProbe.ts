@@ -0,0 +1,180 @@
+import axios, { AxiosRequestConfig, LookupAddressEntry } from 'axios';
+import { promises as dns } from 'dns';
+import { XMLParser } from 'fast-xml-parser';
+import { SourceCandidate, SourceProbe } from '../types';
+
+/**
+ * Schema probes for discovered GIS sources
+ *
+ * A candidate suggested by the discovery model is only kept when its
+ * endpoint answers with a polygon layer that has the attributes its field
+ * mapping names. ArcGIS layers are read from the layer's JSON description
+ * (?f=json); WFS feature types from DescribeFeatureType.
+ *
+ * The URLs come from a model and are fetched from this server, so unless
+ * private hosts are allowed a probe only connects to public addresses:
+ * hostnames are resolved and every address checked before connecting,
+ * and redirects are not followed.
+ */
+
+const PROBE_TIMEOUT = 10000;
+
+// ArcGIS and GML geometry types that can hold restriction areas
+const POLYGON_GEOMETRY = /polygon|surface|geometryproperty/i;
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  isArray: name => ['element', 'complexType'].includes(name)
+});
+
+/**
+ * Probe a candidate's schema
+ * @returns Geometry type and attribute names the endpoint reports
+ * @throws Error naming why the candidate cannot be used
+ */
+export async function probeSource(candidate: SourceCandidate, allowPrivateHosts: boolean = false): Promise<SourceProbe> {
+  assertProbeableUrl(candidate.url, allowPrivateHosts);
+
+  const request: AxiosRequestConfig = {
+    timeout: PROBE_TIMEOUT,
+    maxRedirects: 0,
+    ...(allowPrivateHosts ? {} : { lookup: lookupPublicAddress })
+  };
+  const { geometryType, fields } = candidate.protocol === 'arcgis'
+    ? await probeArcGISLayer(candidate.url, request)
+    : await probeWFSFeatureType(candidate.url, candidate.layer, request);
+
+  if (!POLYGON_GEOMETRY.test(geometryType)) {
+    throw new Error(`Layer geometry is ${geometryType}, not polygons`);
+  }
+
+  const missing = Object.values(candidate.fieldMapping)
+    .filter((field): field is string => !!field && !fields.includes(field));
+  if (missing.length > 0) {
+    throw new Error(`Layer has no field(s) ${missing.join(', ')}`);
+  }
+
+  return { checkedAt: new Date().toISOString(), geometryType, fields };
+}
+
+/**
+ * Only plain http(s) URLs are probed, and unless private hosts are allowed
+ * only hosts that are not private as written. Names that resolve to
+ * private addresses are refused when the probe connects.
+ */
+export function assertProbeableUrl(url: string, allowPrivateHosts: boolean = false): void {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('Not a valid URL');
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error(`Unsupported URL scheme ${parsed.protocol}`);
+  }
+  if (parsed.username || parsed.password) {
+    throw new Error('URLs with credentials are not accepted');
+  }
+  if (!allowPrivateHosts && isPrivateHost(parsed.hostname)) {
+    throw new Error(`Host ${parsed.hostname} is not public`);
+  }
+}
+
+/**
+ * DNS lookup for probe requests that refuses hostnames resolving to any
+ * private address, so the connection goes to the address that was checked
+ */
+async function lookupPublicAddress(hostname: string): Promise<[LookupAddressEntry]> {
+  const addresses = await dns.lookup(hostname, { all: true });
+  const blocked = addresses.find(entry => isPrivateHost(entry.address));
+  if (blocked) {
+    throw new Error(`Host ${hostname} resolves to ${blocked.address}, which is not public`);
+  }
+  if (addresses.length === 0) {
+    throw new Error(`Host ${hostname} did not resolve`);
+  }
+
+  const { address, family } = addresses[0];
+  return [{ address, family: family === 6 ? 6 : 4 }];
+}
+
+async function probeArcGISLayer(url: string, request: AxiosRequestConfig): Promise<{ geometryType: string; fields: string[] }> {
+  const { data } = await axios.get(url, { ...request, params: { f: 'json' } });
+
+  if (data?.error) {
+    throw new Error(`ArcGIS error ${data.error.code}: ${data.error.message}`);
+  }
+  if (!Array.isArray(data?.fields)) {
+    // Service roots list their layers instead of fields
+    const layers = Array.isArray(data?.layers) ? data.layers.map((layer: any) => `${layer.id} (${layer.name})`).join(', ') : '';
+    throw new Error(layers ? `URL is a service, not a layer; layers: ${layers}` : 'Response is not an ArcGIS layer description');
+  }
+
+  return {
+    geometryType: String(data.geometryType || 'none'),
+    fields: data.fields.map((field: any) => String(field.name))
+  };
+}
+
+async function probeWFSFeatureType(url: string, layer: string | undefined, request: AxiosRequestConfig): Promise<{ geometryType: string; fields: string[] }> {
+  if (!layer) {
+    throw new Error('WFS candidates need a feature type name');
+  }
+
+  const { data } = await axios.get(url, {
+    ...request,
+    params: { service: 'WFS', version: '2.0.0', request: 'DescribeFeatureType', typeNames: layer },
+    responseType: 'text'
+  });
+
+  const document = xmlParser.parse(String(data));
+  if (document.ExceptionReport) {
+    throw new Error('WFS returned an exception report');
+  }
+
+  const elements = collectComplexTypeElements(document);
+  if (elements.length === 0) {
+    throw new Error(`DescribeFeatureType has no properties for ${layer}`);
+  }
+
+  const geometry = elements.find(element => element.type.startsWith('gml:'));
+  return {
+    geometryType: geometry ? geometry.type : 'none',
+    fields: elements.filter(element => element !== geometry).map(element => element.name)
+  };
+}
+
+/**
+ * Property elements declared inside the schema's complex types
+ */
+function collectComplexTypeElements(node: any, inComplexType: boolean = false): Array<{ name: string; type: string }> {
+  if (!node || typeof node !== 'object') return [];
+  if (Array.isArray(node)) return node.flatMap(child => collectComplexTypeElements(child, inComplexType));
+
+  return Object.entries(node).flatMap(([key, child]) => {
+    if (key === 'element' && inComplexType) {
+      return (child as any[])
+        .filter(element => element?.name)
+        .map(element => ({ name: String(element.name), type: String(element.type || '') }));
+    }
+    return collectComplexTypeElements(child, inComplexType || key === 'complexType');
+  });
+}
+
+function isPrivateHost(hostname: string): boolean {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) return true;
+  if (host.includes(':')) return host === '::1' || host === '::' || host.startsWith('::ffff:') || /^(fc|fd|fe80)/.test(host);
+
+  const octets = host.split('.').map(Number);
+  if (octets.length !== 4 || octets.some(octet => !Number.isInteger(octet))) return false;
+  const [a, b] = octets;
+  return a === 10 || a === 127 || a === 0 ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 100 && b >= 64 && b <= 127);
+}
@@ -1,5 +1,16 @@
 import * as turf from '@turf/turf';
-import { LocationInput, RestrictionFeatureCollection } from '../types';
+import { Feature, MultiPolygon, Polygon } from 'geojson';
+import { AreaOfInterest, BoundingBox, LocationInput, RadiusUnit, RestrictionFeatureCollection } from '../types';
+import { FieldIssueCode, ValidationError } from '../errors';
+import { validateSchema } from '../validation/schema';
+import {
+  aoiRestrictionsRequestSchema,
+  MAX_AOI_AREA_SQ_MILES,
+  MAX_RADIUS_MILES,
+  MIN_RADIUS_MILES,
+  restrictionsRequestSchema
+} from '../validation/requestSchemas';
+import { validateFlightWindow } from './schedule';
 
 // Type aliases for Turf.js types to avoid import issues
 // Using any types as a workaround for Turf.js type export issues
@@ -11,31 +22,161 @@ type TurfFeature = any;
  * Spatial utility functions for drone flight restriction analysis
  * 
  * This module handles all spatial operations using Turf.js, including:
- * - Input validation for geographic coordinates
+ * - Input validation and normalization for coordinates and radius
  * - Buffer generation for search areas
  * - Spatial analysis for restriction overlap
  * - GeoJSON feature creation
  */
 
+// Conversion factors from each supported unit to miles
+export const MILES_PER_UNIT: Record<RadiusUnit, number> = {
+  miles: 1,
+  feet: 1 / 5280,
+  meters: 1 / 1609.344,
+  kilometers: 1 / 1.609344
+};
+
+// Earth radius used by turf, in miles
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Vertices of the circular search area
+const SEARCH_AREA_STEPS = 64;
+
+// Tolerance for radius values rounded by clients (e.g. 0.01893939 for 100 ft)
+const RADIUS_TOLERANCE = 1e-6;
+
+const SQ_METERS_PER_SQ_MILE = 2589988.110336;
+
 /**
- * Validates input coordinates and radius
- * @param input Location input with lat, lng, and radius
- * @returns Promise that resolves to validated input or throws error
+ * Validates input coordinates and radius (or an area of interest) against
+ * the request schemas and normalizes the radius to miles
+ *
+ * For an area-of-interest search, lat/lng/radius are derived from the AOI
+ * (center and bounding-circle radius) and the AOI is reduced to a bare geometry.
+ * @param input Location input with lat, lng, radius and optional units, or an aoi
+ * @returns Validated input with radius in miles
+ * @throws ValidationError listing every invalid field
  */
 export function validateInput(input: LocationInput): LocationInput {
-  const { lat, lng, radius } = input;
+  if (input && typeof input === 'object' && input.aoi !== undefined) {
+    return validateAreaOfInterestInput(input);
+  }
 
-  // Validate latitude (-90 to 90)
-  if (typeof lat !== 'number' || lat < -90 || lat > 90) {
-    throw new Error('Invalid latitude. Must be between -90 and 90.');
+  const issues = validateSchema(restrictionsRequestSchema, input);
+  if (issues.length === 0) {
+    issues.push(...validateFlightWindow(input));
   }
+  if (issues.length > 0) {
+    throw new ValidationError('Invalid restriction request', issues);
+  }
+
+  const units = input.units || 'miles';
+  const radius = input.radius * MILES_PER_UNIT[units];
 
-  // Validate longitude (-180 to 180)
-  if (typeof lng !== 'number' || lng < -180 || lng > 180) {
-    throw new Error('Invalid longitude. Must be between -180 and 180.');
+  if (radius < MIN_RADIUS_MILES - RADIUS_TOLERANCE || radius > MAX_RADIUS_MILES + RADIUS_TOLERANCE) {
+    throw new ValidationError('Invalid restriction request', [{
+      field: 'radius',
+      code: FieldIssueCode.OUT_OF_RANGE,
+      message: `radius must be between 100 feet and ${MAX_RADIUS_MILES} miles (got ${input.radius} ${units})`
+    }]);
   }
 
-  return input;
+  return { ...input, radius, units: 'miles' };
+}
+
+/**
+ * Validate an area-of-interest request and derive its center and radius
+ */
+function validateAreaOfInterestInput(input: LocationInput): LocationInput {
+  // Derived fields from a previous validation pass are allowed alongside the AOI
+  const { aoi, lat, lng, radius, units, ...rest } = input;
+  const issues = validateSchema(aoiRestrictionsRequestSchema, { aoi, ...rest });
+  if (issues.length === 0) {
+    issues.push(...validateFlightWindow(input));
+  }
+  if (issues.length > 0) {
+    throw new ValidationError('Invalid restriction request', issues);
+  }
+
+  const geometry = parseAreaOfInterest(aoi!);
+
+  const areaSqMiles = turf.area(geometry) / SQ_METERS_PER_SQ_MILE;
+  if (areaSqMiles > MAX_AOI_AREA_SQ_MILES) {
+    throw new ValidationError('Invalid restriction request', [{
+      field: 'aoi',
+      code: FieldIssueCode.OUT_OF_RANGE,
+      message: `aoi must not exceed ${MAX_AOI_AREA_SQ_MILES} square miles (got ${areaSqMiles.toFixed(1)})`
+    }]);
+  }
+
+  const [centerLng, centerLat] = turf.centroid(geometry).geometry.coordinates;
+  const boundingRadius = Math.max(...turf.coordAll(geometry).map(position =>
+    turf.distance([centerLng, centerLat], position, { units: 'miles' })
+  ));
+
+  return {
+    ...rest,
+    lat: centerLat,
+    lng: centerLng,
+    radius: boundingRadius,
+    units: 'miles',
+    aoi: geometry
+  };
+}
+
+/**
+ * Extract and check the Polygon/MultiPolygon geometry of an AOI
+ * @throws ValidationError when the geometry is malformed or self-intersecting
+ */
+function parseAreaOfInterest(aoi: AreaOfInterest): Polygon | MultiPolygon {
+  const invalid = (message: string) => new ValidationError('Invalid restriction request', [{
+    field: 'aoi',
+    code: FieldIssueCode.INVALID_VALUE,
+    message
+  }]);
+
+  const geometry = aoi.type === 'Feature' ? aoi.geometry : aoi;
+  if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+    throw invalid('aoi must be a GeoJSON Polygon or MultiPolygon');
+  }
+
+  const polygons: unknown = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    throw invalid('aoi has no coordinates');
+  }
+
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      throw invalid('aoi polygons must contain at least one ring');
+    }
+
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        throw invalid('aoi rings must contain at least four positions');
+      }
+      for (const position of ring) {
+        if (!Array.isArray(position) || !isLngLat(position[0], position[1])) {
+          throw invalid('aoi positions must be [longitude, latitude] within WGS84 bounds');
+        }
+      }
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        throw invalid('aoi rings must be closed (first and last positions equal)');
+      }
+    }
+  }
+
+  if (turf.kinks(geometry as any).features.length > 0) {
+    throw invalid('aoi must not be self-intersecting');
+  }
+
+  return { type: geometry.type, coordinates: geometry.coordinates } as Polygon | MultiPolygon;
+}
+
+function isLngLat(lng: unknown, lat: unknown): boolean {
+  return typeof lng === 'number' && typeof lat === 'number' &&
+    lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
 }
 
 /**
@@ -48,35 +189,113 @@ export function createPoint(lat: number, lng: number): any {
   return turf.point([lng, lat]); // Turf uses [lng, lat] order
 }
 
-  /**
-   * Generates a search area buffer around a point
-   * @param lat Latitude of center point
-   * @param lng Longitude of center point
-   * @param radius Radius
-   * @returns GeoJSON FeatureCollection with the buffer polygon
-   */
-  export function generateSearchArea(
-    lat: number,
-    lng: number,
-    radius: number
-  ): RestrictionFeatureCollection {
+/**
+ * Generates the circular search area around a point
+ *
+ * The circle is built from geodesic destination points, so it is correct
+ * at any latitude. A circle crossing the antimeridian is split into a
+ * MultiPolygon with one part on each side of it, and a circle containing
+ * a pole becomes a cap bounded by the pole's latitude, since neither
+ * shape can be drawn as a single longitude/latitude ring.
+ * @param lat Latitude of center point
+ * @param lng Longitude of center point
+ * @param radius Radius in miles
+ * @returns GeoJSON FeatureCollection with the search area polygon
+ */
+export function generateSearchArea(
+  lat: number,
+  lng: number,
+  radius: number
+): RestrictionFeatureCollection {
   try {
-    const centerPoint = createPoint(lat, lng);
-    
-    // Create buffer using Turf.js
-    // Units: 'miles'
-    const buffer = turf.buffer(centerPoint, radius, { units: 'miles' });
-    
+    // Longitudes stay continuous around the center, so may pass ±180
+    const ring = turf.circle([lng, lat], radius, { units: 'miles', steps: SEARCH_AREA_STEPS }).geometry.coordinates[0];
+
+    const geometry = containedPole(lat, radius) !== 0
+      ? polarCap(ring, containedPole(lat, radius))
+      : splitAtAntimeridian(ring);
+
     // Convert to FeatureCollection format expected by frontend
     return {
       type: 'FeatureCollection',
-      features: [buffer as any]
+      features: [turf.feature(geometry) as any]
     };
   } catch (error) {
     throw new Error(`Failed to generate search area: ${error}`);
   }
 }
 
+/**
+ * Builds the search area for a validated request: the AOI polygon when
+ * one was given, otherwise the buffer circle around the center
+ * @param input Validated location input
+ * @returns GeoJSON FeatureCollection with the search area polygon
+ */
+export function generateSearchAreaForInput(input: LocationInput): RestrictionFeatureCollection {
+  if (!input.aoi) {
+    return generateSearchArea(input.lat, input.lng, input.radius);
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: [turf.feature(input.aoi as Polygon | MultiPolygon) as any]
+  };
+}
+
+/**
+ * Bounding envelope of a validated request's search area
+ * @param input Validated location input
+ * @returns Bounding box [minLng, minLat, maxLng, maxLat]
+ */
+export function calculateEnvelopeForInput(input: LocationInput): BoundingBox {
+  if (!input.aoi) {
+    return calculateEnvelope(input.lat, input.lng, input.radius);
+  }
+
+  return turf.bbox(input.aoi as Polygon | MultiPolygon) as BoundingBox;
+}
+
+/**
+ * Calculates the bounding envelope of a search radius
+ *
+ * Near the antimeridian the envelope extends past ±180 (e.g. maxLng
+ * 180.4) rather than wrapping; use splitBBoxAtAntimeridian to query it.
+ * When the circle contains a pole the envelope spans every longitude.
+ * @param lat Center latitude
+ * @param lng Center longitude
+ * @param radius Radius in miles
+ * @returns Bounding box [minLng, minLat, maxLng, maxLat]
+ */
+export function calculateEnvelope(lat: number, lng: number, radius: number): BoundingBox {
+  // Angular radius of the circle on the sphere, in degrees
+  const angle = radius / EARTH_RADIUS_MILES * 180 / Math.PI;
+  const minLat = Math.max(-90, lat - angle);
+  const maxLat = Math.min(90, lat + angle);
+
+  if (containedPole(lat, radius) !== 0) {
+    return [-180, minLat, 180, maxLat];
+  }
+
+  // Widest longitude offset of a small circle, reached poleward of its center
+  const toRadians = Math.PI / 180;
+  const lngOffset = Math.asin(Math.min(1, Math.sin(angle * toRadians) / Math.cos(lat * toRadians))) / toRadians;
+
+  return [lng - lngOffset, minLat, lng + lngOffset, maxLat];
+}
+
+/**
+ * Split an envelope that extends past ±180 into envelopes within the
+ * valid longitude range
+ * @returns The envelope itself, or its parts on each side of the antimeridian
+ */
+export function splitBBoxAtAntimeridian(bbox: BoundingBox): BoundingBox[] {
+  const [minX, minY, maxX, maxY] = bbox;
+  if (maxX - minX >= 360) return [[-180, minY, 180, maxY]];
+  if (minX < -180) return [[minX + 360, minY, 180, maxY], [-180, minY, maxX, maxY]];
+  if (maxX > 180) return [[minX, minY, 180, maxY], [-180, minY, maxX - 360, maxY]];
+  return [bbox];
+}
+
 /**
  * Creates a random polygon within a bounding box
  * Used for generating mock restriction areas
@@ -152,3 +371,57 @@ export function simplifyGeometry(
 ): any {
   return turf.simplify(geometry, { tolerance, highQuality: true });
 }
+
+/**
+ * Which pole a circle contains: 1 for north, -1 for south, 0 for neither
+ */
+function containedPole(lat: number, radius: number): number {
+  const angle = radius / EARTH_RADIUS_MILES * 180 / Math.PI;
+  if (lat + angle >= 90) return 1;
+  if (lat - angle <= -90) return -1;
+  return 0;
+}
+
+/**
+ * Polygon of a ring whose longitudes may pass ±180: the ring itself, or
+ * its parts on each side of the antimeridian shifted back into range
+ */
+function splitAtAntimeridian(ring: number[][]): Polygon | MultiPolygon {
+  const polygon = turf.polygon([ring]);
+  const [minX, , maxX] = turf.bbox(polygon);
+  if (minX >= -180 && maxX <= 180) return polygon.geometry;
+
+  const parts = [-360, 0, 360]
+    .map(shift => turf.bboxClip(polygon, [-180 + shift, -90, 180 + shift, 90]).geometry as Polygon)
+    .map((part, index) => part.coordinates
+      .filter(clipped => clipped.length >= 4)
+      .map(clipped => clipped.map(([x, y]) => [x - (index - 1) * 360, y])))
+    .filter(rings => rings.length > 0);
+
+  return parts.length === 1
+    ? { type: 'Polygon', coordinates: parts[0] }
+    : { type: 'MultiPolygon', coordinates: parts };
+}
+
+/**
+ * Cap between a circle around a pole and the pole itself
+ *
+ * The circle's points wind once around the pole, so sorted by longitude
+ * they form the cap's edge; it is closed along the antimeridian and the
+ * pole's latitude.
+ */
+function polarCap(ring: number[][], pole: number): Polygon {
+  const edge = ring.slice(0, -1)
+    .map(([x, y]) => [((x + 540) % 360) - 180, y])
+    .sort((a, b) => a[0] - b[0]);
+
+  // Latitude where the edge meets the antimeridian, between its last and first points
+  const [first, last] = [edge[0], edge[edge.length - 1]];
+  const gap = first[0] + 360 - last[0];
+  const crossingLat = gap > 0 ? last[1] + (first[1] - last[1]) * (180 - last[0]) / gap : first[1];
+  const poleLat = pole * 90;
+
+  const coordinates = [[-180, crossingLat], ...edge, [180, crossingLat], [180, poleLat], [-180, poleLat], [-180, crossingLat]];
+  return (turf.rewind(turf.polygon([coordinates]), { reverse: false }) as Feature<Polygon>).geometry;
+}
+
@@ -0,0 +1,279 @@
+import * as turf from '@turf/turf';
+import { XMLParser } from 'fast-xml-parser';
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+import { TimeWindow } from '../types';
+
+/**
+ * Parser for FAA TFR notices (tfr.faa.gov XNOTAM-Update XML)
+ *
+ * The notices use AIXM-style elements: each <TFRAreaGroup> has an
+ * <aseTFRArea> with altitude limits and optional schedules, and an
+ * <abdMergedArea> boundary made of <Avx> vertices. A vertex is either a
+ * point (GRC/RHL) or the start of an arc (CWA clockwise, CCA
+ * counter-clockwise) around geoLatArc/geoLongArc; a boundary consisting of
+ * a single arc vertex is a full circle.
+ */
+
+type Position = [number, number];
+
+// Vertices used to approximate a full circle / one degree of arc
+const CIRCLE_STEPS = 64;
+const ARC_STEP_DEGREES = 5;
+
+/**
+ * One restricted area of a TFR notice
+ */
+export interface TFRArea {
+  name: string;
+  geometry: GeoJSONGeometry;
+  /** Feet, with SFC/AGL/MSL/STD reference */
+  floor: number;
+  floorReference: string;
+  ceiling: number;
+  ceilingReference: string;
+  /** Periods the area is active; end null means until further notice */
+  schedules: Array<{ start: Date; end: Date | null }>;
+}
+
+/**
+ * A parsed TFR notice
+ */
+export interface TFRNotice {
+  notamNumber: string;
+  type: string;
+  description: string;
+  facility: string;
+  effective: Date;
+  expires: Date | null;
+  areas: TFRArea[];
+}
+
+const parser = new XMLParser({
+  ignoreAttributes: true,
+  parseTagValue: false,
+  trimValues: true,
+  // Elements that may repeat are always arrays, even when there is only one
+  isArray: name => ['Group', 'Add', 'Not', 'TFRAreaGroup', 'Avx', 'ScheduleGroup'].includes(name)
+});
+
+/**
+ * Parse a TFR notice document
+ * @param xml XNOTAM-Update XML
+ * @returns The notice, with areas whose geometry could not be built left out
+ * @throws When the document has no NOTAM or its effective date is missing
+ */
+export function parseTFRNotice(xml: string): TFRNotice {
+  const document = parser.parse(xml);
+  const not = document?.['XNOTAM-Update']?.Group?.[0]?.Add?.[0]?.Not?.[0];
+  if (!not) {
+    throw new Error('TFR document has no NOTAM');
+  }
+
+  const notamNumber = text(not.NotUid?.txtLocalName);
+  const effective = parseDate(not.dateEffective);
+  if (!notamNumber || !effective) {
+    throw new Error(`TFR ${notamNumber || '(unnumbered)'} is missing its NOTAM number or effective date`);
+  }
+  const expires = parseDate(not.dateExpire);
+
+  const tfrNot = not.TfrNot || {};
+  const areas: TFRArea[] = [];
+
+  for (const group of tfrNot.TFRAreaGroup || []) {
+    const area = group.aseTFRArea || {};
+    const vertices = group.abdMergedArea?.Avx || group.Abd?.Avx || [];
+    const geometry = buildBoundary(vertices);
+    if (!geometry) {
+      console.warn(`TFR ${notamNumber}: skipped area "${text(area.txtName)}" without a usable boundary`);
+      continue;
+    }
+
+    const schedules = (area.ScheduleGroup || [])
+      .map((schedule: any) => ({ start: parseDate(schedule.dateEffective), end: parseDate(schedule.dateExpire) }))
+      .filter((schedule: { start: Date | null }) => schedule.start !== null);
+
+    const floor = parseAltitude(area.codeDistVerLower, area.valDistVerLower, area.uomDistVerLower);
+    const ceiling = parseAltitude(area.codeDistVerUpper, area.valDistVerUpper, area.uomDistVerUpper);
+
+    areas.push({
+      name: text(area.txtName) || notamNumber,
+      geometry,
+      floor: floor.value,
+      floorReference: floor.reference,
+      ceiling: ceiling.value,
+      ceilingReference: ceiling.reference,
+      schedules: schedules.length > 0 ? schedules : [{ start: effective, end: expires }]
+    });
+  }
+
+  return {
+    notamNumber,
+    type: text(tfrNot.codeType) || 'UNKNOWN',
+    description: text(not.txtDescrPurpose) || text(not.txtDescrUSNS) || '',
+    facility: text(not.codeFacility),
+    effective,
+    expires,
+    areas
+  };
+}
+
+/**
+ * Whether an area is active at any point in a time window
+ */
+export function isTFRAreaActive(area: TFRArea, when: TimeWindow): boolean {
+  return area.schedules.some(({ start, end }) =>
+    start.getTime() <= when.end.getTime() && (end === null || end.getTime() > when.start.getTime())
+  );
+}
+
+/**
+ * Build a Polygon from AIXM vertices, expanding arcs and circles
+ */
+function buildBoundary(vertices: any[]): GeoJSONGeometry | null {
+  if (vertices.length === 1 && isArc(vertices[0])) {
+    const center = arcCenter(vertices[0]);
+    const radius = parseRadius(vertices[0]);
+    if (!center || !radius) return null;
+    return turf.circle(center, radius, { steps: CIRCLE_STEPS, units: 'nauticalmiles' }).geometry as GeoJSONGeometry;
+  }
+
+  const ring: Position[] = [];
+
+  vertices.forEach((vertex, index) => {
+    const point = parsePosition(vertex.geoLat, vertex.geoLong);
+    if (!point) return;
+    ring.push(point);
+
+    if (isArc(vertex)) {
+      const next = vertices[(index + 1) % vertices.length];
+      const end = parsePosition(next.geoLat, next.geoLong);
+      const center = arcCenter(vertex);
+      const radius = parseRadius(vertex);
+      if (end && center && radius) {
+        ring.push(...arcPositions(center, radius, point, end, text(vertex.codeType) === 'CWA'));
+      }
+    }
+  });
+
+  if (ring.length < 3) return null;
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    ring.push(first);
+  }
+  if (ring.length < 4) return null;
+
+  return turf.rewind(turf.polygon([ring]).geometry as any) as unknown as GeoJSONGeometry;
+}
+
+/**
+ * Intermediate positions of an arc from start to end around a center
+ */
+function arcPositions(center: Position, radiusNM: number, start: Position, end: Position, clockwise: boolean): Position[] {
+  const startBearing = normalizeBearing(turf.bearing(center, start));
+  const endBearing = normalizeBearing(turf.bearing(center, end));
+
+  // Bearings increase clockwise
+  let sweep = clockwise ? endBearing - startBearing : startBearing - endBearing;
+  if (sweep <= 0) sweep += 360;
+
+  const positions: Position[] = [];
+  for (let step = ARC_STEP_DEGREES; step < sweep; step += ARC_STEP_DEGREES) {
+    const bearing = startBearing + (clockwise ? step : -step);
+    positions.push(turf.destination(center, radiusNM, bearing, { units: 'nauticalmiles' }).geometry.coordinates as Position);
+  }
+  return positions;
+}
+
+function isArc(vertex: any): boolean {
+  const type = text(vertex.codeType);
+  return type === 'CWA' || type === 'CCA';
+}
+
+function arcCenter(vertex: any): Position | null {
+  return parsePosition(vertex.geoLatArc, vertex.geoLongArc);
+}
+
+/**
+ * Arc radius in nautical miles
+ */
+function parseRadius(vertex: any): number | null {
+  const value = Number(text(vertex.valRadiusArc));
+  if (!Number.isFinite(value) || value <= 0) return null;
+
+  switch (text(vertex.uomRadiusArc).toUpperCase()) {
+    case 'KM': return value / 1.852;
+    case 'M': return value / 1852;
+    case 'FT': return value / 6076.12;
+    case 'MI': return value / 1.150779;
+    default: return value; // NM
+  }
+}
+
+/**
+ * AIXM coordinates: decimal degrees with a hemisphere suffix
+ * ("38.8977N", "077.0365W") or packed DMS ("385351.60N", "0770211.40W")
+ */
+function parsePosition(latText: unknown, lngText: unknown): Position | null {
+  const lat = parseCoordinate(text(latText), 2);
+  const lng = parseCoordinate(text(lngText), 3);
+  if (lat === null || lng === null || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return [lng, lat];
+}
+
+function parseCoordinate(value: string, degreeDigits: number): number | null {
+  const match = /^(\d+(?:\.\d+)?)([NSEW])$/i.exec(value);
+  if (!match) return null;
+
+  const [, digits, hemisphere] = match;
+  const integerPart = digits.split('.')[0];
+  let degrees: number;
+
+  if (integerPart.length > degreeDigits + 1) {
+    // Packed DMS: DDMMSS(.ss) or DDDMMSS(.ss)
+    const d = Number(digits.slice(0, degreeDigits));
+    const m = Number(digits.slice(degreeDigits, degreeDigits + 2));
+    const s = Number(digits.slice(degreeDigits + 2));
+    degrees = d + m / 60 + s / 3600;
+  } else {
+    degrees = Number(digits);
+  }
+
+  if (!Number.isFinite(degrees)) return null;
+  return /[SW]/i.test(hemisphere) ? -degrees : degrees;
+}
+
+/**
+ * Altitude in feet and its reference
+ */
+function parseAltitude(code: unknown, value: unknown, uom: unknown): { value: number; reference: string } {
+  const codeText = text(code).toUpperCase();
+  const raw = Number(text(value)) || 0;
+  const feet = text(uom).toUpperCase() === 'FL' ? raw * 100 : raw;
+
+  switch (codeText) {
+    case 'SFC': return { value: 0, reference: 'SFC' };
+    case 'HEI': return { value: feet, reference: 'AGL' };
+    case 'STD': return { value: feet, reference: 'STD' };
+    default: return { value: feet, reference: 'MSL' }; // ALT
+  }
+}
+
+/**
+ * TFR times are UTC; values without an offset are read as UTC
+ */
+function parseDate(value: unknown): Date | null {
+  const raw = text(value);
+  if (!raw) return null;
+  const date = new Date(/(Z|[+-]\d{2}:?\d{2})$/.test(raw) ? raw : `${raw}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function normalizeBearing(bearing: number): number {
+  return (bearing + 360) % 360;
+}
+
+function text(value: unknown): string {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
@@ -0,0 +1,100 @@
+import { BoundingBox } from '../types';
+
+/**
+ * Web Mercator tile helpers (slippy map / Bing quadkey scheme)
+ *
+ * Used to key cached upstream data on fixed cells, so overlapping
+ * searches reuse the same cells instead of their own ad-hoc envelopes.
+ */
+
+// Web Mercator cannot represent the poles
+const MAX_LATITUDE = 85.05112878;
+
+export interface TileCoordinate {
+  x: number;
+  y: number;
+  z: number;
+}
+
+/**
+ * Tile containing a coordinate at a zoom level
+ */
+export function lngLatToTile(lng: number, lat: number, z: number): TileCoordinate {
+  const n = 2 ** z;
+  const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const latRad = clampedLat * Math.PI / 180;
+
+  const x = Math.floor((lng + 180) / 360 * n);
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+
+  return {
+    x: Math.max(0, Math.min(n - 1, x)),
+    y: Math.max(0, Math.min(n - 1, y)),
+    z
+  };
+}
+
+/**
+ * Quadkey string for a tile, e.g. "0231010"
+ */
+export function tileToQuadkey({ x, y, z }: TileCoordinate): string {
+  let quadkey = '';
+  for (let i = z; i > 0; i--) {
+    const mask = 1 << (i - 1);
+    let digit = 0;
+    if (x & mask) digit += 1;
+    if (y & mask) digit += 2;
+    quadkey += digit;
+  }
+  return quadkey;
+}
+
+/**
+ * Tile coordinate for a quadkey string
+ */
+export function quadkeyToTile(quadkey: string): TileCoordinate {
+  let x = 0;
+  let y = 0;
+  const z = quadkey.length;
+
+  for (let i = z; i > 0; i--) {
+    const mask = 1 << (i - 1);
+    const digit = quadkey[z - i];
+    if (digit === '1' || digit === '3') x |= mask;
+    if (digit === '2' || digit === '3') y |= mask;
+  }
+
+  return { x, y, z };
+}
+
+/**
+ * Geographic bounds of a tile
+ */
+export function tileBounds({ x, y, z }: TileCoordinate): BoundingBox {
+  const n = 2 ** z;
+  const tileLat = (ty: number) => Math.atan(Math.sinh(Math.PI * (1 - 2 * ty / n))) * 180 / Math.PI;
+
+  return [
+    x / n * 360 - 180,
+    tileLat(y + 1),
+    (x + 1) / n * 360 - 180,
+    tileLat(y)
+  ];
+}
+
+/**
+ * All tiles at a zoom level that cover a bounding box
+ */
+export function tilesForBBox(bbox: BoundingBox, z: number): TileCoordinate[] {
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  const topLeft = lngLatToTile(minLng, maxLat, z);
+  const bottomRight = lngLatToTile(maxLng, minLat, z);
+
+  const tiles: TileCoordinate[] = [];
+  for (let x = topLeft.x; x <= bottomRight.x; x++) {
+    for (let y = topLeft.y; y <= bottomRight.y; y++) {
+      tiles.push({ x, y, z });
+    }
+  }
+  return tiles;
+}
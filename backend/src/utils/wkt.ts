@@ -0,0 +1,146 @@
+import { GeoJSONGeometry } from '../../../shared/types/RestrictionLayer';
+
+/**
+ * Well-known text (WKT) geometry reader for CSV dataset exports
+ *
+ * Reads the OGC simple features types: POINT, LINESTRING, POLYGON,
+ * MULTIPOINT, MULTILINESTRING, MULTIPOLYGON and GEOMETRYCOLLECTION, with
+ * Z, M or ZM ordinates (only x and y are kept) and an optional EWKT
+ * "SRID=n;" prefix. Positions are returned as written, x/y; EMPTY
+ * geometries read as null.
+ */
+
+type Position = [number, number];
+
+const GEOMETRY_TYPES = new Set([
+  'POINT', 'LINESTRING', 'POLYGON', 'MULTIPOINT', 'MULTILINESTRING', 'MULTIPOLYGON', 'GEOMETRYCOLLECTION'
+]);
+
+/**
+ * Parse a WKT geometry
+ * @returns GeoJSON geometry, or null for an EMPTY geometry
+ * @throws Error when the text is not valid WKT
+ */
+export function parseWKT(text: string): GeoJSONGeometry | null {
+  const reader = new WKTReader(text.trim().replace(/^SRID=\d+;/i, ''));
+  const geometry = reader.geometry();
+  reader.expectEnd();
+  return geometry;
+}
+
+class WKTReader {
+  private offset = 0;
+
+  constructor(private readonly text: string) {}
+
+  geometry(): GeoJSONGeometry | null {
+    // Dimension markers may be separate (POINT Z) or attached (POINTZ)
+    const word = this.word().toUpperCase();
+    const name = word.replace(/(ZM|Z|M)$/, '');
+    if (!GEOMETRY_TYPES.has(name)) {
+      throw this.error(`unsupported geometry type ${word || '(none)'}`);
+    }
+    if (/^(ZM|Z|M)$/i.test(this.peekWord())) {
+      this.word();
+    }
+
+    if (this.peekWord().toUpperCase() === 'EMPTY') {
+      this.word();
+      return null;
+    }
+
+    switch (name) {
+      case 'POINT':
+        return { type: 'Point', coordinates: this.list(() => this.position())[0] };
+      case 'LINESTRING':
+        return { type: 'LineString', coordinates: this.positions() };
+      case 'POLYGON':
+        return { type: 'Polygon', coordinates: this.list(() => this.positions()) };
+      case 'MULTIPOINT':
+        // Both MULTIPOINT (1 2, 3 4) and MULTIPOINT ((1 2), (3 4))
+        return {
+          type: 'MultiPoint',
+          coordinates: this.list(() => (this.peek() === '(' ? this.list(() => this.position())[0] : this.position()))
+        };
+      case 'MULTILINESTRING':
+        return { type: 'MultiLineString', coordinates: this.list(() => this.positions()) };
+      case 'MULTIPOLYGON':
+        return { type: 'MultiPolygon', coordinates: this.list(() => this.list(() => this.positions())) };
+      default: {
+        const geometries = this.list(() => this.geometry()).filter((child): child is GeoJSONGeometry => child !== null);
+        return { type: 'GeometryCollection', geometries };
+      }
+    }
+  }
+
+  expectEnd(): void {
+    this.skipSpace();
+    if (this.offset < this.text.length) {
+      throw this.error('unexpected trailing text');
+    }
+  }
+
+  private positions(): Position[] {
+    return this.list(() => this.position());
+  }
+
+  /**
+   * One position; ordinates beyond x and y (Z, M) are read and dropped
+   */
+  private position(): Position {
+    const ordinates: number[] = [];
+    while (/[-+.\d]/.test(this.peek())) {
+      const match = this.text.slice(this.offset).match(/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/);
+      if (!match) throw this.error('invalid number');
+      ordinates.push(Number(match[0]));
+      this.offset += match[0].length;
+    }
+    if (ordinates.length < 2) throw this.error('position needs x and y');
+    return [ordinates[0], ordinates[1]];
+  }
+
+  /**
+   * A parenthesized, comma-separated list of items
+   */
+  private list<T>(item: () => T): T[] {
+    this.expect('(');
+    const items = [item()];
+    while (this.peek() === ',') {
+      this.offset++;
+      items.push(item());
+    }
+    this.expect(')');
+    return items;
+  }
+
+  private word(): string {
+    this.skipSpace();
+    const match = this.text.slice(this.offset).match(/^[A-Za-z]+/);
+    if (!match) return '';
+    this.offset += match[0].length;
+    return match[0];
+  }
+
+  private peekWord(): string {
+    this.skipSpace();
+    return this.text.slice(this.offset).match(/^[A-Za-z]+/)?.[0] || '';
+  }
+
+  private peek(): string {
+    this.skipSpace();
+    return this.text[this.offset] || '';
+  }
+
+  private expect(char: string): void {
+    if (this.peek() !== char) throw this.error(`expected "${char}"`);
+    this.offset++;
+  }
+
+  private skipSpace(): void {
+    while (this.offset < this.text.length && /\s/.test(this.text[this.offset])) this.offset++;
+  }
+
+  private error(message: string): Error {
+    return new Error(`Invalid WKT at character ${this.offset + 1}: ${message}`);
+  }
+}
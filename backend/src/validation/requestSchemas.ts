@@ -0,0 +1,425 @@
+import { ConfidenceLevel, OperatorType, RestrictionCategory, RestrictionType } from '../types';
+import { Schema } from './schema';
+
+/**
+ * Request body schemas for the public API
+ *
+ * These drive request validation and are reused by the API docs.
+ */
+
+export const RADIUS_UNITS = ['miles', 'feet', 'meters', 'kilometers'] as const;
+
+// Radius limits in miles: 100 ft to 5 miles
+export const MIN_RADIUS_MILES = 100 / 5280;
+export const MAX_RADIUS_MILES = 5;
+
+// Largest area of interest accepted, slightly above a 5 mile radius circle (78.5 sq mi)
+export const MAX_AOI_AREA_SQ_MILES = 80;
+
+const aoiSchema: Schema = {
+  type: 'object',
+  description: 'GeoJSON Polygon or MultiPolygon, either as a bare geometry or wrapped in a Feature. ' +
+    `Coordinates are [longitude, latitude] in WGS84. Area must not exceed ${MAX_AOI_AREA_SQ_MILES} square miles.`,
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: ['Polygon', 'MultiPolygon', 'Feature'] },
+    coordinates: { type: 'array', description: 'Polygon or MultiPolygon coordinates (bare geometry only)' },
+    geometry: { type: 'object', description: 'Polygon or MultiPolygon geometry (Feature only)' },
+    properties: { type: 'object' }
+  },
+  example: {
+    type: 'Polygon',
+    coordinates: [[[-122.42, 37.77], [-122.41, 37.77], [-122.41, 37.78], [-122.42, 37.78], [-122.42, 37.77]]]
+  }
+};
+
+const altitudeSchema: Schema = {
+  type: 'number',
+  minimum: 0,
+  description: 'Planned altitude in feet AGL. When given, every FAA grid cell in faaCeilings is classified against its ceiling.',
+  example: 200
+};
+
+// Longest flight window accepted
+export const MAX_FLIGHT_WINDOW_HOURS = 24;
+
+const flightWindowSchema: Schema = {
+  type: 'object',
+  description: 'Planned flight window, instead of `time`. Each restriction is marked ACTIVE, UPCOMING or INACTIVE ' +
+    `for the window and lists when it is in effect across the window's days. At most ${MAX_FLIGHT_WINDOW_HOURS} hours long.`,
+  required: ['start', 'end'],
+  additionalProperties: false,
+  properties: {
+    start: { type: 'string', format: 'date-time', example: '2025-07-04T09:00:00-07:00' },
+    end: { type: 'string', format: 'date-time', example: '2025-07-04T11:00:00-07:00' },
+    timezone: {
+      type: 'string',
+      description: 'IANA time zone of the flight; defaults to the time zone at the search location. Sets the days ' +
+        'covered by the timeline and the daylight report and the local time of restriction schedules.',
+      example: 'America/Los_Angeles'
+    }
+  }
+};
+
+const timeSchema: Schema = {
+  type: 'string',
+  format: 'date-time',
+  description: 'ISO 8601 time the flight is planned for (defaults to now). Temporary flight restrictions are only returned when active at this time.',
+  example: '2025-07-04T18:00:00Z'
+};
+
+export const restrictionsRequestSchema: Schema = {
+  type: 'object',
+  description: 'Location and search radius to check for flight restrictions (circle search)',
+  required: ['lat', 'lng', 'radius'],
+  additionalProperties: false,
+  properties: {
+    lat: {
+      type: 'number',
+      minimum: -90,
+      maximum: 90,
+      description: 'Latitude of the search center (WGS84)',
+      example: 37.7749
+    },
+    lng: {
+      type: 'number',
+      minimum: -180,
+      maximum: 180,
+      description: 'Longitude of the search center (WGS84)',
+      example: -122.4194
+    },
+    radius: {
+      type: 'number',
+      exclusiveMinimum: 0,
+      description: 'Search radius in `units`. Must be between 100 ft and 5 miles once converted.',
+      example: 1
+    },
+    units: {
+      type: 'string',
+      enum: RADIUS_UNITS,
+      default: 'miles',
+      description: 'Unit of `radius`'
+    },
+    altitude: altitudeSchema,
+    time: timeSchema,
+    flightWindow: flightWindowSchema
+  }
+};
+
+export const aoiRestrictionsRequestSchema: Schema = {
+  type: 'object',
+  description: 'Area of interest to check for flight restrictions (polygon search). ' +
+    'The search center and radius reported back are derived from the polygon.',
+  required: ['aoi'],
+  additionalProperties: false,
+  properties: {
+    aoi: aoiSchema,
+    altitude: altitudeSchema,
+    time: timeSchema,
+    flightWindow: flightWindowSchema
+  }
+};
+
+// Corridor limits: lateral buffer 10 ft to 1 mile, route up to 25 miles long
+export const MIN_CORRIDOR_BUFFER_MILES = 10 / 5280;
+export const MAX_CORRIDOR_BUFFER_MILES = 1;
+export const MAX_ROUTE_LENGTH_MILES = 25;
+export const MAX_ROUTE_VERTICES = 1000;
+
+export const routeRequestSchema: Schema = {
+  type: 'object',
+  description: 'Planned flight path to check for flight restrictions (corridor search)',
+  required: ['route', 'buffer'],
+  additionalProperties: false,
+  properties: {
+    route: {
+      type: 'object',
+      description: `GeoJSON LineString of the flight path. Coordinates are [longitude, latitude] in WGS84; ` +
+        `at most ${MAX_ROUTE_LENGTH_MILES} miles long.`,
+      required: ['type', 'coordinates'],
+      properties: {
+        type: { type: 'string', enum: ['LineString'] },
+        coordinates: {
+          type: 'array',
+          minItems: 2,
+          maxItems: MAX_ROUTE_VERTICES,
+          items: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'number' } }
+        }
+      },
+      example: { type: 'LineString', coordinates: [[-122.42, 37.77], [-122.40, 37.78], [-122.38, 37.78]] }
+    },
+    buffer: {
+      type: 'number',
+      exclusiveMinimum: 0,
+      description: 'Lateral distance either side of the path in `units`. Must be between 10 ft and 1 mile once converted.',
+      example: 200
+    },
+    units: {
+      type: 'string',
+      enum: RADIUS_UNITS,
+      default: 'miles',
+      description: 'Unit of `buffer`',
+      example: 'feet'
+    },
+    altitudes: {
+      type: 'array',
+      description: 'Planned altitude in feet AGL at each route vertex. When given, must have one value per vertex.',
+      items: { type: 'number', minimum: 0 },
+      example: [150, 200, 200]
+    },
+    time: timeSchema,
+    flightWindow: flightWindowSchema
+  }
+};
+
+export const pointCheckRequestSchema: Schema = {
+  type: 'object',
+  description: 'Point, altitude and operator to get a "can I fly here?" verdict for',
+  required: ['lat', 'lng', 'altitude', 'operator'],
+  additionalProperties: false,
+  properties: {
+    lat: { type: 'number', minimum: -90, maximum: 90, description: 'Latitude of the point (WGS84)', example: 37.7749 },
+    lng: { type: 'number', minimum: -180, maximum: 180, description: 'Longitude of the point (WGS84)', example: -122.4194 },
+    altitude: {
+      type: 'number',
+      minimum: 0,
+      description: 'Planned altitude in feet AGL',
+      example: 200
+    },
+    operator: {
+      type: 'string',
+      enum: Object.values(OperatorType),
+      description: 'PART_107 for a certificated remote pilot, RECREATIONAL for a recreational flyer',
+      example: OperatorType.PART_107
+    },
+    time: timeSchema,
+    flightWindow: flightWindowSchema
+  }
+};
+
+// Most NOTAMs accepted in one batch
+export const MAX_NOTAMS_PER_REQUEST = 200;
+
+export const notamsRequestSchema: Schema = {
+  type: 'object',
+  description: 'Batch of ICAO-format NOTAMs to parse into restriction geometries',
+  required: ['text'],
+  additionalProperties: false,
+  properties: {
+    text: {
+      type: 'string',
+      description: 'One or more NOTAMs, each starting with its series/number header ("A1234/24 NOTAMN") ' +
+        `and containing a Q-line and items A) to E); at most ${MAX_NOTAMS_PER_REQUEST} NOTAMs.`,
+      example: 'A1234/24 NOTAMN\nQ) KZOA/QRTCA/IV/BO/W/000/040/3746N12225W005\n' +
+        'A) KZOA B) 2401011200 C) 2401021800\nD) DAILY 1400-2200\n' +
+        'E) TEMPORARY RESTRICTED AREA ACTIVATED WI 3NM RADIUS OF 374600N 1222500W\nF) SFC G) 4000FT AMSL'
+    },
+    time: timeSchema
+  }
+};
+
+export const jurisdictionQuerySchema: Schema = {
+  type: 'object',
+  description: 'Point to resolve to its country, state, county and city',
+  required: ['lat', 'lng'],
+  additionalProperties: false,
+  properties: {
+    lat: { type: 'number', minimum: -90, maximum: 90, description: 'Latitude (WGS84)', example: 37.7749 },
+    lng: { type: 'number', minimum: -180, maximum: 180, description: 'Longitude (WGS84)', example: -122.4194 }
+  }
+};
+
+const jurisdictionSchema: Schema = {
+  type: 'object',
+  description: 'Jurisdiction to search, as returned by GET /api/jurisdiction',
+  required: ['country'],
+  additionalProperties: false,
+  properties: {
+    country: { type: 'string', example: 'United States' },
+    state: { type: 'string', example: 'California' },
+    county: { type: 'string', example: 'San Francisco' },
+    city: { type: 'string', example: 'San Francisco' }
+  }
+};
+
+export const discoverSourcesRequestSchema: Schema = {
+  type: 'object',
+  description: 'Jurisdiction to discover municipal GIS restriction sources for: either the jurisdiction itself or a point inside it',
+  additionalProperties: false,
+  properties: {
+    jurisdiction: jurisdictionSchema,
+    lat: { type: 'number', minimum: -90, maximum: 90, description: 'Latitude of a point in the jurisdiction', example: 37.7749 },
+    lng: { type: 'number', minimum: -180, maximum: 180, description: 'Longitude of a point in the jurisdiction', example: -122.4194 }
+  }
+};
+
+export const reviewSourceRequestSchema: Schema = {
+  type: 'object',
+  description: 'Optional note recorded with an approval or rejection',
+  additionalProperties: false,
+  properties: {
+    note: { type: 'string', description: 'Why the source was approved or rejected', example: 'Checked against the city parks ordinance' }
+  }
+};
+
+// Shape of one candidate in the discovery model's reply
+export const sourceCandidateSchema: Schema = {
+  type: 'object',
+  required: ['name', 'url', 'protocol', 'restrictionType', 'fieldMapping'],
+  properties: {
+    name: { type: 'string' },
+    url: { type: 'string' },
+    protocol: { type: 'string', enum: ['arcgis', 'wfs'] },
+    layer: { type: 'string' },
+    restrictionType: { type: 'string', enum: ['NO_FLY', 'AUTH_REQUIRED', 'ADVISORY'] },
+    fieldMapping: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        description: { type: 'string' },
+        kind: { type: 'string' },
+        maxAGL: { type: 'string' }
+      }
+    },
+    notes: { type: 'string' }
+  }
+};
+
+// Allowed areas are computed, never published by a source
+const SOURCE_RESTRICTION_TYPES = Object.values(RestrictionType).filter(type => type !== RestrictionType.ALLOWED);
+const SOURCE_RESTRICTION_CATEGORIES = Object.values(RestrictionCategory).filter(category => category !== RestrictionCategory.SYSTEM);
+
+const attributeConditionProperties: Record<string, Schema> = {
+  field: { type: 'string' },
+  equals: { type: ['string', 'number', 'boolean'] },
+  in: { type: 'array' },
+  lessThan: { type: 'number' },
+  greaterThan: { type: 'number' },
+  matches: { type: 'string' }
+};
+
+// Restriction mapping shared by every source config (see RestrictionMappingConfig)
+const sourceRestrictionSchema: Schema = {
+  type: 'object',
+  required: ['id', 'authority', 'description', 'sourceUrl', 'confidenceLevel', 'jurisdiction', 'type', 'category'],
+  properties: {
+    id: { type: 'string' },
+    authority: { type: 'string' },
+    description: { type: 'string' },
+    sourceUrl: { type: 'string' },
+    confidenceLevel: { type: 'string', enum: Object.values(ConfidenceLevel) },
+    jurisdiction: jurisdictionSchema,
+    type: {
+      type: 'object',
+      required: ['default'],
+      properties: {
+        default: { type: 'string', enum: SOURCE_RESTRICTION_TYPES },
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['field', 'type'],
+            properties: { ...attributeConditionProperties, type: { type: 'string', enum: SOURCE_RESTRICTION_TYPES } }
+          }
+        }
+      }
+    },
+    category: {
+      type: 'object',
+      required: ['default'],
+      properties: {
+        default: { type: 'string', enum: SOURCE_RESTRICTION_CATEGORIES },
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['field', 'category'],
+            properties: { ...attributeConditionProperties, category: { type: 'string', enum: SOURCE_RESTRICTION_CATEGORIES } }
+          }
+        }
+      }
+    },
+    fieldMapping: { type: 'object' },
+    properties: { type: 'object' },
+    dataSource: { type: 'string' }
+  }
+};
+
+// Shape of an ArcGIS source config file (see ArcGISSourceConfig). Union-typed
+// members (coverage, fieldMapping entries) are checked by the config loader.
+export const arcgisSourceConfigSchema: Schema = {
+  type: 'object',
+  required: ['id', 'name', 'protocol', 'url', 'layerId', 'coverage', 'restriction'],
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' },
+    name: { type: 'string' },
+    protocol: { type: 'string', enum: ['arcgis'] },
+    url: { type: 'string', pattern: '^https?://' },
+    layerId: { type: 'integer', minimum: 0 },
+    where: { type: 'string' },
+    orderByField: { type: 'string' },
+    timeout: { type: 'integer', minimum: 1000 },
+    paging: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        pageSize: { type: 'integer', minimum: 1 },
+        maxPages: { type: 'integer', minimum: 1 },
+        maxSplitDepth: { type: 'integer', minimum: 0 }
+      }
+    },
+    cache: {
+      type: 'object',
+      required: ['tileZoom'],
+      additionalProperties: false,
+      properties: {
+        tileZoom: { type: 'integer', minimum: 0, maximum: 20 },
+        ttlMs: { type: 'integer', minimum: 0 },
+        maxTiles: { type: 'integer', minimum: 1 },
+        persist: { type: 'boolean' },
+        envPrefix: { type: 'string', pattern: '^[A-Z][A-Z0-9_]*$' }
+      }
+    },
+    dataset: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        path: { type: 'string' },
+        format: { type: 'string', enum: ['geojson', 'csv'] },
+        wktColumn: { type: 'string' },
+        refreshIntervalMs: { type: 'integer', minimum: 60000 },
+        refreshFromLive: { type: 'boolean' },
+        envPrefix: { type: 'string', pattern: '^[A-Z][A-Z0-9_]*$' }
+      }
+    },
+    restriction: sourceRestrictionSchema
+  }
+};
+
+// Shape of a WFS or OGC API - Features source config file (see OGCFeaturesSourceConfig)
+export const ogcSourceConfigSchema: Schema = {
+  type: 'object',
+  required: ['id', 'name', 'protocol', 'url', 'layer', 'coverage', 'restriction'],
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' },
+    name: { type: 'string' },
+    protocol: { type: 'string', enum: ['wfs', 'ogcapi'] },
+    url: { type: 'string', pattern: '^https?://' },
+    layer: { type: 'string' },
+    crs: { type: 'string' },
+    projDefinition: { type: 'string' },
+    axisOrder: { type: 'string', enum: ['xy', 'yx'] },
+    outputFormat: { type: 'string', enum: ['geojson', 'gml32'] },
+    params: { type: 'object' },
+    timeout: { type: 'integer', minimum: 1000 },
+    paging: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        pageSize: { type: 'integer', minimum: 1 },
+        maxPages: { type: 'integer', minimum: 1 }
+      }
+    },
+    restriction: sourceRestrictionSchema
+  }
+};
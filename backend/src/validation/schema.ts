@@ -0,0 +1,148 @@
+import { FieldIssue, FieldIssueCode } from '../errors';
+
+/**
+ * Minimal JSON Schema subset used to describe and validate request bodies
+ *
+ * The same schema objects are the source of truth for request validation
+ * and for API documentation, so keep them to keywords that are valid in
+ * both JSON Schema and OpenAPI 3.
+ */
+type SchemaType = 'object' | 'array' | 'number' | 'integer' | 'string' | 'boolean';
+
+export interface Schema {
+  /** Several types accept a value of any of them */
+  type: SchemaType | readonly SchemaType[];
+  description?: string;
+  example?: unknown;
+  default?: unknown;
+
+  // number / integer
+  minimum?: number;
+  maximum?: number;
+  exclusiveMinimum?: number;
+
+  // string
+  enum?: readonly string[];
+  format?: 'date-time';
+  pattern?: string;
+
+  // array
+  items?: Schema;
+  minItems?: number;
+  maxItems?: number;
+
+  // object
+  properties?: Record<string, Schema>;
+  required?: readonly string[];
+  additionalProperties?: boolean;
+}
+
+/**
+ * Validate a value against a schema
+ * @param schema Schema to validate against
+ * @param value Value to check
+ * @param path Field path used in reported issues
+ * @returns List of issues; empty when the value is valid
+ */
+export function validateSchema(schema: Schema, value: unknown, path: string = ''): FieldIssue[] {
+  const field = path || '(body)';
+
+  if (typeof schema.type !== 'string') {
+    const types = schema.type;
+    return types.some(type => validateSchema({ ...schema, type }, value, path).length === 0)
+      ? []
+      : [issue(field, FieldIssueCode.INVALID_TYPE, `${field} must be a ${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}`)];
+  }
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+        return [issue(field, FieldIssueCode.INVALID_TYPE, `${field} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`)];
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        return [issue(field, FieldIssueCode.OUT_OF_RANGE, `${field} must be at least ${schema.minimum}`)];
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        return [issue(field, FieldIssueCode.OUT_OF_RANGE, `${field} must be greater than ${schema.exclusiveMinimum}`)];
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        return [issue(field, FieldIssueCode.OUT_OF_RANGE, `${field} must be at most ${schema.maximum}`)];
+      }
+      return [];
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') {
+        return [issue(field, FieldIssueCode.INVALID_TYPE, `${field} must be a string`)];
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        return [issue(field, FieldIssueCode.INVALID_VALUE, `${field} must be one of: ${schema.enum.join(', ')}`)];
+      }
+      if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+        return [issue(field, FieldIssueCode.INVALID_VALUE, `${field} must be an ISO 8601 date-time`)];
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return [issue(field, FieldIssueCode.INVALID_VALUE, `${field} has an invalid format`)];
+      }
+      return [];
+    }
+
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [issue(field, FieldIssueCode.INVALID_TYPE, `${field} must be a boolean`)];
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return [issue(field, FieldIssueCode.INVALID_TYPE, `${field} must be an array`)];
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return [issue(field, FieldIssueCode.OUT_OF_RANGE, `${field} must contain at least ${schema.minItems} item(s)`)];
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return [issue(field, FieldIssueCode.OUT_OF_RANGE, `${field} must contain at most ${schema.maxItems} item(s)`)];
+      }
+      return schema.items
+        ? value.flatMap((item, index) => validateSchema(schema.items!, item, `${path}[${index}]`))
+        : [];
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return [issue(field, FieldIssueCode.INVALID_TYPE, `${field} must be an object`)];
+      }
+
+      const record = value as Record<string, unknown>;
+      const properties = schema.properties || {};
+      const issues: FieldIssue[] = [];
+
+      for (const name of schema.required || []) {
+        if (record[name] === undefined || record[name] === null) {
+          issues.push(issue(join(path, name), FieldIssueCode.REQUIRED, `${join(path, name)} is required`));
+        }
+      }
+
+      for (const [name, propertyValue] of Object.entries(record)) {
+        const propertySchema = properties[name];
+        if (!propertySchema) {
+          if (schema.additionalProperties === false) {
+            issues.push(issue(join(path, name), FieldIssueCode.UNKNOWN_FIELD, `${join(path, name)} is not a recognized field`));
+          }
+          continue;
+        }
+        if (propertyValue !== undefined && propertyValue !== null) {
+          issues.push(...validateSchema(propertySchema, propertyValue, join(path, name)));
+        }
+      }
+
+      return issues;
+    }
+  }
+}
+
+function issue(field: string, code: FieldIssueCode, message: string): FieldIssue {
+  return { field, code, message };
+}
+
+function join(path: string, name: string): string {
+  return path ? `${path}.${name}` : name;
+}
@@ -0,0 +1,38 @@
+import React from 'react';
+import '../styles/components/RadiusSelector.css';
+
+// Planned altitude in feet AGL; null means "not set" and skips ceiling classification
+const AltitudeSelector = ({ selectedAltitude, onAltitudeChange }) => {
+  const altitudeOptions = [
+    { value: null, label: 'Not set' },
+    { value: 100, label: '100 ft' },
+    { value: 200, label: '200 ft' },
+    { value: 300, label: '300 ft' },
+    { value: 400, label: '400 ft' }
+  ];
+
+  return (
+    <div className="radius-selector">
+      <label className="radius-label">Planned Altitude (AGL)</label>
+      <div className="radius-options">
+        {altitudeOptions.map((option) => (
+          <label key={option.label} className="radius-option">
+            <input
+              type="radio"
+              name="altitude"
+              value={option.value ?? ''}
+              checked={selectedAltitude === option.value}
+              onChange={() => onAltitudeChange(option.value)}
+              className="radius-input"
+            />
+            <div className="radius-card">
+              <div className="radius-value">{option.label}</div>
+            </div>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AltitudeSelector;
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+
+/**
+ * Toolbar for defining a custom area of interest (AOI) on the map
+ *
+ * Drawing itself happens on the map (see MapVisualization); this component
+ * only renders the controls and the "paste GeoJSON" panel.
+ */
+
+// Accept a bare geometry, a Feature or the first feature of a FeatureCollection
+const extractPolygon = (geojson) => {
+  const candidate = geojson?.type === 'FeatureCollection' ? geojson.features?.[0] : geojson;
+  const geometry = candidate?.type === 'Feature' ? candidate.geometry : candidate;
+
+  if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+    throw new Error('GeoJSON must be a Polygon or MultiPolygon (geometry, Feature or FeatureCollection).');
+  }
+  return { type: geometry.type, coordinates: geometry.coordinates };
+};
+
+const AreaOfInterestTools = ({ aoi, drawing, vertexCount, onStartDrawing, onFinishDrawing, onCancelDrawing, onAoiChange }) => {
+  const [pasteOpen, setPasteOpen] = useState(false);
+  const [pasteText, setPasteText] = useState('');
+  const [pasteError, setPasteError] = useState(null);
+
+  const handleApplyPaste = () => {
+    try {
+      const polygon = extractPolygon(JSON.parse(pasteText));
+      setPasteError(null);
+      setPasteOpen(false);
+      onAoiChange(polygon);
+    } catch (err) {
+      setPasteError(err instanceof SyntaxError ? 'Not valid JSON.' : err.message);
+    }
+  };
+
+  return (
+    <div className="aoi-tools">
+      <div className="aoi-buttons">
+        {drawing ? (
+          <>
+            <span className="aoi-hint">Click the map to add corners ({vertexCount} added)</span>
+            <button onClick={onFinishDrawing} disabled={vertexCount < 3} className="aoi-btn primary">
+              Finish Area
+            </button>
+            <button onClick={onCancelDrawing} className="aoi-btn">Cancel</button>
+          </>
+        ) : (
+          <>
+            <button onClick={onStartDrawing} className="aoi-btn">✏️ Draw Area</button>
+            <button onClick={() => setPasteOpen(!pasteOpen)} className={`aoi-btn ${pasteOpen ? 'active' : ''}`}>
+              📋 Paste GeoJSON
+            </button>
+            {aoi && (
+              <button onClick={() => onAoiChange(null)} className="aoi-btn">
+                ✖ Clear Area (use radius)
+              </button>
+            )}
+          </>
+        )}
+      </div>
+
+      {pasteOpen && !drawing && (
+        <div className="aoi-paste">
+          <textarea
+            value={pasteText}
+            onChange={(e) => setPasteText(e.target.value)}
+            placeholder='{"type": "Polygon", "coordinates": [[[lng, lat], ...]]}'
+            rows={5}
+            className="aoi-textarea"
+          />
+          {pasteError && <p className="aoi-error">{pasteError}</p>}
+          <button onClick={handleApplyPaste} disabled={!pasteText.trim()} className="aoi-btn primary">
+            Use This Area
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AreaOfInterestTools;
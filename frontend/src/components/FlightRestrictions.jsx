@@ -1,10 +1,87 @@
 import React, { useState, useEffect } from 'react';
 import '../styles/components/FlightRestrictions.css';
 // Import shared types for type checking (will be used in TypeScript conversion)
-import { RestrictionCategory, RestrictionType } from '@shared/types/RestrictionLayer';
+import { RestrictionCategory, RestrictionType, ActivityStatus, LightCondition } from '@shared/types/RestrictionLayer';
 
-const FlightRestrictions = ({ locationData, radius = 1000, onRadiusChange }) => {
+const ACTIVITY_LABELS = {
+  [ActivityStatus.ACTIVE]: 'Active during flight window',
+  [ActivityStatus.UPCOMING]: 'Starts within 24 hours after the window',
+  [ActivityStatus.INACTIVE]: 'Not in effect during the window'
+};
+
+const LIGHT_LABELS = {
+  [LightCondition.DAYLIGHT]: 'Daylight',
+  [LightCondition.CIVIL_TWILIGHT]: 'Civil twilight',
+  [LightCondition.NIGHT]: 'Night'
+};
+
+// Clock time in the flight window's time zone, or a dash for events that do not happen that day
+const formatSunTime = (iso, timezone) => (
+  iso ? new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: timezone }) : '—'
+);
+
+// Daylight / twilight / night bar for each local day, with the flight window marked on it
+const DaylightTimeline = ({ daylight, flightWindow }) => {
+  const windowStart = Date.parse(flightWindow.start);
+  const windowEnd = Date.parse(flightWindow.end);
+
+  return (
+    <div className="daylight">
+      <h4>Daylight</h4>
+      {daylight.days.map(day => {
+        const dayStart = Date.parse(day.periods[0].start);
+        const dayLength = Date.parse(day.periods[day.periods.length - 1].end) - dayStart;
+        const percent = (time) => Math.min(100, Math.max(0, ((time - dayStart) / dayLength) * 100));
+        const windowLeft = percent(windowStart);
+        const windowRight = percent(windowEnd);
+
+        return (
+          <div key={day.date} className="daylight-day">
+            <span className="daylight-date">{day.date}</span>
+            <div className="daylight-bar">
+              {day.periods.map(period => (
+                <div
+                  key={period.start}
+                  className={`daylight-period ${period.condition.toLowerCase()}`}
+                  style={{ width: `${percent(Date.parse(period.end)) - percent(Date.parse(period.start))}%` }}
+                  title={`${LIGHT_LABELS[period.condition]}: ${formatSunTime(period.start, flightWindow.timezone)}–${formatSunTime(period.end, flightWindow.timezone)}`}
+                />
+              ))}
+              {windowEnd > dayStart && windowStart < dayStart + dayLength && (
+                <div
+                  className="daylight-window"
+                  style={{ left: `${windowLeft}%`, width: `${windowRight - windowLeft}%` }}
+                  title="Flight window"
+                />
+              )}
+            </div>
+            <div className="daylight-times">
+              <span>Civil dawn {formatSunTime(day.civilDawn, flightWindow.timezone)}</span>
+              <span>Sunrise {formatSunTime(day.sunrise, flightWindow.timezone)}</span>
+              <span>Sunset {formatSunTime(day.sunset, flightWindow.timezone)}</span>
+              <span>Civil dusk {formatSunTime(day.civilDusk, flightWindow.timezone)}</span>
+            </div>
+          </div>
+        );
+      })}
+      <div className="daylight-legend">
+        {Object.values(LightCondition).map(condition => (
+          <span key={condition}>
+            <span className={`daylight-swatch ${condition.toLowerCase()}`}></span>
+            {LIGHT_LABELS[condition]}
+          </span>
+        ))}
+      </div>
+      {daylight.advisory && (
+        <p className="daylight-advisory" role="alert">🌙 {daylight.advisory}</p>
+      )}
+    </div>
+  );
+};
+
+const FlightRestrictions = ({ locationData, radius = 1000, aoi = null, altitude = null, flightWindow = null, onRadiusChange }) => {
   const [restrictions, setRestrictions] = useState(null);
+  const [metadata, setMetadata] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -12,7 +89,7 @@ const FlightRestrictions = ({ locationData, radius = 1000, onRadiusChange }) =>
     if (locationData && locationData.coordinates) {
       fetchRestrictions();
     }
-  }, [locationData, radius]);
+  }, [locationData, radius, aoi, altitude, flightWindow]);
 
   const fetchRestrictions = async () => {
     if (!locationData?.coordinates) return;
@@ -26,10 +103,15 @@ const FlightRestrictions = ({ locationData, radius = 1000, onRadiusChange }) =>
         headers: {
           'Content-Type': 'application/json',
         },
+        // A custom area of interest replaces the center/radius circle
         body: JSON.stringify({
-          lat: locationData.coordinates.latitude,
-          lng: locationData.coordinates.longitude,
-          radius: radius
+          ...(aoi ? { aoi } : {
+            lat: locationData.coordinates.latitude,
+            lng: locationData.coordinates.longitude,
+            radius: radius
+          }),
+          ...(altitude !== null ? { altitude } : {}),
+          ...(flightWindow ? { flightWindow } : {})
         }),
       });
 
@@ -39,6 +121,7 @@ const FlightRestrictions = ({ locationData, radius = 1000, onRadiusChange }) =>
 
       const data = await response.json();
       setRestrictions(data.data);
+      setMetadata(data.metadata);
     } catch (err) {
       console.error('Error fetching restrictions:', err);
       setError('Failed to load flight restrictions. Please try again later.');
@@ -57,6 +140,9 @@ const FlightRestrictions = ({ locationData, radius = 1000, onRadiusChange }) =>
     return new Date(dateString).toLocaleString();
   };
 
+  // Any failed or partial provider means restrictions may be missing from the list below
+  const dataIncomplete = metadata?.dataComplete === false;
+
   if (!locationData) {
     return null;
   }
@@ -109,13 +195,33 @@ const FlightRestrictions = ({ locationData, radius = 1000, onRadiusChange }) =>
         <div className="restrictions-header">
           <h3>Flight Restrictions</h3>
           <div className="search-info">
-            <span className="radius">Search Radius: {radius} mi</span>
+            <span className="radius">{aoi ? 'Search Area: Custom' : `Search Radius: ${radius} mi`}</span>
             <span className="coordinates">
               {locationData.coordinates.latitude.toFixed(6)}, {locationData.coordinates.longitude.toFixed(6)}
             </span>
           </div>
         </div>
 
+      {dataIncomplete && (
+        <div className="data-incomplete" role="alert">
+          <p className="warning">⚠️ Data incomplete — this list may be missing restrictions.</p>
+          <ul className="provider-status-list">
+            {metadata.providers.filter(p => p.status !== 'ok').map(provider => (
+              <li key={provider.id} className={`provider-status ${provider.status}`}>
+                <span className="provider-name">{provider.name}</span>
+                <span className="provider-state">{provider.status === 'failed' || provider.complete !== false ? provider.status : 'partial'}</span>
+                {provider.error && <span className="provider-error">{provider.error}</span>}
+              </li>
+            ))}
+          </ul>
+          <p className="note">Do not fly based on this result. Check the FAA UAS Facility Map or B4UFLY before flying.</p>
+        </div>
+      )}
+
+      {metadata?.daylight && metadata.flightWindow && (
+        <DaylightTimeline daylight={metadata.daylight} flightWindow={metadata.flightWindow} />
+      )}
+
       <div className="restrictions-list">
         {(() => {
           // Combine and sort restrictions by type
@@ -135,6 +241,14 @@ const FlightRestrictions = ({ locationData, radius = 1000, onRadiusChange }) =>
             return nameA.localeCompare(nameB);
           });
 
+          if (allRestrictions.length === 0 && dataIncomplete) {
+            return (
+              <div className="no-restrictions incomplete">
+                <p>No restrictions could be confirmed because some data sources failed.</p>
+              </div>
+            );
+          }
+
           if (allRestrictions.length === 0) {
             return (
               <div className="no-restrictions">
@@ -158,6 +272,14 @@ const FlightRestrictions = ({ locationData, radius = 1000, onRadiusChange }) =>
                 </div>
               </div>
               <div className="restriction-details">
+                {restriction.properties.activity && (
+                  <div className="detail-row">
+                    <span className="label">Status:</span>
+                    <span className={`value activity-${restriction.properties.activity.toLowerCase()}`}>
+                      {ACTIVITY_LABELS[restriction.properties.activity]}
+                    </span>
+                  </div>
+                )}
                 {restriction.type === 'airspace' ? (
                   <>
                     <div className="detail-row">
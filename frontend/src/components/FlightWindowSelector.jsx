@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import '../styles/components/RadiusSelector.css';
+
+// Flights are planned in the browser's time zone
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const todayLocal = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+// Planned flight window; null means "now" and lets the backend use the current time
+const FlightWindowSelector = ({ flightWindow, onFlightWindowChange }) => {
+  const [date, setDate] = useState(todayLocal);
+  const [startTime, setStartTime] = useState('09:00');
+  const [endTime, setEndTime] = useState('11:00');
+
+  const handleApply = () => {
+    const start = new Date(`${date}T${startTime}`);
+    const end = new Date(`${date}T${endTime}`);
+    // An end time before the start runs past midnight
+    if (end <= start) {
+      end.setDate(end.getDate() + 1);
+    }
+    onFlightWindowChange({ start: start.toISOString(), end: end.toISOString(), timezone: BROWSER_TIMEZONE });
+  };
+
+  return (
+    <div className="radius-selector">
+      <label className="radius-label">Flight Window ({BROWSER_TIMEZONE})</label>
+      <div className="flight-window-fields">
+        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="flight-window-input" />
+        <input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)} className="flight-window-input" />
+        <span>to</span>
+        <input type="time" value={endTime} onChange={(e) => setEndTime(e.target.value)} className="flight-window-input" />
+      </div>
+      <div className="flight-window-actions">
+        <button onClick={handleApply} disabled={!date || !startTime || !endTime} className="flight-window-btn primary">
+          Check This Window
+        </button>
+        {flightWindow && (
+          <button onClick={() => onFlightWindowChange(null)} className="flight-window-btn">
+            Use Current Time
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FlightWindowSelector;
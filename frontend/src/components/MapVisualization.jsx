@@ -1,8 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMapEvents, GeoJSON } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, useMapEvents, GeoJSON, Polyline, Polygon } from 'react-leaflet';
 import L from 'leaflet';
-import { RestrictionCategory, RestrictionType } from '@shared/types/RestrictionLayer';
+import { RestrictionCategory, RestrictionType, CeilingStatus, OperatorType } from '@shared/types/RestrictionLayer';
 import 'leaflet/dist/leaflet.css';
+import AreaOfInterestTools from './AreaOfInterestTools';
+import NotamOverlayTools from './NotamOverlayTools';
+import PointCheck from './PointCheck';
+import '../styles/components/MapVisualization.css';
 
 // Import Leaflet images for Vite compatibility
 import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
@@ -17,10 +21,115 @@ L.Icon.Default.mergeOptions({
   shadowUrl: markerShadow,
 });
 
-const MapVisualization = ({ locationData, restrictions, radius = 1000 }) => {
+// FAA UAS facility map ceilings (ft AGL) and their fill colors, lowest first
+const CEILING_COLORS = [
+  { max: 0, color: '#dc2626' },
+  { max: 50, color: '#ea580c' },
+  { max: 100, color: '#f59e0b' },
+  { max: 200, color: '#eab308' },
+  { max: 300, color: '#84cc16' },
+  { max: 400, color: '#22c55e' }
+];
+
+const getCeilingColor = (maxAGL) =>
+  (CEILING_COLORS.find(entry => maxAGL <= entry.max) || CEILING_COLORS[CEILING_COLORS.length - 1]).color;
+
+const CEILING_STATUS_LABELS = {
+  [CeilingStatus.BELOW_CEILING]: 'Below ceiling — LAANC eligible',
+  [CeilingStatus.ABOVE_CEILING]: 'Above ceiling — further authorization required',
+  [CeilingStatus.ZERO_CEILING]: 'Zero ceiling — no LAANC authorization'
+};
+
+// Effective zones are colored by their effective (strictest) type
+const ZONE_COLORS = {
+  [RestrictionType.NO_FLY]: '#b91c1c',
+  [RestrictionType.AUTH_REQUIRED]: '#ea580c',
+  [RestrictionType.ADVISORY]: '#ca8a04'
+};
+
+const ZONE_TYPE_LABELS = {
+  [RestrictionType.NO_FLY]: 'No-fly',
+  [RestrictionType.AUTH_REQUIRED]: 'Authorization required',
+  [RestrictionType.ADVISORY]: 'Advisory'
+};
+
+// Local restriction outlines by type (ED-269 zones are local restrictions too)
+const LOCAL_DASH_ARRAYS = {
+  [RestrictionType.NO_FLY]: null,
+  [RestrictionType.AUTH_REQUIRED]: '12, 4',
+  [RestrictionType.ADVISORY]: '6, 4'
+};
+
+// TFR altitudes are in feet with a SFC/AGL/MSL/STD reference
+const formatTfrAltitude = (feet, reference) => {
+  if (reference === 'SFC') return 'surface';
+  if (reference === 'STD') return `FL${Math.round(feet / 100)}`;
+  return `${feet} ft ${reference}`;
+};
+
+// NOTAM ceilings may be unlimited (null with reference UNL)
+const formatNotamAltitude = (feet, reference) =>
+  reference === 'UNL' ? 'unlimited' : formatTfrAltitude(feet, reference);
+
+// NOTAM text is user supplied and OSM and GIS attributes are open to editing, yet all end up in popup HTML
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Only http(s) links are rendered; javascript: and data: URLs would run in the page
+const sourceLink = (url) => {
+  try {
+    if (!['http:', 'https:'].includes(new URL(url).protocol)) return '';
+  } catch {
+    return '';
+  }
+  return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">Source</a>`;
+};
+
+// Slider steps across the timeline
+const TIME_SLIDER_STEP_MS = 15 * 60 * 1000;
+
+// Restrictions without activeIntervals come from searches that were not time-aware
+const isActiveAt = (feature, time) => {
+  const intervals = feature?.properties?.activeIntervals;
+  if (!Array.isArray(intervals)) return true;
+  return intervals.some(interval => Date.parse(interval.start) <= time && time < Date.parse(interval.end));
+};
+
+const formatClock = (time, timezone) =>
+  new Date(time).toLocaleTimeString([], { timeZone: timezone, hour: '2-digit', minute: '2-digit' });
+
+// "07:00–17:00, 22:00–24:00" in the flight window's time zone
+const formatActiveIntervals = (intervals, timezone) => {
+  if (!intervals?.length) return 'Not in effect on these days';
+  return intervals.map(interval => `${formatClock(Date.parse(interval.start), timezone)}–${formatClock(Date.parse(interval.end), timezone)}`).join(', ');
+};
+
+// Collects clicked points while the user draws an area of interest
+function AoiDrawHandler({ drawing, onAddVertex }) {
+  useMapEvents({
+    click(e) {
+      if (drawing) {
+        onAddVertex([e.latlng.lat, e.latlng.lng]);
+      }
+    }
+  });
+  return null;
+}
+
+const MapVisualization = ({ locationData, restrictions, metadata, radius = 1000, aoi = null, altitude = null, onAoiChange }) => {
   const [mapCenter, setMapCenter] = useState([37.7749, -122.4194]);
   const [mapZoom, setMapZoom] = useState(13);
   const [mapKey, setMapKey] = useState(Date.now()); // Key to force map remount
+  const [drawing, setDrawing] = useState(false);
+  const [drawVertices, setDrawVertices] = useState([]); // [lat, lng] pairs for Leaflet
+  const [notams, setNotams] = useState(null); // Parsed NOTAM overlay, kept across searches
+  const [slider, setSlider] = useState({ timelineStart: null, time: null }); // Time slider position per timeline
+  const [showSourceLayers, setShowSourceLayers] = useState(false); // Individual restriction layers under the effective zones
+  const [pointCheckEnabled, setPointCheckEnabled] = useState(true); // Map clicks ask for a "can I fly here?" verdict
+  const [operator, setOperator] = useState(OperatorType.PART_107);
 
   useEffect(() => {
     console.log('MapVisualization props:', { locationData, restrictions, radius });
@@ -30,6 +139,49 @@ const MapVisualization = ({ locationData, restrictions, radius = 1000 }) => {
     }
   }, [locationData]);
 
+  const handleStartDrawing = () => {
+    setDrawVertices([]);
+    setDrawing(true);
+  };
+
+  const handleCancelDrawing = () => {
+    setDrawVertices([]);
+    setDrawing(false);
+  };
+
+  const handleFinishDrawing = () => {
+    // GeoJSON uses [lng, lat] and closed rings
+    const ring = drawVertices.map(([lat, lng]) => [lng, lat]);
+    ring.push(ring[0]);
+    setDrawVertices([]);
+    setDrawing(false);
+    onAoiChange?.({ type: 'Polygon', coordinates: [ring] });
+  };
+
+  // Grid cells are drawn individually from faaCeilings, so only non-grid FAA features remain in the merged layer
+  const ceilingCells = restrictions?.faaCeilings?.features || [];
+  const airspaceOverlay = ceilingCells.length > 0
+    ? { type: 'FeatureCollection', features: (restrictions.airspaceRestrictions?.features || []).filter(f => !f.properties.gridId) }
+    : restrictions?.airspaceRestrictions;
+
+  // Effective zones are the primary layer; without them the individual layers are always drawn
+  const zones = restrictions?.effectiveZones?.features || [];
+  const showSources = zones.length === 0 || showSourceLayers;
+
+  // Any failed or partial provider means restrictions may be missing, so nothing may be shown as allowed
+  const dataIncomplete = metadata?.dataComplete === false;
+  const affectedProviders = (metadata?.providers || []).filter(p => p.status === 'failed' || p.complete === false);
+
+  // The slider starts at the flight window and resets whenever a search returns a new timeline
+  const timeline = metadata?.timeline;
+  const timezone = metadata?.flightWindow?.timezone || 'UTC';
+  const timelineStart = timeline ? Date.parse(timeline.start) : null;
+  const timelineEnd = timeline ? Date.parse(timeline.end) : null;
+  const sliderTime = slider.timelineStart === timelineStart && slider.time !== null
+    ? slider.time
+    : (metadata?.flightWindow ? Date.parse(metadata.flightWindow.start) : null);
+  const isInactiveNow = (feature) => sliderTime !== null && !isActiveAt(feature, sliderTime);
+
   // Style functions for different restriction types
   const getSearchAreaStyle = () => ({
     color: '#3b82f6',
@@ -39,19 +191,63 @@ const MapVisualization = ({ locationData, restrictions, radius = 1000 }) => {
     dashArray: '5, 5'
   });
 
-  const getAirspaceStyle = () => ({
+  // Restrictions not in effect at the slider time are faded and dashed
+  const getAirspaceStyle = (feature) => ({
     color: '#ef4444',
     weight: 2,
     fillColor: '#ef4444',
-    fillOpacity: 0.3
+    fillOpacity: isInactiveNow(feature) ? 0.05 : 0.3,
+    dashArray: isInactiveNow(feature) ? '2, 6' : null
   });
 
-  const getLocalStyle = () => ({
-    color: '#f59e0b',
-    weight: 2,
-    fillColor: '#f59e0b',
-    fillOpacity: 0.3
-  });
+  // Cells are colored by ceiling; cells the planned altitude exceeds get a heavy outline
+  const getCeilingStyle = (feature) => {
+    const { maxAGL, ceilingStatus } = feature.properties;
+    const exceeded = ceilingStatus === CeilingStatus.ABOVE_CEILING || ceilingStatus === CeilingStatus.ZERO_CEILING;
+    return {
+      color: exceeded ? '#7f1d1d' : getCeilingColor(maxAGL),
+      weight: exceeded ? 3 : 1,
+      fillColor: getCeilingColor(maxAGL),
+      fillOpacity: 0.35
+    };
+  };
+
+  const bindCeilingLabel = (feature, layer) => {
+    const { maxAGL, ceilingStatus, facility } = feature.properties;
+    layer.bindTooltip(`${maxAGL} ft`, { permanent: true, direction: 'center', className: 'ceiling-label' });
+    layer.bindPopup(`
+      <div style="font-family: Arial, sans-serif; font-size: 12px;">
+        <h4 style="margin: 0 0 5px 0;">FAA Grid Ceiling: ${maxAGL} ft AGL</h4>
+        <p style="margin: 0 0 5px 0;"><strong>Facility:</strong> ${escapeHtml(facility || 'Unknown')}</p>
+        ${ceilingStatus ? `<p style="margin: 0;"><strong>At ${altitude ?? '—'} ft:</strong> ${CEILING_STATUS_LABELS[ceilingStatus]}</p>` : ''}
+      </div>
+    `);
+  };
+
+  // No-fly local restrictions get a solid outline, authorization-required ones a
+  // darker long-dashed one and advisories a short-dashed one
+  const getLocalStyle = (feature) => {
+    const type = feature?.properties?.type;
+    return {
+      color: type === RestrictionType.AUTH_REQUIRED ? ZONE_COLORS[RestrictionType.AUTH_REQUIRED] : '#f59e0b',
+      weight: 2,
+      fillColor: '#f59e0b',
+      fillOpacity: isInactiveNow(feature) ? 0.05 : 0.3,
+      dashArray: isInactiveNow(feature) ? '2, 6' : (type in LOCAL_DASH_ARRAYS ? LOCAL_DASH_ARRAYS[type] : LOCAL_DASH_ARRAYS[RestrictionType.ADVISORY])
+    };
+  };
+
+  // Zones the planned altitude exceeds get a heavy outline, as grid cells do
+  const getZoneStyle = (feature) => {
+    const { type, maxAGL } = feature.properties;
+    const exceeded = altitude !== null && typeof maxAGL === 'number' && altitude > maxAGL;
+    return {
+      color: exceeded ? '#7f1d1d' : ZONE_COLORS[type],
+      weight: exceeded ? 3 : 1,
+      fillColor: ZONE_COLORS[type],
+      fillOpacity: 0.35
+    };
+  };
 
   const getAllowedStyle = () => ({
     color: '#10b981',
@@ -65,11 +261,17 @@ const MapVisualization = ({ locationData, restrictions, radius = 1000 }) => {
     const props = feature.properties;
     return `
       <div style="font-family: Arial, sans-serif; font-size: 12px;">
-        <h4 style="margin: 0 0 5px 0; color: #ef4444;">${props.name}</h4>
-        <p style="margin: 0 0 5px 0;"><strong>Category:</strong> ${props.category}</p>
-        <p style="margin: 0 0 5px 0;"><strong>Source:</strong> ${props.source}</p>
+        <h4 style="margin: 0 0 5px 0; color: #ef4444;">${escapeHtml(props.name)}</h4>
+        <p style="margin: 0 0 5px 0;"><strong>Category:</strong> ${escapeHtml(props.category)}</p>
+        <p style="margin: 0 0 5px 0;"><strong>Source:</strong> ${escapeHtml(props.source)}</p>
         <p style="margin: 0 0 5px 0;"><strong>Effective:</strong> ${new Date(props.effectiveDate).toLocaleDateString()}</p>
-        <p style="margin: 0;"><strong>Notes:</strong> ${props.notes}</p>
+        ${props.notamNumber ? `
+          <p style="margin: 0 0 5px 0;"><strong>NOTAM:</strong> ${escapeHtml(props.notamNumber)} (${escapeHtml(props.tfrType)})</p>
+          <p style="margin: 0 0 5px 0;"><strong>Expires:</strong> ${props.expirationDate ? new Date(props.expirationDate).toLocaleString() : 'Until further notice'}</p>
+          <p style="margin: 0 0 5px 0;"><strong>Altitudes:</strong> ${formatTfrAltitude(props.altitudeFloor, props.altitudeFloorReference)} to ${formatTfrAltitude(props.altitudeCeiling, props.altitudeCeilingReference)}</p>
+        ` : ''}
+        ${props.activeIntervals ? `<p style="margin: 0 0 5px 0;"><strong>In effect:</strong> ${formatActiveIntervals(props.activeIntervals, timezone)}</p>` : ''}
+        <p style="margin: 0;"><strong>Notes:</strong> ${escapeHtml(props.notes)}</p>
       </div>
     `;
   };
@@ -78,10 +280,61 @@ const MapVisualization = ({ locationData, restrictions, radius = 1000 }) => {
     const props = feature.properties;
     return `
       <div style="font-family: Arial, sans-serif; font-size: 12px;">
-        <h4 style="margin: 0 0 5px 0; color: #f59e0b;">${props.name}</h4>
-        <p style="margin: 0 0 5px 0;"><strong>Category:</strong> ${props.category}</p>
-        <p style="margin: 0 0 5px 0;"><strong>City:</strong> ${props.city}</p>
-        <p style="margin: 0;"><strong>Notes:</strong> ${props.notes}</p>
+        <h4 style="margin: 0 0 5px 0; color: #f59e0b;">${escapeHtml(props.name)}</h4>
+        <p style="margin: 0 0 5px 0;"><strong>Type:</strong> ${escapeHtml(ZONE_TYPE_LABELS[props.type] || props.type)} (${escapeHtml(props.category)})</p>
+        <p style="margin: 0 0 5px 0;"><strong>Authority:</strong> ${escapeHtml(props.authority)}</p>
+        <p style="margin: 0 0 5px 0;"><strong>Enforcement:</strong> ${escapeHtml(props.enforcement)}</p>
+        ${props.activeIntervals ? `<p style="margin: 0 0 5px 0;"><strong>In effect:</strong> ${formatActiveIntervals(props.activeIntervals, timezone)}</p>` : ''}
+        <p style="margin: 0 0 5px 0;"><strong>Confidence:</strong> ${escapeHtml(props.confidenceLevel)}</p>
+        <p style="margin: 0 0 5px 0;">${escapeHtml(props.description)}</p>
+        ${sourceLink(props.sourceUrl)}
+      </div>
+    `;
+  };
+
+  // Restriction text comes from upstream sources and ends up in popup HTML
+  const createZonePopup = (feature) => {
+    const props = feature.properties;
+    const governing = new Set(props.governingRestrictionIds || []);
+    return `
+      <div style="font-family: Arial, sans-serif; font-size: 12px; max-width: 320px;">
+        <h4 style="margin: 0 0 5px 0; color: ${ZONE_COLORS[props.type]};">${ZONE_TYPE_LABELS[props.type]}</h4>
+        <p style="margin: 0 0 5px 0;"><strong>Ceiling:</strong> ${typeof props.maxAGL === 'number' ? `${props.maxAGL} ft AGL` : 'none published'}</p>
+        <p style="margin: 0 0 5px 0;"><strong>Confidence:</strong> ${props.confidenceLevel}</p>
+        <p style="margin: 0 0 3px 0;"><strong>Restrictions here</strong> (bold: set the effective rule):</p>
+        <ul style="margin: 0; padding-left: 16px;">
+          ${(props.restrictions || []).map(r => `
+            <li style="margin: 0 0 3px 0;${governing.has(r.id) ? ' font-weight: bold;' : ''}">
+              ${escapeHtml(ZONE_TYPE_LABELS[r.type] || r.type)}${typeof r.maxAGL === 'number' ? `, ${r.maxAGL} ft` : ''}: ${escapeHtml(r.description)}
+              (${escapeHtml(r.authority)}) ${sourceLink(r.sourceUrl)}
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  };
+
+  // NOTAMs not in effect right now are drawn dashed and faded
+  const getNotamStyle = (feature) => ({
+    color: '#db2777',
+    weight: 2,
+    fillColor: '#db2777',
+    fillOpacity: feature?.properties?.active ? 0.3 : 0.08,
+    dashArray: feature?.properties?.active ? null : '6, 4'
+  });
+
+  const createNotamPopup = (feature) => {
+    const props = feature.properties;
+    const periods = props.validityPeriods || [];
+    return `
+      <div style="font-family: Arial, sans-serif; font-size: 12px; max-width: 320px;">
+        <h4 style="margin: 0 0 5px 0; color: #db2777;">${escapeHtml(props.name)} (${escapeHtml(props.notamCode)})</h4>
+        <p style="margin: 0 0 5px 0;"><strong>Status:</strong> ${props.active ? 'Active now' : 'Not active now'}</p>
+        <p style="margin: 0 0 5px 0;"><strong>Valid:</strong> ${new Date(props.effectiveDate).toLocaleString()} to ${props.expirationDate ? new Date(props.expirationDate).toLocaleString() : 'permanent'}</p>
+        ${props.scheduleText ? `<p style="margin: 0 0 5px 0;"><strong>Schedule:</strong> ${escapeHtml(props.scheduleText)} (${periods.length} period${periods.length === 1 ? '' : 's'})</p>` : ''}
+        <p style="margin: 0 0 5px 0;"><strong>Altitudes:</strong> ${formatNotamAltitude(props.altitudeFloor, props.altitudeFloorReference)} to ${formatNotamAltitude(props.altitudeCeiling, props.altitudeCeilingReference)}</p>
+        ${props.notes ? `<p style="margin: 0 0 5px 0;"><strong>Notes:</strong> ${escapeHtml(props.notes)}</p>` : ''}
+        <pre class="notam-text">${escapeHtml(props.text)}</pre>
       </div>
     `;
   };
@@ -133,13 +386,93 @@ const MapVisualization = ({ locationData, restrictions, radius = 1000 }) => {
       <div className="map-header">
         <h3>Flight Restriction Map</h3>
         <div className="map-info">
-          <span className="radius">Search Radius: {radius} mi</span>
+          <span className="radius">{aoi ? 'Search Area: Custom' : `Search Radius: ${radius} mi`}</span>
           <span className="coordinates">
             {locationData.coordinates.latitude.toFixed(6)}, {locationData.coordinates.longitude.toFixed(6)}
           </span>
         </div>
       </div>
 
+      {onAoiChange && (
+        <AreaOfInterestTools
+          aoi={aoi}
+          drawing={drawing}
+          vertexCount={drawVertices.length}
+          onStartDrawing={handleStartDrawing}
+          onFinishDrawing={handleFinishDrawing}
+          onCancelDrawing={handleCancelDrawing}
+          onAoiChange={onAoiChange}
+        />
+      )}
+
+      <NotamOverlayTools notams={notams} onNotamsChange={setNotams} />
+
+      {dataIncomplete && (
+        <div className="data-incomplete-banner" role="alert">
+          <strong>⚠️ DATA INCOMPLETE — DO NOT TREAT ANY AREA AS SAFE TO FLY</strong>
+          <p>
+            {affectedProviders.length > 0
+              ? `Unavailable or partial sources: ${affectedProviders.map(p => p.name).join(', ')}.`
+              : metadata.error || 'Restriction data could not be loaded.'}
+            {' '}Restrictions may exist that are not shown on this map.
+          </p>
+        </div>
+      )}
+
+      {timeline && sliderTime !== null && (
+        <div className="time-slider">
+          <label htmlFor="time-slider-input">
+            Restrictions in effect at <strong>{formatClock(sliderTime, timezone)}</strong>
+            {' '}on {new Date(sliderTime).toLocaleDateString([], { timeZone: timezone })} ({timezone})
+          </label>
+          <input
+            id="time-slider-input"
+            type="range"
+            min={timelineStart}
+            max={timelineEnd - TIME_SLIDER_STEP_MS}
+            step={TIME_SLIDER_STEP_MS}
+            value={sliderTime}
+            onChange={(e) => setSlider({ timelineStart, time: Number(e.target.value) })}
+          />
+          <div className="time-slider-scale">
+            <span>{formatClock(timelineStart, timezone)}</span>
+            <span>
+              Flight window: {formatClock(Date.parse(metadata.flightWindow.start), timezone)}–{formatClock(Date.parse(metadata.flightWindow.end), timezone)}
+            </span>
+            <span>{formatClock(timelineEnd, timezone)}</span>
+          </div>
+        </div>
+      )}
+
+      <div className="point-check-controls">
+        <label className="layer-toggle">
+          <input
+            type="checkbox"
+            checked={pointCheckEnabled}
+            onChange={(e) => setPointCheckEnabled(e.target.checked)}
+          />
+          Click the map to check whether you can fly there
+        </label>
+        <label className="layer-toggle">
+          Operator:
+          <select value={operator} onChange={(e) => setOperator(e.target.value)} disabled={!pointCheckEnabled}>
+            <option value={OperatorType.PART_107}>Part 107</option>
+            <option value={OperatorType.RECREATIONAL}>Recreational</option>
+          </select>
+        </label>
+      </div>
+
+      {zones.length > 0 && (
+        <label className="layer-toggle">
+          <input
+            type="checkbox"
+            checked={showSourceLayers}
+            onChange={(e) => setShowSourceLayers(e.target.checked)}
+          />
+          Show individual restriction layers under the effective zones
+        </label>
+      )}
+
       <div className="map-container">
         <MapContainer
           center={mapCenter}
@@ -168,21 +501,41 @@ const MapVisualization = ({ locationData, restrictions, radius = 1000 }) => {
               <Popup>
                   <div style={{ fontFamily: 'Arial, sans-serif', fontSize: '12px' }}>
                     <h4 style={{ margin: '0 0 5px 0', color: '#3b82f6' }}>Search Area</h4>
-                    <p style={{ margin: '0 0 5px 0' }}><strong>Radius:</strong> {radius}</p>
+                    <p style={{ margin: '0 0 5px 0' }}><strong>{aoi ? 'Area:' : 'Radius:'}</strong> {aoi ? 'Custom polygon' : radius}</p>
                     <p style={{ margin: '0' }}><strong>Center:</strong> {locationData.coordinates.latitude.toFixed(6)}, {locationData.coordinates.longitude.toFixed(6)}</p>
                   </div>
               </Popup>
             </GeoJSON>
           )}
 
+          {/* Effective Zones - the primary layer */}
+          {zones.length > 0 && (
+            <GeoJSON
+              data={restrictions.effectiveZones}
+              style={getZoneStyle}
+              onEachFeature={(feature, layer) => layer.bindPopup(createZonePopup(feature))}
+              key={`zones-${zones.map(f => f.properties.governingRestrictionIds.join('+')).join(',')}-${altitude}`}
+            />
+          )}
+
+          {/* FAA Grid Ceilings */}
+          {showSources && ceilingCells.length > 0 && (
+            <GeoJSON
+              data={restrictions.faaCeilings}
+              style={getCeilingStyle}
+              onEachFeature={bindCeilingLabel}
+              key={`ceilings-${ceilingCells.length}-${altitude}`}
+            />
+          )}
+
           {/* Airspace Restrictions */}
-          {restrictions.airspaceRestrictions?.features?.length > 0 && (
+          {showSources && airspaceOverlay?.features?.length > 0 && (
             <GeoJSON
-              data={restrictions.airspaceRestrictions}
+              data={airspaceOverlay}
               style={getAirspaceStyle}
-              key={`airspace-layer-${restrictions.airspaceRestrictions.features.length}-${Date.now()}`}
+              key={`airspace-layer-${airspaceOverlay.features.length}-${Date.now()}`}
             >
-              {restrictions.airspaceRestrictions.features.map((feature, index) => (
+              {airspaceOverlay.features.map((feature, index) => (
                 <Popup key={`airspace-popup-${index}`}>
                   <div dangerouslySetInnerHTML={{ __html: createAirspacePopup(feature) }} />
                 </Popup>
@@ -190,9 +543,18 @@ const MapVisualization = ({ locationData, restrictions, radius = 1000 }) => {
             </GeoJSON>
           )}
 
-          
-          {/* Allowed Areas */}
-          {restrictions.allowedAreas?.features?.length > 0 && (
+          {/* Local Restrictions */}
+          {showSources && restrictions.localRestrictions?.features?.length > 0 && (
+            <GeoJSON
+              data={restrictions.localRestrictions}
+              style={getLocalStyle}
+              onEachFeature={(feature, layer) => layer.bindPopup(createLocalPopup(feature))}
+              key={`local-layer-${restrictions.localRestrictions.features.map(f => f.properties.id).join(',')}`}
+            />
+          )}
+
+          {/* Allowed Areas - withheld when data is incomplete */}
+          {!dataIncomplete && restrictions.allowedAreas?.features?.length > 0 && (
             <GeoJSON
               data={restrictions.allowedAreas}
               style={getAllowedStyle}
@@ -206,6 +568,36 @@ const MapVisualization = ({ locationData, restrictions, radius = 1000 }) => {
             </GeoJSON>
           )}
 
+          {/* NOTAM overlay */}
+          {notams?.features?.length > 0 && (
+            <GeoJSON
+              data={notams}
+              style={getNotamStyle}
+              onEachFeature={(feature, layer) => layer.bindPopup(createNotamPopup(feature))}
+              key={`notams-${notams.features.map(f => f.properties.id).join(',')}`}
+            />
+          )}
+
+          {/* "Can I fly here?" verdict at the clicked point; layer popups show when it is off */}
+          <PointCheck
+            enabled={pointCheckEnabled && !drawing}
+            altitude={altitude}
+            operator={operator}
+            flightWindow={metadata?.flightWindow}
+          />
+
+          {/* Area of interest being drawn */}
+          <AoiDrawHandler
+            drawing={drawing}
+            onAddVertex={(vertex) => setDrawVertices(vertices => [...vertices, vertex])}
+          />
+          {drawing && drawVertices.length >= 3 && (
+            <Polygon positions={drawVertices} pathOptions={{ color: '#7c3aed', dashArray: '4, 4', fillOpacity: 0.1 }} />
+          )}
+          {drawing && drawVertices.length > 0 && drawVertices.length < 3 && (
+            <Polyline positions={drawVertices} pathOptions={{ color: '#7c3aed', dashArray: '4, 4' }} />
+          )}
+
           {/* Center Marker */}
           <Marker position={mapCenter}>
             <Popup>
@@ -224,19 +616,52 @@ const MapVisualization = ({ locationData, restrictions, radius = 1000 }) => {
           <div className="legend-items">
             <div className="legend-item">
               <div className="legend-color" style={{ backgroundColor: '#3b82f6', border: '1px solid #3b82f6' }}></div>
-              <span>Search Area (Buffer)</span>
-            </div>
-            <div className="legend-item">
-              <div className="legend-color" style={{ backgroundColor: '#ef4444', border: '1px solid #ef4444' }}></div>
-              <span>FAA Airspace Restrictions</span>
-            </div>
-            <div className="legend-item">
-              <div className="legend-color" style={{ backgroundColor: '#f59e0b', border: '1px solid #f59e0b' }}></div>
-              <span>Local Restrictions</span>
+              <span>Search Area ({aoi ? 'Custom Area' : 'Buffer'})</span>
             </div>
+            {zones.length > 0 && (
+              <div className="legend-item ceiling-legend">
+                <span>Effective Zones:</span>
+                {Object.entries(ZONE_COLORS).map(([type, color]) => (
+                  <span key={type} className="ceiling-swatch" style={{ backgroundColor: color, color: '#fff' }}>{ZONE_TYPE_LABELS[type]}</span>
+                ))}
+              </div>
+            )}
+            {showSources && (
+              <div className="legend-item">
+                <div className="legend-color" style={{ backgroundColor: '#ef4444', border: '1px solid #ef4444' }}></div>
+                <span>FAA Airspace Restrictions</span>
+              </div>
+            )}
+            {showSources && ceilingCells.length > 0 && (
+              <div className="legend-item ceiling-legend">
+                <span>FAA Grid Ceilings (ft AGL):</span>
+                {CEILING_COLORS.map(entry => (
+                  <span key={entry.max} className="ceiling-swatch" style={{ backgroundColor: entry.color }}>{entry.max}</span>
+                ))}
+                {altitude !== null && <span className="ceiling-exceeded-note">Dark outline: above {altitude} ft ceiling</span>}
+              </div>
+            )}
+            {showSources && (
+              <div className="legend-item">
+                <div className="legend-color" style={{ backgroundColor: '#f59e0b', border: '1px solid #f59e0b' }}></div>
+                <span>Local Restrictions (long dashes: authorization required; short dashes: advisory)</span>
+              </div>
+            )}
+            {timeline && (
+              <div className="legend-item">
+                <div className="legend-color" style={{ backgroundColor: 'transparent', border: '1px dashed #6b7280' }}></div>
+                <span>Faded: not in effect at the selected time</span>
+              </div>
+            )}
+            {notams?.features?.length > 0 && (
+              <div className="legend-item">
+                <div className="legend-color" style={{ backgroundColor: '#db2777', border: '1px solid #db2777' }}></div>
+                <span>NOTAMs (dashed: not active now)</span>
+              </div>
+            )}
             <div className="legend-item">
               <div className="legend-color" style={{ backgroundColor: '#10b981', border: '1px solid #10b981' }}></div>
-              <span>Allowed Flight Areas</span>
+              <span>Allowed Flight Areas{dataIncomplete && ' (hidden: data incomplete)'}</span>
             </div>
           </div>
         </div>
@@ -249,9 +674,9 @@ const MapVisualization = ({ locationData, restrictions, radius = 1000 }) => {
             <h4>Restricted Areas</h4>
             <p className="summary-value">{(restrictions.airspaceRestrictions?.features?.length || 0) + (restrictions.localRestrictions?.features?.length || 0)}</p>
           </div>
-          <div className="summary-card allowed">
+          <div className={`summary-card ${dataIncomplete ? 'incomplete' : 'allowed'}`}>
             <h4>Allowed Areas</h4>
-            <p className="summary-value">{restrictions.allowedAreas?.features?.length || 0}</p>
+            <p className="summary-value">{dataIncomplete ? 'Unknown' : restrictions.allowedAreas?.features?.length || 0}</p>
           </div>
         </div>
       </div>
@@ -0,0 +1,94 @@
+import { useState } from 'react';
+
+/**
+ * Panel for pasting ICAO NOTAM text and overlaying it on the map
+ *
+ * The text is parsed by the backend (POST /api/notams); the resulting
+ * features are handed to the map through onNotamsChange.
+ */
+const NotamOverlayTools = ({ notams, onNotamsChange }) => {
+  const [panelOpen, setPanelOpen] = useState(false);
+  const [notamText, setNotamText] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [parseErrors, setParseErrors] = useState([]);
+
+  const handleOverlay = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('http://localhost:3000/api/notams', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: notamText })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        // Validation errors carry per-field details
+        const details = Array.isArray(result.error?.details) ? result.error.details.map(d => d.message).join('; ') : '';
+        throw new Error(details || result.error?.message || `HTTP error! status: ${response.status}`);
+      }
+
+      setParseErrors(result.data.errors);
+      onNotamsChange(result.data.notams);
+    } catch (err) {
+      console.error('Error parsing NOTAMs:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClear = () => {
+    setParseErrors([]);
+    setError(null);
+    onNotamsChange(null);
+  };
+
+  const count = notams?.features?.length || 0;
+
+  return (
+    <div className="aoi-tools">
+      <div className="aoi-buttons">
+        <button onClick={() => setPanelOpen(!panelOpen)} className={`aoi-btn ${panelOpen ? 'active' : ''}`}>
+          📄 Overlay NOTAMs
+        </button>
+        {notams && (
+          <>
+            <span className="aoi-hint">{count} NOTAM{count === 1 ? '' : 's'} on map</span>
+            <button onClick={handleClear} className="aoi-btn">✖ Clear NOTAMs</button>
+          </>
+        )}
+      </div>
+
+      {panelOpen && (
+        <div className="aoi-paste">
+          <textarea
+            value={notamText}
+            onChange={(e) => setNotamText(e.target.value)}
+            placeholder={'A1234/24 NOTAMN\nQ) KZOA/QRTCA/IV/BO/W/000/040/3746N12225W005\nA) KZOA B) 2401011200 C) 2401021800\nE) ...'}
+            rows={6}
+            className="aoi-textarea"
+          />
+          {error && <p className="aoi-error">{error}</p>}
+          {parseErrors.length > 0 && (
+            <ul className="notam-errors">
+              {parseErrors.map(parseError => (
+                <li key={parseError.index}>
+                  NOTAM {parseError.notamId || `#${parseError.index + 1}`}: {parseError.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          <button onClick={handleOverlay} disabled={!notamText.trim() || loading} className="aoi-btn primary">
+            {loading ? 'Parsing...' : 'Overlay on Map'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotamOverlayTools;
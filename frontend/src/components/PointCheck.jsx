@@ -0,0 +1,107 @@
+import { useRef, useState } from 'react';
+import { Popup, useMapEvents } from 'react-leaflet';
+import { FlightVerdict } from '@shared/types/RestrictionLayer';
+
+/**
+ * "Can I fly here?" check for a clicked point
+ *
+ * Rendered inside the map: each click (while enabled) asks the backend
+ * (POST /api/point-check) for a verdict at that point and shows it in a
+ * popup there. Only the latest click's answer is shown.
+ */
+
+// Used when no planned altitude is selected
+const DEFAULT_ALTITUDE = 400;
+
+const VERDICTS = {
+  [FlightVerdict.GO]: { label: 'GO', color: '#059669' },
+  [FlightVerdict.AUTHORIZATION_NEEDED]: { label: 'AUTHORIZATION NEEDED', color: '#d97706' },
+  [FlightVerdict.NO_GO]: { label: 'NO-GO', color: '#dc2626' }
+};
+
+const PointCheck = ({ enabled, altitude, operator, flightWindow }) => {
+  const [check, setCheck] = useState(null); // { position, loading, result, error }
+  const latestRequest = useRef(0);
+
+  const runCheck = async (lat, lng) => {
+    const requestId = ++latestRequest.current;
+    const checkAltitude = altitude ?? DEFAULT_ALTITUDE;
+    setCheck({ position: [lat, lng], altitude: checkAltitude, loading: true, result: null, error: null });
+
+    try {
+      const response = await fetch('http://localhost:3000/api/point-check', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          lat,
+          lng,
+          altitude: checkAltitude,
+          operator,
+          ...(flightWindow ? { flightWindow } : {})
+        })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        // Validation errors carry per-field details
+        const details = Array.isArray(result.error?.details) ? result.error.details.map(d => d.message).join('; ') : '';
+        throw new Error(details || result.error?.message || `HTTP error! status: ${response.status}`);
+      }
+
+      if (requestId === latestRequest.current) {
+        setCheck(current => ({ ...current, loading: false, result: result.data }));
+      }
+    } catch (err) {
+      console.error('Error checking point:', err);
+      if (requestId === latestRequest.current) {
+        setCheck(current => ({ ...current, loading: false, error: err.message }));
+      }
+    }
+  };
+
+  useMapEvents({
+    click(e) {
+      if (enabled) {
+        // Longitudes past ±180 come from a wrapped map view
+        runCheck(e.latlng.lat, e.latlng.wrap().lng);
+      }
+    }
+  });
+
+  if (!check) return null;
+
+  const { result } = check;
+  const verdict = result ? VERDICTS[result.verdict] : null;
+  const governing = new Set(result?.governingRestrictionIds || []);
+
+  return (
+    <Popup position={check.position} eventHandlers={{ remove: () => setCheck(null) }}>
+      <div className="point-check" style={{ fontFamily: 'Arial, sans-serif', fontSize: '12px', maxWidth: '300px' }}>
+        {check.loading && <p style={{ margin: 0 }}>Checking this point at {check.altitude} ft…</p>}
+        {check.error && <p style={{ margin: 0, color: '#dc2626' }}>Could not check this point: {check.error}</p>}
+        {result && (
+          <>
+            <h4 style={{ margin: '0 0 5px 0', color: verdict.color }}>{verdict.label}</h4>
+            <p style={{ margin: '0 0 5px 0' }}>
+              <strong>Max altitude here:</strong> {result.maxAltitude === null ? 'none, do not fly' : `${result.maxAltitude} ft AGL`}
+              {altitude === null && ` (checked at ${check.altitude} ft; no altitude selected)`}
+            </p>
+            <p style={{ margin: '0 0 5px 0' }}>{result.explanation}</p>
+            {result.restrictions.length > 0 && (
+              <ul style={{ margin: 0, paddingLeft: '16px' }}>
+                {result.restrictions.map(r => (
+                  <li key={r.id} style={{ margin: '0 0 3px 0', fontWeight: governing.has(r.id) ? 'bold' : 'normal' }}>
+                    {r.description} ({r.authority})
+                    {r.sourceUrl && <> <a href={r.sourceUrl} target="_blank" rel="noopener noreferrer">Source</a></>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </div>
+    </Popup>
+  );
+};
+
+export default PointCheck;
@@ -3,17 +3,25 @@ import LocationInput from '../components/LocationInput'
 import FlightRestrictions from '../components/FlightRestrictions'
 import MapVisualization from '../components/MapVisualization'
 import RadiusSelector from '../components/RadiusSelector'
+import AltitudeSelector from '../components/AltitudeSelector'
+import FlightWindowSelector from '../components/FlightWindowSelector'
 import '../styles/components/CheckRestrictions.css';
 
 function CheckRestrictions () {
     const [locationData, setLocationData] = useState(null)
     const [restrictions, setRestrictions] = useState(null)
+    const [restrictionMetadata, setRestrictionMetadata] = useState(null)
     const [radius, setradius] = useState(1)
+    const [aoi, setAoi] = useState(null)
+    const [altitude, setAltitude] = useState(null) // planned altitude in ft AGL
+    const [flightWindow, setFlightWindow] = useState(null) // { start, end, timezone }; null means now
 
     const handleLocationChange = (data) => {
         console.log('📍 Location changed:', data);
         setLocationData(data)
         setRestrictions(null) // Clear previous restrictions when location changes
+        setRestrictionMetadata(null)
+        setAoi(null) // A drawn area belongs to the previous location
         
         console.log('📞 About to call fetchRestrictions with radius:', radius);
         
@@ -25,13 +33,38 @@ function CheckRestrictions () {
 
     const handleRadiusChange = (newRadius) => {
         setradius(newRadius)
+        setAoi(null) // Picking a radius switches back to a circular search
         if (locationData) {
         // Trigger new restriction check when radius changes
         fetchRestrictions(newRadius)
         }
     }
 
-    const fetchRestrictions = async (radius = radius, locationDataOverride = null) => {
+    const handleAoiChange = (newAoi) => {
+        setAoi(newAoi)
+        if (locationData) {
+        // A custom area replaces the circle; clearing it goes back to the radius
+        fetchRestrictions(radius, null, newAoi)
+        }
+    }
+
+    const handleAltitudeChange = (newAltitude) => {
+        setAltitude(newAltitude)
+        if (locationData) {
+        // Re-classify FAA grid cells against the new altitude
+        fetchRestrictions(radius, null, aoi, newAltitude)
+        }
+    }
+
+    const handleFlightWindowChange = (newFlightWindow) => {
+        setFlightWindow(newFlightWindow)
+        if (locationData) {
+        // Re-evaluate which restrictions are active during the new window
+        fetchRestrictions(radius, null, aoi, altitude, newFlightWindow)
+        }
+    }
+
+    const fetchRestrictions = async (radius = radius, locationDataOverride = null, aoiOverride = null, altitudeOverride = altitude, flightWindowOverride = flightWindow) => {
         // Use the passed location data or fall back to state
         const locationToUse = locationDataOverride || locationData;
         
@@ -45,27 +78,31 @@ function CheckRestrictions () {
 
         try {
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+        const timeoutId = setTimeout(() => controller.abort(), 35000); // 35 second timeout (backend retries upstream failures)
 
         console.log('Making API request...');
 
         console.log('About to make fetch request to:', 'http://localhost:3000/api/restrictions');
-        console.log('Request body:', {
+        // The backend accepts either a center/radius circle or a polygon area of interest
+        const requestBody = aoiOverride ? { aoi: aoiOverride } : {
             lat: locationToUse.coordinates.latitude,
             lng: locationToUse.coordinates.longitude,
             radius: radius
-        });
+        };
+        if (altitudeOverride !== null) {
+            requestBody.altitude = altitudeOverride;
+        }
+        if (flightWindowOverride) {
+            requestBody.flightWindow = flightWindowOverride;
+        }
+        console.log('Request body:', requestBody);
 
         const response = await fetch('http://localhost:3000/api/restrictions', {
             method: 'POST',
             headers: {
             'Content-Type': 'application/json',
             },
-            body: JSON.stringify({
-            lat: locationToUse.coordinates.latitude,
-            lng: locationToUse.coordinates.longitude,
-            radius: radius
-            }),
+            body: JSON.stringify(requestBody),
             signal: controller.signal
         });
         
@@ -85,8 +122,11 @@ function CheckRestrictions () {
             console.log('API response data:', data);
             console.log('Setting restrictions to:', data.data);
             setRestrictions(data.data);
+            setRestrictionMetadata(data.metadata);
         } else {
             console.error('Response not ok:', response.statusText);
+            // Validation errors explain what was wrong with the area (too large, self-intersecting, ...)
+            const errorBody = await response.json().catch(() => null);
             console.log('Setting restrictions to empty data due to failed response');
             // Set restrictions to empty data to show the map with no restrictions
             setRestrictions({
@@ -95,6 +135,8 @@ function CheckRestrictions () {
             localRestrictions: { type: 'FeatureCollection', features: [] },
             allowedAreas: { type: 'FeatureCollection', features: [] }
             });
+            // Empty data is not "no restrictions" - flag it as incomplete
+            setRestrictionMetadata({ dataComplete: false, providers: [], error: errorBody?.error?.message || `Request failed: ${response.statusText}` });
         }
         } catch (err) {
         console.error('Error fetching restrictions:', err);
@@ -106,6 +148,8 @@ function CheckRestrictions () {
             localRestrictions: { type: 'FeatureCollection', features: [] },
             allowedAreas: { type: 'FeatureCollection', features: [] }
         });
+        // Empty data is not "no restrictions" - flag it as incomplete
+        setRestrictionMetadata({ dataComplete: false, providers: [], error: 'Could not reach the restrictions service' });
         }
     }
 
@@ -117,18 +161,33 @@ function CheckRestrictions () {
                     selectedRadius={radius}
                     onRadiusChange={handleRadiusChange}
                 />
+                <AltitudeSelector
+                    selectedAltitude={altitude}
+                    onAltitudeChange={handleAltitudeChange}
+                />
+                <FlightWindowSelector
+                    flightWindow={flightWindow}
+                    onFlightWindowChange={handleFlightWindowChange}
+                />
             </div>
             <div className="map-visualization-container">
                 <MapVisualization
                 locationData={locationData}
                 restrictions={restrictions}
+                metadata={restrictionMetadata}
                 radius={radius}
+                aoi={aoi}
+                altitude={altitude}
+                onAoiChange={handleAoiChange}
                 />
             </div>
             <div className="flight-restrictions-container">
                 <FlightRestrictions
                 locationData={locationData}
                 radius={radius}
+                aoi={aoi}
+                altitude={altitude}
+                flightWindow={flightWindow}
                 onRadiusChange={handleRadiusChange}
                 />
             </div>
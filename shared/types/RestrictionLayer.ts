@@ -11,13 +11,22 @@ export enum RestrictionCategory {
   FAA = 'FAA',
   STATE = 'STATE',
   CITY = 'CITY',
-  PRIVATE = 'PRIVATE'
+  PRIVATE = 'PRIVATE',
+  // Authorities outside the US system (e.g. EU UAS geographical zones)
+  NATIONAL = 'NATIONAL',
+  REGIONAL = 'REGIONAL',
+  MILITARY = 'MILITARY',
+  ENVIRONMENTAL = 'ENVIRONMENTAL',
+  // Computed by YesFly itself, not published by an authority (e.g. allowed areas)
+  SYSTEM = 'SYSTEM'
 }
 
 export enum RestrictionType {
   NO_FLY = 'NO_FLY',
   AUTH_REQUIRED = 'AUTH_REQUIRED',
-  ADVISORY = 'ADVISORY'
+  ADVISORY = 'ADVISORY',
+  // Open for flight: the search area left after subtracting restrictions in effect
+  ALLOWED = 'ALLOWED'
 }
 
 export enum ConfidenceLevel {
@@ -26,6 +35,103 @@ export enum ConfidenceLevel {
   LOW = 'LOW'
 }
 
+/**
+ * How a planned altitude compares with an FAA UAS facility map grid ceiling
+ *
+ * BELOW_CEILING: at or below the cell's ceiling, eligible for LAANC authorization
+ * ABOVE_CEILING: above the ceiling, needs further authorization (FAADroneZone)
+ * ZERO_CEILING: the cell's ceiling is 0 ft, no LAANC authorization at any altitude
+ */
+export enum CeilingStatus {
+  BELOW_CEILING = 'BELOW_CEILING',
+  ABOVE_CEILING = 'ABOVE_CEILING',
+  ZERO_CEILING = 'ZERO_CEILING'
+}
+
+/**
+ * Who is flying, which sets the rules a point check applies
+ *
+ * PART_107: certificated remote pilot under 14 CFR Part 107
+ * RECREATIONAL: recreational flyer under 49 U.S.C. 44809
+ */
+export enum OperatorType {
+  PART_107 = 'PART_107',
+  RECREATIONAL = 'RECREATIONAL'
+}
+
+/**
+ * Answer to "can I fly here?" for one point, altitude and operator
+ *
+ * GO: nothing in effect stops the flight (advisories may still apply)
+ * AUTHORIZATION_NEEDED: the flight may go ahead once authorized (LAANC,
+ *   FAADroneZone, a waiver or a local permit)
+ * NO_GO: the flight is not allowed, or the data is incomplete and cannot
+ *   show that it is
+ */
+export enum FlightVerdict {
+  GO = 'GO',
+  AUTHORIZATION_NEEDED = 'AUTHORIZATION_NEEDED',
+  NO_GO = 'NO_GO'
+}
+
+/**
+ * Whether a restriction is in effect during a planned flight window
+ *
+ * ACTIVE: in effect at some point during the window
+ * UPCOMING: not in effect during the window but within 24 hours after it
+ * INACTIVE: not in effect during the window or soon after
+ */
+export enum ActivityStatus {
+  ACTIVE = 'ACTIVE',
+  INACTIVE = 'INACTIVE',
+  UPCOMING = 'UPCOMING'
+}
+
+/**
+ * Natural light at a time and place, as Part 107 uses it
+ *
+ * DAYLIGHT: between sunrise and sunset
+ * CIVIL_TWILIGHT: sun less than 6 degrees below the horizon; flight needs
+ *   anti-collision lighting visible for 3 statute miles
+ * NIGHT: after evening civil twilight and before morning civil twilight;
+ *   flight also needs the night operations training or knowledge test
+ */
+export enum LightCondition {
+  DAYLIGHT = 'DAYLIGHT',
+  CIVIL_TWILIGHT = 'CIVIL_TWILIGHT',
+  NIGHT = 'NIGHT'
+}
+
+export type Weekday = 'MON' | 'TUE' | 'WED' | 'THU' | 'FRI' | 'SAT' | 'SUN';
+
+/**
+ * One recurring period a restriction is in effect
+ *
+ * start and end are "HH:MM" (24-hour) or "SUNRISE"/"SUNSET" at the
+ * restriction's location. An end before the start runs past midnight.
+ */
+export interface ScheduleRule {
+  /**
+   * Days the period starts on; every day when omitted
+   */
+  days?: Weekday[];
+  start: string;
+  end: string;
+}
+
+/**
+ * Structured enforcement schedule: the restriction is in effect during
+ * any of its rules
+ */
+export interface RestrictionSchedule {
+  /**
+   * IANA time zone of the rule times; when omitted they are local time at
+   * the restriction, taken from the flight window's time zone
+   */
+  timezone?: string;
+  rules: ScheduleRule[];
+}
+
 /**
  * Jurisdiction information for the restriction
  */
@@ -52,7 +158,9 @@ export interface RestrictionMetadata {
  */
 export type GeoJSONGeometry =
   | { type: 'Point'; coordinates: [number, number] }
+  | { type: 'MultiPoint'; coordinates: [number, number][] }
   | { type: 'LineString'; coordinates: [number, number][] }
+  | { type: 'MultiLineString'; coordinates: [number, number][][] }
   | { type: 'Polygon'; coordinates: [number, number][][] }
   | { type: 'MultiPolygon'; coordinates: [number, number][][][] }
   | { type: 'GeometryCollection'; geometries: GeoJSONGeometry[] };
@@ -114,6 +222,21 @@ export interface RestrictionLayer {
    */
   metadata?: RestrictionMetadata;
 
+  /**
+   * Recurring enforcement schedule; always in effect when omitted
+   */
+  schedule?: RestrictionSchedule;
+
+  /**
+   * Whether the restriction is in effect during the requested flight window
+   */
+  activity?: ActivityStatus;
+
+  /**
+   * Periods the restriction is in effect across the days of the flight window
+   */
+  activeIntervals?: Array<{ start: string; end: string }>;
+
   /**
    * Additional properties that may be specific to certain restriction types
    */
@@ -133,6 +256,88 @@ export interface FAAAirspaceRestriction extends RestrictionLayer {
   effectiveDate: string;
 }
 
+/**
+ * Temporary flight restriction (TFR) area from an FAA NOTAM
+ *
+ * Altitudes are in feet; each has a reference: SFC (surface), AGL,
+ * MSL, or STD (pressure altitude / flight level).
+ */
+export interface TFRRestriction extends FAAAirspaceRestriction {
+  /**
+   * NOTAM number, e.g. "4/1234"
+   */
+  notamNumber: string;
+
+  /**
+   * End of the restriction; null when in effect until further notice
+   */
+  expirationDate: string | null;
+
+  altitudeFloor: number;
+  altitudeFloorReference: string;
+  altitudeCeiling: number;
+  altitudeCeilingReference: string;
+
+  /**
+   * TFR type, e.g. VIP, SECURITY, HAZARDS, SPACE OPERATIONS
+   */
+  tfrType: string;
+}
+
+/**
+ * Restriction parsed from an ICAO-format NOTAM
+ *
+ * Vertical limits are in feet with the same references as TFRs, plus UNL
+ * (unlimited, ceiling given as null).
+ */
+export interface NotamRestriction extends RestrictionLayer {
+  /**
+   * NOTAM series and number, e.g. "A1234/24"
+   */
+  notamNumber: string;
+
+  /**
+   * Five-letter Q code, e.g. "QRTCA"
+   */
+  notamCode: string;
+
+  /**
+   * Flight information region from the Q-line
+   */
+  fir: string;
+
+  /**
+   * Start and end of validity (items B and C); end null when permanent
+   */
+  effectiveDate: string;
+  expirationDate: string | null;
+
+  /**
+   * Item D schedule as written, or null when there is none
+   */
+  scheduleText: string | null;
+
+  /**
+   * Periods the NOTAM is in effect, expanded from items B, C and D
+   */
+  validityPeriods: Array<{ start: string; end: string | null }>;
+
+  /**
+   * Whether the NOTAM is in effect at the requested time
+   */
+  active: boolean;
+
+  altitudeFloor: number;
+  altitudeFloorReference: string;
+  altitudeCeiling: number | null;
+  altitudeCeilingReference: string;
+
+  /**
+   * Original NOTAM text
+   */
+  text: string;
+}
+
 /**
  * Extended interface for local/city restrictions
  */